@@ -0,0 +1,116 @@
+/**
+ * Trwała pamięć podręczna odpowiedzi AI
+ *
+ * Każdy wpis to osobny plik JSON w katalogu cache, nazwany skrótem SHA-256
+ * z dostawcy, modelu, promptu i parametrów zapytania. Wpisy starsze niż TTL
+ * są pomijane, a tryb refresh ignoruje istniejące wpisy i zapisuje nowe.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Zmiana wersji unieważnia wszystkie istniejące wpisy
+const CACHE_VERSION = 1;
+
+class AICache {
+   constructor({
+      enabled = true,
+      directory = ".seo-cache/ai",
+      ttl = 0,
+      refresh = false,
+   } = {}) {
+      this.enabled = enabled;
+      this.directory = directory;
+      this.ttl = ttl; // ms, 0 = bez wygasania
+      this.refresh = refresh;
+      this.stats = { hits: 0, misses: 0, writes: 0 };
+   }
+
+   createKey(parts) {
+      return crypto
+         .createHash("sha256")
+         .update(JSON.stringify({ version: CACHE_VERSION, ...parts }))
+         .digest("hex");
+   }
+
+   getEntryPath(key) {
+      return path.join(this.directory, `${key}.json`);
+   }
+
+   isExpired(entry) {
+      return this.ttl > 0 && Date.now() - entry.createdAt > this.ttl;
+   }
+
+   get(key) {
+      if (!this.enabled || this.refresh) {
+         this.stats.misses++;
+         return null;
+      }
+
+      try {
+         const entry = JSON.parse(fs.readFileSync(this.getEntryPath(key), "utf8"));
+         if (this.isExpired(entry)) {
+            this.stats.misses++;
+            return null;
+         }
+         this.stats.hits++;
+         return entry.value;
+      } catch (error) {
+         // Brak wpisu lub uszkodzony plik traktujemy jak brak w cache
+         this.stats.misses++;
+         return null;
+      }
+   }
+
+   set(key, value, metadata = {}) {
+      if (!this.enabled) return;
+
+      try {
+         fs.mkdirSync(this.directory, { recursive: true });
+         const entryPath = this.getEntryPath(key);
+         const tempPath = `${entryPath}.${process.pid}.tmp`;
+         fs.writeFileSync(
+            tempPath,
+            JSON.stringify({ createdAt: Date.now(), ...metadata, value })
+         );
+         fs.renameSync(tempPath, entryPath);
+         this.stats.writes++;
+      } catch (error) {
+         console.error(`Błąd podczas zapisu do cache AI: ${error.message}`);
+      }
+   }
+
+   // Usuwa wygasłe wpisy (lub wszystkie przy all = true), zwraca liczbę usuniętych
+   prune(all = false) {
+      if (!fs.existsSync(this.directory)) return 0;
+
+      let removed = 0;
+      for (const file of fs.readdirSync(this.directory)) {
+         if (!file.endsWith(".json")) continue;
+
+         const entryPath = path.join(this.directory, file);
+         let expired = all;
+         if (!expired) {
+            try {
+               expired = this.isExpired(
+                  JSON.parse(fs.readFileSync(entryPath, "utf8"))
+               );
+            } catch (error) {
+               expired = true;
+            }
+         }
+         if (expired) {
+            fs.unlinkSync(entryPath);
+            removed++;
+         }
+      }
+      return removed;
+   }
+
+   clear() {
+      return this.prune(true);
+   }
+}
+
+module.exports = AICache;
@@ -0,0 +1,335 @@
+/**
+ * Dostawcy modeli językowych dla SEOAIOptimizer
+ *
+ * Każdy dostawca implementuje metodę complete({ task, prompt, input, temperature, maxTokens }),
+ * która zwraca tekst odpowiedzi (oczekiwany JSON).
+ *
+ * - OpenAIProvider: API OpenAI (Responses API)
+ * - OpenAICompatibleProvider: serwery zgodne z OpenAI (Ollama, LM Studio, vLLM) przez Chat Completions
+ * - MockProvider: deterministyczne odpowiedzi bez dostępu do sieci (testy, audyty offline);
+ *   wskazówki tekstowe w języku treści strony (input.language, katalog mock.* w locales/)
+ */
+
+const OpenAI = require("openai");
+const { translate, getContentLanguage } = require("./i18n");
+
+class OpenAIProvider {
+   constructor({ apiKey, model = "gpt-4o-mini" } = {}) {
+      this.name = "openai";
+      this.model = model;
+      this.client = new OpenAI({ apiKey });
+   }
+
+   async complete({ prompt, temperature = 0.7, maxTokens = 2048 }) {
+      const response = await this.client.responses.create({
+         model: this.model,
+         input: [
+            {
+               role: "system",
+               content: [
+                  {
+                     type: "input_text",
+                     text: prompt,
+                  },
+               ],
+            },
+         ],
+         text: {
+            format: {
+               type: "json_object",
+            },
+         },
+         reasoning: {},
+         tools: [],
+         temperature,
+         max_output_tokens: maxTokens,
+         top_p: 1,
+         store: false,
+      });
+
+      return response ? response.output_text : null;
+   }
+}
+
+class OpenAICompatibleProvider {
+   constructor({ baseURL, apiKey = "local", model, jsonMode = true } = {}) {
+      this.name = "openai-compatible";
+      this.model = model;
+      this.jsonMode = jsonMode;
+      this.client = new OpenAI({ apiKey, baseURL });
+   }
+
+   async complete({ prompt, temperature = 0.7, maxTokens = 2048 }) {
+      const response = await this.client.chat.completions.create({
+         model: this.model,
+         messages: [{ role: "system", content: prompt }],
+         temperature,
+         max_tokens: maxTokens,
+         // Nie każdy lokalny serwer obsługuje tryb JSON
+         ...(this.jsonMode && { response_format: { type: "json_object" } }),
+      });
+
+      const choice = response && response.choices && response.choices[0];
+      return choice && choice.message ? choice.message.content : null;
+   }
+}
+
+const STOP_WORDS = new Set([
+   "oraz",
+   "które",
+   "który",
+   "która",
+   "jest",
+   "dla",
+   "przez",
+   "nasz",
+   "nasza",
+   "nasze",
+   "naszych",
+   "jako",
+   "także",
+   "również",
+   "this",
+   "that",
+   "with",
+   "from",
+   "your",
+   "have",
+   "will",
+   "about",
+]);
+
+class MockProvider {
+   // responses: { [task]: obiekt odpowiedzi lub funkcja (input) => obiekt }
+   constructor({ responses = {} } = {}) {
+      this.name = "mock";
+      this.model = "mock";
+      this.responses = responses;
+   }
+
+   async complete({ task, input = {} }) {
+      const canned = this.responses[task];
+      if (canned !== undefined) {
+         return JSON.stringify(
+            typeof canned === "function" ? canned(input) : canned
+         );
+      }
+
+      const handler = {
+         optimizeTitle: () => this.optimizeTitle(input),
+         optimizeDescription: () => this.optimizeDescription(input),
+         analyzeContent: () => this.analyzeContent(input),
+         generateKeywordSuggestions: () => this.generateKeywordSuggestions(input),
+         optimizeSocialTags: () => this.optimizeSocialTags(input),
+         suggestAltTexts: () => this.suggestAltTexts(input),
+         analyzePageContent: () => this.analyzePageContent(input),
+      }[task];
+
+      return JSON.stringify(handler ? handler() : {});
+   }
+
+   // Skraca tekst do maksymalnej długości na granicy słowa
+   truncate(text, maxLength) {
+      if (text.length <= maxLength) return text;
+      const cut = text.slice(0, maxLength);
+      const lastSpace = cut.lastIndexOf(" ");
+      return (lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(
+         /[\s,.;:|-]+$/,
+         ""
+      );
+   }
+
+   capitalize(text) {
+      return text.charAt(0).toUpperCase() + text.slice(1);
+   }
+
+   missingKeywords(text, keywords) {
+      const textLower = (text || "").toLowerCase();
+      return keywords.filter(
+         (keyword) => !textLower.includes(keyword.toLowerCase())
+      );
+   }
+
+   optimizeTitle({ currentTitle = "", keywords = [], maxLength = 60 }) {
+      const missing = this.missingKeywords(currentTitle, keywords);
+      const parts = currentTitle
+         ? [currentTitle, ...missing.slice(0, 1).map((k) => this.capitalize(k))]
+         : keywords.slice(0, 3).map((k) => this.capitalize(k));
+
+      return {
+         optimizedTitle: this.truncate(parts.join(" | "), maxLength),
+      };
+   }
+
+   optimizeDescription({
+      currentDescription = "",
+      keywords = [],
+      maxLength = 160,
+   }) {
+      const missing = this.missingKeywords(currentDescription, keywords);
+      const base = currentDescription.trim().replace(/\.?$/, ".");
+      const addition = missing.length
+         ? ` ${this.capitalize(missing.slice(0, 3).join(", "))}.`
+         : "";
+
+      return {
+         optimizedDescription: this.truncate(
+            `${base === "." ? "" : base}${addition}`.trim(),
+            maxLength
+         ),
+      };
+   }
+
+   // Wskazówka z katalogu mock.* w języku treści strony
+   message(language, key, params) {
+      return translate(language || getContentLanguage(), `mock.${key}`, params);
+   }
+
+   analyzeContent({ content = "", keywords = [], language }) {
+      return {
+         suggestions: this.missingKeywords(content, keywords).map((keyword) =>
+            this.message(language, "addKeyword", { keyword })
+         ),
+      };
+   }
+
+   // Łączy główne słowo kluczowe z pozostałymi w frazy długiego ogona
+   generateKeywordSuggestions({ currentKeywords = [], industry = "" }) {
+      const [mainKeyword, ...otherKeywords] = currentKeywords;
+      if (!mainKeyword) return { suggestions: industry ? [industry] : [] };
+
+      const suggestions = otherKeywords
+         .filter((keyword) => !keyword.includes(mainKeyword))
+         .map((keyword) => `${mainKeyword} ${keyword}`)
+         .filter((phrase) => !currentKeywords.includes(phrase))
+         .slice(0, 10);
+      if (industry && !currentKeywords.includes(industry)) {
+         suggestions.unshift(industry);
+      }
+
+      return { suggestions };
+   }
+
+   optimizeSocialTags({
+      currentOgTitle = "",
+      currentOgDescription = "",
+      keywords = [],
+      titleMaxLength = 60,
+      descriptionMaxLength = 200,
+   }) {
+      return {
+         ogTitle: this.optimizeTitle({
+            currentTitle: currentOgTitle,
+            keywords,
+            maxLength: titleMaxLength,
+         }).optimizedTitle,
+         ogDescription: this.optimizeDescription({
+            currentDescription: currentOgDescription,
+            keywords,
+            maxLength: descriptionMaxLength,
+         }).optimizedDescription,
+      };
+   }
+
+   // Opis z nazwy pliku, a gdy jest nieczytelna - z kontekstu lub tytułu strony
+   suggestAltTexts({ images = [], title = "" }) {
+      return {
+         altTexts: images.map(({ src, context = "" }) => {
+            const filename = decodeURIComponent(
+               src.split(/[?#]/)[0].split("/").pop() || ""
+            )
+               .replace(/\.[a-z0-9]+$/i, "")
+               .replace(/[-_]+/g, " ")
+               .trim();
+            const readable = /\p{L}{3,}/u.test(filename) && !/\d{3,}/.test(filename);
+            const text = readable
+               ? filename
+               : context.split(" | ")[0] || title;
+            return { src, alt: this.truncate(this.capitalize(text), 125) };
+         }),
+      };
+   }
+
+   extractText(content) {
+      try {
+         const parsed = JSON.parse(content);
+         return Object.values(parsed).flat().join(" ");
+      } catch (error) {
+         return String(content);
+      }
+   }
+
+   analyzePageContent({ content = "", language }) {
+      let parsed = {};
+      try {
+         parsed = JSON.parse(content);
+      } catch (error) {
+         // Treść nie jest JSON-em z extractContent
+      }
+
+      const words = this.extractText(content)
+         .toLowerCase()
+         .split(/[^\p{L}\p{N}-]+/u)
+         .filter((word) => word.length > 3 && !STOP_WORDS.has(word));
+
+      const count = (items) => {
+         const counts = new Map();
+         items.forEach((item) => counts.set(item, (counts.get(item) || 0) + 1));
+         return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([item]) => item);
+      };
+
+      const bigrams = words
+         .slice(0, -1)
+         .map((word, index) => `${word} ${words[index + 1]}`);
+
+      const contentStructure = [];
+      if (!parsed.h1 || parsed.h1.length === 0) {
+         contentStructure.push(this.message(language, "addH1"));
+      }
+      if (!parsed.h2 || parsed.h2.length < 2) {
+         contentStructure.push(this.message(language, "addH2Sections"));
+      }
+      if (!parsed.paragraphs || parsed.paragraphs.length < 3) {
+         contentStructure.push(this.message(language, "addParagraphs"));
+      }
+
+      const seoSuggestions = [];
+      if (!parsed.metaDescription) {
+         seoSuggestions.push(this.message(language, "addDescription"));
+      }
+      if (!parsed.title) {
+         seoSuggestions.push(this.message(language, "addTitle"));
+      }
+
+      return {
+         mainKeywords: count(words).slice(0, 10),
+         longTailKeywords: count(bigrams).slice(0, 15),
+         relatedTopics: (parsed.h2 || []).slice(0, 10),
+         contentStructure,
+         seoSuggestions,
+      };
+   }
+}
+
+function createProvider(aiConfig = {}) {
+   switch (aiConfig.provider) {
+      case "mock":
+         return new MockProvider(aiConfig.mock);
+      case "openai-compatible":
+         return new OpenAICompatibleProvider(aiConfig.compatible);
+      case "openai":
+      case undefined:
+         return new OpenAIProvider(aiConfig.openai);
+      default:
+         throw new Error(`Nieznany dostawca AI: ${aiConfig.provider}`);
+   }
+}
+
+module.exports = {
+   OpenAIProvider,
+   OpenAICompatibleProvider,
+   MockProvider,
+   createProvider,
+};
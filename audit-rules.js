@@ -0,0 +1,676 @@
+/**
+ * Reguły audytu SEO
+ *
+ * Każda reguła ma identyfikator, kategorię, ważność i opcje; szablon komunikatu jest
+ * w katalogach tłumaczeń (locales/*.js, klucz rules.<identyfikator>).
+ * check(data, options) zwraca znaleziska { url, key, params, evidence }, z których
+ * runRules tworzy ustrukturyzowane problemy z komunikatem w języku raportu:
+ *   { id, rule, category, severity, url, message, evidence }
+ * data to dane zebrane przez analizator po crawlowaniu i pobraniu sitemap
+ * (SEOAnalyzer.collectAuditData). Reguły można wyłączać oraz zmieniać ich ważność
+ * i opcje w config.seo.rules, np. { titleLength: { options: { max: 65 } }, nofollowPages: { enabled: false } }.
+ */
+
+const { formatMessage, t } = require("./i18n");
+
+const SEVERITY_ORDER = ["critical", "warning", "notice"];
+
+const list = (urls) => urls.join(", ");
+
+// Zbiorcze zgłoszenie listy adresów (jedno znalezisko bez URL-a)
+const countFinding = (urls, params = {}) =>
+   urls.length > 0
+      ? [{ params: { count: urls.length, ...params }, evidence: { urls, ...params } }]
+      : [];
+
+const RULES = [
+   // Metadane
+   {
+      id: "missingTitle",
+      category: "metadata",
+      severity: "critical",
+      check: ({ pages }) => pages.filter((page) => !page.title).map(({ url }) => ({ url })),
+   },
+   {
+      id: "titleLength",
+      category: "metadata",
+      severity: "warning",
+      options: ({ seo }) => ({ ...seo.titleLength }),
+      check: ({ pages }, { min, max }) =>
+         pages
+            .filter(({ title }) => title && (title.length < min || title.length > max))
+            .map(({ url, title }) => ({
+               url,
+               params: { length: title.length, min, max },
+               evidence: { title, length: title.length },
+            })),
+   },
+   {
+      id: "missingDescription",
+      category: "metadata",
+      severity: "warning",
+      check: ({ pages }) =>
+         pages.filter((page) => !page.description).map(({ url }) => ({ url })),
+   },
+   {
+      id: "descriptionLength",
+      category: "metadata",
+      severity: "notice",
+      options: ({ seo }) => ({ ...seo.descriptionLength }),
+      check: ({ pages }, { min, max }) =>
+         pages
+            .filter(
+               ({ description }) =>
+                  description && (description.length < min || description.length > max)
+            )
+            .map(({ url, description }) => ({
+               url,
+               params: { length: description.length, min, max },
+               evidence: { description, length: description.length },
+            })),
+   },
+   ...[
+      ["duplicateTitle", "metadata", "warning", "titles"],
+      ["duplicateDescription", "metadata", "notice", "descriptions"],
+      ["duplicateH1", "content", "notice", "h1"],
+   ].map(([id, category, severity, field]) => ({
+      id,
+      category,
+      severity,
+      check: ({ duplicates }) =>
+         duplicates[field].map((group) => ({
+            key: group.value,
+            params: { value: group.value, count: group.urls.length, urls: list(group.urls) },
+            evidence: { value: group.value, urls: group.urls },
+         })),
+   })),
+   {
+      id: "missingOpenGraph",
+      category: "metadata",
+      severity: "notice",
+      check: ({ social }) => countFinding(social.pagesWithoutOpenGraph),
+   },
+   {
+      id: "socialMeta",
+      category: "metadata",
+      severity: "notice",
+      check: ({ social }) =>
+         social.problems
+            .map((problem) => ({
+               problem,
+               // Brak wszystkich tagów og:* zgłasza reguła missingOpenGraph
+               urls: problem.urls.filter(
+                  (url) =>
+                     problem.type !== "missing" ||
+                     !social.pagesWithoutOpenGraph.includes(url) ||
+                     problem.tag === "twitter:card"
+               ),
+            }))
+            .filter(({ urls }) => urls.length > 0)
+            .map(({ problem, urls }) => ({
+               url: urls.length === 1 ? urls[0] : null,
+               key: problem.key,
+               params: {
+                  problem: problem.message,
+                  pages:
+                     urls.length === 1
+                        ? t("ruleParts.onePage", { url: urls[0] })
+                        : t("ruleParts.manyPages", { count: urls.length }),
+               },
+               evidence: { tag: problem.tag, type: problem.type, urls },
+            })),
+   },
+
+   // Treść
+   {
+      id: "missingH1",
+      category: "content",
+      severity: "critical",
+      check: ({ pages }) => pages.filter((page) => !page.h1).map(({ url }) => ({ url })),
+   },
+   {
+      id: "multipleH1",
+      category: "content",
+      severity: "warning",
+      check: ({ headings }) =>
+         [...headings.pages.entries()]
+            .filter(([, page]) => page.h1Count > 1)
+            .map(([url, page]) => ({
+               url,
+               params: { count: page.h1Count },
+               evidence: {
+                  h1: page.outline.filter(({ level }) => level === 1).map(({ text }) => text),
+               },
+            })),
+   },
+   {
+      id: "emptyHeading",
+      category: "content",
+      severity: "warning",
+      check: ({ headings }) =>
+         [...headings.pages.entries()]
+            .filter(([, page]) => page.emptyHeadings.length > 0)
+            .map(([url, page]) => ({
+               url,
+               params: { levels: page.emptyHeadings.map((level) => `H${level}`).join(", ") },
+               evidence: { levels: page.emptyHeadings },
+            })),
+   },
+   {
+      id: "skippedHeadingLevel",
+      category: "content",
+      severity: "notice",
+      check: ({ headings }) =>
+         [...headings.pages.entries()]
+            .filter(([, page]) => page.skippedLevels.length > 0)
+            .map(([url, page]) => ({
+               url,
+               params: {
+                  skips: page.skippedLevels.map(({ from, to }) => `H${from} → H${to}`).join(", "),
+               },
+               evidence: { skippedLevels: page.skippedLevels },
+            })),
+   },
+   {
+      id: "duplicateHeading",
+      category: "content",
+      severity: "notice",
+      check: ({ headings }) =>
+         headings.duplicates.map((group) => ({
+            key: group.value,
+            params: { value: group.value, count: group.urls.length, urls: list(group.urls) },
+            evidence: { value: group.value, urls: group.urls },
+         })),
+   },
+   {
+      id: "h1TitleMismatch",
+      category: "content",
+      severity: "notice",
+      options: ({ seo }) => ({ minSimilarity: seo.headings.minTitleSimilarity }),
+      check: ({ headings }, { minSimilarity }) =>
+         [...headings.pages.entries()]
+            .filter(
+               ([, page]) => page.titleSimilarity !== null && page.titleSimilarity < minSimilarity
+            )
+            .map(([url, page]) => {
+               const h1 = page.outline.find(({ level, text }) => level === 1 && text).text;
+               return {
+                  url,
+                  params: { h1, similarity: Math.round(page.titleSimilarity * 100) },
+                  evidence: { h1, similarity: page.titleSimilarity },
+               };
+            }),
+   },
+   {
+      id: "nearDuplicateContent",
+      category: "content",
+      severity: "warning",
+      check: ({ duplicates }) =>
+         duplicates.content.map((cluster) => ({
+            key: cluster.urls.join(" "),
+            params: {
+               similarity: Math.round(cluster.similarity.avg * 100),
+               count: cluster.urls.length,
+               urls: list(cluster.urls),
+            },
+            evidence: { urls: cluster.urls, similarity: cluster.similarity },
+         })),
+   },
+   {
+      id: "keywordStuffing",
+      category: "content",
+      severity: "warning",
+      // configuredOnly: tylko słowa z seo.keywords, bez słów zaproponowanych przez AI
+      options: ({ seo }) => ({
+         maxDensity: seo.keywordAnalysis.maxDensity,
+         minWords: seo.keywordAnalysis.minWords,
+         configuredOnly: true,
+      }),
+      check: ({ keywords }, { maxDensity, minWords, configuredOnly }) =>
+         [...keywords.pages.entries()]
+            .filter(([, page]) => page.words >= minWords)
+            .flatMap(([url, page]) =>
+               page.keywords
+                  .filter(({ configured }) => configured || !configuredOnly)
+                  .filter(({ density }) => density > maxDensity)
+                  .map(({ keyword, count, density }) => ({
+                     url,
+                     key: keyword,
+                     params: { keyword, density, max: maxDensity },
+                     evidence: { keyword, count, density, words: page.words },
+                  }))
+            ),
+   },
+   {
+      id: "thinContent",
+      category: "content",
+      severity: "warning",
+      options: ({ seo }) => ({ minWords: seo.readability.minWords }),
+      check: ({ content }, { minWords }) =>
+         [...content.pages.entries()]
+            .filter(([, page]) => page.words < minWords)
+            .map(([url, page]) => ({
+               url,
+               params: { words: page.words, min: minWords },
+               evidence: { words: page.words, textRatio: page.textRatio },
+            })),
+   },
+   // Problemy z obrazkami zgłaszane zbiorczo według rodzaju
+   ...[
+      ["missingAlt", "content", "warning"],
+      ["emptyAlt", "content", "notice"],
+      ["filename", "content", "notice"],
+      ["dimensions", "performance", "notice"],
+      ["oversized", "performance", "warning"],
+      ["legacyFormat", "performance", "notice"],
+      ["lazyLoading", "performance", "notice"],
+      ["eagerLoading", "performance", "notice"],
+   ].map(([type, category, severity]) => ({
+      id: `image${type[0].toUpperCase()}${type.slice(1)}`,
+      category,
+      severity,
+      check: ({ images }) =>
+         images.problems
+            .filter((problem) => problem.type === type)
+            .map((problem) => ({
+               params: { count: problem.images, pages: problem.pages },
+               evidence: {
+                  urls: [...images.pages.entries()]
+                     .filter(([, pageImages]) =>
+                        pageImages.some((image) =>
+                           image.problems.some((imageProblem) => imageProblem.type === type)
+                        )
+                     )
+                     .map(([url]) => url),
+               },
+            })),
+   })),
+   {
+      id: "brokenImage",
+      category: "content",
+      severity: "critical",
+      check: ({ images }) =>
+         images.brokenImages.map((image) => ({
+            key: image.url,
+            params: { status: image.status, image: image.url, urls: list(image.pages) },
+            evidence: { image: image.url, status: image.status, urls: image.pages },
+         })),
+   },
+
+   // Techniczne
+   {
+      id: "javaScriptContent",
+      category: "technical",
+      severity: "notice",
+      check: ({ pages }) =>
+         pages
+            .filter(({ renderDiff }) => renderDiff && renderDiff.dependsOnJavaScript)
+            .map(({ url, renderDiff: diff }) => {
+               const elements = [];
+               if (diff.title.changed) elements.push(t("ruleParts.renderedTitle"));
+               if (diff.metaTags.onlyRendered.length || diff.metaTags.changed.length) {
+                  elements.push(t("ruleParts.renderedMetaTags"));
+               }
+               if (diff.links.onlyRendered.length) {
+                  elements.push(
+                     t("ruleParts.renderedLinks", { count: diff.links.onlyRendered.length })
+                  );
+               }
+               if (diff.headings.onlyRendered.length) {
+                  elements.push(t("ruleParts.renderedHeadings"));
+               }
+               if (diff.wordCount.rendered > diff.wordCount.raw) {
+                  elements.push(
+                     t("ruleParts.renderedWords", {
+                        count: diff.wordCount.rendered - diff.wordCount.raw,
+                     })
+                  );
+               }
+               return { url, params: { elements: elements.join(", ") }, evidence: { elements } };
+            }),
+   },
+   {
+      id: "structuredDataParseError",
+      category: "technical",
+      severity: "warning",
+      check: ({ structuredData }) =>
+         structuredData.parseErrors.map(({ url, format, message }) => ({
+            url,
+            key: `${format}: ${message}`,
+            params: { format, error: message },
+         })),
+   },
+   {
+      id: "structuredDataMissingRequired",
+      category: "technical",
+      severity: "warning",
+      check: ({ structuredData }) =>
+         structuredData.invalidItems
+            .filter((item) => item.missingRequired.length > 0)
+            .map((item) => ({
+               url: item.url,
+               key: item.type,
+               params: { type: item.type, properties: item.missingRequired.join(", ") },
+               evidence: { type: item.type, missingRequired: item.missingRequired },
+            })),
+   },
+   {
+      id: "structuredDataWarning",
+      category: "technical",
+      severity: "notice",
+      check: ({ structuredData }) =>
+         structuredData.invalidItems.flatMap((item) =>
+            item.warnings.map((warning) => ({
+               url: item.url,
+               key: `${item.type}: ${warning.key}`,
+               params: { type: item.type, warning: warning.message },
+            }))
+         ),
+   },
+   {
+      id: "missingStructuredDataType",
+      category: "technical",
+      severity: "notice",
+      check: ({ structuredData }) =>
+         structuredData.missingExpectedTypes.length > 0
+            ? [
+                 {
+                    params: { types: structuredData.missingExpectedTypes.join(", ") },
+                    evidence: { types: structuredData.missingExpectedTypes },
+                 },
+              ]
+            : [],
+   },
+   {
+      id: "pagesWithoutStructuredData",
+      category: "technical",
+      severity: "notice",
+      check: ({ structuredData }) => countFinding(structuredData.pagesWithoutStructuredData),
+   },
+   {
+      id: "redirectLoop",
+      category: "technical",
+      severity: "critical",
+      check: ({ redirects }) =>
+         redirects.redirectLoops.map((redirect) => ({
+            url: redirect.url,
+            evidence: { chain: redirect.chain },
+         })),
+   },
+   {
+      id: "redirectChain",
+      category: "technical",
+      severity: "warning",
+      check: ({ redirects }) =>
+         redirects.redirectChains.map((redirect) => ({
+            url: redirect.url,
+            params: { hops: redirect.hops, finalUrl: redirect.finalUrl },
+            evidence: { chain: redirect.chain },
+         })),
+   },
+   {
+      id: "temporaryRedirect",
+      category: "technical",
+      severity: "notice",
+      check: ({ redirects }) =>
+         redirects.temporaryRedirects.map((redirect) => {
+            const hop = redirect.chain.find((chainHop) =>
+               [302, 303, 307].includes(chainHop.status)
+            );
+            return { url: hop.url, params: { status: hop.status }, evidence: { hop } };
+         }),
+   },
+   {
+      id: "multipleCanonicals",
+      category: "technical",
+      severity: "warning",
+      check: ({ canonicals }) =>
+         canonicals.multipleCanonicals.map(({ url, canonicals: values }) => ({
+            url,
+            evidence: { canonicals: values },
+         })),
+   },
+   {
+      id: "canonicalMismatch",
+      category: "technical",
+      severity: "warning",
+      check: ({ canonicals }) =>
+         canonicals.canonicalMismatch.map(({ url, canonical }) => ({
+            url,
+            params: { canonical },
+         })),
+   },
+   {
+      id: "canonicalizedAway",
+      category: "technical",
+      severity: "notice",
+      check: ({ canonicals }) =>
+         canonicals.canonicalizedAway.map(({ url, canonical }) => ({
+            url,
+            params: { canonical },
+         })),
+   },
+   {
+      id: "canonicalToRedirect",
+      category: "technical",
+      severity: "warning",
+      check: ({ canonicals }) =>
+         canonicals.canonicalToRedirect.map(({ url, canonical }) => ({
+            url,
+            params: { canonical },
+         })),
+   },
+   {
+      id: "canonicalToNon200",
+      category: "technical",
+      severity: "critical",
+      check: ({ canonicals }) =>
+         canonicals.canonicalToNon200.map(({ url, canonical, status }) => ({
+            url,
+            params: { canonical, status },
+         })),
+   },
+   {
+      id: "robotsTxtUnavailable",
+      category: "technical",
+      severity: "critical",
+      check: ({ robots }) =>
+         robots.status === 0 || robots.status >= 500
+            ? [{ params: { status: robots.status } }]
+            : [],
+   },
+   {
+      id: "blockedByRobotsTxt",
+      category: "technical",
+      severity: "notice",
+      check: ({ robots }) => countFinding(robots.blockedUrls),
+   },
+   {
+      id: "noindexPages",
+      category: "technical",
+      severity: "notice",
+      check: ({ robots }) => countFinding(robots.noindexUrls),
+   },
+   {
+      id: "nofollowPages",
+      category: "technical",
+      severity: "notice",
+      check: ({ robots }) => countFinding(robots.nofollowUrls),
+   },
+   {
+      id: "noindexInSitemap",
+      category: "technical",
+      severity: "warning",
+      check: ({ sitemap }) => sitemap.noindexUrls.map((url) => ({ url })),
+   },
+   {
+      id: "blockedInSitemap",
+      category: "technical",
+      severity: "warning",
+      check: ({ sitemap }) => sitemap.blockedUrls.map((url) => ({ url })),
+   },
+   {
+      id: "missingSitemap",
+      category: "technical",
+      severity: "warning",
+      check: ({ sitemap }) =>
+         sitemap.urlCount === 0
+            ? [{ params: { locations: list(sitemap.locations) }, evidence: { locations: sitemap.locations } }]
+            : [],
+   },
+   {
+      id: "notInSitemap",
+      category: "technical",
+      severity: "notice",
+      check: ({ sitemap }) => (sitemap.urlCount > 0 ? countFinding(sitemap.notInSitemap) : []),
+   },
+   {
+      id: "sitemapNotCrawled",
+      category: "technical",
+      severity: "notice",
+      check: ({ sitemap }) => countFinding(sitemap.notCrawled),
+   },
+
+   // Linki
+   {
+      id: "brokenLink",
+      category: "links",
+      severity: "critical",
+      // Obrazki zgłaszają reguły audytu obrazków
+      check: ({ brokenLinks, imageSources }) =>
+         brokenLinks
+            .filter((link) => !imageSources.has(link.url))
+            .map((link) => {
+               const pages = [...new Set(link.referencedFrom.map(({ page }) => page))];
+               return {
+                  key: link.url,
+                  params: {
+                     type: t(`ruleParts.linkTypes.${link.type}`),
+                     status: link.status || link.errorType || link.error,
+                     target: link.url,
+                     urls: pages.length > 0 ? list(pages) : "-",
+                  },
+                  evidence: {
+                     target: link.url,
+                     type: link.type,
+                     status: link.status,
+                     ...(link.errorType && { errorType: link.errorType }),
+                     ...(link.error && { error: link.error }),
+                     referencedFrom: link.referencedFrom,
+                  },
+               };
+            }),
+   },
+   {
+      id: "internalLinksToRedirects",
+      category: "links",
+      severity: "notice",
+      check: ({ redirects }) =>
+         redirects.internalLinksToRedirects.length > 0
+            ? [
+                 {
+                    params: { count: redirects.internalLinksToRedirects.length },
+                    evidence: { links: redirects.internalLinksToRedirects },
+                 },
+              ]
+            : [],
+   },
+   {
+      id: "redirectedExternalLinks",
+      category: "links",
+      severity: "notice",
+      check: ({ redirectedExternalLinks }) => countFinding(redirectedExternalLinks),
+   },
+   {
+      id: "orphanPage",
+      category: "links",
+      severity: "warning",
+      check: ({ linkGraph }) => linkGraph.orphanPages.map((url) => ({ url })),
+   },
+   {
+      id: "deadEnd",
+      category: "links",
+      severity: "notice",
+      check: ({ linkGraph }) => linkGraph.deadEnds.map((url) => ({ url })),
+   },
+   {
+      id: "deepPages",
+      category: "links",
+      severity: "notice",
+      options: ({ seo }) => ({ maxClickDepth: seo.linkGraph.maxClickDepth }),
+      check: ({ pages }, { maxClickDepth }) =>
+         countFinding(
+            pages.filter(({ depth }) => depth > maxClickDepth).map(({ url }) => url),
+            { maxClickDepth }
+         ),
+   },
+];
+
+// Reguła z uwzględnieniem ustawień z config.seo.rules
+function resolveRule(rule, config) {
+   const overrides = (config.seo.rules || {})[rule.id] || {};
+   return {
+      ...rule,
+      enabled: overrides.enabled !== false,
+      severity: overrides.severity || rule.severity,
+      options: {
+         ...(rule.options ? rule.options(config) : {}),
+         ...(overrides.options || {}),
+      },
+   };
+}
+
+/**
+ * Uruchamia włączone reguły i zwraca problemy posortowane według ważności.
+ * Błąd pojedynczej reguły nie przerywa audytu.
+ */
+function runRules(data, config, rules = RULES) {
+   const issues = [];
+   for (const rule of rules.map((definition) => resolveRule(definition, config))) {
+      if (!rule.enabled) continue;
+
+      let findings;
+      try {
+         findings = rule.check(data, rule.options);
+      } catch (error) {
+         console.error(`Błąd podczas sprawdzania reguły ${rule.id}: ${error.message}`);
+         continue;
+      }
+
+      findings.forEach(({ url = null, key = null, params = {}, evidence = params }) => {
+         issues.push({
+            id: [rule.id, url, key].filter((part) => part !== null).join("|"),
+            rule: rule.id,
+            category: rule.category,
+            severity: rule.severity,
+            url,
+            message: t(`rules.${rule.id}`, { url, ...params }),
+            evidence,
+         });
+      });
+   }
+
+   return issues.sort(
+      (a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+   );
+}
+
+// Liczba problemów według ważności, kategorii i reguły
+function summarizeIssues(issues) {
+   const summary = { total: issues.length, bySeverity: {}, byCategory: {}, byRule: {} };
+   issues.forEach(({ severity, category, rule }) => {
+      summary.bySeverity[severity] = (summary.bySeverity[severity] || 0) + 1;
+      summary.byCategory[category] = (summary.byCategory[category] || 0) + 1;
+      summary.byRule[rule] = (summary.byRule[rule] || 0) + 1;
+   });
+   return summary;
+}
+
+module.exports = {
+   RULES,
+   SEVERITY_ORDER,
+   formatMessage,
+   resolveRule,
+   runRules,
+   summarizeIssues,
+};
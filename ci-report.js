@@ -0,0 +1,275 @@
+/**
+ * Tryb CI
+ *
+ * - Sprawdzenie progów z config.ci.thresholds (ocena serwisu, uszkodzone linki
+ *   wewnętrzne, problemy według ważności i reguły, nowe problemy względem raportu bazowego)
+ * - Wyniki w formatach JUnit XML i SARIF 2.1.0 dla interfejsu potoku CI/CD
+ * - Kod wyjścia: 0 - progi spełnione, 1 - błąd analizy, 2 - przekroczone progi
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { RULES } = require("./audit-rules");
+const { diffReports } = require("./report-diff");
+const { t } = require("./i18n");
+const { version } = require("./package.json");
+
+const EXIT_CODES = {
+   success: 0,
+   error: 1,
+   thresholds: 2,
+};
+
+const SARIF_LEVELS = {
+   critical: "error",
+   warning: "warning",
+   notice: "note",
+};
+
+function escapeXml(value) {
+   return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Sprawdza progi dla raportu. Zwraca listę wyników
+ * { id, label, actual, limit, passed, details }; progi ustawione na null są pomijane.
+ */
+function evaluateThresholds(report, thresholds, baseline = null) {
+   const issues = report.issues || [];
+   const results = [];
+   const check = (id, label, actual, limit, passed, details = []) =>
+      results.push({ id, label, actual, limit, passed, details });
+
+   if (thresholds.minPages !== null) {
+      const pages = (report.pageMeta || []).filter((page) => page.status === 200).length;
+      check(
+         "minPages",
+         t("ci.thresholds.minPages", { limit: thresholds.minPages }),
+         pages,
+         thresholds.minPages,
+         pages >= thresholds.minPages
+      );
+   }
+
+   if (thresholds.minScore !== null) {
+      const score = report.scores ? report.scores.site : null;
+      check(
+         "minScore",
+         t("ci.thresholds.minScore", { limit: thresholds.minScore }),
+         score,
+         thresholds.minScore,
+         score !== null && score >= thresholds.minScore
+      );
+   }
+
+   if (thresholds.brokenInternalLinks !== null) {
+      const links = (report.brokenLinks || []).filter((link) => link.type === "internal");
+      check(
+         "brokenInternalLinks",
+         t("ci.thresholds.brokenInternalLinks", { limit: thresholds.brokenInternalLinks }),
+         links.length,
+         thresholds.brokenInternalLinks,
+         links.length <= thresholds.brokenInternalLinks,
+         links.map((link) => `${link.url} (${link.status || link.error})`)
+      );
+   }
+
+   Object.entries(thresholds.severities)
+      .filter(([, limit]) => limit !== null)
+      .forEach(([severity, limit]) => {
+         const matching = issues.filter((issue) => issue.severity === severity);
+         check(
+            `severity:${severity}`,
+            t("ci.thresholds.severity", { severity: t(`severities.${severity}`), limit }),
+            matching.length,
+            limit,
+            matching.length <= limit,
+            matching.map((issue) => issue.message)
+         );
+      });
+
+   Object.entries(thresholds.rules)
+      .filter(([, limit]) => limit !== null)
+      .forEach(([rule, limit]) => {
+         const matching = issues.filter((issue) => issue.rule === rule);
+         check(
+            `rule:${rule}`,
+            t("ci.thresholds.rule", { rule, limit }),
+            matching.length,
+            limit,
+            matching.length <= limit,
+            matching.map((issue) => issue.message)
+         );
+      });
+
+   if (baseline && thresholds.maxNewIssues !== null) {
+      const newIssues = diffReports(baseline, report).issues.new;
+      check(
+         "maxNewIssues",
+         t("ci.thresholds.maxNewIssues", { limit: thresholds.maxNewIssues }),
+         newIssues.length,
+         thresholds.maxNewIssues,
+         newIssues.length <= thresholds.maxNewIssues,
+         newIssues.map((issue) => (typeof issue === "string" ? issue : issue.message))
+      );
+   }
+
+   return results;
+}
+
+// Zestaw progów CI oraz zestaw z przypadkiem testowym dla każdej reguły audytu
+function generateJUnit(report, results) {
+   const issues = report.issues || [];
+   const thresholdsSuite = t("ci.thresholdsSuite");
+   const rulesSuite = t("ci.rulesSuite");
+   const testcase = (suite, name, failure) =>
+      `    <testcase classname="${escapeXml(suite)}" name="${escapeXml(name)}">${
+         failure
+            ? `\n      <failure type="${escapeXml(failure.type)}" message="${escapeXml(
+                 failure.message
+              )}">${escapeXml(failure.details.join("\n"))}</failure>\n    `
+            : ""
+      }</testcase>`;
+
+   const thresholdCases = results.map((result) =>
+      testcase(
+         thresholdsSuite,
+         result.label,
+         !result.passed && {
+            type: result.id,
+            message: t("ci.value", {
+               actual: result.actual === null ? t("ci.none") : result.actual,
+               limit: result.limit,
+            }),
+            details: result.details,
+         }
+      )
+   );
+
+   const ruleIds = [...new Set([...RULES.map((rule) => rule.id), ...issues.map((i) => i.rule)])];
+   const ruleCases = ruleIds.map((rule) => {
+      const ruleIssues = issues.filter((issue) => issue.rule === rule);
+      return testcase(
+         rulesSuite,
+         rule,
+         ruleIssues.length > 0 && {
+            type: ruleIssues[0].severity,
+            message: t("ci.ruleIssues", { count: ruleIssues.length }),
+            details: ruleIssues.map((issue) => issue.message),
+         }
+      );
+   });
+
+   const suite = (name, cases, failures) =>
+      `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}">\n${cases.join(
+         "\n"
+      )}\n  </testsuite>`;
+
+   const thresholdFailures = results.filter((result) => !result.passed).length;
+   const ruleFailures = ruleIds.filter((rule) => issues.some((i) => i.rule === rule)).length;
+
+   return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeXml(`SEO: ${report.baseUrl}`)}" tests="${
+         thresholdCases.length + ruleCases.length
+      }" failures="${thresholdFailures + ruleFailures}">`,
+      suite(thresholdsSuite, thresholdCases, thresholdFailures),
+      suite(rulesSuite, ruleCases, ruleFailures),
+      "</testsuites>",
+   ].join("\n");
+}
+
+// SARIF 2.1.0 - każdy problem to wynik reguły, adres strony to lokalizacja
+function generateSarif(report) {
+   const issues = report.issues || [];
+   return {
+      $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+      version: "2.1.0",
+      runs: [
+         {
+            tool: {
+               driver: {
+                  name: "seo-analyzer",
+                  version,
+                  rules: RULES.map((rule) => ({
+                     id: rule.id,
+                     shortDescription: { text: t(`rules.${rule.id}`) },
+                     defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+                     properties: { category: rule.category },
+                  })),
+               },
+            },
+            results: issues.map((issue) => ({
+               ruleId: issue.rule,
+               level: SARIF_LEVELS[issue.severity],
+               message: { text: issue.message },
+               locations: [
+                  {
+                     physicalLocation: {
+                        artifactLocation: { uri: issue.url || `${report.baseUrl}/` },
+                     },
+                  },
+               ],
+               partialFingerprints: { issueId: issue.id },
+               properties: { category: issue.category, evidence: issue.evidence },
+            })),
+         },
+      ],
+   };
+}
+
+/**
+ * Sprawdza progi, zapisuje pliki JUnit i SARIF i zwraca kod wyjścia.
+ * options: { thresholds, baseline (ścieżka raportu), junit, sarif, outputDirectory }
+ */
+function runCi(report, options) {
+   const baseline = options.baseline
+      ? JSON.parse(fs.readFileSync(options.baseline, "utf8"))
+      : null;
+   const results = evaluateThresholds(report, options.thresholds, baseline);
+
+   fs.mkdirSync(options.outputDirectory, { recursive: true });
+   const files = [];
+   if (options.junit) {
+      const fileName = path.join(options.outputDirectory, "seo-junit.xml");
+      fs.writeFileSync(fileName, generateJUnit(report, results));
+      files.push(fileName);
+   }
+   if (options.sarif) {
+      const fileName = path.join(options.outputDirectory, "seo-results.sarif");
+      fs.writeFileSync(fileName, JSON.stringify(generateSarif(report), null, 2));
+      files.push(fileName);
+   }
+
+   console.log("\n=== Progi CI ===");
+   results.forEach((result) => {
+      console.log(
+         `${(result.passed ? "OK" : "BŁĄD").padEnd(4)} ${result.label}: ${
+            result.actual === null ? "brak" : result.actual
+         }`
+      );
+   });
+   if (files.length > 0) {
+      console.log(`Zapisano do: ${files.join(" i ")}`);
+   }
+
+   const failed = results.filter((result) => !result.passed);
+   if (failed.length > 0) {
+      console.error(`Przekroczono progi CI: ${failed.length}`);
+      return EXIT_CODES.thresholds;
+   }
+   return EXIT_CODES.success;
+}
+
+module.exports = {
+   EXIT_CODES,
+   evaluateThresholds,
+   generateJUnit,
+   generateSarif,
+   runCi,
+};
@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * Interfejs wiersza poleceń
+ *
+ * Użycie:
+ *   seo-analyzer crawl <url> [głębokość]      - pełna analiza strony (domyślne polecenie)
+ *   seo-analyzer report <raport.json>          - ponowne wygenerowanie raportu (HTML, PDF, CSV, XLSX) z JSON
+ *   seo-analyzer diff <przed.json> <po.json>   - porównanie dwóch raportów
+ *   seo-analyzer diff <url>                    - porównanie dwóch ostatnich analiz z historii
+ *   seo-analyzer sitemap <url>                 - lista adresów z sitemap strony
+ *   seo-analyzer ai <url>                      - analiza AI pojedynczej strony
+ *
+ * Z opcją --ci polecenia crawl i report sprawdzają progi z config.ci i kończą się
+ * kodem 2, jeśli któryś został przekroczony (kody w ci-report.js).
+ * Ustawienia są nakładane warstwami: config.js, plik projektu (--config albo
+ * seo.config.json / .seorc z bieżącego katalogu), a na końcu opcje wiersza poleceń.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const {
+   PROJECT_CONFIG_FILES,
+   REPORT_FORMATS: FORMATS,
+   mergeConfig,
+   validateProjectConfig,
+   findProjectConfig,
+   loadProjectConfig,
+} = require("./project-config");
+const { LANGUAGES } = require("./i18n");
+
+/**
+ * Sprawdza wartość opcji tym samym schematem co plik projektu (CONSTRAINTS w project-config.js),
+ * dzięki czemu oba źródła ustawień przyjmują te same wartości. settingPath to ścieżka
+ * ustawienia w config.js, np. "crawler.timeout".
+ */
+function checkSetting(value, name, settingPath) {
+   const override = settingPath
+      .split(".")
+      .reduceRight((inner, key) => ({ [key]: inner }), value);
+   const errors = validateProjectConfig(override);
+   if (errors.length > 0) {
+      throw new Error(`Nieprawidłowa wartość opcji --${name}: ${errors.join("; ")}`);
+   }
+   return value;
+}
+
+function parseInteger(value, name, settingPath) {
+   const number = Number(value);
+   if (value.trim() === "" || !Number.isInteger(number)) {
+      throw new Error(`Nieprawidłowa wartość opcji --${name}: ${value}`);
+   }
+   return checkSetting(number, name, settingPath);
+}
+
+function parsePattern(value, name, settingPath) {
+   checkSetting([value], name, settingPath);
+   return value;
+}
+
+/**
+ * Opcje wiersza poleceń. apply(value) zmienia konfigurację; opcje bez pola value
+ * są przełącznikami.
+ */
+const OPTIONS = [
+   {
+      name: "output",
+      alias: "o",
+      value: "katalog",
+      description: "katalog plików wynikowych",
+      apply: (value) => {
+         config.report.outputDirectory = value;
+      },
+   },
+   {
+      name: "format",
+      alias: "f",
+      value: "formaty",
+      description: `formaty raportu oddzielone przecinkami (${FORMATS.join(", ")})`,
+      apply: (value) => {
+         const formats = value.split(",").map((format) => format.trim().toLowerCase());
+         const unknown = formats.filter((format) => !FORMATS.includes(format));
+         if (unknown.length > 0) {
+            throw new Error(`Nieznany format raportu: ${unknown.join(", ")}`);
+         }
+         config.report.formats = formats;
+      },
+   },
+   {
+      name: "lang",
+      alias: "l",
+      value: "język",
+      description: `język raportu i komunikatów o problemach (${LANGUAGES.join(", ")})`,
+      apply: (value) => {
+         const language = value.trim().toLowerCase();
+         if (!LANGUAGES.includes(language)) {
+            throw new Error(
+               `Nieobsługiwany język raportu: ${value} (dostępne: ${LANGUAGES.join(", ")})`
+            );
+         }
+         config.report.locale = language;
+      },
+   },
+   {
+      name: "no-ai",
+      description: "analiza bez AI",
+      apply: () => {
+         config.ai.enabled = false;
+      },
+   },
+   {
+      name: "clear-ai-cache",
+      description: "usuwa zapisane odpowiedzi AI przed wykonaniem polecenia",
+      apply: () => {
+         config.ai.cache.clear = true;
+      },
+   },
+   {
+      name: "depth",
+      alias: "d",
+      value: "liczba",
+      description: "maksymalna głębokość crawlowania",
+      apply: (value) => {
+         config.crawler.maxDepth = parseInteger(value, "depth", "crawler.maxDepth");
+      },
+   },
+   {
+      name: "max-pages",
+      value: "liczba",
+      description: "limit crawlowanych stron (0 - bez limitu)",
+      apply: (value) => {
+         config.crawler.maxPages = parseInteger(value, "max-pages", "crawler.maxPages");
+      },
+   },
+   {
+      name: "resume",
+      description: "wznawia także crawlowanie zatrzymane limitem stron lub czasu",
+      apply: () => {
+         config.crawler.state.resumeAfterLimit = true;
+      },
+   },
+   {
+      name: "concurrency",
+      alias: "c",
+      value: "liczba",
+      description: "liczba równocześnie pobieranych stron",
+      apply: (value) => {
+         config.crawler.concurrency = parseInteger(value, "concurrency", "crawler.concurrency");
+      },
+   },
+   {
+      name: "include",
+      value: "wzorzec",
+      description: "crawluj tylko adresy pasujące do wyrażenia (można powtórzyć)",
+      apply: (value) => {
+         config.crawler.include.push(parsePattern(value, "include", "crawler.include"));
+      },
+   },
+   {
+      name: "exclude",
+      value: "wzorzec",
+      description: "pomiń adresy pasujące do wyrażenia (można powtórzyć)",
+      apply: (value) => {
+         config.crawler.exclude.push(parsePattern(value, "exclude", "crawler.exclude"));
+      },
+   },
+   {
+      name: "user-agent",
+      value: "nazwa",
+      description: "nagłówek User-Agent",
+      apply: (value) => {
+         config.crawler.userAgent = value;
+      },
+   },
+   {
+      name: "timeout",
+      value: "ms",
+      description: "limit czasu pojedynczego żądania",
+      apply: (value) => {
+         config.crawler.timeout = parseInteger(value, "timeout", "crawler.timeout");
+      },
+   },
+   {
+      name: "ci",
+      description: "tryb CI: progi z config.ci, kod wyjścia 2 po ich przekroczeniu, JUnit i SARIF",
+      apply: () => {
+         config.ci.enabled = true;
+      },
+   },
+   {
+      name: "baseline",
+      value: "raport.json",
+      description: "raport bazowy dla progu nowych problemów w trybie CI",
+      apply: (value) => {
+         config.ci.baseline = value;
+      },
+   },
+   {
+      name: "min-score",
+      value: "liczba",
+      description: "minimalna ocena SEO serwisu w trybie CI",
+      apply: (value) => {
+         config.ci.thresholds.minScore = parseInteger(value, "min-score", "ci.thresholds.minScore");
+      },
+   },
+   {
+      name: "config",
+      value: "plik",
+      description: `plik projektu (JSON lub JS), domyślnie ${PROJECT_CONFIG_FILES.join(
+         " / "
+      )} z bieżącego katalogu`,
+      // Plik konfiguracji jest wczytywany przed pozostałymi opcjami
+      apply: () => {},
+   },
+   {
+      name: "help",
+      alias: "h",
+      description: "wyświetla pomoc",
+      apply: () => {},
+   },
+];
+
+const COMMANDS = {
+   crawl: {
+      usage: "crawl <url> [głębokość]",
+      description: "pełna analiza SEO strony",
+      run: runCrawl,
+   },
+   report: {
+      usage: "report <raport.json>",
+      description: "generuje raport HTML/PDF/CSV/XLSX z zapisanego raportu JSON",
+      run: runReport,
+   },
+   diff: {
+      usage: "diff <przed.json> <po.json> | diff <url>",
+      description: "porównuje dwa raporty",
+      run: runDiffCommand,
+   },
+   sitemap: {
+      usage: "sitemap <url>",
+      description: "pobiera adresy z sitemap strony",
+      run: runSitemap,
+   },
+   ai: {
+      usage: "ai <url>",
+      description: "analiza AI pojedynczej strony",
+      run: runAi,
+   },
+};
+
+function getUsage() {
+   const options = OPTIONS.map((option) => {
+      const flags = [option.alias && `-${option.alias}`, `--${option.name}`]
+         .filter(Boolean)
+         .join(", ");
+      const usage = option.value ? `${flags} <${option.value}>` : flags;
+      return `  ${usage.padEnd(30)} ${option.description}`;
+   });
+   const commands = Object.values(COMMANDS).map(
+      (command) => `  ${command.usage.padEnd(42)} ${command.description}`
+   );
+   return [
+      "Użycie: seo-analyzer <polecenie> [argumenty] [opcje]",
+      "",
+      "Polecenia:",
+      ...commands,
+      "",
+      "Opcje:",
+      ...options,
+   ].join("\n");
+}
+
+// Rozdziela argumenty na polecenie, argumenty pozycyjne i opcje (w kolejności podania)
+function parseArgs(argv) {
+   const positional = [];
+   const options = [];
+
+   for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (!arg.startsWith("-")) {
+         positional.push(arg);
+         continue;
+      }
+
+      // --nazwa, --nazwa=wartość albo -alias
+      const long = arg.startsWith("--");
+      const separator = arg.indexOf("=");
+      const flag = long ? arg.slice(2, separator === -1 ? undefined : separator) : arg.slice(1);
+      const inlineValue = long && separator !== -1 ? arg.slice(separator + 1) : undefined;
+      const option = OPTIONS.find((candidate) =>
+         long ? candidate.name === flag : candidate.alias === flag
+      );
+      if (!option) {
+         throw new Error(`Nieznana opcja: ${arg}`);
+      }
+
+      let value = null;
+      if (option.value) {
+         value = inlineValue !== undefined ? inlineValue : argv[++i];
+         if (value === undefined) {
+            throw new Error(`Opcja --${option.name} wymaga wartości <${option.value}>`);
+         }
+      }
+      options.push({ option, value });
+   }
+
+   // Adres strony bez polecenia oznacza crawl (zgodność z `node seo-analyzer.js <url>`)
+   const command =
+      positional.length > 0 && !COMMANDS[positional[0]] && /^https?:\/\//i.test(positional[0])
+         ? "crawl"
+         : positional.shift();
+
+   return { command, args: positional, options };
+}
+
+// Plik z --config, a bez tej opcji plik projektu z bieżącego katalogu (jeśli istnieje)
+function applyProjectConfig(options) {
+   const configOption = options.filter(({ option }) => option.name === "config").pop();
+   const filePath = configOption ? configOption.value : findProjectConfig();
+   if (!filePath) return;
+
+   mergeConfig(config, loadProjectConfig(filePath));
+   console.log(`Wczytano konfigurację projektu: ${path.relative(process.cwd(), path.resolve(filePath))}`);
+}
+
+// --clear-ai-cache działa dla każdego polecenia, także z --no-ai
+function clearAiCache() {
+   const AICache = require("./ai-cache");
+   const removed = new AICache(config.ai.cache).clear();
+   console.log(`Wyczyszczono cache AI (usunięte wpisy: ${removed})`);
+}
+
+function requireUrl(args, usage) {
+   if (args.length === 0 || !/^https?:\/\//i.test(args[0])) {
+      throw new Error(`Proszę podać URL strony do analizy (${usage})`);
+   }
+   return args[0];
+}
+
+async function runCrawl(args) {
+   const { runAnalysis } = require("./seo-analyzer");
+   const url = requireUrl(args, COMMANDS.crawl.usage);
+   const maxDepth =
+      args.length > 1
+         ? parseInteger(args[1], "depth", "crawler.maxDepth")
+         : config.crawler.maxDepth;
+   const report = await runAnalysis(url, maxDepth);
+   if (report) runCiChecks(report);
+}
+
+// W trybie CI kod wyjścia zależy od progów (błąd analizy ustawia już kod 1)
+function runCiChecks(report) {
+   if (!config.ci.enabled) return;
+   const { runCi } = require("./ci-report");
+   const exitCode = runCi(report, {
+      ...config.ci,
+      outputDirectory: config.report.outputDirectory,
+   });
+   if (exitCode !== 0) process.exitCode = exitCode;
+}
+
+// Raport z wcześniejszej analizy; graf linków jest odczytywany z pliku obok raportu
+async function runReport(args) {
+   if (args.length === 0) {
+      throw new Error(`Proszę podać plik raportu JSON (${COMMANDS.report.usage})`);
+   }
+   const report = JSON.parse(fs.readFileSync(args[0], "utf8"));
+
+   // Raport zawiera już wyniki AI, dostawca nie jest potrzebny
+   config.ai.enabled = false;
+   config.crawler.state.enabled = false;
+   const { SEOAnalyzer } = require("./seo-analyzer");
+   const analyzer = new SEOAnalyzer(report.baseUrl);
+
+   const graphFile = path.join(path.dirname(args[0]), "seo-link-graph.json");
+   const linkGraphView = fs.existsSync(graphFile)
+      ? analyzer.getLinkGraphView(JSON.parse(fs.readFileSync(graphFile, "utf8")))
+      : null;
+
+   analyzer.writeReportFiles(report, linkGraphView);
+   if (config.report.formats.includes("pdf")) {
+      await analyzer.generatePdfReport();
+   }
+   if (config.report.formats.includes("xlsx")) {
+      await analyzer.generateXlsxReport(report);
+   }
+   console.log(`Zapisano do: ${analyzer.reportFiles.join(", ") || "-"}`);
+   runCiChecks(report);
+}
+
+async function runDiffCommand(args) {
+   const { runDiff } = require("./report-diff");
+   fs.mkdirSync(config.report.outputDirectory, { recursive: true });
+   runDiff(args, path.join(config.report.outputDirectory, "seo-diff"));
+}
+
+async function runSitemap(args) {
+   const url = requireUrl(args, COMMANDS.sitemap.usage);
+   config.ai.enabled = false;
+   config.crawler.state.enabled = false;
+   const { SEOAnalyzer } = require("./seo-analyzer");
+   const analyzer = new SEOAnalyzer(url);
+
+   await analyzer.fetchRobotsTxt();
+   const sitemaps = await analyzer.loadSitemaps();
+   const urls = [...analyzer.sitemapUrls];
+
+   fs.mkdirSync(config.report.outputDirectory, { recursive: true });
+   const fileName = path.join(config.report.outputDirectory, "seo-sitemap.json");
+   fs.writeFileSync(
+      fileName,
+      JSON.stringify({ baseUrl: analyzer.baseUrl, sitemaps, urls }, null, 2)
+   );
+   console.log(`Znaleziono ${urls.length} URL-i w sitemap. Zapisano do: ${fileName}`);
+}
+
+async function runAi(args) {
+   const url = requireUrl(args, COMMANDS.ai.usage);
+   if (!config.ai.enabled) {
+      throw new Error("Polecenie ai nie może zostać użyte z opcją --no-ai");
+   }
+   // Pojedyncza strona nie może nadpisać stanu pełnego crawlowania
+   config.crawler.state.enabled = false;
+   const { SEOAnalyzer } = require("./seo-analyzer");
+   const analyzer = new SEOAnalyzer(url, process.env.OPENAI_API_KEY);
+
+   await analyzer.fetchRobotsTxt();
+   await analyzer.crawl(url, 0);
+
+   // Przekierowana strona jest analizowana pod adresem docelowym
+   const [pageUrl] = analyzer.pagesMetaTags.keys();
+   if (!pageUrl) {
+      throw new Error(`Nie udało się pobrać strony: ${url}`);
+   }
+   const metaTags = analyzer.pagesMetaTags.get(pageUrl);
+   const result = {
+      url: pageUrl,
+      title: analyzer.pagesTitles.get(pageUrl) || "",
+      description: analyzer.pagesDescriptions.get(pageUrl) || "",
+      contentAnalysis: metaTags.contentAnalysis || null,
+      aiSuggestions: metaTags.aiSuggestions || null,
+      altTextSuggestions: (analyzer.pagesImages.get(pageUrl) || [])
+         .filter((image) => image.suggestedAlt)
+         .map(({ src, suggestedAlt }) => ({ src, alt: suggestedAlt })),
+   };
+
+   fs.mkdirSync(config.report.outputDirectory, { recursive: true });
+   const fileName = path.join(config.report.outputDirectory, "seo-ai.json");
+   fs.writeFileSync(fileName, JSON.stringify(result, null, 2));
+
+   if (result.aiSuggestions) {
+      console.log(`Proponowany tytuł: ${result.aiSuggestions.optimizedTitle}`);
+      console.log(`Proponowany opis: ${result.aiSuggestions.optimizedDescription}`);
+   }
+   console.log(`Zapisano do: ${fileName}`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+   let parsed;
+   try {
+      parsed = parseArgs(argv);
+      if (parsed.command && !COMMANDS[parsed.command]) {
+         throw new Error(`Nieznane polecenie: ${parsed.command}`);
+      }
+   } catch (error) {
+      console.error(`Błąd: ${error.message}\n`);
+      console.error(getUsage());
+      process.exitCode = 1;
+      return;
+   }
+
+   const { command, args, options } = parsed;
+   if (!command || options.some(({ option }) => option.name === "help")) {
+      console.log(getUsage());
+      return;
+   }
+
+   try {
+      applyProjectConfig(options);
+      options.forEach(({ option, value }) => option.apply(value));
+      if (config.ai.cache.clear) clearAiCache();
+
+      await COMMANDS[command].run(args);
+   } catch (error) {
+      console.error(`Błąd: ${error.message}`);
+      process.exitCode = 1;
+   }
+}
+
+if (require.main === module) {
+   main();
+}
+
+module.exports = {
+   main,
+   parseArgs,
+   mergeConfig,
+};
@@ -1,7 +1,53 @@
+require('dotenv').config();
+
 module.exports = {
+    // Dane analizowanego serwisu; ustawienia klienta trzyma się w pliku projektu
+    // (seo.config.json lub .seorc, przykład w seo.config.example.json)
+    project: {
+        name: '',
+        // Branża i docelowa lokalizacja przekazywane w zapytaniach do AI
+        industry: '',
+        location: '',
+        // Język treści serwisu (zapytania do AI): kod języka, np. 'pl-PL' lub 'en',
+        // albo 'auto' - według atrybutu lang elementu <html> każdej strony
+        locale: 'auto'
+    },
+    ai: {
+        // Analiza AI stron (opcja --no-ai wyłącza)
+        enabled: true,
+        // Dostawca modelu: openai | openai-compatible | mock
+        provider: process.env.AI_PROVIDER || 'openai',
+        // Liczba równoczesnych zapytań do modelu
+        concurrency: 2,
+        // Serwer zgodny z API OpenAI (np. Ollama, LM Studio, vLLM)
+        compatible: {
+            baseURL: process.env.AI_BASE_URL || 'http://localhost:11434/v1',
+            apiKey: process.env.AI_API_KEY || 'local',
+            model: process.env.AI_MODEL || 'llama3.1',
+            // Wyłącz, jeśli serwer nie obsługuje response_format
+            jsonMode: true
+        },
+        // Trwały cache odpowiedzi AI (AI_CACHE=off wyłącza, AI_CACHE=refresh odświeża wpisy)
+        cache: {
+            enabled: process.env.AI_CACHE !== 'off',
+            directory: '.seo-cache/ai',
+            ttl: 30 * 24 * 60 * 60 * 1000, // ms, 0 = bez wygasania
+            refresh: process.env.AI_CACHE === 'refresh',
+            // Usuń wszystkie wpisy przed wykonaniem polecenia (opcja --clear-ai-cache)
+            clear: false
+        },
+        // Propozycje og:title i og:description obok sugestii tytułu i opisu
+        socialSuggestions: false,
+        // Propozycje tekstu alternatywnego dla obrazków bez atrybutu alt
+        altTextSuggestions: true,
+        // Odpowiedzi dostawcy mock: { [zadanie]: odpowiedź }, domyślnie heurystyki
+        mock: {
+            responses: {}
+        }
+    },
     openai: {
         apiKey: process.env.OPENAI_API_KEY,
-        model: 'text-davinci-003',
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
         maxTokens: {
             title: 100,
             description: 200,
@@ -10,7 +56,252 @@ module.exports = {
         },
         temperature: 0.7
     },
+    crawler: {
+        userAgent: process.env.USER_AGENT || 'SEOAnalyzer/1.0',
+        // Limit czasu pojedynczego żądania (ms)
+        timeout: parseInt(process.env.TIMEOUT, 10) || 10000,
+        // Domyślna maksymalna głębokość crawlowania
+        maxDepth: parseInt(process.env.MAX_CRAWL_DEPTH, 10) || 10,
+        // Wyrażenia regularne dla adresów znalezionych linków: crawlowane są tylko adresy
+        // pasujące do któregoś z include (pusta lista - wszystkie) i do żadnego z exclude
+        include: [],
+        exclude: [],
+        // Respektowanie robots.txt, <meta name="robots"> i X-Robots-Tag
+        respectRobotsTxt: true,
+        // Liczba równocześnie pobieranych stron
+        concurrency: 4,
+        // Minimalny odstęp między żądaniami do tego samego hosta (ms)
+        requestDelay: 250,
+        // Maksymalna liczba przekierowań w łańcuchu
+        maxRedirects: 5,
+        // Sprawdzanie linków zewnętrznych i zasobów statycznych (HEAD, w razie potrzeby GET)
+        linkCheck: {
+            enabled: true,
+            checkExternal: true,
+            checkResources: true,
+            concurrency: 8,
+            timeout: 10000, // ms
+            // Minimalny odstęp między zapytaniami do tej samej domeny (ms)
+            requestDelay: 500
+        },
+        // Zapis stanu crawlowania (CRAWL_STATE=off wyłącza, CRAWL_STATE=fresh ignoruje przerwany crawl)
+        state: {
+            enabled: process.env.CRAWL_STATE !== 'off',
+            directory: '.seo-cache/crawl',
+            // Zapis stanu co tyle zakończonych stron lub analiz AI
+            saveInterval: 10,
+            // Wznawianie przerwanego crawlowania (błąd, Ctrl+C) od ostatniego zapisu
+            resume: process.env.CRAWL_STATE !== 'fresh',
+            // Wznawianie także crawlowania zatrzymanego limitem maxPages/maxDuration (opcja --resume)
+            resumeAfterLimit: false,
+            // Zapisany stan starszy niż tyle ms nie jest wznawiany (0 = bez limitu)
+            maxAge: 24 * 60 * 60 * 1000,
+            // Ponowna analiza tylko stron zmienionych od ostatniej ukończonej analizy
+            // (ETag/Last-Modified, a gdy ich brak - skrót treści); CRAWL_INCREMENTAL=on
+            incremental: process.env.CRAWL_INCREMENTAL === 'on'
+        },
+        // Limity crawlowania (0 = bez limitu)
+        maxPages: 0,
+        maxDuration: 0, // ms
+        // Renderowanie stron w headless Chrome przed analizą (strony SPA)
+        render: {
+            enabled: false,
+            // load | domcontentloaded | networkidle0 | networkidle2
+            waitUntil: 'networkidle2',
+            waitForSelector: null,
+            waitAfterLoad: 0, // ms
+            blockThirdParty: true,
+            blockResourceTypes: ['image', 'media', 'font'],
+            timeout: 30000,
+            // Porównanie surowego HTML z wyrenderowanym
+            compareWithRaw: true
+        }
+    },
+    report: {
+        // Język raportów i komunikatów o problemach (katalogi w locales/)
+        locale: process.env.REPORT_LOCALE || 'pl',
+        // Katalog plików wynikowych (raporty, graf linków, porównania)
+        outputDirectory: '.',
+        // json | html | pdf | csv | xlsx
+        formats: ['json', 'html', 'pdf'],
+        // Eksport CSV (plik na arkusz) i XLSX (arkusz na tabelę)
+        export: {
+            // Excel w polskiej wersji oczekuje średnika
+            csvDelimiter: ';',
+            // Kolumny arkuszy w kolejności (pusta lista pomija arkusz), dostępne kolumny
+            // opisuje SHEETS w spreadsheet-export.js
+            columns: {
+                pages: [
+                    'url', 'status', 'depth', 'title', 'titleLength', 'description',
+                    'descriptionLength', 'h1', 'words', 'internalLinks', 'externalLinks',
+                    'inboundLinks', 'responseTime', 'score'
+                ],
+                issues: ['severity', 'category', 'rule', 'url', 'message'],
+                links: ['source', 'target', 'anchor', 'type', 'status'],
+                keywords: [
+                    'url', 'keyword', 'count', 'density', 'inTitle', 'inH1',
+                    'inFirstParagraph', 'inUrl', 'inAlt', 'score'
+                ],
+                aiSuggestions: [
+                    'url', 'title', 'optimizedTitle', 'description', 'optimizedDescription'
+                ]
+            }
+        },
+        // Kopie raportów JSON do porównywania kolejnych audytów (npm run diff)
+        history: {
+            enabled: true,
+            directory: 'seo-history'
+        }
+    },
+    // Tryb CI (opcja --ci): kod wyjścia 2 po przekroczeniu progów, wyniki JUnit i SARIF
+    ci: {
+        enabled: false,
+        // Raport JSON, względem którego liczone są nowe problemy (opcja --baseline)
+        baseline: null,
+        junit: true,
+        sarif: true,
+        // Progi; null wyłącza sprawdzenie
+        thresholds: {
+            // Minimalna liczba przeanalizowanych stron (np. niedostępny staging)
+            minPages: 1,
+            // Minimalna ocena SEO serwisu (0-100)
+            minScore: null,
+            brokenInternalLinks: 0,
+            // Maksymalna liczba problemów według ważności
+            severities: {
+                critical: null,
+                warning: null,
+                notice: null
+            },
+            // Maksymalna liczba problemów według reguły z audit-rules.js
+            rules: {
+                missingTitle: 0
+            },
+            // Maksymalna liczba nowych problemów względem raportu bazowego
+            maxNewIssues: 0
+        }
+    },
     seo: {
+        structuredData: {
+            // Typy schema.org oczekiwane w serwisie (podtypy, np. Plumber, spełniają LocalBusiness)
+            expectedTypes: ['LocalBusiness', 'Service', 'FAQPage', 'BreadcrumbList']
+        },
+        // Tagi Open Graph i Twitter Card
+        social: {
+            titleLength: {
+                min: 15,
+                max: 60
+            },
+            descriptionLength: {
+                min: 50,
+                max: 200
+            },
+            // Sprawdzanie dostępności i wymiarów og:image / twitter:image
+            checkImages: true,
+            image: {
+                minSize: { width: 200, height: 200 },
+                recommendedSize: { width: 1200, height: 630 }
+            }
+        },
+        // Audyt obrazków (<img>)
+        images: {
+            // Sprawdzanie statusu, rozmiaru i typu plików obrazków
+            checkResources: true,
+            maxBytes: 200 * 1024,
+            // Liczba pierwszych obrazków traktowanych jako widoczne bez przewijania
+            aboveFoldCount: 2,
+            // Maksymalna liczba propozycji alt na stronę
+            maxAltSuggestions: 10
+        },
+        // Wykrywanie zduplikowanych i zbliżonych treści
+        duplicates: {
+            // Długość shingla (w słowach)
+            shingleSize: 4,
+            // Minimalne podobieństwo Jaccarda (0-1), od którego strony trafiają do klastra
+            similarityThreshold: 0.7,
+            // Wstępny filtr par: maksymalna odległość Hamminga odcisków SimHash (z 64 bitów)
+            maxHammingDistance: 20,
+            // Strony z mniejszą liczbą słów treści są pomijane
+            minWords: 50,
+            // Bloki tekstu obecne na takiej części stron (menu, stopka) nie są porównywane
+            boilerplateRatio: 0.5
+        },
+        // Lokalna analiza słów kluczowych (stemming, gęstość, rozmieszczenie, TF-IDF)
+        keywordAnalysis: {
+            // Liczba najważniejszych terminów (TF-IDF) strony i najczęstszych terminów serwisu
+            topTerms: 10,
+            // Krótsze terminy są pomijane w TF-IDF
+            minTermLength: 3,
+            // Wagi miejsc wystąpienia słowa kluczowego w ocenie rozmieszczenia (0-100)
+            placementWeights: {
+                title: 30,
+                h1: 25,
+                firstParagraph: 15,
+                url: 10,
+                description: 10,
+                headings: 5,
+                alt: 5
+            },
+            // Gęstość słowa kluczowego w treści (%), powyżej której reguła keywordStuffing zgłasza problem
+            maxDensity: 3,
+            // Na stronach z mniejszą liczbą słów treści gęstość nie jest sprawdzana
+            minWords: 100
+        },
+        // Struktura nagłówków
+        headings: {
+            // Minimalny udział wspólnych słów H1 i tytułu (0-1), poniżej reguła h1TitleMismatch
+            minTitleSimilarity: 0.3
+        },
+        // Objętość i czytelność treści (FOG-PL/FOG, Flesch, długie zdania, strona bierna)
+        readability: {
+            // Strony z mniejszą liczbą słów treści (bez menu i stopki) to cienka treść
+            minWords: 300,
+            // Zdania dłuższe niż tyle słów są liczone jako długie
+            longSentenceWords: 20,
+            // Przy mniejszej liczbie zdań wskaźniki czytelności nie są liczone
+            minSentences: 3
+        },
+        // Graf linków wewnętrznych
+        linkGraph: {
+            damping: 0.85,
+            // Strony głębiej niż tyle kliknięć od strony startowej są zgłaszane
+            maxClickDepth: 3,
+            // Strony z co najmniej tyloma unikalnymi linkami wewnętrznymi to huby
+            hubMinLinks: 20,
+            hubCount: 10,
+            // Formaty eksportu grafu: json | graphml | dot (pliki seo-link-graph.*)
+            exportFormats: ['json', 'graphml', 'dot'],
+            // Maksymalna liczba węzłów (wg PageRank) w interaktywnym grafie raportu HTML
+            htmlMaxNodes: 300
+        },
+        // Ocena stron i serwisu (0-100)
+        scoring: {
+            // Wagi kategorii w wyniku strony
+            categories: {
+                technical: 0.25,
+                content: 0.25,
+                metadata: 0.2,
+                links: 0.15,
+                performance: 0.15
+            },
+            // Domyślne wagi sprawdzeń według ważności
+            severities: {
+                critical: 10,
+                warning: 5,
+                notice: 2
+            },
+            // Wagi pojedynczych sprawdzeń zastępujące wagę z ważności (0 wyłącza sprawdzenie),
+            // np. { titleLength: 8, imageFormat: 0 }
+            checks: {},
+            maxResponseTime: 1000, // ms
+            maxHtmlSize: 500 * 1024, // bajty
+            // Liczba poprawek o największym wpływie na wynik serwisu w raporcie
+            topFixes: 10
+        },
+        // Ustawienia reguł audytu z audit-rules.js według identyfikatora reguły:
+        // enabled (false wyłącza regułę), severity (critical, warning, notice) i options,
+        // np. { nofollowPages: { enabled: false }, deepPages: { options: { maxClickDepth: 4 } } }
+        rules: {},
         titleLength: {
             min: 30,
             max: 60
@@ -19,26 +310,7 @@ module.exports = {
             min: 120,
             max: 160
         },
-        keywords: [
-            'hydraulik',
-            'lublin',
-            'instalacje',
-            'wodno-kanalizacyjne',
-            'ogrzewanie',
-            'podłogowe',
-            'kotłownie',
-            'gazowe',
-            'biały montaż',
-            'serwis',
-            'naprawa',
-            'instalacje co',
-            'instalacje wodno-kanalizacyjne',
-            'ogrzewanie podłogowe',
-            'instalacje gazowe',
-            'doradztwo techniczne',
-            'naprawa instalacji',
-            'modernizacja',
-            'montaż'
-        ]
+        // Słowa kluczowe serwisu (uzupełniane o słowa z analizy AI)
+        keywords: []
     }
 }; 
\ No newline at end of file
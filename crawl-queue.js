@@ -0,0 +1,147 @@
+/**
+ * Kolejki dla crawlera
+ *
+ * - TaskQueue: wykonywanie zadań asynchronicznych z ograniczoną współbieżnością
+ * - CrawlFrontier: kolejka BFS adresów z zapamiętaną najmniejszą głębokością kliknięć
+ * - HostRateLimiter: minimalny odstęp między żądaniami do tego samego hosta
+ */
+
+class TaskQueue {
+   constructor(concurrency = 1) {
+      this.concurrency = Math.max(1, concurrency || 1);
+      this.running = 0;
+      this.tasks = [];
+      this.idleResolvers = [];
+   }
+
+   push(task) {
+      return new Promise((resolve, reject) => {
+         this.tasks.push({ task, resolve, reject });
+         this.next();
+      });
+   }
+
+   next() {
+      while (this.running < this.concurrency && this.tasks.length > 0) {
+         const { task, resolve, reject } = this.tasks.shift();
+         this.running++;
+
+         Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+               this.running--;
+               this.next();
+            });
+      }
+
+      if (this.size === 0) {
+         this.idleResolvers.forEach((resolve) => resolve());
+         this.idleResolvers = [];
+      }
+   }
+
+   // Liczba zadań oczekujących na uruchomienie
+   get pending() {
+      return this.tasks.length;
+   }
+
+   // Liczba zadań oczekujących i uruchomionych
+   get size() {
+      return this.tasks.length + this.running;
+   }
+
+   onIdle() {
+      if (this.size === 0) return Promise.resolve();
+      return new Promise((resolve) => this.idleResolvers.push(resolve));
+   }
+}
+
+class CrawlFrontier {
+   constructor() {
+      this.queue = [];
+      this.depths = new Map(); // URL -> najmniejsza znana głębokość kliknięć
+   }
+
+   // Dodaje URL do kolejki; dla znanego URL-a tylko aktualizuje głębokość, jeśli jest mniejsza
+   add(url, depth) {
+      if (this.depths.has(url)) {
+         if (depth < this.depths.get(url)) {
+            this.depths.set(url, depth);
+         }
+         return false;
+      }
+
+      this.depths.set(url, depth);
+      this.queue.push(url);
+      return true;
+   }
+
+   // Rejestruje URL odwiedzony poza kolejką (np. cel przekierowania)
+   claim(url, depth) {
+      if (this.depths.has(url)) {
+         this.add(url, depth);
+         return false;
+      }
+
+      this.depths.set(url, depth);
+      return true;
+   }
+
+   next() {
+      const url = this.queue.shift();
+      if (url === undefined) return null;
+      return { url, depth: this.depths.get(url) };
+   }
+
+   has(url) {
+      return this.depths.has(url);
+   }
+
+   getDepth(url) {
+      return this.depths.get(url);
+   }
+
+   get size() {
+      return this.queue.length;
+   }
+}
+
+class HostRateLimiter {
+   constructor(defaultInterval = 0) {
+      this.defaultInterval = defaultInterval; // ms
+      this.intervals = new Map(); // host -> ms
+      this.nextSlots = new Map(); // host -> timestamp następnego dozwolonego żądania
+   }
+
+   setInterval(host, interval) {
+      this.intervals.set(host, interval);
+   }
+
+   getInterval(host) {
+      return this.intervals.has(host)
+         ? this.intervals.get(host)
+         : this.defaultInterval;
+   }
+
+   // Rezerwuje najbliższy wolny termin dla hosta i czeka na niego
+   async wait(pageUrl) {
+      const host = new URL(pageUrl).host;
+      const interval = this.getInterval(host);
+      if (!interval) return;
+
+      const now = Date.now();
+      const slot = Math.max(now, this.nextSlots.get(host) || 0);
+      this.nextSlots.set(host, slot + interval);
+
+      if (slot > now) {
+         await new Promise((resolve) => setTimeout(resolve, slot - now));
+      }
+   }
+}
+
+module.exports = {
+   TaskQueue,
+   CrawlFrontier,
+   HostRateLimiter,
+};
@@ -0,0 +1,113 @@
+/**
+ * Trwały stan crawlowania
+ *
+ * Dla każdego hosta zapisywane są dwa pliki JSON w katalogu stanu:
+ * - <host>.partial.json - stan trwającego crawlowania (kolejka, odwiedzone adresy,
+ *   wyniki stron i AI), zapisywany co kilka stron; pozwala wznowić przerwaną analizę.
+ *   Stan zapisany po zatrzymaniu limitem maxPages/maxDuration ma pole stopReason
+ * - <host>.json - stan ostatniej ukończonej analizy, punkt odniesienia dla trybu
+ *   przyrostowego (ETag, Last-Modified i skrót treści każdej strony)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Zmiana wersji unieważnia zapisane stany
+const STATE_VERSION = 6;
+
+// Map i Set nie mają reprezentacji w JSON, zapisujemy je jako oznaczone obiekty
+function replacer(key, value) {
+   if (value instanceof Map) return { $map: [...value.entries()] };
+   if (value instanceof Set) return { $set: [...value] };
+   return value;
+}
+
+function reviver(key, value) {
+   if (value && typeof value === "object" && !Array.isArray(value)) {
+      if (Array.isArray(value.$map)) return new Map(value.$map);
+      if (Array.isArray(value.$set)) return new Set(value.$set);
+   }
+   return value;
+}
+
+function hashContent(content) {
+   return crypto.createHash("sha256").update(content || "").digest("hex");
+}
+
+class CrawlState {
+   constructor({ directory = ".seo-cache/crawl", baseUrl } = {}) {
+      this.directory = directory;
+      this.baseUrl = baseUrl;
+      const host = new URL(baseUrl).host.replace(/[^a-z0-9.-]+/gi, "_");
+      this.completedPath = path.join(directory, `${host}.json`);
+      this.partialPath = path.join(directory, `${host}.partial.json`);
+   }
+
+   read(filePath) {
+      try {
+         const state = JSON.parse(fs.readFileSync(filePath, "utf8"), reviver);
+         if (state.version !== STATE_VERSION || state.baseUrl !== this.baseUrl) {
+            return null;
+         }
+         return state;
+      } catch (error) {
+         // Brak pliku lub uszkodzony zapis traktujemy jak brak stanu
+         return null;
+      }
+   }
+
+   write(filePath, state) {
+      try {
+         fs.mkdirSync(this.directory, { recursive: true });
+         const tempPath = `${filePath}.${process.pid}.tmp`;
+         fs.writeFileSync(
+            tempPath,
+            JSON.stringify(
+               {
+                  version: STATE_VERSION,
+                  baseUrl: this.baseUrl,
+                  savedAt: new Date().toISOString(),
+                  ...state,
+               },
+               replacer
+            )
+         );
+         fs.renameSync(tempPath, filePath);
+         return true;
+      } catch (error) {
+         console.error(`Błąd podczas zapisu stanu crawlowania: ${error.message}`);
+         return false;
+      }
+   }
+
+   // Stan przerwanego crawlowania albo null
+   loadPartial() {
+      return this.read(this.partialPath);
+   }
+
+   // Stan ostatniej ukończonej analizy albo null
+   loadCompleted() {
+      return this.read(this.completedPath);
+   }
+
+   savePartial(state) {
+      return this.write(this.partialPath, state);
+   }
+
+   // Ukończony stan zastępuje poprzedni punkt odniesienia, a plik częściowy jest usuwany
+   saveCompleted(state) {
+      if (!this.write(this.completedPath, state)) return false;
+      this.clearPartial();
+      return true;
+   }
+
+   clearPartial() {
+      fs.rmSync(this.partialPath, { force: true });
+   }
+}
+
+module.exports = {
+   CrawlState,
+   hashContent,
+};
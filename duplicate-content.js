@@ -0,0 +1,216 @@
+/**
+ * Wykrywanie zduplikowanych i zbliżonych treści
+ *
+ * - Dokładne duplikaty krótkich wartości (tytuły, opisy, H1)
+ * - Zbliżone treści: shingle słów, SimHash jako wstępny filtr par,
+ *   podobieństwo Jaccarda jako wynik i grupowanie stron w klastry
+ */
+
+const crypto = require("crypto");
+
+const SIMHASH_BITS = 64;
+// Liczba najbardziej podobnych par zapisywanych dla klastra (klastry szablonowych stron bywają duże)
+const MAX_CLUSTER_PAIRS = 50;
+
+function normalizeText(text) {
+   return (text || "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+}
+
+// Grupuje adresy o tej samej (znormalizowanej) wartości: [{ value, urls }]
+function findExactDuplicates(values) {
+   const groups = new Map();
+   for (const [url, value] of values.entries()) {
+      const key = normalizeText(value);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, { value, urls: [] });
+      groups.get(key).urls.push(url);
+   }
+   return [...groups.values()]
+      .filter((group) => group.urls.length > 1)
+      .sort((a, b) => b.urls.length - a.urls.length);
+}
+
+/**
+ * Bloki tekstu (akapity, listy, nagłówki) powtarzające się na dużej części stron,
+ * np. menu i stopki. blocks: Map URL -> [tekst bloku]; zwraca Set znormalizowanych bloków
+ */
+function findBoilerplateBlocks(blocks, ratio) {
+   const documentFrequency = new Map();
+   for (const pageBlocks of blocks.values()) {
+      new Set(pageBlocks.map(normalizeText)).forEach((block) =>
+         documentFrequency.set(block, (documentFrequency.get(block) || 0) + 1)
+      );
+   }
+
+   // Przy małej liczbie stron każdy blok byłby "powtarzalny"
+   const limit = blocks.size >= 3 ? blocks.size * ratio : Infinity;
+   return new Set(
+      [...documentFrequency.entries()]
+         .filter(([, frequency]) => frequency >= limit)
+         .map(([block]) => block)
+   );
+}
+
+/**
+ * Usuwa bloki powtarzające się na dużej części stron, które zawyżałyby
+ * podobieństwo wszystkich stron. blocks: Map URL -> [tekst bloku]; zwraca Map URL -> tekst
+ */
+function removeBoilerplate(blocks, ratio) {
+   const boilerplate = findBoilerplateBlocks(blocks, ratio);
+   const texts = new Map();
+   for (const [url, pageBlocks] of blocks.entries()) {
+      texts.set(
+         url,
+         pageBlocks
+            .map(normalizeText)
+            .filter((block) => block && !boilerplate.has(block))
+            .join(" ")
+      );
+   }
+   return texts;
+}
+
+function createShingles(text, size) {
+   const words = normalizeText(text).split(" ").filter(Boolean);
+   const shingles = new Set();
+   for (let i = 0; i + size <= words.length; i++) {
+      shingles.add(words.slice(i, i + size).join(" "));
+   }
+   return { shingles, wordCount: words.length };
+}
+
+function hash64(value) {
+   return BigInt(
+      `0x${crypto.createHash("md5").update(value).digest("hex").slice(0, 16)}`
+   );
+}
+
+function simhash(shingles) {
+   const weights = new Array(SIMHASH_BITS).fill(0);
+   for (const shingle of shingles) {
+      const hash = hash64(shingle);
+      for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+         weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+   }
+   return weights.reduce(
+      (result, weight, bit) => (weight > 0 ? result | (1n << BigInt(bit)) : result),
+      0n
+   );
+}
+
+function hammingDistance(a, b) {
+   let value = a ^ b;
+   let distance = 0;
+   while (value) {
+      value &= value - 1n;
+      distance++;
+   }
+   return distance;
+}
+
+function jaccardSimilarity(a, b) {
+   if (a.size === 0 && b.size === 0) return 1;
+   const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+   let intersection = 0;
+   smaller.forEach((item) => {
+      if (larger.has(item)) intersection++;
+   });
+   return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Znajduje klastry stron o zbliżonej treści.
+ * texts: Map URL -> tekst; zwraca [{ urls, similarity: { min, max, avg }, pairCount, pairs: [{ urls, similarity }] }]
+ */
+function findNearDuplicates(
+   texts,
+   { shingleSize, similarityThreshold, maxHammingDistance, minWords }
+) {
+   const documents = [];
+   for (const [url, text] of texts.entries()) {
+      const { shingles, wordCount } = createShingles(text, shingleSize);
+      if (wordCount < minWords) continue;
+      documents.push({ url, shingles, fingerprint: simhash(shingles) });
+   }
+
+   const pairs = [];
+   for (let i = 0; i < documents.length; i++) {
+      for (let j = i + 1; j < documents.length; j++) {
+         const a = documents[i];
+         const b = documents[j];
+         if (hammingDistance(a.fingerprint, b.fingerprint) > maxHammingDistance) {
+            continue;
+         }
+         const similarity = jaccardSimilarity(a.shingles, b.shingles);
+         if (similarity >= similarityThreshold) {
+            pairs.push({ urls: [a.url, b.url], similarity });
+         }
+      }
+   }
+
+   // Łączenie par w klastry (union-find)
+   const parent = new Map();
+   const find = (url) => {
+      while (parent.get(url) !== url) {
+         parent.set(url, parent.get(parent.get(url)));
+         url = parent.get(url);
+      }
+      return url;
+   };
+   pairs.forEach(({ urls }) => {
+      urls.forEach((url) => {
+         if (!parent.has(url)) parent.set(url, url);
+      });
+      parent.set(find(urls[0]), find(urls[1]));
+   });
+
+   const clusters = new Map();
+   pairs.forEach((pair) => {
+      const root = find(pair.urls[0]);
+      if (!clusters.has(root)) clusters.set(root, { urls: new Set(), pairs: [] });
+      const cluster = clusters.get(root);
+      pair.urls.forEach((url) => cluster.urls.add(url));
+      cluster.pairs.push({
+         urls: pair.urls,
+         similarity: Math.round(pair.similarity * 100) / 100,
+      });
+   });
+
+   return [...clusters.values()]
+      .map((cluster) => {
+         const scores = cluster.pairs.map((pair) => pair.similarity);
+         return {
+            urls: [...cluster.urls],
+            similarity: {
+               min: scores.reduce((min, score) => Math.min(min, score), 1),
+               max: scores.reduce((max, score) => Math.max(max, score), 0),
+               avg:
+                  Math.round(
+                     (scores.reduce((sum, score) => sum + score, 0) / scores.length) *
+                        100
+                  ) / 100,
+            },
+            pairCount: cluster.pairs.length,
+            pairs: cluster.pairs
+               .sort((a, b) => b.similarity - a.similarity)
+               .slice(0, MAX_CLUSTER_PAIRS),
+         };
+      })
+      .sort((a, b) => b.urls.length - a.urls.length);
+}
+
+module.exports = {
+   normalizeText,
+   findExactDuplicates,
+   findBoilerplateBlocks,
+   removeBoilerplate,
+   findNearDuplicates,
+   simhash,
+   hammingDistance,
+   jaccardSimilarity,
+};
@@ -0,0 +1,104 @@
+/**
+ * Struktura nagłówków stron
+ *
+ * - Konspekt h1-h6 w kolejności dokumentu z pominiętymi poziomami (np. H2 -> H4)
+ *   i pustymi nagłówkami
+ * - Liczba nagłówków H1 i podobieństwo pierwszego H1 do tytułu strony (wspólne rdzenie słów)
+ * - Nagłówki H2-H6 powtarzające się na wielu stronach, bez szablonowych (menu, stopka)
+ */
+
+const { tokenize, stem } = require("./keyword-analysis");
+const { normalizeText, findBoilerplateBlocks } = require("./duplicate-content");
+
+/**
+ * Udział wspólnych rdzeni słów H1 i tytułu w krótszym z nich (0-1), dzięki czemu
+ * dopisana do tytułu nazwa firmy nie obniża wyniku. null, gdy brakuje H1 lub tytułu.
+ */
+function getTitleSimilarity(h1, title, language) {
+   const h1Stems = new Set(tokenize(h1).map((word) => stem(word, language)));
+   const titleStems = new Set(tokenize(title).map((word) => stem(word, language)));
+   if (h1Stems.size === 0 || titleStems.size === 0) return null;
+   const common = [...h1Stems].filter((word) => titleStems.has(word)).length;
+   return Math.round((common / Math.min(h1Stems.size, titleStems.size)) * 100) / 100;
+}
+
+/**
+ * Konspekt nagłówków strony. headings: [{ level, text }] w kolejności dokumentu.
+ * Pierwszy nagłówek nie jest traktowany jako pominięcie poziomu (brak H1 zgłasza osobna reguła).
+ */
+function analyzePageOutline(headings, title, language) {
+   const outline = [];
+   const skippedLevels = [];
+   let previousLevel = null;
+   headings.forEach(({ level, text }) => {
+      const skipped = previousLevel !== null && level > previousLevel + 1;
+      if (skipped) skippedLevels.push({ from: previousLevel, to: level, text });
+      outline.push({ level, text, empty: !text, skipped });
+      previousLevel = level;
+   });
+
+   const h1 = headings.filter(({ level }) => level === 1);
+   const firstH1 = h1.find(({ text }) => text);
+   return {
+      outline,
+      h1Count: h1.length,
+      emptyHeadings: outline.filter((heading) => heading.empty).map(({ level }) => level),
+      skippedLevels,
+      titleSimilarity: firstH1 ? getTitleSimilarity(firstH1.text, title, language) : null,
+   };
+}
+
+/**
+ * Struktura nagłówków stron serwisu.
+ * pages: [{ url, title, language, headings: [{ level, text }] }]
+ * Zwraca { pages: Map URL -> konspekt strony, duplicates: [{ value, urls }] }; w konspekcie
+ * nagłówki powtarzające się na innych stronach mają duplicate: true.
+ */
+function analyzeHeadings(pages, { boilerplateRatio }) {
+   const subheadings = new Map(
+      pages.map(({ url, headings }) => [
+         url,
+         [
+            ...new Set(
+               headings.filter(({ level, text }) => level > 1 && text).map(({ text }) => text)
+            ),
+         ],
+      ])
+   );
+   const template = findBoilerplateBlocks(subheadings, boilerplateRatio);
+
+   const groups = new Map();
+   for (const [url, texts] of subheadings.entries()) {
+      texts.forEach((text) => {
+         const key = normalizeText(text);
+         if (!key || template.has(key)) return;
+         if (!groups.has(key)) groups.set(key, { value: text, urls: new Set() });
+         groups.get(key).urls.add(url);
+      });
+   }
+   const duplicateKeys = new Set(
+      [...groups.entries()].filter(([, group]) => group.urls.size > 1).map(([key]) => key)
+   );
+
+   const results = new Map();
+   pages.forEach(({ url, title, language, headings }) => {
+      const result = analyzePageOutline(headings, title, language);
+      result.outline.forEach((heading) => {
+         heading.duplicate = heading.level > 1 && duplicateKeys.has(normalizeText(heading.text));
+      });
+      results.set(url, result);
+   });
+
+   return {
+      pages: results,
+      duplicates: [...duplicateKeys]
+         .map((key) => ({ value: groups.get(key).value, urls: [...groups.get(key).urls] }))
+         .sort((a, b) => b.urls.length - a.urls.length),
+   };
+}
+
+module.exports = {
+   getTitleSimilarity,
+   analyzePageOutline,
+   analyzeHeadings,
+};
@@ -0,0 +1,84 @@
+/**
+ * Tłumaczenia raportów, komunikatów i zapytań do AI
+ *
+ * Katalogi komunikatów to moduły w locales/ (locales/pl.js, locales/en.js); nowy język
+ * dodaje się, tworząc kolejny plik z tymi samymi kluczami. Klucze są zagnieżdżone
+ * ("report.summary"), a {nazwa} w treści zastępuje parametr. Brakujące tłumaczenie
+ * zastępuje tekst z katalogu polskiego.
+ *
+ * - Język raportu: config.report.locale (opcja --lang)
+ * - Język treści (zapytania do AI): config.project.locale albo, przy 'auto',
+ *   atrybut lang elementu <html> analizowanej strony
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const DEFAULT_LANGUAGE = "pl";
+const LOCALES_DIRECTORY = path.join(__dirname, "locales");
+
+const CATALOGS = Object.fromEntries(
+   fs
+      .readdirSync(LOCALES_DIRECTORY)
+      .filter((file) => path.extname(file) === ".js")
+      .map((file) => [path.basename(file, ".js"), require(path.join(LOCALES_DIRECTORY, file))])
+);
+
+const LANGUAGES = Object.keys(CATALOGS);
+
+function formatMessage(template, params = {}) {
+   return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined || params[name] === null ? match : String(params[name])
+   );
+}
+
+// Język z katalogiem dla kodu języka ("en-GB" -> "en") albo null
+function getLanguage(locale) {
+   if (!locale || typeof locale !== "string") return null;
+   const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+   return CATALOGS[language] ? language : null;
+}
+
+function lookup(catalog, key) {
+   return key.split(".").reduce((node, part) => (node ? node[part] : undefined), catalog);
+}
+
+// Tekst lub gałąź katalogu (np. lista etykiet) w danym języku
+function translate(language, key, params) {
+   const message = [language, DEFAULT_LANGUAGE]
+      .map((code) => CATALOGS[code] && lookup(CATALOGS[code], key))
+      .find((value) => value !== undefined);
+   if (message === undefined) return key;
+   return typeof message === "string" ? formatMessage(message, params) : message;
+}
+
+function getReportLanguage() {
+   return getLanguage(config.report.locale) || DEFAULT_LANGUAGE;
+}
+
+// Tłumaczenie w języku raportu
+function t(key, params) {
+   return translate(getReportLanguage(), key, params);
+}
+
+/**
+ * Język treści strony: ustawiony w projekcie, a przy 'auto' odczytany z <html lang>.
+ * Bez katalogu dla danego języka zwraca język raportu.
+ */
+function getContentLanguage(htmlLang = null) {
+   const locale = config.project.locale;
+   const language = locale === "auto" ? getLanguage(htmlLang) : getLanguage(locale);
+   return language || getReportLanguage();
+}
+
+module.exports = {
+   DEFAULT_LANGUAGE,
+   LANGUAGES,
+   formatMessage,
+   getLanguage,
+   translate,
+   getReportLanguage,
+   t,
+   getContentLanguage,
+};
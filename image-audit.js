@@ -0,0 +1,171 @@
+/**
+ * Audyt obrazków pod kątem SEO
+ *
+ * - Ekstrakcja tagów <img> wraz z kontekstem (podpis, nagłówek, tekst rodzica)
+ * - Sprawdzanie atrybutów alt, nazw plików, wymiarów i leniwego ładowania
+ * - Ocena rozmiaru i formatu pliku na podstawie odpowiedzi serwera
+ */
+
+const path = require("path");
+const { t } = require("./i18n");
+
+const LEGACY_FORMATS = ["jpg", "jpeg", "png", "gif", "bmp", "tif", "tiff"];
+const MODERN_FORMATS = ["webp", "avif"];
+
+function cleanText(text) {
+   return (text || "").replace(/\s+/g, " ").trim();
+}
+
+// Tekst wokół obrazka, na podstawie którego można opisać jego zawartość
+function getImageContext($, element) {
+   const $image = $(element);
+   const heading =
+      $image.prevAll("h1, h2, h3").first().text() ||
+      $image.parent().prevAll("h1, h2, h3").first().text();
+   const parts = [
+      $image.attr("title"),
+      $image.closest("figure").find("figcaption").first().text(),
+      heading,
+      $image.parent().text(),
+   ]
+      .map(cleanText)
+      .filter(Boolean);
+
+   return [...new Set(parts)].join(" | ").slice(0, 300);
+}
+
+function extractImages($, pageUrl) {
+   const images = [];
+
+   $("img").each((position, element) => {
+      const $image = $(element);
+      // Leniwe ładowanie przez skrypty często trzyma adres w data-src
+      const rawSrc = ($image.attr("src") || $image.attr("data-src") || "").trim();
+      let src = null;
+      if (rawSrc && !rawSrc.startsWith("data:")) {
+         try {
+            src = new URL(rawSrc, pageUrl).href;
+         } catch (error) {
+            src = null;
+         }
+      }
+
+      const modernSources = $image
+         .parent("picture")
+         .find("source")
+         .map((_, source) => ($(source).attr("type") || "").toLowerCase())
+         .get()
+         .filter((type) => MODERN_FORMATS.some((format) => type.includes(format)));
+
+      const alt = $image.attr("alt");
+      images.push({
+         src,
+         rawSrc: rawSrc.startsWith("data:") ? "data:" : rawSrc,
+         alt: alt === undefined ? null : alt.trim(),
+         width: $image.attr("width") || null,
+         height: $image.attr("height") || null,
+         loading: ($image.attr("loading") || "").toLowerCase() || null,
+         position,
+         hasModernSource: modernSources.length > 0,
+         context: getImageContext($, element),
+      });
+   });
+
+   return images;
+}
+
+function getFilename(src) {
+   try {
+      return decodeURIComponent(path.posix.basename(new URL(src).pathname));
+   } catch (error) {
+      return "";
+   }
+}
+
+function getExtension(src) {
+   const match = getFilename(src).match(/\.([a-z0-9]+)$/i);
+   return match ? match[1].toLowerCase() : "";
+}
+
+// Zwraca rodzaj problemu z nazwą pliku (klucz images.filenames.* w katalogach tłumaczeń)
+// lub null, jeśli nazwa jest opisowa
+function getFilenameProblem(src) {
+   const name = getFilename(src).replace(/\.[a-z0-9]+$/i, "");
+   if (!name) return null;
+
+   if (/^(img|image|dsc|dscn|dcim|pic|photo|pxl|screenshot|zrzut[\s_-]*ekranu)[\s_-]*\d+/i.test(name)) {
+      return "generic";
+   }
+   if (/^[\d\W_]+$/.test(name)) {
+      return "digits";
+   }
+   if (/^[a-f0-9]{16,}$/i.test(name.replace(/[-_]/g, ""))) {
+      return "hash";
+   }
+   if (/[_\s]/.test(name)) {
+      return "separators";
+   }
+   return null;
+}
+
+// resource: { status, contentType, bytes } z serwera lub undefined, jeśli nie sprawdzano
+function auditImage(image, resource, options) {
+   const problems = [];
+   const add = (type, params) =>
+      problems.push({ type, message: t(`images.problems.${type}`, params) });
+
+   if (image.alt === null) {
+      add("missingAlt");
+   } else if (image.alt === "") {
+      add("emptyAlt");
+   }
+
+   if (image.src) {
+      const filenameProblem = getFilenameProblem(image.src);
+      if (filenameProblem) {
+         add("filename", { reason: t(`images.filenames.${filenameProblem}`) });
+      }
+   }
+
+   if (!image.width || !image.height) {
+      add("dimensions");
+   }
+
+   if (image.position >= options.aboveFoldCount && image.loading !== "lazy") {
+      add("lazyLoading");
+   } else if (image.position < options.aboveFoldCount && image.loading === "lazy") {
+      add("eagerLoading");
+   }
+
+   if (!resource) return problems;
+
+   if (resource.status === 0 || resource.status >= 400) {
+      add("broken", { status: resource.status || resource.error });
+      return problems;
+   }
+
+   if (resource.bytes && resource.bytes > options.maxBytes) {
+      add("oversized", {
+         size: Math.round(resource.bytes / 1024),
+         limit: Math.round(options.maxBytes / 1024),
+      });
+   }
+
+   const format =
+      (resource.contentType || "").replace(/^image\//, "").replace("svg+xml", "svg") ||
+      getExtension(image.src);
+   if (
+      LEGACY_FORMATS.includes(format.replace("pjpeg", "jpeg")) &&
+      !image.hasModernSource
+   ) {
+      add("legacyFormat", { format: format.toUpperCase() });
+   }
+
+   return problems;
+}
+
+module.exports = {
+   extractImages,
+   getFilenameProblem,
+   auditImage,
+};
@@ -0,0 +1,370 @@
+/**
+ * Lokalna analiza słów kluczowych (bez AI)
+ *
+ * - Normalizacja tekstu: małe litery bez znaków diakrytycznych ("Łódź" -> "lodz")
+ * - Lekki stemming polski i angielski (odcinanie końcówek fleksyjnych), dzięki któremu
+ *   "instalacji" i "instalacje" albo "Lublinie" i "Lublin" dają ten sam rdzeń
+ * - Wystąpienia i gęstość słów kluczowych (także wielowyrazowych) w treści strony
+ *   oraz ich rozmieszczenie: tytuł, meta opis, H1, pozostałe nagłówki, pierwszy akapit,
+ *   adres URL i teksty alternatywne obrazków
+ * - Najważniejsze terminy stron według TF-IDF w obrębie przeanalizowanego serwisu
+ */
+
+// Końcówki fleksyjne po usunięciu znaków diakrytycznych, od najdłuższych
+const POLISH_SUFFIXES = [
+   "owania", "owanie", "owaniu", "aniem", "eniem",
+   "ach", "ami", "ego", "emu", "iej", "ich", "ych", "imi", "ymi", "owi", "iem", "iom",
+   "om", "ow", "ie", "ia", "iu", "io", "ej", "em", "ym", "im", "mi", "y", "a", "e", "i", "o", "u",
+];
+
+const ENGLISH_SUFFIXES = ["ingly", "edly", "ing", "ed", "ly"];
+
+const STOP_WORDS = {
+   pl: new Set([
+      "a", "aby", "albo", "ale", "ani", "az", "bardzo", "bez", "bo", "by", "byc", "byl", "byla",
+      "byli", "bylo", "beda", "bedzie", "ci", "co", "czy", "dla", "do", "gdy", "gdzie", "go", "i",
+      "ich", "ile", "im", "ja", "jak", "jaki", "jako", "je", "jej", "jego", "jest", "jestem",
+      "jestesmy", "jesli", "juz", "kazdy", "kiedy", "kto", "ktora", "ktore", "ktorego", "ktorej",
+      "ktory", "ktorych", "ktorym", "ktorzy", "lub", "ma", "maja", "mamy", "mi", "mnie", "moze",
+      "my", "na", "nad", "nam", "nas", "nasz", "nasza", "nasze", "naszych", "nie", "niz", "o",
+      "od", "oraz", "po", "pod", "przed", "przez", "przy", "sa", "sie", "sobie", "tak", "takze",
+      "tam", "te", "tego", "tej", "ten", "to", "tu", "ty", "tylko", "u", "w", "we", "wiec",
+      "wszystkie", "wszystko", "z", "za", "ze", "zeby",
+   ]),
+   en: new Set([
+      "a", "about", "after", "all", "also", "an", "and", "any", "are", "as", "at", "be", "been",
+      "before", "but", "by", "can", "could", "do", "does", "for", "from", "had", "has", "have",
+      "he", "her", "his", "how", "i", "if", "in", "into", "is", "it", "its", "more", "most", "my",
+      "no", "not", "of", "on", "or", "our", "out", "over", "she", "so", "some", "than", "that",
+      "the", "their", "them", "then", "there", "these", "they", "this", "to", "up", "us", "was",
+      "we", "were", "what", "when", "where", "which", "who", "will", "with", "would", "you",
+      "your",
+   ]),
+};
+
+// Miejsca na stronie, w których szukane są słowa kluczowe
+const PLACEMENT_FIELDS = ["title", "description", "h1", "headings", "firstParagraph", "url", "alt"];
+
+function foldDiacritics(text) {
+   return text
+      .toLowerCase()
+      .replace(/ł/g, "l")
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "");
+}
+
+// Słowa tekstu małymi literami (ze znakami diakrytycznymi, do wyświetlania)
+function tokenize(text) {
+   return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function stemPolish(word) {
+   if (word.length < 4) return word;
+   const suffix = POLISH_SUFFIXES.find(
+      (candidate) => word.endsWith(candidate) && word.length - candidate.length >= 3
+   );
+   return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Uproszczony algorytm Portera: liczba mnoga, -ing/-ed/-ly, końcowe -e i -y
+function stemEnglish(word) {
+   if (word.length < 4) return word;
+   let stem = word;
+   if (stem.endsWith("ies")) {
+      stem = `${stem.slice(0, -3)}y`;
+   } else if (stem.endsWith("sses")) {
+      stem = stem.slice(0, -2);
+   } else if (stem.endsWith("s") && !/(ss|us|is)$/.test(stem)) {
+      stem = stem.slice(0, -1);
+   }
+
+   const suffix = ENGLISH_SUFFIXES.find(
+      (candidate) =>
+         stem.endsWith(candidate) &&
+         stem.length - candidate.length >= 3 &&
+         /[aeiouy]/.test(stem.slice(0, -candidate.length))
+   );
+   if (suffix) {
+      stem = stem.slice(0, -suffix.length);
+      if (/([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1);
+   }
+
+   if (stem.length > 4 && stem.endsWith("e")) stem = stem.slice(0, -1);
+   if (stem.length > 3 && /[^aeiou]y$/.test(stem)) stem = `${stem.slice(0, -1)}i`;
+   return stem;
+}
+
+const STEMMERS = { pl: stemPolish, en: stemEnglish };
+
+// Rdzeń słowa; dla języków bez stemmera tylko normalizacja znaków
+function stem(word, language) {
+   const folded = foldDiacritics(word);
+   if (/^\p{N}+$/u.test(folded)) return folded;
+   return STEMMERS[language] ? STEMMERS[language](folded) : folded;
+}
+
+function toStems(text, language) {
+   return tokenize(text).map((word) => stem(word, language));
+}
+
+// Słowa ścieżki adresu URL ("/uslugi/instalacje-gazowe" -> ["uslugi", "instalacje", "gazowe"])
+function getUrlText(pageUrl) {
+   try {
+      return decodeURIComponent(new URL(pageUrl).pathname);
+   } catch (error) {
+      return "";
+   }
+}
+
+// Rdzenie tekstu z pozycjami każdego rdzenia (szybkie wyszukiwanie wielu fraz)
+function indexStems(stems) {
+   const positions = new Map();
+   stems.forEach((termStem, index) => {
+      if (!positions.has(termStem)) positions.set(termStem, []);
+      positions.get(termStem).push(index);
+   });
+   return { stems, positions };
+}
+
+// Liczba wystąpień ciągu rdzeni phrase w tekście (wystąpienia nie nakładają się)
+function countPhrase({ stems, positions }, phrase) {
+   let count = 0;
+   let next = 0;
+   for (const index of positions.get(phrase[0]) || []) {
+      if (index < next) continue;
+      if (phrase.every((part, offset) => stems[index + offset] === part)) {
+         count++;
+         next = index + phrase.length;
+      }
+   }
+   return count;
+}
+
+// Podział słów kluczowych z tekstu na znalezione i brakujące
+function matchKeywords(text, keywords, language) {
+   const stems = indexStems(toStems(text, language));
+   const found = [];
+   const missing = [];
+   keywords.forEach((keyword) => {
+      const phrase = toStems(keyword, language);
+      (phrase.length > 0 && countPhrase(stems, phrase) > 0 ? found : missing).push(keyword);
+   });
+   return { found, missing };
+}
+
+/**
+ * Słowa kluczowe bez powtórzeń: fraza o tych samych rdzeniach co wcześniejsza w którymkolwiek
+ * z języków stron ("instalacje" i "instalacji") jest pomijana, więc kolejność decyduje o tym,
+ * która postać zostaje (słowa z konfiguracji przed słowami z analizy AI).
+ */
+function uniqueKeywords(keywords, languages) {
+   const seen = languages.map(() => new Set());
+   return keywords.filter((keyword) => {
+      const keys = languages.map((language) => toStems(keyword, language).join(" "));
+      if (keys.every((key) => !key) || keys.some((key, index) => seen[index].has(key))) {
+         return false;
+      }
+      keys.forEach((key, index) => seen[index].add(key));
+      return true;
+   });
+}
+
+// Terminy tekstu: rdzeń -> { count, forms: Map słowo -> liczba wystąpień }
+function countTerms(text, language, minTermLength) {
+   const stopWords = STOP_WORDS[language] || new Set();
+   const terms = new Map();
+   tokenize(text).forEach((word) => {
+      const folded = foldDiacritics(word);
+      if (folded.length < minTermLength || stopWords.has(folded) || /^\p{N}+$/u.test(folded)) {
+         return;
+      }
+      const termStem = stem(word, language);
+      if (!terms.has(termStem)) terms.set(termStem, { count: 0, forms: new Map() });
+      const term = terms.get(termStem);
+      term.count++;
+      term.forms.set(word, (term.forms.get(word) || 0) + 1);
+   });
+   return terms;
+}
+
+// Najczęstsza postać słowa dla rdzenia
+function getTermLabel(forms) {
+   return [...forms.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Wystąpienia, gęstość i rozmieszczenie słów kluczowych na stronie.
+ * page: { url, language, title, description, h1: [], headings: [], firstParagraph, body, alts: [] }
+ * Zwraca { words, keywords: [{ keyword, configured, count, density, placement, score }] },
+ * gdzie score (0-100) to suma wag miejsc z placementWeights, w których słowo występuje,
+ * a configured oznacza słowo z konfiguracji (seo.keywords), a nie z analizy AI.
+ */
+function analyzePageKeywords(page, keywords, { placementWeights, configuredKeywords = [] }) {
+   const { language } = page;
+   const body = indexStems(toStems(page.body, language));
+   const words = body.stems.length;
+   const texts = {
+      title: page.title,
+      description: page.description,
+      h1: page.h1.join(" "),
+      headings: page.headings.join(" "),
+      firstParagraph: page.firstParagraph,
+      url: getUrlText(page.url),
+      alt: page.alts.join(" "),
+   };
+   const fields = Object.fromEntries(
+      Object.entries(texts).map(([field, text]) => [field, indexStems(toStems(text, language))])
+   );
+   const totalWeight = PLACEMENT_FIELDS.reduce(
+      (sum, field) => sum + (placementWeights[field] || 0),
+      0
+   );
+
+   return {
+      words,
+      keywords: keywords
+         .map((keyword) => ({ keyword, phrase: toStems(keyword, language) }))
+         .filter(({ phrase }) => phrase.length > 0)
+         .map(({ keyword, phrase }) => {
+            const count = countPhrase(body, phrase);
+            const placement = {};
+            PLACEMENT_FIELDS.forEach((field) => {
+               placement[field] = countPhrase(fields[field], phrase) > 0;
+            });
+            const weight = PLACEMENT_FIELDS.filter((field) => placement[field]).reduce(
+               (sum, field) => sum + (placementWeights[field] || 0),
+               0
+            );
+            return {
+               keyword,
+               configured: configuredKeywords.includes(keyword),
+               count,
+               density: words > 0 ? round(((count * phrase.length) / words) * 100) : 0,
+               placement,
+               score: totalWeight > 0 ? Math.round((weight / totalWeight) * 100) : 0,
+            };
+         }),
+   };
+}
+
+/**
+ * Analiza słów kluczowych wszystkich stron serwisu.
+ * pages: [{ url, language, title, description, h1, headings, firstParagraph, body, alts }]
+ * Słowa kluczowe o tych samych rdzeniach są analizowane raz (uniqueKeywords).
+ * Zwraca:
+ *   pages: Map URL -> { language, words, keywords, topTerms: [{ term, count, tfidf }] }
+ *   keywords: [{ keyword, configured, pages, count, averageDensity,
+ *                placement: { pole: liczba stron } }]
+ *   topTerms: [{ term, count, pages }] - najczęstsze terminy serwisu
+ */
+function analyzeKeywords(pages, allKeywords, options) {
+   const { topTerms: topTermsCount, minTermLength } = options;
+   const keywords = uniqueKeywords(allKeywords, [...new Set(pages.map((page) => page.language))]);
+   const documents = pages.map((page) => ({
+      page,
+      terms: countTerms(page.body, page.language, minTermLength),
+   }));
+
+   // Liczba stron z terminem (terminy rozróżniane także według języka strony)
+   const documentFrequency = new Map();
+   const siteTerms = new Map();
+   documents.forEach(({ page, terms }) => {
+      for (const [termStem, term] of terms.entries()) {
+         const key = `${page.language}:${termStem}`;
+         documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1);
+         if (!siteTerms.has(key)) siteTerms.set(key, { count: 0, pages: 0, forms: new Map() });
+         const siteTerm = siteTerms.get(key);
+         siteTerm.count += term.count;
+         siteTerm.pages++;
+         term.forms.forEach((count, form) =>
+            siteTerm.forms.set(form, (siteTerm.forms.get(form) || 0) + count)
+         );
+      }
+   });
+
+   const results = new Map();
+   documents.forEach(({ page, terms }) => {
+      const total = [...terms.values()].reduce((sum, term) => sum + term.count, 0);
+      const topTerms = [...terms.entries()]
+         .map(([termStem, term]) => {
+            const frequency = documentFrequency.get(`${page.language}:${termStem}`);
+            const idf = Math.log((1 + documents.length) / (1 + frequency)) + 1;
+            return {
+               term: getTermLabel(term.forms),
+               count: term.count,
+               tfidf: round((term.count / total) * idf, 4),
+            };
+         })
+         .sort((a, b) => b.tfidf - a.tfidf || b.count - a.count)
+         .slice(0, topTermsCount);
+
+      results.set(page.url, {
+         language: page.language,
+         ...analyzePageKeywords(page, keywords, options),
+         topTerms,
+      });
+   });
+
+   const keywordSummary = keywords.map((keyword) => {
+      const pageResults = [...results.values()]
+         .map((result) => result.keywords.find((item) => item.keyword === keyword))
+         .filter(Boolean);
+      const withKeyword = pageResults.filter(
+         (item) => item.count > 0 || Object.values(item.placement).some(Boolean)
+      );
+      const placement = {};
+      PLACEMENT_FIELDS.forEach((field) => {
+         placement[field] = pageResults.filter((item) => item.placement[field]).length;
+      });
+      return {
+         keyword,
+         configured: (options.configuredKeywords || []).includes(keyword),
+         pages: withKeyword.length,
+         count: pageResults.reduce((sum, item) => sum + item.count, 0),
+         averageDensity:
+            withKeyword.length > 0
+               ? round(
+                    withKeyword.reduce((sum, item) => sum + item.density, 0) / withKeyword.length
+                 )
+               : 0,
+         placement,
+      };
+   });
+
+   return {
+      pages: results,
+      keywords: keywordSummary.sort((a, b) => b.pages - a.pages || b.count - a.count),
+      topTerms: [...siteTerms.values()]
+         .sort((a, b) => b.count - a.count || b.pages - a.pages)
+         .slice(0, topTermsCount)
+         .map((term) => ({ term: getTermLabel(term.forms), count: term.count, pages: term.pages })),
+   };
+}
+
+// Pierwszy niepusty akapit treści głównej (main, article), a bez nich - całej strony
+function extractFirstParagraph($) {
+   const paragraphs = (selector) =>
+      $(selector)
+         .map((_, element) => $(element).text().replace(/\s+/g, " ").trim())
+         .get()
+         .filter(Boolean);
+   const [first] = [
+      ...paragraphs("main p, article p, [role='main'] p"),
+      ...paragraphs("p"),
+   ];
+   return first || "";
+}
+
+module.exports = {
+   PLACEMENT_FIELDS,
+   foldDiacritics,
+   tokenize,
+   stem,
+   countPhrase,
+   matchKeywords,
+   uniqueKeywords,
+   analyzeKeywords,
+   extractFirstParagraph,
+};
@@ -0,0 +1,154 @@
+/**
+ * Sprawdzanie linków zewnętrznych i zasobów statycznych
+ *
+ * - Zapytanie HEAD, a gdy serwer go nie obsługuje lub zwraca błąd - GET bez pobierania treści
+ * - Ograniczona współbieżność i odstęp między zapytaniami do tej samej domeny
+ * - Każdy adres sprawdzany jest raz w trakcie analizy (wynik trafia do pamięci podręcznej)
+ * - Klasyfikacja błędów: timeout, DNS, połączenie, certyfikat
+ */
+
+const axios = require("axios");
+const { TaskQueue, HostRateLimiter } = require("./crawl-queue");
+const { t } = require("./i18n");
+
+function classifyError(error) {
+   const code = error.code || "";
+   if (["ENOTFOUND", "EAI_AGAIN"].includes(code)) return "dns";
+   if (
+      ["ECONNABORTED", "ETIMEDOUT", "ESOCKETTIMEDOUT"].includes(code) ||
+      /timeout/i.test(error.message)
+   ) {
+      return "timeout";
+   }
+   if (["ECONNREFUSED", "ECONNRESET", "EHOSTUNREACH", "ENETUNREACH"].includes(code)) {
+      return "connection";
+   }
+   if (/CERT|SSL|TLS|SELF_SIGNED/i.test(code)) return "ssl";
+   return "error";
+}
+
+class LinkChecker {
+   constructor({
+      concurrency = 8,
+      timeout = 10000,
+      requestDelay = 500,
+      maxRedirects = 5,
+      userAgent = "SEOAnalyzer/1.0",
+      rateLimiter = null,
+   } = {}) {
+      this.timeout = timeout;
+      this.maxRedirects = maxRedirects;
+      this.userAgent = userAgent;
+      this.queue = new TaskQueue(concurrency);
+      this.rateLimiter = rateLimiter || new HostRateLimiter(requestDelay);
+      this.results = new Map(); // URL -> Promise z wynikiem
+   }
+
+   check(url) {
+      if (!this.results.has(url)) {
+         this.results.set(
+            url,
+            this.queue.push(() => this.checkUrl(url))
+         );
+      }
+      return this.results.get(url);
+   }
+
+   async checkAll(urls) {
+      return Promise.all([...new Set(urls)].map((url) => this.check(url)));
+   }
+
+   async request(url, method) {
+      await this.rateLimiter.wait(url);
+      const response = await axios.request({
+         url,
+         method,
+         maxRedirects: 0,
+         timeout: this.timeout,
+         // Przy GET nie pobieramy treści - wystarczą status i nagłówki
+         responseType: method === "get" ? "stream" : undefined,
+         headers: { "User-Agent": this.userAgent },
+         validateStatus: () => true,
+      });
+      if (method === "get" && response.data && response.data.destroy) {
+         response.data.destroy();
+      }
+      return response;
+   }
+
+   // Wykonuje zapytanie, podążając ręcznie za przekierowaniami
+   async follow(url, method) {
+      const chain = [];
+      let currentUrl = url;
+      for (;;) {
+         const response = await this.request(currentUrl, method);
+         if (
+            response.status < 300 ||
+            response.status >= 400 ||
+            !response.headers.location
+         ) {
+            return { response, chain, finalUrl: currentUrl };
+         }
+
+         const location = new URL(response.headers.location, currentUrl).href;
+         chain.push({ url: currentUrl, status: response.status, location });
+         if (chain.some((hop) => hop.url === location)) {
+            return { response, chain, finalUrl: location, loop: true };
+         }
+         if (chain.length > this.maxRedirects) {
+            return { response, chain, finalUrl: location, tooManyRedirects: true };
+         }
+         currentUrl = location;
+      }
+   }
+
+   /**
+    * Zwraca { url, status, ok, finalUrl, redirects, contentType, bytes, errorType, error }
+    * status 0 oznacza brak odpowiedzi (errorType: dns | timeout | connection | ssl | error)
+    */
+   async checkUrl(url) {
+      let result;
+      try {
+         result = await this.follow(url, "head");
+         // Część serwerów nie obsługuje HEAD albo zwraca dla niego błędny status
+         if (result.response.status >= 400) {
+            result = await this.follow(url, "get");
+         }
+      } catch (error) {
+         try {
+            result = await this.follow(url, "get");
+         } catch (retryError) {
+            return {
+               url,
+               status: 0,
+               ok: false,
+               finalUrl: url,
+               redirects: [],
+               errorType: classifyError(retryError),
+               error: retryError.message,
+            };
+         }
+      }
+
+      const { response, chain, finalUrl, loop, tooManyRedirects } = result;
+      const bytes = parseInt(response.headers["content-length"], 10);
+      const redirectError = loop
+         ? t("linkCheck.redirectLoop")
+         : tooManyRedirects
+         ? t("linkCheck.tooManyRedirects", { max: this.maxRedirects })
+         : null;
+
+      return {
+         url,
+         status: redirectError ? 0 : response.status,
+         ok: !redirectError && response.status < 400,
+         finalUrl,
+         redirects: chain,
+         contentType: (response.headers["content-type"] || "").split(";")[0].trim(),
+         bytes: Number.isNaN(bytes) ? null : bytes,
+         ...(redirectError && { errorType: "redirect", error: redirectError }),
+      };
+   }
+}
+
+module.exports = LinkChecker;
@@ -0,0 +1,172 @@
+/**
+ * Graf linków wewnętrznych
+ *
+ * - Węzły to scrawlowane strony, krawędzie to unikalne linki między nimi (z liczbą wystąpień)
+ * - Wewnętrzny PageRank, linki przychodzące i wychodzące
+ * - Eksport do GraphML, DOT (Graphviz) i JSON
+ */
+
+function escapeXml(value) {
+   return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+function escapeDot(value) {
+   return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+class LinkGraph {
+   constructor() {
+      this.nodes = new Map(); // URL -> atrybuty węzła
+      this.edges = new Map(); // źródło -> Map(cel -> liczba linków)
+   }
+
+   addNode(url, attributes = {}) {
+      this.nodes.set(url, { ...(this.nodes.get(url) || {}), ...attributes });
+      if (!this.edges.has(url)) this.edges.set(url, new Map());
+   }
+
+   // Linki do stron spoza grafu i do samej siebie są pomijane
+   addEdge(source, target) {
+      if (source === target || !this.nodes.has(source) || !this.nodes.has(target)) {
+         return false;
+      }
+      const targets = this.edges.get(source);
+      targets.set(target, (targets.get(target) || 0) + 1);
+      return true;
+   }
+
+   getOutbound(url) {
+      return [...(this.edges.get(url) || new Map()).keys()];
+   }
+
+   // URL -> liczba stron linkujących
+   getInboundCounts() {
+      const counts = new Map([...this.nodes.keys()].map((url) => [url, 0]));
+      for (const targets of this.edges.values()) {
+         for (const target of targets.keys()) {
+            counts.set(target, counts.get(target) + 1);
+         }
+      }
+      return counts;
+   }
+
+   /**
+    * PageRank metodą potęgową. Strony bez linków wychodzących rozdzielają
+    * swoją wartość równo między wszystkie strony. Wyniki sumują się do 1.
+    */
+   pageRank({ damping = 0.85, iterations = 50, tolerance = 1e-6 } = {}) {
+      const urls = [...this.nodes.keys()];
+      const count = urls.length;
+      if (count === 0) return new Map();
+
+      let ranks = new Map(urls.map((url) => [url, 1 / count]));
+      for (let i = 0; i < iterations; i++) {
+         const danglingRank = urls
+            .filter((url) => this.edges.get(url).size === 0)
+            .reduce((sum, url) => sum + ranks.get(url), 0);
+         const base = (1 - damping) / count + (damping * danglingRank) / count;
+         const next = new Map(urls.map((url) => [url, base]));
+
+         for (const url of urls) {
+            const targets = this.edges.get(url);
+            if (targets.size === 0) continue;
+            const share = (damping * ranks.get(url)) / targets.size;
+            for (const target of targets.keys()) {
+               next.set(target, next.get(target) + share);
+            }
+         }
+
+         const delta = urls.reduce(
+            (sum, url) => sum + Math.abs(next.get(url) - ranks.get(url)),
+            0
+         );
+         ranks = next;
+         if (delta < tolerance) break;
+      }
+      return ranks;
+   }
+
+   toJSON() {
+      return {
+         nodes: [...this.nodes.entries()].map(([url, attributes]) => ({
+            id: url,
+            ...attributes,
+         })),
+         edges: [...this.edges.entries()].flatMap(([source, targets]) =>
+            [...targets.entries()].map(([target, weight]) => ({
+               source,
+               target,
+               weight,
+            }))
+         ),
+      };
+   }
+
+   toGraphML() {
+      const keys = new Set();
+      for (const attributes of this.nodes.values()) {
+         Object.keys(attributes).forEach((key) => keys.add(key));
+      }
+      const getType = (key) => {
+         const value = [...this.nodes.values()].find(
+            (attributes) => attributes[key] !== undefined && attributes[key] !== null
+         )?.[key];
+         if (typeof value === "number") {
+            return Number.isInteger(value) ? "int" : "double";
+         }
+         return typeof value === "boolean" ? "boolean" : "string";
+      };
+
+      const lines = [
+         '<?xml version="1.0" encoding="UTF-8"?>',
+         '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+         ...[...keys].map(
+            (key) =>
+               `  <key id="${escapeXml(key)}" for="node" attr.name="${escapeXml(key)}" attr.type="${getType(key)}"/>`
+         ),
+         '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+         '  <graph id="links" edgedefault="directed">',
+      ];
+      for (const [url, attributes] of this.nodes.entries()) {
+         lines.push(`    <node id="${escapeXml(url)}">`);
+         Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .forEach(([key, value]) =>
+               lines.push(`      <data key="${escapeXml(key)}">${escapeXml(value)}</data>`)
+            );
+         lines.push("    </node>");
+      }
+      const { edges } = this.toJSON();
+      edges.forEach((edge) => {
+         lines.push(
+            `    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"><data key="weight">${edge.weight}</data></edge>`
+         );
+      });
+      lines.push("  </graph>", "</graphml>");
+      return lines.join("\n");
+   }
+
+   toDOT() {
+      const lines = ["digraph links {", "  node [shape=box];"];
+      for (const [url, attributes] of this.nodes.entries()) {
+         const label = attributes.label || url;
+         lines.push(`  "${escapeDot(url)}" [label="${escapeDot(label)}"];`);
+      }
+      this.toJSON().edges.forEach((edge) => {
+         lines.push(
+            `  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}"${
+               edge.weight > 1 ? ` [weight=${edge.weight}]` : ""
+            };`
+         );
+      });
+      lines.push("}");
+      return lines.join("\n");
+   }
+}
+
+module.exports = LinkGraph;
@@ -0,0 +1,703 @@
+/**
+ * Komunikaty w języku angielskim
+ */
+
+module.exports = {
+   categories: {
+      technical: "Technical",
+      content: "Content",
+      metadata: "Metadata",
+      links: "Links",
+      performance: "Performance",
+   },
+   severities: {
+      critical: "critical",
+      warning: "warning",
+      notice: "notice",
+   },
+
+   // Komunikaty reguł audytu (audit-rules.js), klucz to identyfikator reguły
+   rules: {
+      missingTitle: "Missing title on page: {url}",
+      titleLength: "Invalid title length ({length} characters, recommended {min}-{max}) on page: {url}",
+      missingDescription: "Missing meta description on page: {url}",
+      descriptionLength: "Invalid meta description length ({length} characters, recommended {min}-{max}) on page: {url}",
+      duplicateTitle: 'Duplicate title "{value}" on {count} pages: {urls}',
+      duplicateDescription: 'Duplicate description "{value}" on {count} pages: {urls}',
+      duplicateH1: 'Duplicate H1 heading "{value}" on {count} pages: {urls}',
+      missingOpenGraph: "{count} pages have no Open Graph tags",
+      socialMeta: "{problem} on {pages}",
+      missingH1: "Missing H1 heading on page: {url}",
+      multipleH1: "Multiple H1 headings ({count}) on page: {url}",
+      emptyHeading: "Empty headings ({levels}) on page: {url}",
+      skippedHeadingLevel: "Skipped heading levels ({skips}) on page: {url}",
+      duplicateHeading: 'Heading "{value}" repeated on {count} pages: {urls}',
+      h1TitleMismatch: 'H1 "{h1}" does not match the title ({similarity}% common words) on page: {url}',
+      nearDuplicateContent: "Near-duplicate content ({similarity}% average similarity) on {count} pages: {urls}",
+      keywordStuffing: 'Keyword "{keyword}" density too high ({density}%, recommended at most {max}%) on page: {url}',
+      thinContent: "Thin content ({words} words, recommended at least {min}) on page: {url}",
+      imageMissingAlt: "{count} images without an alt attribute (pages: {pages})",
+      imageEmptyAlt: "{count} images with an empty alt attribute (pages: {pages})",
+      imageFilename: "{count} images with a non-descriptive file name (pages: {pages})",
+      imageDimensions: "{count} images without width and height attributes (pages: {pages})",
+      imageOversized: "{count} images with an oversized file (pages: {pages})",
+      imageLegacyFormat: "{count} images in a legacy format instead of WebP/AVIF (pages: {pages})",
+      imageLazyLoading: '{count} below-the-fold images without loading="lazy" (pages: {pages})',
+      imageEagerLoading: '{count} above-the-fold images with loading="lazy" (pages: {pages})',
+      brokenImage: "Unavailable image ({status}): {image} on pages: {urls}",
+      javaScriptContent: "Elements available only after JavaScript runs ({elements}) on page: {url}",
+      structuredDataParseError: "Structured data parse error ({format}: {error}) on page: {url}",
+      structuredDataMissingRequired: "Missing required {type} properties ({properties}) on page: {url}",
+      structuredDataWarning: "{type}: {warning} on page: {url}",
+      missingStructuredDataType: "No structured data of type: {types}",
+      pagesWithoutStructuredData: "{count} pages have no structured data",
+      redirectLoop: "Redirect loop: {url}",
+      redirectChain: "Chain of {hops} redirects: {url} -> {finalUrl}",
+      temporaryRedirect: "Temporary redirect ({status}) - use 301/308 if the move is permanent: {url}",
+      multipleCanonicals: "Multiple canonical tags on page: {url}",
+      canonicalMismatch: "Canonical points to a different URL variant ({canonical}) on page: {url}",
+      canonicalizedAway: "Page canonicalized to another URL ({canonical}): {url}",
+      canonicalToRedirect: "Canonical points to a redirect ({canonical}) on page: {url}",
+      canonicalToNon200: "Canonical points to a page with status {status} ({canonical}) on page: {url}",
+      robotsTxtUnavailable: "robots.txt is unavailable (status: {status})",
+      blockedByRobotsTxt: "{count} pages blocked by robots.txt were not crawled",
+      noindexPages: "{count} pages marked as noindex",
+      nofollowPages: "{count} pages marked as nofollow",
+      noindexInSitemap: "Noindex page listed in the sitemap: {url}",
+      blockedInSitemap: "Page blocked by robots.txt listed in the sitemap: {url}",
+      missingSitemap: "No sitemap with page URLs found ({locations})",
+      notInSitemap: "{count} pages are not in the sitemap",
+      sitemapNotCrawled: "{count} pages from the sitemap were not crawled",
+      brokenLink: "Broken {type} ({status}): {target} - linked from: {urls}",
+      internalLinksToRedirects: "{count} internal links point to redirecting URLs",
+      redirectedExternalLinks: "{count} external links lead to redirects",
+      orphanPage: "Orphan page (in the sitemap, no internal links): {url}",
+      deadEnd: "Page without internal links (dead end): {url}",
+      deepPages: "{count} pages are more than {maxClickDepth} clicks from the start page",
+   },
+   ruleParts: {
+      linkTypes: {
+         internal: "internal link",
+         external: "external link",
+         resource: "resource",
+      },
+      renderedTitle: "title",
+      renderedMetaTags: "meta tags",
+      renderedLinks: "{count} links",
+      renderedHeadings: "headings",
+      renderedWords: "{count} words of content",
+      onePage: "page: {url}",
+      manyPages: "{count} pages",
+   },
+
+   // Sprawdzenia oceny SEO (seo-score.js)
+   scoring: {
+      indexable: "Page marked as noindex",
+      canonical: "Missing canonical URL",
+      canonicalSelf: "Canonical points to another URL",
+      structuredData: "Structured data errors",
+      renderedContent: "Content available only after JavaScript runs",
+      h1: "Missing H1 heading",
+      uniqueContent: "Content similar to other pages",
+      contentLength: "Not enough content on the page",
+      uniqueH1: "H1 heading repeated on other pages",
+      imageAlt: "Images without an alt attribute",
+      title: "Missing page title",
+      titleLength: "Invalid title length",
+      uniqueTitle: "Title repeated on other pages",
+      description: "Missing meta description",
+      descriptionLength: "Invalid meta description length",
+      uniqueDescription: "Meta description repeated on other pages",
+      socialMeta: "Open Graph / Twitter Card tag problems",
+      brokenLinks: "Links to broken URLs",
+      inboundLinks: "No internal links pointing to the page",
+      outboundLinks: "No internal links on the page",
+      redirectLinks: "Internal links to redirects",
+      clickDepth: "Page too deep in the site structure",
+      responseTime: "Slow server response time",
+      htmlSize: "Large HTML document",
+      imageSize: "Oversized image files",
+      imageFormat: "Images in legacy formats instead of WebP/AVIF",
+      imageDimensions: "Images without dimensions (layout shifts)",
+      lazyLoading: "Incorrect image lazy loading",
+   },
+
+   images: {
+      labels: {
+         missingAlt: "images without an alt attribute",
+         emptyAlt: "images with an empty alt attribute",
+         filename: "images with a non-descriptive file name",
+         dimensions: "images without width and height attributes",
+         oversized: "images with an oversized file",
+         legacyFormat: "images in a legacy format instead of WebP/AVIF",
+         lazyLoading: 'below-the-fold images without loading="lazy"',
+         eagerLoading: 'above-the-fold images with loading="lazy"',
+         broken: "unavailable images",
+      },
+      problems: {
+         missingAlt: "Missing alt attribute",
+         emptyAlt: "Empty alt attribute (acceptable only for decorative images)",
+         filename: "Non-descriptive file name: {reason}",
+         dimensions: "Missing width and height attributes (layout shifts, CLS)",
+         lazyLoading: 'Below-the-fold image without loading="lazy"',
+         eagerLoading: 'Above-the-fold image with loading="lazy" delays LCP',
+         broken: "Image unavailable ({status})",
+         oversized: "File is {size} KB (limit {limit} KB)",
+         legacyFormat: "{format} format instead of WebP/AVIF",
+      },
+      filenames: {
+         generic: "generic camera or screenshot file name",
+         digits: "file name consists only of digits",
+         hash: "file name looks like a hash",
+         separators: "file name should separate words with hyphens",
+      },
+   },
+
+   social: {
+      tooShort: "{tag} is too short (fewer than {min} characters)",
+      tooLong: "{tag} is too long (more than {max} characters)",
+      missing: "Missing {tag} tag",
+      relative: "{tag} is not an absolute URL",
+      invalidCard: "Invalid twitter:card value: {card}",
+      unreachable: "{tag} is unavailable ({status})",
+      notImage: "{tag} is not an image ({contentType})",
+      tooSmall: "{tag} is too small ({size}, minimum {minSize})",
+      belowRecommended: "{tag} is smaller than the recommended {recommendedSize} ({size})",
+   },
+
+   structuredData: {
+      notQuestion: "mainEntity[{index}] is not a Question object",
+      missingQuestion: "mainEntity[{index}] has no question (name)",
+      missingAnswer: "mainEntity[{index}] has no answer (acceptedAnswer.text)",
+      notListItem: "itemListElement[{index}] is not a ListItem object",
+      missingPosition: "itemListElement[{index}] has no position",
+      missingName: "itemListElement[{index}] has no name",
+      missingItem: "itemListElement[{index}] has no URL (item)",
+   },
+
+   // Błędy przekierowań (link-checker.js, crawlowanie w seo-analyzer.js)
+   linkCheck: {
+      redirectLoop: "Redirect loop",
+      tooManyRedirects: "Exceeded the limit of {max} redirects",
+   },
+
+   // Szablony zapytań do AI w języku treści strony
+   prompts: {
+      industry: "Industry: {industry}.",
+      location: "Target location: {location}.",
+      keywordTopic: "the {industry} industry",
+      defaultKeywordTopic: "the page topic",
+      imageContext: '- {src} (context: "{context}")',
+      optimizeTitle: `Optimize the following page title for SEO, taking these keywords into account: {keywords}.
+The title should read naturally, catch attention and contain the most important keywords. Maximum length: {maxLength} characters.
+{context}
+Current title: "{currentTitle}"
+The response must be JSON:
+{
+   "optimizedTitle": "optimized title"
+} return nothing else`,
+      optimizeDescription: `Optimize the following page description for SEO, taking these keywords into account: {keywords}.
+The description should read naturally, encourage clicks and contain the most important keywords. Maximum length: {maxLength} characters.
+{context}
+Current description: "{currentDescription}"
+The response must be JSON:
+{
+   "optimizedDescription": "optimized description"
+} return nothing else`,
+      analyzeContent: `Analyze the following content for SEO and suggest improvements:
+Content: "{content}"
+Keywords: {keywords}
+
+Analyze:
+1. Keyword density
+2. How natural the text reads
+3. Structure and readability
+4. Possible improvements
+The response must be JSON:
+{
+   "suggestions": ["keyword1", "keyword2", "keyword3"]
+} return nothing else`,
+      generateKeywordSuggestions: `Suggest additional keywords related to {topic} that could complement the current list: {keywords}. {location}
+Include:
+1. Long-tail phrases
+2. Synonyms
+3. Related services
+4. Local keywords
+The response must be JSON:
+{
+   "suggestions": ["keyword1", "keyword2", "keyword3"]
+} return nothing else`,
+      optimizeSocialTags: `Suggest a page title and description for sharing on social media (og:title, og:description), taking these keywords into account: {keywords}.
+The text should encourage clicks in link previews on Facebook, LinkedIn and X. Maximum title length: {titleMaxLength} characters, description: {descriptionMaxLength} characters.
+Page title: "{title}"
+Meta description: "{description}"
+Current og:title: "{ogTitle}"
+Current og:description: "{ogDescription}"
+The response must be JSON:
+{
+   "ogTitle": "title for sharing",
+   "ogDescription": "description for sharing"
+} return nothing else`,
+      suggestAltTexts: `Suggest alternative text (the alt attribute) for each of the following images on the page "{title}".
+Describe the image content based on the file name and surrounding text, naturally including keywords where they fit: {keywords}.
+The alternative text should be at most 125 characters long and must not start with "image" or "photo".
+Images:
+{images}
+The response must be JSON:
+{
+   "altTexts": [{ "src": "image URL", "alt": "alternative text" }]
+} return nothing else`,
+      analyzePageContent: `Analyze the following page content and generate:
+1. A list of main keywords (max 10)
+2. A list of long-tail keywords (max 15)
+3. A list of related topics (max 10)
+4. Content structure suggestions
+5. SEO optimization suggestions
+
+Page content:
+{content}
+
+URL: {url}
+
+Your response must be JSON in the following format:
+{
+"mainKeywords": [],
+"longTailKeywords": [],
+"relatedTopics": [],
+"contentStructure": [],
+"seoSuggestions": []
+} return only JSON`,
+   },
+
+   // Wskazówki dostawcy mock (ai-providers.js) w języku treści strony
+   mock: {
+      addKeyword: 'Add the keyword "{keyword}" to the content',
+      addH1: "Add an H1 heading describing the main topic of the page",
+      addH2Sections: "Split the content into sections with H2 headings",
+      addParagraphs: "Expand the content with more paragraphs",
+      addDescription: "Add a meta description",
+      addTitle: "Add a page title",
+   },
+
+   // Raport HTML (seo-analyzer.js)
+   report: {
+      noKeywords: "no keywords",
+      title: "SEO report",
+      filters: {
+         url: "Search by URL",
+         allStatuses: "All statuses",
+         allRules: "All issues",
+         allSeverities: "Any severity",
+         reset: "Clear filters",
+         expand: "Expand pages",
+         collapse: "Collapse pages",
+         count: "Pages: {visible} of {total}",
+      },
+      ai: {
+         title: "AI suggestions",
+         cache: "AI cache: {hits} cached responses, {misses} new requests",
+         fromCache: "(cached)",
+         optimizedTitles: "Optimized titles",
+         optimizedDescriptions: "Optimized descriptions",
+         optimizedSocialTags: "Optimized Open Graph tags",
+         mainKeywords: "Main keywords",
+         longTailKeywords: "Long-tail keywords",
+         relatedTopics: "Related topics",
+         contentStructure: "Suggested content structure",
+         seoSuggestions: "SEO suggestions",
+         keywordSuggestions: "Suggested keywords",
+      },
+      score: {
+         title: "SEO score",
+         topFixes: "Fixes with the biggest impact on the score",
+         issue: "Issue",
+         category: "Category",
+         severity: "Severity",
+         pages: "Pages",
+         gain: "Score gain",
+         lowestPages: "Pages with the lowest score",
+         score: "Score",
+         topFix: "Most important fix",
+      },
+      summary: {
+         title: "Summary",
+         pages: "Analyzed pages",
+         averageTitleLength: "Average title length",
+         averageDescriptionLength: "Average description length",
+         unchangedPages: "Pages unchanged since {date}",
+      },
+      characters: "{count} characters",
+      pages: {
+         title: "Pages",
+         statusChart: "Response codes",
+         titleLengthChart: "Title length (recommended {min}-{max} characters)",
+         descriptionLengthChart: "Description length (recommended {min}-{max} characters)",
+         status: "Status",
+         titleLength: "Title length",
+         descriptionLength: "Description length",
+         issues: "Issues",
+      },
+      missing: "missing",
+      issues: {
+         title: "Detected issues ({counts})",
+      },
+      robots: {
+         title: "Robots directives",
+         blocked: "Blocked in robots.txt",
+         noindexPages: "Pages with noindex",
+         nofollowPages: "Pages with nofollow",
+         noindexInSitemap: "Noindex in sitemap",
+         blockedInSitemap: "Blocked in robots.txt but listed in sitemap",
+      },
+      structuredData: {
+         title: "Structured data",
+         pagesWithout: "Pages without structured data",
+         parseErrors: "Parse errors",
+         invalidItems: "Items with validation errors",
+         typesFound: "Types found",
+         missingTypes: "Missing expected types: {types}",
+         none: "No structured data",
+         noType: "(no type)",
+         missingRequired: "missing required: {properties}",
+         missingRecommended: "missing recommended: {properties}",
+         error: "{format} error: {message}",
+      },
+      none: "none",
+      linkGraph: {
+         title: "Internal link graph",
+         pages: "Pages in the graph",
+         links: "Unique links",
+         orphanPages: "Orphan pages",
+         deadEnds: "Dead ends",
+         deepPages: "Pages deeper than {maxClickDepth} clicks",
+         interactive: "Interactive graph",
+         truncated: "({count} pages with the highest PageRank)",
+         help:
+            "Node size reflects PageRank. Click a page to highlight its links; the mouse wheel zooms and dragging the background pans the view.",
+         nodeTitle: "{id} (PageRank: {score}, inbound links: {inbound})",
+         selectedNode:
+            "{id} - PageRank: {score}/100, inbound links: {inbound}, outbound: {outbound}, depth: {depth}",
+         orphanPagesList: "Orphan pages (in sitemap, no internal links)",
+         deadEndsList: "Dead ends (no internal links)",
+         deepPagesList: "Pages too deep in the structure",
+         deepPage: "{url} (depth: {depth})",
+         hubs: "Hubs (most outbound links)",
+         hub: "{url} ({outbound} links)",
+         topPages: "Highest PageRank",
+         topPage: "{url} ({score}/100, inbound links: {inbound})",
+         exports: "Graph export: {files}",
+      },
+      duplicates: {
+         title: "Duplicate content",
+         clusters: "Near-duplicate content clusters",
+         titles: "Duplicate titles",
+         descriptions: "Duplicate descriptions",
+         h1: "Duplicate H1",
+         cluster: "Cluster {number}: {count} pages, similarity {min}-{max}%",
+         h1Headings: "Duplicate H1 headings",
+         group: '"{value}" ({count} pages): {urls}',
+      },
+      keywords: {
+         title: "Keywords",
+         sitePlacement: "Keyword placement (number of pages)",
+         keyword: "Keyword",
+         pages: "Pages",
+         count: "Occurrences in content",
+         averageDensity: "Average density",
+         siteTopTerms: "Most frequent site terms",
+         density: "Density",
+         placement: "Placement",
+         placementScore: "Placement score",
+         words: "Content words: {count}",
+         absent: "keywords not found on the page: {count}",
+         pageTopTerms: "Top page terms (TF-IDF)",
+         placements: {
+            title: "Title",
+            description: "Meta description",
+            h1: "H1",
+            headings: "H2-H6 headings",
+            firstParagraph: "First paragraph",
+            url: "URL",
+            alt: "Image alt",
+         },
+      },
+      content: {
+         title: "Content length and readability",
+         averageWords: "Average content words",
+         medianWords: "Median content words",
+         thinPages: "Thin content pages (under {min} words)",
+         textRatio: "Text to HTML ratio",
+         fog: "FOG index",
+         flesch: "Flesch Reading Ease",
+         averageSentenceLength: "Average sentence length (words)",
+         longSentenceRatio: "Long sentences",
+         passiveRatio: "Passive voice sentences",
+         wordsChart: "Content words per page",
+         levelsChart: "Readability level (FOG)",
+         textRatioChart: "Text to HTML ratio (%)",
+         words: "Content words",
+         thin: "thin content",
+         level: "Readability level",
+         sentences: "Sentences",
+         notEnoughSentences: "not enough sentences to assess",
+         levels: {
+            easy: "easy",
+            medium: "medium",
+            hard: "hard",
+            veryHard: "very hard",
+         },
+      },
+      headings: {
+         title: "Heading structure",
+         multipleH1: "Pages with multiple H1s",
+         emptyHeadings: "Pages with empty headings",
+         skippedLevels: "Pages with skipped heading levels",
+         h1TitleMismatch: "Pages with H1 not matching the title (under {min}% common words)",
+         duplicates: "H2-H6 headings repeated across pages",
+         outline: "Heading outline",
+         titleSimilarity: "H1 to title match: {similarity}%",
+         notes: {
+            multipleH1: "one of several H1s",
+            skipped: "skipped level",
+            duplicate: "repeated on other pages",
+            empty: "empty heading",
+         },
+      },
+      brokenLinks: {
+         title: "Broken links",
+         externalChecked: "External links checked",
+         resourcesChecked: "Resources checked",
+         redirected: "Redirected",
+         types: {
+            internal: "Internal link",
+            external: "External link",
+            resource: "Resource",
+         },
+         redirectedLinks: "Redirected external links and resources",
+         linkedFrom: "linked from: {urls}",
+      },
+      images: {
+         title: "Images",
+         total: "Images on pages",
+         unique: "Unique files",
+         broken: "Unavailable images",
+         brokenImage: "{url} ({status}) on pages: {urls}",
+         image: "Image",
+         missingSrc: "missing src",
+         emptyAlt: "empty",
+         suggestedAlt: "AI suggestion",
+      },
+      social: {
+         title: "Open Graph and Twitter Card",
+         pagesWithout: "Pages without Open Graph tags",
+         imagesChecked: "Images checked",
+         problem: "{problem}: {count} pages",
+         preview: "Share preview",
+         noImage: "no image",
+      },
+      rendering: {
+         title: "JavaScript-dependent content",
+         pageTitle: "Title",
+         renderedMetaTag: "Meta tag only after rendering: {name}",
+         changedMetaTag: "Meta tag {name}",
+         renderedHeading: "Heading only after rendering: {heading}",
+         renderedLink: "Link only after rendering: {link}",
+         wordCount: "Word count: {raw} (raw HTML) / {rendered} (rendered)",
+      },
+      redirects: {
+         title: "Redirects",
+         chains: "Chains (more than 1 hop)",
+         temporary: "Temporary (302/303/307)",
+         internalLinks: "Internal links to redirects",
+         loop: "loop",
+      },
+      canonicals: {
+         title: "Canonical URLs",
+         multiple: "Multiple canonical tags",
+         mismatch: "Canonical points to another URL variant",
+         canonicalizedAway: "Pages canonicalized to another URL",
+         toRedirect: "Canonical points to a redirect",
+         toNon200: "Canonical points to a page with a non-200 status",
+      },
+      page: {
+         score: "Score: {score}/100",
+         failedCheck: "{label} ({severity}, +{gain} pts)",
+         contentAnalysis: "AI content analysis",
+         contentStructure: "Content structure suggestions",
+         title: "Page title",
+         missingTitle: "Missing title",
+         foundKeywords: "Keywords found: {keywords}",
+         missingKeywords: "Missing keywords: {keywords}",
+         titleKeywords: "Keywords in title",
+         optimizedTitle: "Optimized title",
+         description: "Meta description",
+         missingDescription: "Missing description",
+         descriptionKeywords: "Keywords in description",
+         optimizedDescription: "Optimized description",
+         stats: "Page statistics",
+         internalLinks: "Internal links",
+         externalLinks: "External links",
+         canonical: "Canonical URL",
+         inboundLinks: "Inbound links",
+         robotsDirectives: "Robots directives",
+      },
+   },
+
+   // Porównanie raportów (report-diff.js)
+   diff: {
+      metrics: {
+         score: "Site SEO score",
+         pages: "Analyzed pages",
+         issues: "Issues",
+         brokenLinks: "Broken links",
+         pagesWithoutTitle: "Pages without a title",
+         pagesWithoutDescription: "Pages without a meta description",
+         pagesWithoutH1: "Pages without an H1",
+         invalidTitleLength: "Titles with invalid length",
+         invalidDescriptionLength: "Descriptions with invalid length",
+         redirectChains: "Redirect chains",
+         missingCanonical: "Pages without a canonical",
+         structuredDataErrors: "Structured data errors",
+         pagesWithoutOpenGraph: "Pages without Open Graph",
+         imageProblems: "Image issues",
+         duplicateContent: "Near-duplicate content clusters",
+         duplicateTitles: "Duplicate titles",
+         orphanPages: "Orphan pages",
+      },
+      fields: {
+         title: "Title",
+         description: "Meta description",
+         h1: "H1",
+      },
+      title: "SEO report comparison",
+      summary: "Summary",
+      fixedIssues: "Fixed issues",
+      newIssues: "New issues",
+      betterWorse: "Metrics better / worse",
+      brokenLinks: "Broken links",
+      metricsTitle: "Metrics",
+      metric: "Metric",
+      noFixedIssues: "No fixed issues",
+      noNewIssues: "No new issues",
+      pages: "Pages",
+      added: "Added",
+      noAddedPages: "No new pages",
+      removed: "Removed",
+      noRemovedPages: "No removed pages",
+      statusChanges: "Status changes",
+      scoreChanges: "Page score changes",
+      contentChanges: "Title, description and heading changes",
+      element: "Element",
+      fixed: "Fixed",
+      noFixedLinks: "No fixed links",
+      new: "New",
+      noNewLinks: "No new broken links",
+      before: "Before",
+      after: "After",
+      change: "Change",
+   },
+
+   // Eksport do arkuszy CSV i XLSX (spreadsheet-export.js)
+   export: {
+      pages: {
+         label: "Pages",
+         columns: {
+            url: "URL",
+            status: "Status",
+            depth: "Depth",
+            title: "Title",
+            titleLength: "Title length",
+            description: "Meta description",
+            descriptionLength: "Description length",
+            h1: "H1",
+            canonical: "Canonical",
+            noindex: "Noindex",
+            internalLinks: "Internal links",
+            externalLinks: "External links",
+            inboundLinks: "Inbound links",
+            pageRank: "PageRank",
+            images: "Images",
+            words: "Content words",
+            thinContent: "Thin content",
+            textRatio: "Text/HTML (%)",
+            fog: "FOG index",
+            flesch: "Flesch Reading Ease",
+            averageSentenceLength: "Average sentence length",
+            passiveRatio: "Passive voice (%)",
+            responseTime: "Response time (ms)",
+            htmlBytes: "HTML size (B)",
+            score: "SEO score",
+            unchanged: "Unchanged",
+         },
+      },
+      issues: {
+         label: "Issues",
+         columns: {
+            id: "ID",
+            severity: "Severity",
+            category: "Category",
+            rule: "Rule",
+            url: "URL",
+            message: "Message",
+         },
+      },
+      links: {
+         label: "Links",
+         columns: {
+            source: "Source page",
+            target: "Target URL",
+            anchor: "Anchor text",
+            type: "Type",
+            status: "Status",
+            finalUrl: "Final URL",
+         },
+      },
+      keywords: {
+         label: "Keywords",
+         columns: {
+            url: "URL",
+            keyword: "Keyword",
+            count: "Occurrences in content",
+            density: "Density (%)",
+            inTitle: "In title",
+            inDescription: "In meta description",
+            inH1: "In H1",
+            inHeadings: "In H2-H6 headings",
+            inFirstParagraph: "In first paragraph",
+            inUrl: "In URL",
+            inAlt: "In image alt",
+            score: "Placement score",
+         },
+      },
+      aiSuggestions: {
+         label: "AI suggestions",
+         columns: {
+            url: "URL",
+            title: "Current title",
+            optimizedTitle: "Suggested title",
+            description: "Current description",
+            optimizedDescription: "Suggested description",
+            optimizedOgTitle: "Suggested og:title",
+            optimizedOgDescription: "Suggested og:description",
+            keywordSuggestions: "Suggested keywords",
+         },
+      },
+   },
+
+   // CI mode results in JUnit (ci-report.js)
+   ci: {
+      thresholdsSuite: "CI thresholds",
+      rulesSuite: "Audit rules",
+      thresholds: {
+         minPages: "Analyzed pages (at least {limit})",
+         minScore: "Site SEO score (at least {limit})",
+         brokenInternalLinks: "Broken internal links (at most {limit})",
+         severity: "Issues with severity {severity} (at most {limit})",
+         rule: "Issues of rule {rule} (at most {limit})",
+         maxNewIssues: "New issues compared to the baseline report (at most {limit})",
+      },
+      value: "Value: {actual}, threshold: {limit}",
+      none: "none",
+      ruleIssues: "Number of issues: {count}",
+   },
+};
@@ -0,0 +1,703 @@
+/**
+ * Komunikaty w języku polskim (katalog domyślny, zawiera wszystkie klucze)
+ */
+
+module.exports = {
+   categories: {
+      technical: "Techniczne",
+      content: "Treść",
+      metadata: "Metadane",
+      links: "Linki",
+      performance: "Wydajność",
+   },
+   severities: {
+      critical: "krytyczny",
+      warning: "ostrzeżenie",
+      notice: "uwaga",
+   },
+
+   // Komunikaty reguł audytu (audit-rules.js), klucz to identyfikator reguły
+   rules: {
+      missingTitle: "Brak tytułu na stronie: {url}",
+      titleLength: "Nieprawidłowa długość tytułu ({length} znaków, zalecane {min}-{max}) na stronie: {url}",
+      missingDescription: "Brak meta opisu na stronie: {url}",
+      descriptionLength: "Nieprawidłowa długość meta opisu ({length} znaków, zalecane {min}-{max}) na stronie: {url}",
+      duplicateTitle: 'Zduplikowany tytuł "{value}" na {count} stronach: {urls}',
+      duplicateDescription: 'Zduplikowany opis "{value}" na {count} stronach: {urls}',
+      duplicateH1: 'Zduplikowany nagłówek H1 "{value}" na {count} stronach: {urls}',
+      missingOpenGraph: "{count} stron nie zawiera tagów Open Graph",
+      socialMeta: "{problem} na {pages}",
+      missingH1: "Brak nagłówka H1 na stronie: {url}",
+      multipleH1: "Kilka nagłówków H1 ({count}) na stronie: {url}",
+      emptyHeading: "Puste nagłówki ({levels}) na stronie: {url}",
+      skippedHeadingLevel: "Pominięte poziomy nagłówków ({skips}) na stronie: {url}",
+      duplicateHeading: 'Nagłówek "{value}" powtarza się na {count} stronach: {urls}',
+      h1TitleMismatch: 'Nagłówek H1 "{h1}" nie odpowiada tytułowi ({similarity}% wspólnych słów) na stronie: {url}',
+      nearDuplicateContent: "Zbliżona treść (średnio {similarity}% podobieństwa) na {count} stronach: {urls}",
+      keywordStuffing: 'Zbyt duża gęstość słowa kluczowego "{keyword}" ({density}%, zalecane najwyżej {max}%) na stronie: {url}',
+      thinContent: "Cienka treść ({words} słów, zalecane co najmniej {min}) na stronie: {url}",
+      imageMissingAlt: "{count} obrazków bez atrybutu alt (stron: {pages})",
+      imageEmptyAlt: "{count} obrazków z pustym atrybutem alt (stron: {pages})",
+      imageFilename: "{count} obrazków z nieopisową nazwą pliku (stron: {pages})",
+      imageDimensions: "{count} obrazków bez atrybutów width i height (stron: {pages})",
+      imageOversized: "{count} obrazków o zbyt dużym rozmiarze pliku (stron: {pages})",
+      imageLegacyFormat: "{count} obrazków w starszym formacie zamiast WebP/AVIF (stron: {pages})",
+      imageLazyLoading: '{count} obrazków poniżej linii zgięcia bez loading="lazy" (stron: {pages})',
+      imageEagerLoading: '{count} obrazków na górze strony z loading="lazy" (stron: {pages})',
+      brokenImage: "Niedostępny obrazek ({status}): {image} na stronach: {urls}",
+      javaScriptContent: "Elementy dostępne dopiero po wykonaniu JavaScriptu ({elements}) na stronie: {url}",
+      structuredDataParseError: "Błąd parsowania danych strukturalnych ({format}: {error}) na stronie: {url}",
+      structuredDataMissingRequired: "Brak wymaganych właściwości {type} ({properties}) na stronie: {url}",
+      structuredDataWarning: "{type}: {warning} na stronie: {url}",
+      missingStructuredDataType: "Brak danych strukturalnych typu: {types}",
+      pagesWithoutStructuredData: "{count} stron nie zawiera danych strukturalnych",
+      redirectLoop: "Pętla przekierowań: {url}",
+      redirectChain: "Łańcuch {hops} przekierowań: {url} -> {finalUrl}",
+      temporaryRedirect: "Tymczasowe przekierowanie ({status}) - jeśli przeniesienie jest trwałe, użyj 301/308: {url}",
+      multipleCanonicals: "Wiele tagów canonical na stronie: {url}",
+      canonicalMismatch: "Canonical wskazuje inny wariant adresu ({canonical}) na stronie: {url}",
+      canonicalizedAway: "Strona kanonizowana do innego adresu ({canonical}): {url}",
+      canonicalToRedirect: "Canonical wskazuje na przekierowanie ({canonical}) na stronie: {url}",
+      canonicalToNon200: "Canonical wskazuje na stronę ze statusem {status} ({canonical}) na stronie: {url}",
+      robotsTxtUnavailable: "Plik robots.txt jest niedostępny (status: {status})",
+      blockedByRobotsTxt: "{count} stron zablokowanych w robots.txt nie zostało scrawlowanych",
+      noindexPages: "{count} stron oznaczonych jako noindex",
+      nofollowPages: "{count} stron oznaczonych jako nofollow",
+      noindexInSitemap: "Strona z noindex znajduje się w sitemap: {url}",
+      blockedInSitemap: "Strona zablokowana w robots.txt znajduje się w sitemap: {url}",
+      missingSitemap: "Nie znaleziono sitemap z adresami stron ({locations})",
+      notInSitemap: "{count} stron nie jest w sitemap",
+      sitemapNotCrawled: "{count} stron z sitemap nie zostało scrawlowanych",
+      brokenLink: "Uszkodzony {type} ({status}): {target} - linkowany z: {urls}",
+      internalLinksToRedirects: "{count} linków wewnętrznych wskazuje na przekierowujące adresy",
+      redirectedExternalLinks: "{count} linków zewnętrznych prowadzi do przekierowań",
+      orphanPage: "Strona osierocona (w sitemap, bez linków wewnętrznych): {url}",
+      deadEnd: "Strona bez linków wewnętrznych (ślepy zaułek): {url}",
+      deepPages: "{count} stron jest głębiej niż {maxClickDepth} kliknięcia od strony startowej",
+   },
+   ruleParts: {
+      linkTypes: {
+         internal: "link wewnętrzny",
+         external: "link zewnętrzny",
+         resource: "zasób",
+      },
+      renderedTitle: "tytuł",
+      renderedMetaTags: "meta tagi",
+      renderedLinks: "{count} linków",
+      renderedHeadings: "nagłówki",
+      renderedWords: "{count} słów treści",
+      onePage: "stronie: {url}",
+      manyPages: "{count} stronach",
+   },
+
+   // Sprawdzenia oceny SEO (seo-score.js)
+   scoring: {
+      indexable: "Strona oznaczona jako noindex",
+      canonical: "Brak adresu kanonicznego",
+      canonicalSelf: "Canonical wskazuje na inny adres",
+      structuredData: "Błędy w danych strukturalnych",
+      renderedContent: "Treść dostępna dopiero po wykonaniu JavaScriptu",
+      h1: "Brak nagłówka H1",
+      uniqueContent: "Treść zbliżona do innych stron",
+      contentLength: "Za mało treści na stronie",
+      uniqueH1: "Nagłówek H1 powtarza się na innych stronach",
+      imageAlt: "Obrazki bez atrybutu alt",
+      title: "Brak tytułu strony",
+      titleLength: "Nieprawidłowa długość tytułu",
+      uniqueTitle: "Tytuł powtarza się na innych stronach",
+      description: "Brak meta opisu",
+      descriptionLength: "Nieprawidłowa długość meta opisu",
+      uniqueDescription: "Meta opis powtarza się na innych stronach",
+      socialMeta: "Problemy z tagami Open Graph / Twitter Card",
+      brokenLinks: "Linki do niedziałających adresów",
+      inboundLinks: "Brak linków wewnętrznych prowadzących do strony",
+      outboundLinks: "Brak linków wewnętrznych na stronie",
+      redirectLinks: "Linki wewnętrzne do przekierowań",
+      clickDepth: "Strona zbyt głęboko w strukturze serwisu",
+      responseTime: "Długi czas odpowiedzi serwera",
+      htmlSize: "Duży rozmiar dokumentu HTML",
+      imageSize: "Zbyt duże pliki obrazków",
+      imageFormat: "Obrazki w starszych formatach zamiast WebP/AVIF",
+      imageDimensions: "Obrazki bez wymiarów (przesunięcia układu)",
+      lazyLoading: "Nieprawidłowe leniwe ładowanie obrazków",
+   },
+
+   images: {
+      labels: {
+         missingAlt: "obrazków bez atrybutu alt",
+         emptyAlt: "obrazków z pustym atrybutem alt",
+         filename: "obrazków z nieopisową nazwą pliku",
+         dimensions: "obrazków bez atrybutów width i height",
+         oversized: "obrazków o zbyt dużym rozmiarze pliku",
+         legacyFormat: "obrazków w starszym formacie zamiast WebP/AVIF",
+         lazyLoading: 'obrazków poniżej linii zgięcia bez loading="lazy"',
+         eagerLoading: 'obrazków na górze strony z loading="lazy"',
+         broken: "niedostępnych obrazków",
+      },
+      problems: {
+         missingAlt: "Brak atrybutu alt",
+         emptyAlt: "Pusty atrybut alt (dopuszczalny tylko dla obrazków dekoracyjnych)",
+         filename: "Nieopisowa nazwa pliku: {reason}",
+         dimensions: "Brak atrybutów width i height (przesunięcia układu, CLS)",
+         lazyLoading: 'Obrazek poniżej linii zgięcia bez loading="lazy"',
+         eagerLoading: 'Obrazek na górze strony z loading="lazy" opóźnia LCP',
+         broken: "Obrazek niedostępny ({status})",
+         oversized: "Plik ma {size} KB (limit {limit} KB)",
+         legacyFormat: "Format {format} zamiast WebP/AVIF",
+      },
+      filenames: {
+         generic: "generyczna nazwa pliku z aparatu lub zrzutu ekranu",
+         digits: "nazwa pliku składa się z samych cyfr",
+         hash: "nazwa pliku wygląda na skrót (hash)",
+         separators: "nazwa pliku powinna oddzielać słowa myślnikami",
+      },
+   },
+
+   social: {
+      tooShort: "{tag} jest za krótki (mniej niż {min} znaków)",
+      tooLong: "{tag} jest za długi (więcej niż {max} znaków)",
+      missing: "Brak tagu {tag}",
+      relative: "{tag} nie jest bezwzględnym adresem URL",
+      invalidCard: "Nieprawidłowa wartość twitter:card: {card}",
+      unreachable: "{tag} jest niedostępny ({status})",
+      notImage: "{tag} nie jest obrazkiem ({contentType})",
+      tooSmall: "{tag} jest za mały ({size}, minimum {minSize})",
+      belowRecommended: "{tag} jest mniejszy niż zalecane {recommendedSize} ({size})",
+   },
+
+   structuredData: {
+      notQuestion: "mainEntity[{index}] nie jest obiektem Question",
+      missingQuestion: "mainEntity[{index}] nie ma pytania (name)",
+      missingAnswer: "mainEntity[{index}] nie ma odpowiedzi (acceptedAnswer.text)",
+      notListItem: "itemListElement[{index}] nie jest obiektem ListItem",
+      missingPosition: "itemListElement[{index}] nie ma pozycji (position)",
+      missingName: "itemListElement[{index}] nie ma nazwy (name)",
+      missingItem: "itemListElement[{index}] nie ma adresu (item)",
+   },
+
+   // Błędy przekierowań (link-checker.js, crawlowanie w seo-analyzer.js)
+   linkCheck: {
+      redirectLoop: "Pętla przekierowań",
+      tooManyRedirects: "Przekroczono limit {max} przekierowań",
+   },
+
+   // Szablony zapytań do AI w języku treści strony
+   prompts: {
+      industry: "Branża: {industry}.",
+      location: "Docelowa lokalizacja: {location}.",
+      keywordTopic: "branżą {industry}",
+      defaultKeywordTopic: "tematyką strony",
+      imageContext: '- {src} (kontekst: "{context}")',
+      optimizeTitle: `Zoptymalizuj poniższy tytuł strony pod kątem SEO, uwzględniając następujące słowa kluczowe: {keywords}.
+Tytuł powinien być naturalny, przyciągający uwagę i zawierać najważniejsze słowa kluczowe. Maksymalna długość: {maxLength} znaków.
+{context}
+Obecny tytuł: "{currentTitle}"
+Odpowiedź musi być w formacie JSON:
+{
+   "optimizedTitle": "optymalizowany tytuł"
+} nie zwracaj niczego innego`,
+      optimizeDescription: `Zoptymalizuj poniższy opis strony pod kątem SEO, uwzględniając następujące słowa kluczowe: {keywords}.
+Opis powinien być naturalny, zachęcający do kliknięcia i zawierać najważniejsze słowa kluczowe. Maksymalna długość: {maxLength} znaków.
+{context}
+Obecny opis: "{currentDescription}"
+Odpowiedź musi być w formacie JSON:
+{
+   "optimizedDescription": "optymalizowany opis"
+} nie zwracaj niczego innego`,
+      analyzeContent: `Przeanalizuj poniższą treść pod kątem SEO i zaproponuj ulepszenia:
+Treść: "{content}"
+Słowa kluczowe: {keywords}
+
+Przeanalizuj:
+1. Gęstość słów kluczowych
+2. Naturalność tekstu
+3. Strukturę i czytelność
+4. Potencjalne ulepszenia
+Odpowiedź musi być w formacie JSON:
+{
+   "suggestions": ["słowo1", "słowo2", "słowo3"]
+} nie zwracaj niczego innego`,
+      generateKeywordSuggestions: `Zaproponuj dodatkowe słowa kluczowe związane z {topic}, które mogłyby uzupełnić obecną listę: {keywords}. {location}
+Uwzględnij:
+1. Frazy długiego ogona
+2. Synonimy
+3. Powiązane usługi
+4. Lokalne słowa kluczowe
+Odpowiedź musi być w formacie JSON:
+{
+   "suggestions": ["słowo1", "słowo2", "słowo3"]
+} nie zwracaj niczego innego`,
+      optimizeSocialTags: `Zaproponuj tytuł i opis strony do udostępniania w mediach społecznościowych (og:title, og:description), uwzględniając następujące słowa kluczowe: {keywords}.
+Tekst powinien zachęcać do kliknięcia w podglądzie linku na Facebooku, LinkedIn i X. Maksymalna długość tytułu: {titleMaxLength} znaków, opisu: {descriptionMaxLength} znaków.
+Tytuł strony: "{title}"
+Meta opis: "{description}"
+Obecny og:title: "{ogTitle}"
+Obecny og:description: "{ogDescription}"
+Odpowiedź musi być w formacie JSON:
+{
+   "ogTitle": "tytuł do udostępnień",
+   "ogDescription": "opis do udostępnień"
+} nie zwracaj niczego innego`,
+      suggestAltTexts: `Zaproponuj tekst alternatywny (atrybut alt) dla każdego z poniższych obrazków na stronie "{title}".
+Opisz zawartość obrazka na podstawie nazwy pliku i otaczającego tekstu, naturalnie uwzględniając słowa kluczowe, jeśli pasują: {keywords}.
+Tekst alternatywny powinien mieć maksymalnie 125 znaków i nie zaczynać się od "obrazek" ani "zdjęcie".
+Obrazki:
+{images}
+Odpowiedź musi być w formacie JSON:
+{
+   "altTexts": [{ "src": "adres obrazka", "alt": "tekst alternatywny" }]
+} nie zwracaj niczego innego`,
+      analyzePageContent: `Przeanalizuj poniższą treść strony i wygeneruj:
+1. Listę głównych słów kluczowych (max 10)
+2. Listę długiego ogona (max 15)
+3. Listę powiązanych tematów (max 10)
+4. Sugestie dotyczące struktury treści
+5. Sugestie dotyczące optymalizacji pod SEO
+
+Treść strony:
+{content}
+
+URL: {url}
+
+Twoja odpowiedź musi być w formacie JSON o następującym formatowaniu:
+{
+"mainKeywords": [],
+"longTailKeywords": [],
+"relatedTopics": [],
+"contentStructure": [],
+"seoSuggestions": []
+} zwróć tylko JSON`,
+   },
+
+   // Wskazówki dostawcy mock (ai-providers.js) w języku treści strony
+   mock: {
+      addKeyword: 'Dodaj słowo kluczowe "{keyword}" do treści',
+      addH1: "Dodaj nagłówek H1 opisujący główny temat strony",
+      addH2Sections: "Podziel treść na sekcje z nagłówkami H2",
+      addParagraphs: "Rozbuduj treść o kolejne akapity",
+      addDescription: "Dodaj meta opis strony",
+      addTitle: "Dodaj tytuł strony",
+   },
+
+   // Raport HTML (seo-analyzer.js)
+   report: {
+      noKeywords: "brak słów kluczowych",
+      title: "Raport SEO",
+      filters: {
+         url: "Szukaj po adresie URL",
+         allStatuses: "Wszystkie statusy",
+         allRules: "Wszystkie problemy",
+         allSeverities: "Każda ważność",
+         reset: "Wyczyść filtry",
+         expand: "Rozwiń strony",
+         collapse: "Zwiń strony",
+         count: "Stron: {visible} z {total}",
+      },
+      ai: {
+         title: "Sugestie AI",
+         cache: "Cache AI: {hits} odpowiedzi z cache, {misses} nowych zapytań",
+         fromCache: "(z cache)",
+         optimizedTitles: "Zoptymalizowane tytuły",
+         optimizedDescriptions: "Zoptymalizowane opisy",
+         optimizedSocialTags: "Zoptymalizowane tagi Open Graph",
+         mainKeywords: "Główne słowa kluczowe",
+         longTailKeywords: "Słowa kluczowe długiego ogona",
+         relatedTopics: "Powiązane tematy",
+         contentStructure: "Sugerowana struktura treści",
+         seoSuggestions: "Sugestie SEO",
+         keywordSuggestions: "Sugerowane słowa kluczowe",
+      },
+      score: {
+         title: "Ocena SEO",
+         topFixes: "Poprawki o największym wpływie na ocenę",
+         issue: "Problem",
+         category: "Kategoria",
+         severity: "Ważność",
+         pages: "Stron",
+         gain: "Wzrost oceny",
+         lowestPages: "Strony z najniższą oceną",
+         score: "Ocena",
+         topFix: "Najważniejsza poprawka",
+      },
+      summary: {
+         title: "Podsumowanie",
+         pages: "Liczba przeanalizowanych stron",
+         averageTitleLength: "Średnia długość tytułu",
+         averageDescriptionLength: "Średnia długość opisu",
+         unchangedPages: "Strony bez zmian od {date}",
+      },
+      characters: "{count} znaków",
+      pages: {
+         title: "Strony",
+         statusChart: "Kody odpowiedzi",
+         titleLengthChart: "Długość tytułów (zalecane {min}-{max} znaków)",
+         descriptionLengthChart: "Długość opisów (zalecane {min}-{max} znaków)",
+         status: "Status",
+         titleLength: "Długość tytułu",
+         descriptionLength: "Długość opisu",
+         issues: "Problemy",
+      },
+      missing: "brak",
+      issues: {
+         title: "Wykryte problemy ({counts})",
+      },
+      robots: {
+         title: "Dyrektywy dla robotów",
+         blocked: "Zablokowane w robots.txt",
+         noindexPages: "Strony z noindex",
+         nofollowPages: "Strony z nofollow",
+         noindexInSitemap: "Noindex w sitemap",
+         blockedInSitemap: "Zablokowane w robots.txt, ale obecne w sitemap",
+      },
+      structuredData: {
+         title: "Dane strukturalne",
+         pagesWithout: "Strony bez danych strukturalnych",
+         parseErrors: "Błędy parsowania",
+         invalidItems: "Elementy z błędami walidacji",
+         typesFound: "Znalezione typy",
+         missingTypes: "Brak oczekiwanych typów: {types}",
+         none: "Brak danych strukturalnych",
+         noType: "(bez typu)",
+         missingRequired: "brak wymaganych: {properties}",
+         missingRecommended: "brak zalecanych: {properties}",
+         error: "Błąd {format}: {message}",
+      },
+      none: "brak",
+      linkGraph: {
+         title: "Graf linków wewnętrznych",
+         pages: "Strony w grafie",
+         links: "Unikalne linki",
+         orphanPages: "Strony osierocone",
+         deadEnds: "Ślepe zaułki",
+         deepPages: "Strony głębiej niż {maxClickDepth} kliknięcia",
+         interactive: "Interaktywny graf",
+         truncated: "({count} stron o najwyższym PageRank)",
+         help:
+            "Wielkość węzła odpowiada PageRank. Kliknij stronę, aby podświetlić jej linki; kółko myszy przybliża, przeciąganie tła przesuwa widok.",
+         nodeTitle: "{id} (PageRank: {score}, linki przychodzące: {inbound})",
+         selectedNode:
+            "{id} - PageRank: {score}/100, linki przychodzące: {inbound}, wychodzące: {outbound}, głębokość: {depth}",
+         orphanPagesList: "Strony osierocone (w sitemap, bez linków wewnętrznych)",
+         deadEndsList: "Ślepe zaułki (brak linków wewnętrznych)",
+         deepPagesList: "Strony zbyt głęboko w strukturze",
+         deepPage: "{url} (głębokość: {depth})",
+         hubs: "Huby (najwięcej linków wychodzących)",
+         hub: "{url} ({outbound} linków)",
+         topPages: "Najwyższy PageRank",
+         topPage: "{url} ({score}/100, linki przychodzące: {inbound})",
+         exports: "Eksport grafu: {files}",
+      },
+      duplicates: {
+         title: "Zduplikowane treści",
+         clusters: "Klastry zbliżonej treści",
+         titles: "Zduplikowane tytuły",
+         descriptions: "Zduplikowane opisy",
+         h1: "Zduplikowane H1",
+         cluster: "Klaster {number}: {count} stron, podobieństwo {min}-{max}%",
+         h1Headings: "Zduplikowane nagłówki H1",
+         group: '"{value}" ({count} stron): {urls}',
+      },
+      keywords: {
+         title: "Słowa kluczowe",
+         sitePlacement: "Rozmieszczenie słów kluczowych (liczba stron)",
+         keyword: "Słowo kluczowe",
+         pages: "Strony",
+         count: "Wystąpienia w treści",
+         averageDensity: "Średnia gęstość",
+         siteTopTerms: "Najczęstsze terminy serwisu",
+         density: "Gęstość",
+         placement: "Rozmieszczenie",
+         placementScore: "Ocena rozmieszczenia",
+         words: "Słowa treści: {count}",
+         absent: "słowa kluczowe nieobecne na stronie: {count}",
+         pageTopTerms: "Najważniejsze terminy strony (TF-IDF)",
+         placements: {
+            title: "Tytuł",
+            description: "Meta opis",
+            h1: "H1",
+            headings: "Nagłówki H2-H6",
+            firstParagraph: "Pierwszy akapit",
+            url: "URL",
+            alt: "Alt obrazków",
+         },
+      },
+      content: {
+         title: "Objętość i czytelność treści",
+         averageWords: "Średnia liczba słów treści",
+         medianWords: "Mediana liczby słów treści",
+         thinPages: "Strony z cienką treścią (poniżej {min} słów)",
+         textRatio: "Stosunek tekstu do HTML",
+         fog: "Indeks FOG",
+         flesch: "Flesch Reading Ease",
+         averageSentenceLength: "Średnia długość zdania (słowa)",
+         longSentenceRatio: "Długie zdania",
+         passiveRatio: "Zdania w stronie biernej",
+         wordsChart: "Liczba słów treści na stronach",
+         levelsChart: "Poziom czytelności (FOG)",
+         textRatioChart: "Stosunek tekstu do HTML (%)",
+         words: "Słowa treści",
+         thin: "cienka treść",
+         level: "Poziom czytelności",
+         sentences: "Zdania",
+         notEnoughSentences: "za mało zdań do oceny",
+         levels: {
+            easy: "łatwy",
+            medium: "średni",
+            hard: "trudny",
+            veryHard: "bardzo trudny",
+         },
+      },
+      headings: {
+         title: "Struktura nagłówków",
+         multipleH1: "Strony z kilkoma H1",
+         emptyHeadings: "Strony z pustymi nagłówkami",
+         skippedLevels: "Strony z pominiętymi poziomami nagłówków",
+         h1TitleMismatch: "Strony z H1 niepasującym do tytułu (poniżej {min}% wspólnych słów)",
+         duplicates: "Nagłówki H2-H6 powtarzające się na wielu stronach",
+         outline: "Konspekt nagłówków",
+         titleSimilarity: "zgodność H1 z tytułem: {similarity}%",
+         notes: {
+            multipleH1: "jeden z kilku H1",
+            skipped: "pominięty poziom",
+            duplicate: "powtarza się na innych stronach",
+            empty: "pusty nagłówek",
+         },
+      },
+      brokenLinks: {
+         title: "Uszkodzone linki",
+         externalChecked: "Sprawdzone linki zewnętrzne",
+         resourcesChecked: "Sprawdzone zasoby",
+         redirected: "Przekierowane",
+         types: {
+            internal: "Link wewnętrzny",
+            external: "Link zewnętrzny",
+            resource: "Zasób",
+         },
+         redirectedLinks: "Przekierowane linki zewnętrzne i zasoby",
+         linkedFrom: "linkowany z: {urls}",
+      },
+      images: {
+         title: "Obrazki",
+         total: "Obrazki na stronach",
+         unique: "Unikalne pliki",
+         broken: "Niedostępne obrazki",
+         brokenImage: "{url} ({status}) na stronach: {urls}",
+         image: "Obrazek",
+         missingSrc: "brak src",
+         emptyAlt: "pusty",
+         suggestedAlt: "Sugestia AI",
+      },
+      social: {
+         title: "Open Graph i Twitter Card",
+         pagesWithout: "Strony bez tagów Open Graph",
+         imagesChecked: "Sprawdzone obrazki",
+         problem: "{problem}: {count} stron",
+         preview: "Podgląd udostępnienia",
+         noImage: "brak obrazka",
+      },
+      rendering: {
+         title: "Treść zależna od JavaScriptu",
+         pageTitle: "Tytuł",
+         renderedMetaTag: "Meta tag tylko po renderowaniu: {name}",
+         changedMetaTag: "Meta tag {name}",
+         renderedHeading: "Nagłówek tylko po renderowaniu: {heading}",
+         renderedLink: "Link tylko po renderowaniu: {link}",
+         wordCount: "Liczba słów: {raw} (surowy HTML) / {rendered} (po renderowaniu)",
+      },
+      redirects: {
+         title: "Przekierowania",
+         chains: "Łańcuchy (więcej niż 1 krok)",
+         temporary: "Tymczasowe (302/303/307)",
+         internalLinks: "Linki wewnętrzne do przekierowań",
+         loop: "pętla",
+      },
+      canonicals: {
+         title: "Adresy kanoniczne",
+         multiple: "Wiele tagów canonical",
+         mismatch: "Canonical wskazuje inny wariant adresu",
+         canonicalizedAway: "Strony kanonizowane do innego adresu",
+         toRedirect: "Canonical wskazuje na przekierowanie",
+         toNon200: "Canonical wskazuje na stronę ze statusem innym niż 200",
+      },
+      page: {
+         score: "Ocena: {score}/100",
+         failedCheck: "{label} ({severity}, +{gain} pkt)",
+         contentAnalysis: "Analiza treści AI",
+         contentStructure: "Sugestie struktury treści",
+         title: "Tytuł strony",
+         missingTitle: "Brak tytułu",
+         foundKeywords: "Znalezione słowa kluczowe: {keywords}",
+         missingKeywords: "Brakujące słowa kluczowe: {keywords}",
+         titleKeywords: "Słowa kluczowe w tytule",
+         optimizedTitle: "Zoptymalizowany tytuł",
+         description: "Meta opis",
+         missingDescription: "Brak opisu",
+         descriptionKeywords: "Słowa kluczowe w opisie",
+         optimizedDescription: "Zoptymalizowany opis",
+         stats: "Statystyki strony",
+         internalLinks: "Linki wewnętrzne",
+         externalLinks: "Linki zewnętrzne",
+         canonical: "Adres kanoniczny",
+         inboundLinks: "Linki przychodzące",
+         robotsDirectives: "Dyrektywy robots",
+      },
+   },
+
+   // Porównanie raportów (report-diff.js)
+   diff: {
+      metrics: {
+         score: "Ocena SEO serwisu",
+         pages: "Przeanalizowane strony",
+         issues: "Problemy",
+         brokenLinks: "Uszkodzone linki",
+         pagesWithoutTitle: "Strony bez tytułu",
+         pagesWithoutDescription: "Strony bez meta opisu",
+         pagesWithoutH1: "Strony bez H1",
+         invalidTitleLength: "Tytuły o nieprawidłowej długości",
+         invalidDescriptionLength: "Opisy o nieprawidłowej długości",
+         redirectChains: "Łańcuchy przekierowań",
+         missingCanonical: "Strony bez canonical",
+         structuredDataErrors: "Błędy danych strukturalnych",
+         pagesWithoutOpenGraph: "Strony bez Open Graph",
+         imageProblems: "Problemy z obrazkami",
+         duplicateContent: "Klastry zbliżonej treści",
+         duplicateTitles: "Zduplikowane tytuły",
+         orphanPages: "Strony osierocone",
+      },
+      fields: {
+         title: "Tytuł",
+         description: "Meta opis",
+         h1: "H1",
+      },
+      title: "Porównanie raportów SEO",
+      summary: "Podsumowanie",
+      fixedIssues: "Naprawione problemy",
+      newIssues: "Nowe problemy",
+      betterWorse: "Wskaźniki lepsze / gorsze",
+      brokenLinks: "Uszkodzone linki",
+      metricsTitle: "Wskaźniki",
+      metric: "Wskaźnik",
+      noFixedIssues: "Brak naprawionych problemów",
+      noNewIssues: "Brak nowych problemów",
+      pages: "Strony",
+      added: "Dodane",
+      noAddedPages: "Brak nowych stron",
+      removed: "Usunięte",
+      noRemovedPages: "Brak usuniętych stron",
+      statusChanges: "Zmiany statusów",
+      scoreChanges: "Zmiany oceny stron",
+      contentChanges: "Zmiany tytułów, opisów i nagłówków",
+      element: "Element",
+      fixed: "Naprawione",
+      noFixedLinks: "Brak naprawionych linków",
+      new: "Nowe",
+      noNewLinks: "Brak nowych uszkodzonych linków",
+      before: "Przed",
+      after: "Po",
+      change: "Zmiana",
+   },
+
+   // Eksport do arkuszy CSV i XLSX (spreadsheet-export.js)
+   export: {
+      pages: {
+         label: "Strony",
+         columns: {
+            url: "URL",
+            status: "Status",
+            depth: "Głębokość",
+            title: "Tytuł",
+            titleLength: "Długość tytułu",
+            description: "Meta opis",
+            descriptionLength: "Długość opisu",
+            h1: "H1",
+            canonical: "Canonical",
+            noindex: "Noindex",
+            internalLinks: "Linki wewnętrzne",
+            externalLinks: "Linki zewnętrzne",
+            inboundLinks: "Linki przychodzące",
+            pageRank: "PageRank",
+            images: "Obrazki",
+            words: "Słowa treści",
+            thinContent: "Cienka treść",
+            textRatio: "Tekst/HTML (%)",
+            fog: "Indeks FOG",
+            flesch: "Flesch Reading Ease",
+            averageSentenceLength: "Średnia długość zdania",
+            passiveRatio: "Strona bierna (%)",
+            responseTime: "Czas odpowiedzi (ms)",
+            htmlBytes: "Rozmiar HTML (B)",
+            score: "Ocena SEO",
+            unchanged: "Bez zmian",
+         },
+      },
+      issues: {
+         label: "Problemy",
+         columns: {
+            id: "Identyfikator",
+            severity: "Ważność",
+            category: "Kategoria",
+            rule: "Reguła",
+            url: "URL",
+            message: "Komunikat",
+         },
+      },
+      links: {
+         label: "Linki",
+         columns: {
+            source: "Strona źródłowa",
+            target: "Adres docelowy",
+            anchor: "Tekst linku",
+            type: "Typ",
+            status: "Status",
+            finalUrl: "Adres po przekierowaniu",
+         },
+      },
+      keywords: {
+         label: "Słowa kluczowe",
+         columns: {
+            url: "URL",
+            keyword: "Słowo kluczowe",
+            count: "Wystąpienia w treści",
+            density: "Gęstość (%)",
+            inTitle: "W tytule",
+            inDescription: "W meta opisie",
+            inH1: "W H1",
+            inHeadings: "W nagłówkach H2-H6",
+            inFirstParagraph: "W pierwszym akapicie",
+            inUrl: "W adresie URL",
+            inAlt: "W alt obrazków",
+            score: "Ocena rozmieszczenia",
+         },
+      },
+      aiSuggestions: {
+         label: "Sugestie AI",
+         columns: {
+            url: "URL",
+            title: "Obecny tytuł",
+            optimizedTitle: "Proponowany tytuł",
+            description: "Obecny opis",
+            optimizedDescription: "Proponowany opis",
+            optimizedOgTitle: "Proponowany og:title",
+            optimizedOgDescription: "Proponowany og:description",
+            keywordSuggestions: "Sugerowane słowa kluczowe",
+         },
+      },
+   },
+
+   // Wyniki trybu CI w JUnit (ci-report.js)
+   ci: {
+      thresholdsSuite: "Progi CI",
+      rulesSuite: "Reguły audytu",
+      thresholds: {
+         minPages: "Przeanalizowane strony (co najmniej {limit})",
+         minScore: "Ocena SEO serwisu (co najmniej {limit})",
+         brokenInternalLinks: "Uszkodzone linki wewnętrzne (najwyżej {limit})",
+         severity: "Problemy o ważności {severity} (najwyżej {limit})",
+         rule: "Problemy reguły {rule} (najwyżej {limit})",
+         maxNewIssues: "Nowe problemy względem raportu bazowego (najwyżej {limit})",
+      },
+      value: "Wartość: {actual}, próg: {limit}",
+      none: "brak",
+      ruleIssues: "Liczba problemów: {count}",
+   },
+};
@@ -0,0 +1,180 @@
+/**
+ * Renderowanie stron w headless Chrome (Puppeteer)
+ *
+ * - Ładowanie strony z wybranym warunkiem oczekiwania (waitUntil, selektor, opóźnienie)
+ * - Blokowanie żądań do zewnętrznych hostów i wybranych typów zasobów
+ * - Porównanie dokumentu surowego z wyrenderowanym
+ */
+
+const puppeteer = require("puppeteer");
+
+class PageRenderer {
+   constructor(options = {}) {
+      this.options = {
+         waitUntil: "networkidle2",
+         waitForSelector: null,
+         waitAfterLoad: 0,
+         blockThirdParty: true,
+         blockResourceTypes: [],
+         timeout: 30000,
+         userAgent: null,
+         ...options,
+      };
+      this.browser = null;
+      this.launching = null;
+   }
+
+   async getBrowser() {
+      if (this.browser) return this.browser;
+
+      // Przy współbieżnym crawlowaniu uruchamiamy tylko jedną przeglądarkę
+      if (!this.launching) {
+         this.launching = puppeteer.launch({ headless: "new" }).then((browser) => {
+            this.browser = browser;
+            return browser;
+         });
+      }
+      return this.launching;
+   }
+
+   shouldBlockRequest(request, pageHost) {
+      const { blockThirdParty, blockResourceTypes } = this.options;
+
+      if (blockResourceTypes.includes(request.resourceType())) return true;
+      if (!blockThirdParty) return false;
+
+      const requestUrl = request.url();
+      if (requestUrl.startsWith("data:") || requestUrl.startsWith("blob:")) {
+         return false;
+      }
+      try {
+         return new URL(requestUrl).host !== pageHost;
+      } catch (error) {
+         return true;
+      }
+   }
+
+   async render(pageUrl) {
+      const browser = await this.getBrowser();
+      const page = await browser.newPage();
+      const pageHost = new URL(pageUrl).host;
+      const blockedRequests = [];
+
+      try {
+         if (this.options.userAgent) {
+            await page.setUserAgent(this.options.userAgent);
+         }
+
+         await page.setRequestInterception(true);
+         page.on("request", (request) => {
+            if (request.isInterceptResolutionHandled()) return;
+
+            if (this.shouldBlockRequest(request, pageHost)) {
+               blockedRequests.push(request.url());
+               request.abort();
+            } else {
+               request.continue();
+            }
+         });
+
+         const response = await page.goto(pageUrl, {
+            waitUntil: this.options.waitUntil,
+            timeout: this.options.timeout,
+         });
+
+         if (this.options.waitForSelector) {
+            await page.waitForSelector(this.options.waitForSelector, {
+               timeout: this.options.timeout,
+            });
+         }
+         if (this.options.waitAfterLoad > 0) {
+            await new Promise((resolve) =>
+               setTimeout(resolve, this.options.waitAfterLoad)
+            );
+         }
+
+         return {
+            html: await page.content(),
+            status: response ? response.status() : 0,
+            finalUrl: page.url(),
+            blockedRequests,
+         };
+      } finally {
+         await page.close();
+      }
+   }
+
+   async close() {
+      if (this.launching) {
+         const browser = await this.launching.catch(() => null);
+         if (browser) await browser.close();
+      }
+      this.browser = null;
+      this.launching = null;
+   }
+}
+
+/**
+ * Porównuje migawki dokumentu przed i po wykonaniu JavaScriptu.
+ * Migawka: { title, metaTags: { name: content }, links: [], headings: [], wordCount }
+ */
+function compareSnapshots(raw, rendered) {
+   const rawLinks = new Set(raw.links);
+   const renderedLinks = new Set(rendered.links);
+   const rawHeadings = new Set(raw.headings);
+
+   const metaTagsOnlyRendered = Object.keys(rendered.metaTags).filter(
+      (name) => !(name in raw.metaTags)
+   );
+   const metaTagsChanged = Object.keys(rendered.metaTags)
+      .filter(
+         (name) =>
+            name in raw.metaTags && raw.metaTags[name] !== rendered.metaTags[name]
+      )
+      .map((name) => ({
+         name,
+         raw: raw.metaTags[name],
+         rendered: rendered.metaTags[name],
+      }));
+
+   const diff = {
+      title: {
+         raw: raw.title,
+         rendered: rendered.title,
+         onlyRendered: !raw.title && !!rendered.title,
+         changed: raw.title !== rendered.title,
+      },
+      metaTags: {
+         onlyRendered: metaTagsOnlyRendered,
+         changed: metaTagsChanged,
+      },
+      links: {
+         onlyRendered: [...renderedLinks].filter((link) => !rawLinks.has(link)),
+         onlyRaw: [...rawLinks].filter((link) => !renderedLinks.has(link)),
+      },
+      headings: {
+         onlyRendered: rendered.headings.filter(
+            (heading) => !rawHeadings.has(heading)
+         ),
+      },
+      wordCount: {
+         raw: raw.wordCount,
+         rendered: rendered.wordCount,
+      },
+   };
+
+   diff.dependsOnJavaScript =
+      diff.title.changed ||
+      diff.metaTags.onlyRendered.length > 0 ||
+      diff.metaTags.changed.length > 0 ||
+      diff.links.onlyRendered.length > 0 ||
+      diff.headings.onlyRendered.length > 0 ||
+      rendered.wordCount > raw.wordCount;
+
+   return diff;
+}
+
+module.exports = {
+   PageRenderer,
+   compareSnapshots,
+};
@@ -0,0 +1,299 @@
+/**
+ * Konfiguracja projektu
+ *
+ * Plik seo.config.json lub .seorc (JSON) w katalogu, z którego uruchamiany jest analizator,
+ * albo plik podany w opcji --config nadpisuje ustawienia z config.js. Opcje wiersza
+ * poleceń są nakładane na konfigurację projektu.
+ *
+ * Plik jest sprawdzany przed użyciem: typy ustawień wynikają z wartości domyślnych
+ * w config.js, a CONSTRAINTS dodaje zakresy, dozwolone wartości i wzorce.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { RULES, SEVERITY_ORDER } = require("./audit-rules");
+const { LANGUAGES } = require("./i18n");
+const config = require("./config");
+
+const PROJECT_CONFIG_FILES = ["seo.config.json", ".seorc", ".seorc.json"];
+
+const REPORT_FORMATS = ["json", "html", "pdf", "csv", "xlsx"];
+const AI_PROVIDERS = ["openai", "openai-compatible", "mock"];
+const RULE_IDS = RULES.map((rule) => rule.id);
+
+const TYPE_LABELS = {
+   string: "tekst",
+   number: "liczba",
+   integer: "liczba całkowita",
+   boolean: "wartość logiczna (true/false)",
+   array: "tablica",
+   object: "obiekt",
+};
+
+const nonNegativeInteger = { type: "integer", minimum: 0 };
+const positiveInteger = { type: "integer", minimum: 1 };
+const ratio = { type: "number", minimum: 0, maximum: 1 };
+const lengthRange = {
+   validate: (range) =>
+      range.min !== undefined && range.max !== undefined && range.min > range.max
+         ? "min nie może być większe niż max"
+         : null,
+};
+const regexPattern = {
+   type: "string",
+   validate: (pattern) => {
+      try {
+         new RegExp(pattern);
+         return null;
+      } catch (error) {
+         return `nieprawidłowe wyrażenie regularne (${error.message})`;
+      }
+   },
+};
+const ruleIdKeys = {
+   validateKey: (key) =>
+      RULE_IDS.includes(key) ? null : `nieznana reguła audytu (dostępne w audit-rules.js)`,
+};
+
+// Ograniczenia ustawień według ścieżki w konfiguracji (uzupełniają typ z wartości domyślnej)
+const CONSTRAINTS = {
+   "project.locale": {
+      pattern: /^([a-z]{2,3}(-[A-Z]{2})?|auto)$/,
+      patternMessage: "oczekiwano kodu języka, np. pl-PL, albo auto",
+   },
+   "ai.provider": { enum: AI_PROVIDERS },
+   "ai.concurrency": positiveInteger,
+   "ai.cache.ttl": nonNegativeInteger,
+   "ai.mock.responses": { additionalProperties: {} },
+   "openai.temperature": { type: "number", minimum: 0, maximum: 2 },
+   "crawler.timeout": positiveInteger,
+   "crawler.maxDepth": nonNegativeInteger,
+   "crawler.include": { items: regexPattern },
+   "crawler.exclude": { items: regexPattern },
+   "crawler.concurrency": positiveInteger,
+   "crawler.requestDelay": nonNegativeInteger,
+   "crawler.maxRedirects": nonNegativeInteger,
+   "crawler.maxPages": nonNegativeInteger,
+   "crawler.maxDuration": nonNegativeInteger,
+   "crawler.state.maxAge": nonNegativeInteger,
+   "crawler.linkCheck.concurrency": positiveInteger,
+   "crawler.render.waitUntil": {
+      enum: ["load", "domcontentloaded", "networkidle0", "networkidle2"],
+   },
+   "crawler.render.waitForSelector": { type: "string" },
+   "report.locale": { enum: LANGUAGES },
+   "report.formats": { items: { type: "string", enum: REPORT_FORMATS } },
+   "report.export.columns": { additionalProperties: { type: "array", items: { type: "string" } } },
+   "ci.baseline": { type: "string" },
+   "ci.thresholds.minPages": nonNegativeInteger,
+   "ci.thresholds.minScore": { type: "integer", minimum: 0, maximum: 100 },
+   "ci.thresholds.brokenInternalLinks": nonNegativeInteger,
+   "ci.thresholds.severities.critical": nonNegativeInteger,
+   "ci.thresholds.severities.warning": nonNegativeInteger,
+   "ci.thresholds.severities.notice": nonNegativeInteger,
+   "ci.thresholds.rules": {
+      ...ruleIdKeys,
+      additionalProperties: { ...nonNegativeInteger, nullable: true },
+   },
+   "ci.thresholds.maxNewIssues": nonNegativeInteger,
+   "seo.keywords": { items: { type: "string", minLength: 1 } },
+   "seo.structuredData.expectedTypes": { items: { type: "string", minLength: 1 } },
+   "seo.titleLength": lengthRange,
+   "seo.titleLength.min": nonNegativeInteger,
+   "seo.titleLength.max": positiveInteger,
+   "seo.descriptionLength": lengthRange,
+   "seo.descriptionLength.min": nonNegativeInteger,
+   "seo.descriptionLength.max": positiveInteger,
+   "seo.social.titleLength": lengthRange,
+   "seo.social.descriptionLength": lengthRange,
+   "seo.duplicates.similarityThreshold": ratio,
+   "seo.duplicates.boilerplateRatio": ratio,
+   "seo.keywordAnalysis.topTerms": nonNegativeInteger,
+   "seo.keywordAnalysis.minTermLength": positiveInteger,
+   "seo.keywordAnalysis.maxDensity": { type: "number", minimum: 0 },
+   "seo.keywordAnalysis.minWords": nonNegativeInteger,
+   "seo.headings.minTitleSimilarity": ratio,
+   "seo.readability.minWords": nonNegativeInteger,
+   "seo.readability.longSentenceWords": positiveInteger,
+   "seo.readability.minSentences": positiveInteger,
+   "seo.linkGraph.damping": ratio,
+   "seo.linkGraph.maxClickDepth": nonNegativeInteger,
+   "seo.linkGraph.exportFormats": { items: { type: "string", enum: ["json", "graphml", "dot"] } },
+   "seo.scoring.checks": { additionalProperties: { type: "number", minimum: 0 } },
+   "seo.rules": {
+      ...ruleIdKeys,
+      additionalProperties: {
+         type: "object",
+         properties: {
+            enabled: { type: "boolean" },
+            severity: { type: "string", enum: SEVERITY_ORDER },
+            options: { type: "object", additionalProperties: {} },
+         },
+      },
+   },
+};
+
+function isPlainObject(value) {
+   return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Scala ustawienia z pliku z konfiguracją; tablice i wartości proste są zastępowane
+function mergeConfig(target, source) {
+   for (const [key, value] of Object.entries(source)) {
+      if (isPlainObject(value) && isPlainObject(target[key])) {
+         mergeConfig(target[key], value);
+      } else {
+         target[key] = value;
+      }
+   }
+   return target;
+}
+
+function getType(value) {
+   if (Array.isArray(value)) return "array";
+   if (value === null) return "null";
+   return typeof value;
+}
+
+/**
+ * Schemat ustawienia: typ z wartości domyślnej, ograniczenia z CONSTRAINTS.
+ * Ustawienia bez wartości domyślnej (null, np. klucz API bez zmiennej środowiskowej)
+ * mogą przyjąć null lub wartość typu z CONSTRAINTS.
+ */
+function buildSchema(defaultValue, settingPath = "") {
+   const constraints = CONSTRAINTS[settingPath] || {};
+   const unset = defaultValue === null || defaultValue === undefined;
+   const schema = {
+      type: unset ? undefined : getType(defaultValue),
+      nullable: unset,
+      ...constraints,
+   };
+
+   if (isPlainObject(defaultValue)) {
+      schema.properties = {};
+      Object.entries(defaultValue).forEach(([key, value]) => {
+         schema.properties[key] = buildSchema(value, settingPath ? `${settingPath}.${key}` : key);
+      });
+   } else if (Array.isArray(defaultValue) && !schema.items) {
+      const [firstItem] = defaultValue;
+      schema.items = firstItem === undefined ? {} : { type: getType(firstItem) };
+   }
+   return schema;
+}
+
+function matchesType(value, type) {
+   if (type === undefined) return true;
+   if (type === "integer") return Number.isInteger(value);
+   if (type === "number") return typeof value === "number" && Number.isFinite(value);
+   return getType(value) === type;
+}
+
+function describeValue(value) {
+   const type = getType(value);
+   return type === "object" || type === "array" ? TYPE_LABELS[type] : JSON.stringify(value);
+}
+
+// Dopisuje do errors komunikaty "ścieżka: problem" dla wartości niezgodnych ze schematem
+function validateValue(value, schema, settingPath, errors) {
+   const fail = (message) => errors.push(`${settingPath || "(plik)"}: ${message}`);
+
+   if (value === null && schema.nullable) return;
+   if (!matchesType(value, schema.type)) {
+      fail(`oczekiwano: ${TYPE_LABELS[schema.type]}, podano: ${describeValue(value)}`);
+      return;
+   }
+   if (schema.enum && !schema.enum.includes(value)) {
+      fail(`nieprawidłowa wartość ${describeValue(value)}, dozwolone: ${schema.enum.join(", ")}`);
+   }
+   if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`wartość musi wynosić co najmniej ${schema.minimum}`);
+   }
+   if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`wartość może wynosić najwyżej ${schema.maximum}`);
+   }
+   if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("wartość nie może być pusta");
+   }
+   if (schema.pattern && !schema.pattern.test(value)) {
+      fail(schema.patternMessage);
+   }
+
+   if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) =>
+         validateValue(item, schema.items, `${settingPath}[${index}]`, errors)
+      );
+   }
+
+   if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, item]) => {
+         const itemPath = settingPath ? `${settingPath}.${key}` : key;
+         const keyError = schema.validateKey && schema.validateKey(key);
+         if (keyError) {
+            errors.push(`${itemPath}: ${keyError}`);
+            return;
+         }
+         const itemSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+         if (!itemSchema) {
+            errors.push(`${itemPath}: nieznane ustawienie`);
+            return;
+         }
+         validateValue(item, itemSchema, itemPath, errors);
+      });
+   }
+
+   const message = schema.validate && schema.validate(value);
+   if (message) fail(message);
+}
+
+// Zwraca listę błędów konfiguracji (pusta lista - konfiguracja poprawna)
+function validateProjectConfig(projectConfig, defaults = config) {
+   const errors = [];
+   validateValue(projectConfig, buildSchema(defaults), "", errors);
+   return errors;
+}
+
+// Pierwszy istniejący plik konfiguracji projektu w katalogu albo null
+function findProjectConfig(directory = process.cwd()) {
+   const fileName = PROJECT_CONFIG_FILES.map((name) => path.join(directory, name)).find((file) =>
+      fs.existsSync(file)
+   );
+   return fileName || null;
+}
+
+// Wczytuje i sprawdza plik konfiguracji (JSON lub moduł JS); błędy zawierają wszystkie problemy
+function loadProjectConfig(filePath) {
+   const resolvedPath = path.resolve(filePath);
+   if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Nie znaleziono pliku konfiguracji: ${filePath}`);
+   }
+
+   let projectConfig;
+   if (path.extname(resolvedPath) === ".js") {
+      projectConfig = require(resolvedPath);
+   } else {
+      try {
+         projectConfig = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+      } catch (error) {
+         throw new Error(`Nieprawidłowy JSON w pliku konfiguracji ${filePath}: ${error.message}`);
+      }
+   }
+
+   const errors = validateProjectConfig(projectConfig);
+   if (errors.length > 0) {
+      throw new Error(
+         `Nieprawidłowa konfiguracja w pliku ${filePath}:\n${errors
+            .map((error) => `  - ${error}`)
+            .join("\n")}`
+      );
+   }
+   return projectConfig;
+}
+
+module.exports = {
+   PROJECT_CONFIG_FILES,
+   REPORT_FORMATS,
+   mergeConfig,
+   validateProjectConfig,
+   findProjectConfig,
+   loadProjectConfig,
+};
@@ -0,0 +1,268 @@
+/**
+ * Czytelność i objętość treści stron (bez AI)
+ *
+ * - Liczba słów treści głównej i stosunek tekstu do HTML; strony poniżej progu słów
+ *   oznaczane są jako cienka treść
+ * - Zdania: średnia długość i udział długich zdań
+ * - Indeks FOG (dla polskiego w wariancie FOG-PL, jak w Jasnopisie: trudne są słowa
+ *   od 4 sylab) oraz Flesch Reading Ease (wzór angielski; dla polskiego orientacyjnie)
+ * - Heurystyka strony biernej: "być"/"zostać" (be) z imiesłowem biernym w pobliżu
+ * - Rozkłady liczby słów, poziomów czytelności i stosunku tekstu do HTML w serwisie
+ */
+
+const { tokenize } = require("./keyword-analysis");
+
+// Skróty, po których kropka nie kończy zdania (bez końcowej kropki)
+const ABBREVIATIONS = {
+   pl: new Set([
+      "al", "dr", "ds", "godz", "inż", "itd", "itp", "m.in", "mgr", "mln", "nr", "np", "ok",
+      "pkt", "prof", "str", "tel", "tj", "tys", "tzn", "tzw", "ul", "wg", "zob", "zł", "św",
+   ]),
+   en: new Set([
+      "approx", "dr", "e.g", "etc", "i.e", "inc", "ltd", "mr", "mrs", "ms", "no", "prof", "st",
+      "vs",
+   ]),
+};
+
+// Słowa od tylu sylab są "trudne" w indeksie FOG
+const HARD_WORD_SYLLABLES = { pl: 4, en: 3 };
+
+const POLISH_VOWELS = /[aąeęioóuy]/;
+
+const ENGLISH_IRREGULAR_PARTICIPLES = new Set([
+   "bought", "brought", "built", "caught", "cut", "done", "found", "held", "hit", "kept", "known",
+   "left", "lost", "made", "met", "paid", "put", "read", "run", "said", "seen", "sent", "set",
+   "shown", "sold", "spent", "taught", "thought", "told", "won",
+]);
+const ENGLISH_NOT_PARTICIPLES = new Set([
+   "between", "children", "even", "garden", "green", "indeed", "kitchen", "need", "often",
+   "open", "seven", "speed", "then", "when", "women",
+]);
+
+// Strona bierna: forma posiłkowa, najwyżej jedno słowo przerwy i imiesłów bierny
+const PASSIVE_VOICE = {
+   pl: {
+      auxiliaries: new Set([
+         "jest", "są", "był", "była", "było", "byli", "były", "będzie", "będą", "bywa", "bywają",
+         "zostaje", "zostają", "został", "została", "zostało", "zostali", "zostały", "zostanie",
+         "zostaną",
+      ]),
+      participle: (word) =>
+         word.length >= 5 && /(?:any|ana|ane|ani|ony|ona|one|eni|ęty|ęta|ęte|ęci)$/.test(word),
+   },
+   en: {
+      auxiliaries: new Set(["am", "is", "are", "was", "were", "be", "been", "being"]),
+      participle: (word) =>
+         ENGLISH_IRREGULAR_PARTICIPLES.has(word) ||
+         (word.length >= 4 && /(?:ed|en)$/.test(word) && !ENGLISH_NOT_PARTICIPLES.has(word)),
+   },
+};
+
+// Poziomy czytelności według indeksu FOG (lata edukacji potrzebne do zrozumienia tekstu)
+const READABILITY_LEVELS = [
+   { level: "easy", maxFog: 9 },
+   { level: "medium", maxFog: 12 },
+   { level: "hard", maxFog: 17 },
+   { level: "veryHard", maxFog: Infinity },
+];
+
+// Dolne granice przedziałów rozkładów w raporcie
+const WORD_BUCKETS = [0, 100, 300, 600, 1000, 2000];
+const TEXT_RATIO_BUCKETS = [0, 10, 25, 50, 75];
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const average = (values) =>
+   values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+function median(values) {
+   if (values.length === 0) return null;
+   const sorted = [...values].sort((a, b) => a - b);
+   const middle = Math.floor(sorted.length / 2);
+   return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Dzieli akapit na zdania. Kropka po skrócie ("np.", "m.in.") i znak końca zdania
+ * przed małą literą nie kończą zdania.
+ */
+function splitSentences(text, language) {
+   const abbreviations = ABBREVIATIONS[language] || ABBREVIATIONS.en;
+   const sentences = [];
+   (text || "")
+      .split(/(?<=[.!?…])\s+/u)
+      .filter(Boolean)
+      .forEach((part) => {
+         const previous = sentences[sentences.length - 1];
+         const lastWord = previous
+            ? previous
+                 .split(/\s+/)
+                 .pop()
+                 .toLowerCase()
+                 .replace(/^[^\p{L}]+|\.$/gu, "")
+            : "";
+         if (previous && (abbreviations.has(lastWord) || /^\p{Ll}/u.test(part))) {
+            sentences[sentences.length - 1] = `${previous} ${part}`;
+         } else {
+            sentences.push(part);
+         }
+      });
+   return sentences.filter((sentence) => tokenize(sentence).length > 0);
+}
+
+// Sylaby polskiego słowa: samogłoski, bez "i" przed samogłoską ("nie", "się" - jedna sylaba)
+function countPolishSyllables(word) {
+   const letters = [...word];
+   return letters.filter(
+      (letter, index) =>
+         POLISH_VOWELS.test(letter) &&
+         !(letter === "i" && POLISH_VOWELS.test(letters[index + 1] || ""))
+   ).length;
+}
+
+// Sylaby angielskiego słowa: grupy samogłosek bez niemego "e" i końcówek -es/-ed
+function countEnglishSyllables(word) {
+   const letters = word.replace(/[^a-z]/g, "");
+   if (letters.length <= 3) return 1;
+   const groups = letters
+      .replace(/(?:[^laeiouy]es|[^td]ed|[^laeiouy]e)$/, "")
+      .replace(/^y/, "")
+      .match(/[aeiouy]{1,2}/g);
+   return groups ? groups.length : 1;
+}
+
+function countSyllables(word, language) {
+   const count = language === "pl" ? countPolishSyllables(word) : countEnglishSyllables(word);
+   return Math.max(1, count);
+}
+
+function hasPassiveVoice(words, language) {
+   const { auxiliaries, participle } = PASSIVE_VOICE[language] || PASSIVE_VOICE.en;
+   return words.some(
+      (word, index) =>
+         auxiliaries.has(word) &&
+         words
+            .slice(index + 1, index + 3)
+            .some((next) => !auxiliaries.has(next) && participle(next))
+   );
+}
+
+function getReadabilityLevel(fog) {
+   return READABILITY_LEVELS.find(({ maxFog }) => fog <= maxFog).level;
+}
+
+/**
+ * Wskaźniki czytelności akapitów strony albo null, gdy zdań jest mniej niż minSentences.
+ * Liczby sylab i słów dotyczą słów zawierających litery (bez samych liczb).
+ */
+function analyzeText(paragraphs, language, { longSentenceWords, minSentences }) {
+   const sentences = paragraphs
+      .flatMap((paragraph) => splitSentences(paragraph, language))
+      .map((sentence) => tokenize(sentence).filter((word) => /\p{L}/u.test(word)))
+      .filter((words) => words.length > 0);
+   if (sentences.length === 0 || sentences.length < minSentences) return null;
+
+   const words = sentences.flat();
+   const syllables = words.map((word) => countSyllables(word, language));
+   const hardWords = syllables.filter(
+      (count) => count >= (HARD_WORD_SYLLABLES[language] || HARD_WORD_SYLLABLES.en)
+   ).length;
+   const averageSentenceLength = words.length / sentences.length;
+   const syllablesPerWord = syllables.reduce((sum, count) => sum + count, 0) / words.length;
+   const fog = 0.4 * (averageSentenceLength + (100 * hardWords) / words.length);
+
+   return {
+      sentences: sentences.length,
+      averageSentenceLength: round(averageSentenceLength),
+      longSentenceRatio: round(
+         (100 * sentences.filter((sentence) => sentence.length > longSentenceWords).length) /
+            sentences.length
+      ),
+      syllablesPerWord: round(syllablesPerWord, 2),
+      hardWordRatio: round((100 * hardWords) / words.length),
+      fog: round(fog),
+      flesch: round(206.835 - 1.015 * averageSentenceLength - 84.6 * syllablesPerWord),
+      level: getReadabilityLevel(fog),
+      passiveRatio: round(
+         (100 * sentences.filter((sentence) => hasPassiveVoice(sentence, language)).length) /
+            sentences.length
+      ),
+   };
+}
+
+/**
+ * Liczba wartości w przedziałach [min, max) - wartości mogą być ułamkowe (np. stosunek
+ * tekstu do HTML). Zwraca [{ min, max, count }]; max ostatniego przedziału to null.
+ */
+function getDistribution(values, bounds) {
+   return bounds.map((min, index) => {
+      const max = index + 1 < bounds.length ? bounds[index + 1] : null;
+      return {
+         min,
+         max,
+         count: values.filter((value) => value >= min && (max === null || value < max)).length,
+      };
+   });
+}
+
+/**
+ * Czytelność i objętość treści stron serwisu.
+ * pages: [{ url, language, body, paragraphs, textBytes, htmlBytes }], gdzie body to treść
+ * bez bloków powtarzających się na wielu stronach, a paragraphs - jej akapity.
+ * Zwraca { pages: Map URL -> wyniki strony, thinPages, averages, medianWords, distributions }.
+ */
+function analyzeReadability(pages, options) {
+   const results = new Map();
+   pages.forEach((page) => {
+      const words = tokenize(page.body).length;
+      results.set(page.url, {
+         language: page.language,
+         words,
+         thin: words < options.minWords,
+         textRatio: page.htmlBytes ? round((100 * page.textBytes) / page.htmlBytes) : null,
+         readability: analyzeText(page.paragraphs, page.language, options),
+      });
+   });
+
+   const values = [...results.values()];
+   const readable = values.map((page) => page.readability).filter(Boolean);
+   const textRatios = values.map((page) => page.textRatio).filter((ratio) => ratio !== null);
+   const averageOf = (items, field) => {
+      const value = average(items.map((item) => item[field]));
+      return value === null ? null : round(value);
+   };
+
+   return {
+      pages: results,
+      thinPages: [...results.entries()]
+         .filter(([, page]) => page.thin)
+         .map(([url, page]) => ({ url, words: page.words }))
+         .sort((a, b) => a.words - b.words),
+      averages: {
+         words: averageOf(values, "words"),
+         textRatio: textRatios.length > 0 ? round(average(textRatios)) : null,
+         averageSentenceLength: averageOf(readable, "averageSentenceLength"),
+         longSentenceRatio: averageOf(readable, "longSentenceRatio"),
+         fog: averageOf(readable, "fog"),
+         flesch: averageOf(readable, "flesch"),
+         passiveRatio: averageOf(readable, "passiveRatio"),
+      },
+      medianWords: median(values.map((page) => page.words)),
+      distributions: {
+         words: getDistribution(values.map((page) => page.words), WORD_BUCKETS),
+         textRatio: getDistribution(textRatios, TEXT_RATIO_BUCKETS),
+         levels: READABILITY_LEVELS.map(({ level }) => ({
+            level,
+            count: readable.filter((result) => result.level === level).length,
+         })),
+      },
+   };
+}
+
+module.exports = {
+   READABILITY_LEVELS,
+   splitSentences,
+   countSyllables,
+   hasPassiveVoice,
+   analyzeText,
+   analyzeReadability,
+};
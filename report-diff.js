@@ -0,0 +1,597 @@
+/**
+ * Porównanie dwóch raportów SEO
+ *
+ * - Nowe i naprawione problemy, dodane i usunięte strony
+ * - Zmiany statusów, tytułów, opisów i nagłówków H1
+ * - Nowe i naprawione uszkodzone linki
+ * - Trendy oceny SEO i najważniejszych wskaźników (liczba problemów, brakujące elementy, duplikaty...)
+ *
+ * Użycie:
+ *   node report-diff.js <raport-przed.json> <raport-po.json>
+ *   node report-diff.js <url strony>   - dwie ostatnie analizy z historii raportów
+ *
+ * Wynik trafia do plików seo-diff.json i seo-diff.html.
+ */
+
+const fs = require("fs");
+const { listRuns } = require("./report-history");
+const config = require("./config");
+const { t, getReportLanguage } = require("./i18n");
+
+const count = (items) => (Array.isArray(items) ? items.length : null);
+
+// better: kierunek zmiany oznaczający poprawę (null - wskaźnik neutralny)
+const METRICS = [
+   {
+      key: "score",
+      better: "higher",
+      get: (report) => report.scores?.site,
+   },
+   {
+      key: "pages",
+      better: null,
+      get: (report) => count(report.pageMeta),
+   },
+   {
+      key: "issues",
+      better: "lower",
+      get: (report) => count(report.issues),
+   },
+   {
+      key: "brokenLinks",
+      better: "lower",
+      get: (report) => count(report.brokenLinks),
+   },
+   {
+      key: "pagesWithoutTitle",
+      better: "lower",
+      get: (report) => count(report.crawlStats?.urlsWithoutTitle),
+   },
+   {
+      key: "pagesWithoutDescription",
+      better: "lower",
+      get: (report) => count(report.crawlStats?.urlsWithoutDescription),
+   },
+   {
+      key: "pagesWithoutH1",
+      better: "lower",
+      get: (report) => count(report.crawlStats?.urlsWithoutH1),
+   },
+   {
+      key: "invalidTitleLength",
+      better: "lower",
+      get: (report) => count(report.crawlStats?.urlsWithInvalidTitleLength),
+   },
+   {
+      key: "invalidDescriptionLength",
+      better: "lower",
+      get: (report) => count(report.crawlStats?.urlsWithInvalidDescriptionLength),
+   },
+   {
+      key: "redirectChains",
+      better: "lower",
+      get: (report) => count(report.redirects?.redirectChains),
+   },
+   {
+      key: "missingCanonical",
+      better: "lower",
+      get: (report) => count(report.canonicals?.missingCanonical),
+   },
+   {
+      key: "structuredDataErrors",
+      better: "lower",
+      get: (report) =>
+         report.structuredData
+            ? count(report.structuredData.parseErrors) +
+              count(report.structuredData.invalidItems)
+            : null,
+   },
+   {
+      key: "pagesWithoutOpenGraph",
+      better: "lower",
+      get: (report) => count(report.social?.pagesWithoutOpenGraph),
+   },
+   {
+      key: "imageProblems",
+      better: "lower",
+      get: (report) =>
+         report.images
+            ? report.images.problems.reduce(
+                 (sum, problem) => sum + problem.images,
+                 0
+              )
+            : null,
+   },
+   {
+      key: "duplicateContent",
+      better: "lower",
+      get: (report) => count(report.duplicates?.content),
+   },
+   {
+      key: "duplicateTitles",
+      better: "lower",
+      get: (report) => count(report.duplicates?.titles),
+   },
+   {
+      key: "orphanPages",
+      better: "lower",
+      get: (report) => count(report.linkGraph?.orphanPages),
+   },
+];
+
+const CONTENT_FIELDS = ["title", "description", "h1"];
+
+function escapeHtml(value) {
+   return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+}
+
+function getTrend(metric, before, after) {
+   if (before === null || after === null) return null;
+   if (before === after) return "same";
+   if (!metric.better) return after > before ? "up" : "down";
+   return (metric.better === "lower") === after < before ? "better" : "worse";
+}
+
+function compareSets(before, after) {
+   return {
+      added: [...after].filter((item) => !before.has(item)),
+      removed: [...before].filter((item) => !after.has(item)),
+   };
+}
+
+function summarizeReport(report) {
+   return {
+      baseUrl: report.baseUrl,
+      dateGenerated: report.dateGenerated,
+      pages: count(report.pageMeta) || 0,
+   };
+}
+
+// Starsze raporty zapisywały problemy jako tekst, nowsze jako obiekty z regułą
+const getIssueMessage = (issue) => (typeof issue === "string" ? issue : issue.message);
+
+function diffReports(before, after) {
+   const metrics = METRICS.map((metric) => {
+      const valueBefore = metric.get(before) ?? null;
+      const valueAfter = metric.get(after) ?? null;
+      return {
+         key: metric.key,
+         label: t(`diff.metrics.${metric.key}`),
+         before: valueBefore,
+         after: valueAfter,
+         delta:
+            valueBefore === null || valueAfter === null
+               ? null
+               : valueAfter - valueBefore,
+         trend: getTrend(metric, valueBefore, valueAfter),
+      };
+   });
+
+   // Obiekty porównujemy po identyfikatorze (reguła + adres), który nie zmienia się
+   // razem z treścią komunikatu; przy starszym raporcie pozostaje porównanie tekstu
+   const structured = [before, after].every((report) =>
+      (report.issues || []).every((issue) => typeof issue === "object")
+   );
+   const getIssueKey = (issue) => (structured ? issue.id : getIssueMessage(issue));
+   const issuesBefore = new Map((before.issues || []).map((issue) => [getIssueKey(issue), issue]));
+   const issuesAfter = new Map((after.issues || []).map((issue) => [getIssueKey(issue), issue]));
+   const issueKeys = compareSets(new Set(issuesBefore.keys()), new Set(issuesAfter.keys()));
+   const issues = {
+      added: issueKeys.added.map((key) => issuesAfter.get(key)),
+      removed: issueKeys.removed.map((key) => issuesBefore.get(key)),
+   };
+
+   const pagesBefore = new Map((before.pageMeta || []).map((page) => [page.url, page]));
+   const pagesAfter = new Map((after.pageMeta || []).map((page) => [page.url, page]));
+   const pages = compareSets(new Set(pagesBefore.keys()), new Set(pagesAfter.keys()));
+
+   const statusChanges = [];
+   const contentChanges = [];
+   const scoreChanges = [];
+   for (const [url, pageAfter] of pagesAfter.entries()) {
+      const pageBefore = pagesBefore.get(url);
+      if (!pageBefore) continue;
+
+      if (pageBefore.status !== pageAfter.status) {
+         statusChanges.push({ url, before: pageBefore.status, after: pageAfter.status });
+      }
+      const scoreBefore = pageBefore.score?.score;
+      const scoreAfter = pageAfter.score?.score;
+      if (scoreBefore !== undefined && scoreAfter !== undefined && scoreBefore !== scoreAfter) {
+         scoreChanges.push({
+            url,
+            before: scoreBefore,
+            after: scoreAfter,
+            delta: scoreAfter - scoreBefore,
+         });
+      }
+      CONTENT_FIELDS.forEach((field) => {
+         if ((pageBefore[field] || "") !== (pageAfter[field] || "")) {
+            contentChanges.push({
+               url,
+               field,
+               label: t(`diff.fields.${field}`),
+               before: pageBefore[field] || "",
+               after: pageAfter[field] || "",
+            });
+         }
+      });
+   }
+
+   const brokenBefore = new Map((before.brokenLinks || []).map((link) => [link.url, link]));
+   const brokenAfter = new Map((after.brokenLinks || []).map((link) => [link.url, link]));
+   const brokenChanges = compareSets(
+      new Set(brokenBefore.keys()),
+      new Set(brokenAfter.keys())
+   );
+
+   return {
+      before: summarizeReport(before),
+      after: summarizeReport(after),
+      summary: {
+         improved: metrics.filter((metric) => metric.trend === "better").length,
+         worsened: metrics.filter((metric) => metric.trend === "worse").length,
+         newIssues: issues.added.length,
+         fixedIssues: issues.removed.length,
+      },
+      metrics,
+      issues: {
+         new: issues.added,
+         fixed: issues.removed,
+         unchanged: (after.issues || []).length - issues.added.length,
+      },
+      pages: {
+         added: pages.added,
+         removed: pages.removed,
+      },
+      statusChanges,
+      contentChanges,
+      scoreChanges: scoreChanges.sort((a, b) => b.delta - a.delta),
+      brokenLinks: {
+         before: brokenBefore.size,
+         after: brokenAfter.size,
+         new: brokenChanges.added.map((url) => brokenAfter.get(url)),
+         fixed: brokenChanges.removed.map((url) => brokenBefore.get(url)),
+      },
+   };
+}
+
+function renderList(items, emptyText, render = escapeHtml) {
+   if (items.length === 0) return `<p class="empty">${emptyText}</p>`;
+   return `<ul>${items.map((item) => `<li>${render(item)}</li>`).join("")}</ul>`;
+}
+
+function generateDiffHtml(diff) {
+   const formatDate = (date) => escapeHtml(new Date(date).toLocaleString(getReportLanguage()));
+   const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+   const renderIssue = (issue) => escapeHtml(getIssueMessage(issue));
+   const formatLink = (link) =>
+      `${escapeHtml(link.url)} (${escapeHtml(link.status || link.errorType || link.error || "")})`;
+
+   return `
+<!DOCTYPE html>
+<html lang="${getReportLanguage()}">
+<head>
+   <meta charset="UTF-8">
+   <title>${t("diff.title")}</title>
+   <style>
+      body {
+         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+         line-height: 1.6;
+         color: #333;
+         max-width: 1200px;
+         margin: 0 auto;
+         padding: 20px;
+         background: #f5f5f5;
+      }
+      .container {
+         background: white;
+         border-radius: 8px;
+         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+         padding: 20px;
+      }
+      .summary {
+         margin-bottom: 30px;
+         padding: 20px;
+         background: #f8f9fa;
+         border-radius: 8px;
+      }
+      .summary h2 {
+         margin-top: 0;
+         color: #2c3e50;
+      }
+      .stats {
+         display: flex;
+         flex-wrap: wrap;
+         gap: 20px;
+         margin: 15px 0;
+      }
+      .stat-item {
+         background: white;
+         padding: 15px;
+         border-radius: 6px;
+         box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+         flex: 1;
+         min-width: 200px;
+      }
+      .stat-label {
+         font-size: 0.9em;
+         color: #666;
+         margin-bottom: 5px;
+      }
+      .stat-value {
+         font-size: 1.2em;
+         font-weight: 500;
+         color: #2c3e50;
+      }
+      table {
+         width: 100%;
+         border-collapse: collapse;
+         background: white;
+      }
+      th, td {
+         text-align: left;
+         padding: 8px 10px;
+         border-bottom: 1px solid #eee;
+         vertical-align: top;
+         word-break: break-word;
+      }
+      .better {
+         color: #155724;
+         background: #d4edda;
+      }
+      .worse {
+         color: #721c24;
+         background: #f8d7da;
+      }
+      .fixed li::marker {
+         content: "✓ ";
+         color: #155724;
+      }
+      .new li::marker {
+         content: "✗ ";
+         color: #721c24;
+      }
+      .empty {
+         color: #666;
+         font-style: italic;
+      }
+   </style>
+</head>
+<body>
+   <div class="container">
+      <h1>${t("diff.title")}</h1>
+      <p>${escapeHtml(diff.after.baseUrl)}: ${formatDate(diff.before.dateGenerated)} → ${formatDate(
+      diff.after.dateGenerated
+   )}</p>
+
+      <div class="summary">
+         <h2>${t("diff.summary")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("diff.fixedIssues")}</div>
+               <div class="stat-value">${diff.summary.fixedIssues}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("diff.newIssues")}</div>
+               <div class="stat-value">${diff.summary.newIssues}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("diff.betterWorse")}</div>
+               <div class="stat-value">${diff.summary.improved} / ${diff.summary.worsened}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("diff.brokenLinks")}</div>
+               <div class="stat-value">${diff.brokenLinks.before} → ${diff.brokenLinks.after}</div>
+            </div>
+         </div>
+      </div>
+
+      <div class="summary">
+         <h2>${t("diff.metricsTitle")}</h2>
+         <table>
+            <tr>
+               <th>${t("diff.metric")}</th>
+               <th>${t("diff.before")}</th>
+               <th>${t("diff.after")}</th>
+               <th>${t("diff.change")}</th>
+            </tr>
+            ${diff.metrics
+               .filter((metric) => metric.before !== null || metric.after !== null)
+               .map(
+                  (metric) => `
+            <tr class="${metric.trend === "better" || metric.trend === "worse" ? metric.trend : ""}">
+               <td>${escapeHtml(metric.label)}</td>
+               <td>${metric.before ?? "-"}</td>
+               <td>${metric.after ?? "-"}</td>
+               <td>${metric.delta === null ? "-" : formatDelta(metric.delta)}</td>
+            </tr>`
+               )
+               .join("")}
+         </table>
+      </div>
+
+      <div class="summary fixed">
+         <h2>${t("diff.fixedIssues")} (${diff.issues.fixed.length})</h2>
+         ${renderList(diff.issues.fixed, t("diff.noFixedIssues"), renderIssue)}
+      </div>
+
+      <div class="summary new">
+         <h2>${t("diff.newIssues")} (${diff.issues.new.length})</h2>
+         ${renderList(diff.issues.new, t("diff.noNewIssues"), renderIssue)}
+      </div>
+
+      <div class="summary">
+         <h2>${t("diff.pages")}</h2>
+         <h3>${t("diff.added")} (${diff.pages.added.length})</h3>
+         ${renderList(diff.pages.added, t("diff.noAddedPages"))}
+         <h3>${t("diff.removed")} (${diff.pages.removed.length})</h3>
+         ${renderList(diff.pages.removed, t("diff.noRemovedPages"))}
+      </div>
+
+      ${
+         diff.statusChanges.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("diff.statusChanges")}</h2>
+         <table>
+            <tr>
+               <th>URL</th>
+               <th>${t("diff.before")}</th>
+               <th>${t("diff.after")}</th>
+            </tr>
+            ${diff.statusChanges
+               .map(
+                  (change) => `
+            <tr class="${change.after === 200 ? "better" : change.before === 200 ? "worse" : ""}">
+               <td>${escapeHtml(change.url)}</td>
+               <td>${escapeHtml(change.before)}</td>
+               <td>${escapeHtml(change.after)}</td>
+            </tr>`
+               )
+               .join("")}
+         </table>
+      </div>
+      `
+            : ""
+      }
+
+      ${
+         diff.scoreChanges.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("diff.scoreChanges")}</h2>
+         <table>
+            <tr>
+               <th>URL</th>
+               <th>${t("diff.before")}</th>
+               <th>${t("diff.after")}</th>
+               <th>${t("diff.change")}</th>
+            </tr>
+            ${diff.scoreChanges
+               .map(
+                  (change) => `
+            <tr class="${change.delta > 0 ? "better" : "worse"}">
+               <td>${escapeHtml(change.url)}</td>
+               <td>${change.before}</td>
+               <td>${change.after}</td>
+               <td>${formatDelta(change.delta)}</td>
+            </tr>`
+               )
+               .join("")}
+         </table>
+      </div>
+      `
+            : ""
+      }
+
+      ${
+         diff.contentChanges.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("diff.contentChanges")}</h2>
+         <table>
+            <tr>
+               <th>URL</th>
+               <th>${t("diff.element")}</th>
+               <th>${t("diff.before")}</th>
+               <th>${t("diff.after")}</th>
+            </tr>
+            ${diff.contentChanges
+               .map(
+                  (change) => `
+            <tr>
+               <td>${escapeHtml(change.url)}</td>
+               <td>${escapeHtml(change.label)}</td>
+               <td>${escapeHtml(change.before)}</td>
+               <td>${escapeHtml(change.after)}</td>
+            </tr>`
+               )
+               .join("")}
+         </table>
+      </div>
+      `
+            : ""
+      }
+
+      <div class="summary">
+         <h2>${t("diff.brokenLinks")}</h2>
+         <div class="fixed">
+            <h3>${t("diff.fixed")} (${diff.brokenLinks.fixed.length})</h3>
+            ${renderList(diff.brokenLinks.fixed, t("diff.noFixedLinks"), formatLink)}
+         </div>
+         <div class="new">
+            <h3>${t("diff.new")} (${diff.brokenLinks.new.length})</h3>
+            ${renderList(diff.brokenLinks.new, t("diff.noNewLinks"), formatLink)}
+         </div>
+      </div>
+   </div>
+</body>
+</html>`;
+}
+
+// Zapisuje porównanie do plików <outputBase>.json i <outputBase>.html
+function writeDiff(diff, outputBase = "seo-diff") {
+   fs.writeFileSync(`${outputBase}.json`, JSON.stringify(diff, null, 2));
+   fs.writeFileSync(`${outputBase}.html`, generateDiffHtml(diff));
+   return [`${outputBase}.json`, `${outputBase}.html`];
+}
+
+// Argumenty: dwa pliki raportów albo adres strony (dwie ostatnie analizy z historii)
+function resolveReportFiles(args) {
+   if (args.length >= 2) return args.slice(0, 2);
+   if (args.length === 1 && /^https?:\/\//i.test(args[0])) {
+      const runs = listRuns(args[0], config.report.history.directory);
+      if (runs.length < 2) {
+         throw new Error(
+            `Do porównania potrzebne są co najmniej 2 raporty w historii (${config.report.history.directory}), dla ${args[0]} znaleziono: ${runs.length}`
+         );
+      }
+      return runs.slice(-2);
+   }
+   throw new Error(
+      "Podaj dwa pliki raportów JSON albo adres strony zapisanej w historii"
+   );
+}
+
+function runDiff(args, outputBase = "seo-diff") {
+   try {
+      const [beforeFile, afterFile] = resolveReportFiles(args);
+      console.log(`Porównanie: ${beforeFile} → ${afterFile}`);
+
+      const diff = diffReports(
+         JSON.parse(fs.readFileSync(beforeFile, "utf8")),
+         JSON.parse(fs.readFileSync(afterFile, "utf8"))
+      );
+      const files = writeDiff(diff, outputBase);
+
+      console.log(
+         `Naprawione problemy: ${diff.summary.fixedIssues}, nowe problemy: ${diff.summary.newIssues}`
+      );
+      console.log(
+         `Wskaźniki lepsze: ${diff.summary.improved}, gorsze: ${diff.summary.worsened}`
+      );
+      console.log(`Zapisano do: ${files.join(" i ")}`);
+      return diff;
+   } catch (error) {
+      console.error(`Błąd podczas porównywania raportów: ${error.message}`);
+      process.exitCode = 1;
+      return null;
+   }
+}
+
+if (require.main === module) {
+   runDiff(process.argv.slice(2));
+}
+
+module.exports = {
+   METRICS,
+   diffReports,
+   generateDiffHtml,
+   writeDiff,
+   runDiff,
+};
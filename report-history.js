@@ -0,0 +1,45 @@
+/**
+ * Historia raportów
+ *
+ * Każdy raport JSON jest dodatkowo zapisywany w katalogu historii
+ * (<katalog>/<host>/<data wygenerowania>.json), dzięki czemu kolejne audyty
+ * tej samej strony można ze sobą porównać.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function getHostDirectory(directory, baseUrl) {
+   const host = new URL(baseUrl).host.replace(/[^a-z0-9.-]+/gi, "_");
+   return path.join(directory, host);
+}
+
+// Zapisuje raport w historii i zwraca ścieżkę pliku
+function saveRun(report, directory) {
+   const hostDirectory = getHostDirectory(directory, report.baseUrl);
+   fs.mkdirSync(hostDirectory, { recursive: true });
+
+   const filePath = path.join(
+      hostDirectory,
+      `${report.dateGenerated.replace(/:/g, "-")}.json`
+   );
+   fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+   return filePath;
+}
+
+// Ścieżki zapisanych raportów strony, od najstarszego
+function listRuns(baseUrl, directory) {
+   const hostDirectory = getHostDirectory(directory, baseUrl);
+   if (!fs.existsSync(hostDirectory)) return [];
+
+   return fs
+      .readdirSync(hostDirectory)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map((file) => path.join(hostDirectory, file));
+}
+
+module.exports = {
+   saveRun,
+   listRuns,
+};
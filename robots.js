@@ -0,0 +1,219 @@
+/**
+ * Obsługa dyrektyw dla robotów
+ *
+ * - Parser pliku robots.txt (grupy user-agent, Allow/Disallow z wildcardami,
+ *   Crawl-delay, Sitemap) zgodny z RFC 9309
+ * - Parser dyrektyw z <meta name="robots"> i nagłówka X-Robots-Tag
+ */
+
+class RobotsTxt {
+   constructor() {
+      this.groups = []; // [{ agents: [], rules: [], crawlDelay }]
+      this.sitemaps = [];
+   }
+
+   static parse(text) {
+      const robots = new RobotsTxt();
+      let currentGroup = null;
+      let lastLineWasAgent = false;
+
+      for (const rawLine of String(text || "").split(/\r?\n/)) {
+         // Usuń komentarze i białe znaki
+         const line = rawLine.replace(/#.*$/, "").trim();
+         if (!line) continue;
+
+         const separatorIndex = line.indexOf(":");
+         if (separatorIndex === -1) continue;
+
+         const key = line.slice(0, separatorIndex).trim().toLowerCase();
+         const value = line.slice(separatorIndex + 1).trim();
+
+         switch (key) {
+            case "user-agent":
+               // Kolejne linie user-agent należą do tej samej grupy
+               if (!currentGroup || !lastLineWasAgent) {
+                  currentGroup = { agents: [], rules: [], crawlDelay: null };
+                  robots.groups.push(currentGroup);
+               }
+               currentGroup.agents.push(value.toLowerCase());
+               lastLineWasAgent = true;
+               continue;
+            case "allow":
+            case "disallow":
+               // Pusta reguła Disallow oznacza brak ograniczeń
+               if (currentGroup && value) {
+                  currentGroup.rules.push({
+                     allow: key === "allow",
+                     path: value,
+                     regex: RobotsTxt.patternToRegex(value),
+                  });
+               }
+               break;
+            case "crawl-delay": {
+               const delay = parseFloat(value);
+               if (currentGroup && !isNaN(delay) && delay >= 0) {
+                  currentGroup.crawlDelay = delay;
+               }
+               break;
+            }
+            case "sitemap":
+               // Sitemap nie należy do żadnej grupy
+               if (value && !robots.sitemaps.includes(value)) {
+                  robots.sitemaps.push(value);
+               }
+               break;
+            default:
+               break;
+         }
+         lastLineWasAgent = false;
+      }
+
+      return robots;
+   }
+
+   static patternToRegex(pattern) {
+      const anchored = pattern.endsWith("$");
+      const body = anchored ? pattern.slice(0, -1) : pattern;
+      const source = body
+         .split("*")
+         .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+         .join(".*");
+      return new RegExp(`^${source}${anchored ? "$" : ""}`);
+   }
+
+   // Nazwa produktu z nagłówka User-Agent, np. "SEOAnalyzer/1.0" -> "seoanalyzer"
+   static getProductToken(userAgent) {
+      return String(userAgent || "*")
+         .split("/")[0]
+         .trim()
+         .toLowerCase();
+   }
+
+   // Zwraca reguły i crawl-delay dla danego user-agenta (grupy o tej samej nazwie są łączone)
+   getGroupFor(userAgent) {
+      const token = RobotsTxt.getProductToken(userAgent);
+      let matching = this.groups.filter((group) => group.agents.includes(token));
+      if (matching.length === 0) {
+         matching = this.groups.filter((group) => group.agents.includes("*"));
+      }
+
+      const delays = matching
+         .map((group) => group.crawlDelay)
+         .filter((delay) => delay !== null);
+
+      return {
+         rules: matching.flatMap((group) => group.rules),
+         crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+      };
+   }
+
+   isAllowed(pageUrl, userAgent) {
+      let target;
+      try {
+         const parsedUrl = new URL(pageUrl);
+         target = parsedUrl.pathname + parsedUrl.search;
+      } catch (error) {
+         target = pageUrl;
+      }
+
+      // Sam plik robots.txt jest zawsze dostępny
+      if (target === "/robots.txt") return true;
+
+      let decodedTarget = target;
+      try {
+         decodedTarget = decodeURI(target);
+      } catch (error) {
+         // Zostaw ścieżkę w oryginalnej postaci
+      }
+
+      // Wygrywa najdłuższa pasująca reguła, przy remisie Allow
+      let bestRule = null;
+      for (const rule of this.getGroupFor(userAgent).rules) {
+         if (!rule.regex.test(target) && !rule.regex.test(decodedTarget)) {
+            continue;
+         }
+         if (
+            !bestRule ||
+            rule.path.length > bestRule.path.length ||
+            (rule.path.length === bestRule.path.length && rule.allow)
+         ) {
+            bestRule = rule;
+         }
+      }
+
+      return bestRule ? bestRule.allow : true;
+   }
+
+   getCrawlDelay(userAgent) {
+      return this.getGroupFor(userAgent).crawlDelay;
+   }
+
+   // Gdy robots.txt nie istnieje (4xx) wszystko jest dozwolone
+   static allowAll() {
+      return new RobotsTxt();
+   }
+
+   // Gdy robots.txt jest nieosiągalny (5xx, błąd sieci) RFC 9309 zakłada pełny zakaz
+   static disallowAll() {
+      return RobotsTxt.parse("User-agent: *\nDisallow: /");
+   }
+}
+
+/**
+ * Parsuje wartość <meta name="robots"> lub nagłówka X-Robots-Tag.
+ * Dyrektywy poprzedzone nazwą innego robota (np. "googlebot: noindex")
+ * są pomijane, chyba że dotyczą podanego user-agenta.
+ */
+function parseRobotsDirectives(values, userAgent) {
+   const token = RobotsTxt.getProductToken(userAgent);
+   const knownDirectives = [
+      "all",
+      "none",
+      "noindex",
+      "nofollow",
+      "index",
+      "follow",
+      "noarchive",
+      "nosnippet",
+      "noimageindex",
+      "notranslate",
+      "max-snippet",
+      "max-image-preview",
+      "max-video-preview",
+      "unavailable_after",
+      "indexifembedded",
+   ];
+   const directives = new Set();
+
+   for (const value of [].concat(values || [])) {
+      let agent = null;
+      for (const part of String(value).split(",")) {
+         let directive = part.trim().toLowerCase();
+         if (!directive) continue;
+
+         // Prefiks user-agenta obowiązuje dla kolejnych dyrektyw w tej samej wartości
+         const separatorIndex = directive.indexOf(":");
+         if (separatorIndex !== -1) {
+            const prefix = directive.slice(0, separatorIndex).trim();
+            if (!knownDirectives.includes(prefix)) {
+               agent = prefix;
+               directive = directive.slice(separatorIndex + 1).trim();
+            }
+         }
+
+         if (agent && agent !== token) continue;
+         if (directive) directives.add(directive);
+      }
+   }
+
+   return {
+      directives: [...directives],
+      noindex: directives.has("noindex") || directives.has("none"),
+      nofollow: directives.has("nofollow") || directives.has("none"),
+   };
+}
+
+module.exports = {
+   RobotsTxt,
+   parseRobotsDirectives,
+};
@@ -1,10 +1,48 @@
-const OpenAI = require("openai");
+const { createProvider } = require("./ai-providers");
+const AICache = require("./ai-cache");
+const { translate, getContentLanguage } = require("./i18n");
+const config = require("./config");
+
+const EMPTY_PAGE_ANALYSIS = {
+   mainKeywords: [],
+   longTailKeywords: [],
+   relatedTopics: [],
+   contentStructure: [],
+   seoSuggestions: []
+};
 
 class SEOAIOptimizer {
-   constructor(apiKey) {
-      this.openai = new OpenAI({
-         apiKey: apiKey,
-      });
+   // Przyjmuje klucz API OpenAI albo gotowego dostawcę (obiekt z metodą complete)
+   constructor(apiKeyOrProvider, aiConfig = config.ai) {
+      if (apiKeyOrProvider && typeof apiKeyOrProvider.complete === "function") {
+         this.provider = apiKeyOrProvider;
+      } else {
+         this.provider = createProvider({
+            ...aiConfig,
+            openai: {
+               apiKey: apiKeyOrProvider || config.openai.apiKey,
+               model: config.openai.model,
+            },
+         });
+      }
+
+      this.cache = new AICache(aiConfig.cache);
+      this.pruneCache();
+      this.inFlight = new Map(); // klucz cache -> Promise z odpowiedzią
+   }
+
+   // Na starcie usuwa wygasłe wpisy cache (--clear-ai-cache obsługuje cli.js)
+   pruneCache() {
+      if (!this.cache.enabled || this.cache.ttl === 0) return;
+
+      try {
+         const removed = this.cache.prune();
+         if (removed > 0) {
+            console.log(`Usunięto wygasłe wpisy cache AI: ${removed}`);
+         }
+      } catch (error) {
+         console.error(`Błąd podczas czyszczenia cache AI: ${error.message}`);
+      }
    }
 
    // Funkcja pomocnicza do czyszczenia i walidacji odpowiedzi JSON
@@ -31,243 +69,295 @@ class SEOAIOptimizer {
       }
    }
 
-   async optimizeTitle(currentTitle, keywords, maxLength = 60) {
-      try {
-         const response = await this.openai.responses.create({
-            model: "gpt-4o-mini",
-            input: [
-               {
-                  "role": "system",
-                  "content": [
-                     {
-                        "type": "input_text",
-                        "text": `Zoptymalizuj poniższy tytuł strony pod kątem SEO, uwzględniając następujące słowa kluczowe: ${keywords.join(", ")}. 
-                        Tytuł powinien być naturalny, przyciągający uwagę i zawierać najważniejsze słowa kluczowe. Maksymalna długość: ${maxLength} znaków.
-                        Obecny tytuł: "${currentTitle}"
-                        Odpowiedź musi być w formacie JSON:
-                        {
-                           "optimizedTitle": "optymalizowany tytuł"
-                        } nie zwracaj niczego innego`
-                     }
-                  ]
-               }
-            ],
-            text: {
-               "format": {
-                  "type": "json_object"
-               }
-            },
-            reasoning: {},
-            tools: [],
-            temperature: 1,
-            max_output_tokens: 2048,
-            top_p: 1,
-            store: false
-         });
-
-         console.log("Odpowiedź z API (tytuł):", response.output_text);
-
-         if (!response || !response.output_text) {
-            console.error("Nieprawidłowa odpowiedź z API OpenAI podczas optymalizacji tytułu");
-            return currentTitle;
+   // Zwraca odpowiedź z cache lub wysyła zapytanie; meta.fromCache informuje o źródle
+   async requestJSON(task, label, prompt, input, params, meta = {}) {
+      // Odpowiedzi dostawcy mock są deterministyczne, nie ma sensu ich zapisywać
+      const cacheable = this.provider.name !== "mock";
+      const key = this.cache.createKey({
+         provider: this.provider.name,
+         model: this.provider.model,
+         task,
+         prompt,
+         ...params,
+      });
+      meta.fromCache = false;
+
+      if (cacheable) {
+         const cached = this.cache.get(key);
+         if (cached) {
+            console.log(`Odpowiedź z cache (${label})`);
+            meta.fromCache = true;
+            return cached;
          }
+      }
+
+      // To samo zapytanie wysłane równolegle (np. sugestie słów kluczowych dla każdej strony)
+      if (this.inFlight.has(key)) {
+         // Wspólna odpowiedź nie pochodzi z cache na dysku, więc fromCache zostaje false
+         const shared = await this.inFlight.get(key);
+         return shared ? JSON.parse(JSON.stringify(shared)) : null;
+      }
 
-         try {
-            const parsedResponse = this.cleanAndParseJSON(response.output_text);
-            return parsedResponse.optimizedTitle || currentTitle;
-         } catch (parseError) {
-            console.error("Błąd podczas parsowania odpowiedzi JSON dla tytułu:", parseError);
-            return currentTitle;
+      const request = this.sendRequest(task, label, prompt, input, params);
+      this.inFlight.set(key, request);
+      try {
+         const parsedResponse = await request;
+         if (parsedResponse && cacheable) {
+            this.cache.set(key, parsedResponse, {
+               task,
+               provider: this.provider.name,
+               model: this.provider.model,
+            });
          }
-      } catch (error) {
-         console.error("Błąd podczas optymalizacji tytułu:", error);
-         return currentTitle;
+         return parsedResponse;
+      } finally {
+         this.inFlight.delete(key);
       }
    }
 
-   async optimizeDescription(currentDescription, keywords, maxLength = 160) {
+   // Wysyła prompt do dostawcy i zwraca sparsowany JSON lub null przy błędzie
+   async sendRequest(task, label, prompt, input, { temperature, maxTokens }) {
+      let outputText;
       try {
-         const response = await this.openai.responses.create({
-            model: "gpt-4o-mini",
-            input: [
-               {
-                  "role": "system",
-                  "content": [
-                     {
-                        "type": "input_text",
-                        "text": `Zoptymalizuj poniższy opis strony pod kątem SEO, uwzględniając następujące słowa kluczowe: ${keywords.join(", ")}. 
-                        Opis powinien być naturalny, zachęcający do kliknięcia i zawierać najważniejsze słowa kluczowe. Maksymalna długość: ${maxLength} znaków.
-                        Obecny opis: "${currentDescription}"
-                        Odpowiedź musi być w formacie JSON:
-                        {
-                           "optimizedDescription": "optymalizowany opis"
-                        } nie zwracaj niczego innego`
-                     }
-                  ]
-               }
-            ],
-            text: {
-               "format": {
-                  "type": "json_object"
-               }
-            },
-            reasoning: {},
-            tools: [],
-            temperature: 0.7,
-            max_output_tokens: 200,
-            top_p: 1,
-            store: false
+         outputText = await this.provider.complete({
+            task,
+            prompt,
+            input,
+            temperature,
+            maxTokens,
          });
+      } catch (error) {
+         console.error(`Błąd podczas zapytania do AI (${label}):`, error);
+         return null;
+      }
 
-         console.log("Odpowiedź z API (opis):", response.output_text);
+      console.log(`Odpowiedź z API (${label}):`, outputText);
 
-         if (!response || !response.output_text) {
-            console.error("Nieprawidłowa odpowiedź z API OpenAI podczas optymalizacji opisu");
-            return currentDescription;
-         }
+      if (!outputText) {
+         console.error(`Nieprawidłowa odpowiedź z API (${this.provider.name}) podczas zapytania: ${label}`);
+         return null;
+      }
 
-         try {
-            const parsedResponse = this.cleanAndParseJSON(response.output_text);
-            return parsedResponse.optimizedDescription || currentDescription;
-         } catch (parseError) {
-            console.error("Błąd podczas parsowania odpowiedzi JSON dla opisu:", parseError);
-            return currentDescription;
-         }
-      } catch (error) {
-         console.error("Błąd podczas optymalizacji opisu:", error);
-         return currentDescription;
+      try {
+         return this.cleanAndParseJSON(outputText);
+      } catch (parseError) {
+         console.error(`Błąd podczas parsowania odpowiedzi JSON (${label}):`, parseError);
+         return null;
       }
    }
 
-   async analyzeContent(content, keywords) {
-      try {
-         const response = await this.openai.responses.create({
-            model: "gpt-4o-mini",
-            input: [
-               {
-                  "role": "system",
-                  "content": [
-                     {
-                        "type": "input_text",
-                        "text": `Przeanalizuj poniższą treść pod kątem SEO i zaproponuj ulepszenia:
-                        Treść: "${content}"
-                        Słowa kluczowe: ${keywords.join(", ")}
-                        
-                        Przeanalizuj:
-                        1. Gęstość słów kluczowych
-                        2. Naturalność tekstu
-                        3. Strukturę i czytelność
-                        4. Potencjalne ulepszenia
-                        Odpowiedź musi być w formacie JSON:
-                        {
-                           "suggestions": ["słowo1", "słowo2", "słowo3"]
-                        } nie zwracaj niczego innego`
-                     }
-                  ]
-               }
-            ],
-            text: {
-               "format": {
-                  "type": "json_object"
-               }
-            },
-            reasoning: {},
-            tools: [],
-            temperature: 0.7,
-            max_output_tokens: 300,
-            top_p: 1,
-            store: false
-         });
+   // Szablon zapytania z katalogu (prompts.<nazwa>) w języku treści strony
+   getPrompt(name, language, params) {
+      return translate(language, `prompts.${name}`, params);
+   }
 
-         console.log("Odpowiedź z API (analiza treści):", response.output_text);
+   // Branża i lokalizacja z konfiguracji projektu dopisywane do zapytań
+   getProjectContext(language = getContentLanguage()) {
+      const { industry, location } = config.project;
+      return [
+         industry && this.getPrompt("industry", language, { industry }),
+         location && this.getPrompt("location", language, { location }),
+      ]
+         .filter(Boolean)
+         .join(" ");
+   }
 
-         if (!response || !response.output_text) {
-            console.error("Nieprawidłowa odpowiedź z API OpenAI podczas analizy treści");
-            return null;
-         }
+   async optimizeTitle(
+      currentTitle,
+      keywords,
+      maxLength = config.seo.titleLength.max,
+      meta = {},
+      language = getContentLanguage()
+   ) {
+      const parsedResponse = await this.requestJSON(
+         "optimizeTitle",
+         "tytuł",
+         this.getPrompt("optimizeTitle", language, {
+            keywords: keywords.join(", "),
+            maxLength,
+            context: this.getProjectContext(language),
+            currentTitle,
+         }),
+         { currentTitle, keywords, maxLength, language },
+         { temperature: 1, maxTokens: 2048 },
+         meta
+      );
+
+      return (parsedResponse && parsedResponse.optimizedTitle) || currentTitle;
+   }
 
-         try {
-            const parsedResponse = this.cleanAndParseJSON(response.output_text);
-            return parsedResponse.suggestions || [];
-         } catch (parseError) {
-            console.error("Błąd podczas parsowania odpowiedzi JSON dla analizy treści:", parseError);
-            return null;
-         }
-      } catch (error) {
-         console.error("Błąd podczas analizy treści:", error);
-         return null;
-      }
+   async optimizeDescription(
+      currentDescription,
+      keywords,
+      maxLength = config.seo.descriptionLength.max,
+      meta = {},
+      language = getContentLanguage()
+   ) {
+      const parsedResponse = await this.requestJSON(
+         "optimizeDescription",
+         "opis",
+         this.getPrompt("optimizeDescription", language, {
+            keywords: keywords.join(", "),
+            maxLength,
+            context: this.getProjectContext(language),
+            currentDescription,
+         }),
+         { currentDescription, keywords, maxLength, language },
+         { temperature: 0.7, maxTokens: 200 },
+         meta
+      );
+
+      return (
+         (parsedResponse && parsedResponse.optimizedDescription) ||
+         currentDescription
+      );
    }
 
-   async generateKeywordSuggestions(currentKeywords, industry = "hydraulika") {
-      try {
-         const response = await this.openai.responses.create({
-            model: "gpt-4o-mini",
-            input: [
-               {
-                  "role": "system",
-                  "content": [
-                     {
-                        "type": "input_text",
-                        "text": `Zaproponuj dodatkowe słowa kluczowe związane z branżą ${industry}, które mogłyby uzupełnić obecną listę: ${currentKeywords.join(", ")}.
-                        Uwzględnij:
-                        1. Frazy długiego ogona
-                        2. Synonimy
-                        3. Powiązane usługi
-                        4. Lokalne słowa kluczowe
-                        Odpowiedź musi być w formacie JSON:
-                        {
-                           "suggestions": ["słowo1", "słowo2", "słowo3"]
-                        } nie zwracaj niczego innego`
-                     }
-                  ]
-               }
-            ],
-            text: {
-               "format": {
-                  "type": "json_object"
-               }
-            },
-            reasoning: {},
-            tools: [],
-            temperature: 0.7,
-            max_output_tokens: 2048,
-            top_p: 1,
-            store: false
-         });
+   async analyzeContent(content, keywords, meta = {}, language = getContentLanguage()) {
+      const parsedResponse = await this.requestJSON(
+         "analyzeContent",
+         "analiza treści",
+         this.getPrompt("analyzeContent", language, { content, keywords: keywords.join(", ") }),
+         { content, keywords, language },
+         { temperature: 0.7, maxTokens: 300 },
+         meta
+      );
+
+      if (!parsedResponse) return null;
+      return parsedResponse.suggestions || [];
+   }
 
-         console.log("Odpowiedź z API (sugestie słów kluczowych):", response.output_text);
+   async generateKeywordSuggestions(
+      currentKeywords,
+      industry = config.project.industry,
+      meta = {},
+      language = getContentLanguage()
+   ) {
+      const { location } = config.project;
+      const parsedResponse = await this.requestJSON(
+         "generateKeywordSuggestions",
+         "sugestie słów kluczowych",
+         this.getPrompt("generateKeywordSuggestions", language, {
+            topic: industry
+               ? this.getPrompt("keywordTopic", language, { industry })
+               : this.getPrompt("defaultKeywordTopic", language),
+            keywords: currentKeywords.join(", "),
+            location: location ? this.getPrompt("location", language, { location }) : "",
+         }),
+         { currentKeywords, industry, location, language },
+         { temperature: 0.7, maxTokens: 2048 },
+         meta
+      );
+
+      return (parsedResponse && parsedResponse.suggestions) || currentKeywords;
+   }
 
-         if (!response || !response.output_text) {
-            console.error("Nieprawidłowa odpowiedź z API OpenAI podczas generowania sugestii słów kluczowych");
-            return currentKeywords;
-         }
+   // pageData.language: język treści strony (domyślnie z konfiguracji projektu)
+   async optimizeSocialTags(pageData, limits = config.seo.social, meta = {}) {
+      const language = pageData.language || getContentLanguage();
+      const currentOgTitle = pageData.ogTitle || pageData.title;
+      const currentOgDescription = pageData.ogDescription || pageData.description;
+      const parsedResponse = await this.requestJSON(
+         "optimizeSocialTags",
+         "tagi Open Graph",
+         this.getPrompt("optimizeSocialTags", language, {
+            keywords: pageData.keywords.join(", "),
+            titleMaxLength: limits.titleLength.max,
+            descriptionMaxLength: limits.descriptionLength.max,
+            title: pageData.title,
+            description: pageData.description,
+            ogTitle: pageData.ogTitle || "",
+            ogDescription: pageData.ogDescription || "",
+         }),
+         {
+            currentOgTitle,
+            currentOgDescription,
+            keywords: pageData.keywords,
+            titleMaxLength: limits.titleLength.max,
+            descriptionMaxLength: limits.descriptionLength.max,
+            language,
+         },
+         { temperature: 0.7, maxTokens: 300 },
+         meta
+      );
+
+      return {
+         ogTitle: (parsedResponse && parsedResponse.ogTitle) || currentOgTitle,
+         ogDescription:
+            (parsedResponse && parsedResponse.ogDescription) ||
+            currentOgDescription,
+      };
+   }
 
-         try {
-            const parsedResponse = this.cleanAndParseJSON(response.output_text);
-            return parsedResponse.suggestions || currentKeywords;
-         } catch (parseError) {
-            console.error("Błąd podczas parsowania odpowiedzi JSON dla sugestii słów kluczowych:", parseError);
-            return currentKeywords;
-         }
-      } catch (error) {
-         console.error("Błąd podczas generowania sugestii słów kluczowych:", error);
-         return currentKeywords;
-      }
+   // images: [{ src, context }]; zwraca [{ src, alt }]
+   async suggestAltTexts(images, pageData, meta = {}) {
+      if (images.length === 0) return [];
+
+      const language = pageData.language || getContentLanguage();
+      const parsedResponse = await this.requestJSON(
+         "suggestAltTexts",
+         "teksty alternatywne",
+         this.getPrompt("suggestAltTexts", language, {
+            title: pageData.title,
+            keywords: pageData.keywords.join(", "),
+            images: images
+               .map((image) => this.getPrompt("imageContext", language, image))
+               .join("\n"),
+         }),
+         { images, title: pageData.title, keywords: pageData.keywords, language },
+         { temperature: 0.7, maxTokens: 1024 },
+         meta
+      );
+
+      if (!parsedResponse || !Array.isArray(parsedResponse.altTexts)) return [];
+      return parsedResponse.altTexts.filter(
+         (item) => item && item.src && typeof item.alt === "string"
+      );
    }
 
-   async optimizeMetaTags(pageData) {
+   // pageData.language: język treści strony (domyślnie z konfiguracji projektu)
+   async optimizeMetaTags(pageData, { social = false } = {}) {
+      const language = pageData.language || getContentLanguage();
       try {
+         const titleMeta = {};
+         const descriptionMeta = {};
+         const suggestionsMeta = {};
+         const socialMeta = {};
          const optimizedData = {
-            title: await this.optimizeTitle(pageData.title, pageData.keywords),
+            title: await this.optimizeTitle(
+               pageData.title,
+               pageData.keywords,
+               undefined,
+               titleMeta,
+               language
+            ),
             description: await this.optimizeDescription(
                pageData.description,
-               pageData.keywords
+               pageData.keywords,
+               undefined,
+               descriptionMeta,
+               language
             ),
             suggestions: await this.generateKeywordSuggestions(
-               pageData.keywords
+               pageData.keywords,
+               undefined,
+               suggestionsMeta,
+               language
             ),
          };
+         if (social) {
+            optimizedData.social = await this.optimizeSocialTags(
+               { ...pageData, language },
+               undefined,
+               socialMeta
+            );
+         }
+         optimizedData.fromCache = {
+            title: titleMeta.fromCache,
+            description: descriptionMeta.fromCache,
+            suggestions: suggestionsMeta.fromCache,
+            social: socialMeta.fromCache,
+         };
 
          return optimizedData;
       } catch (error) {
@@ -276,114 +366,37 @@ class SEOAIOptimizer {
       }
    }
 
-   async analyzePageContent(content, url) {
-      try {
-         console.log("Rozpoczynam analizę treści dla URL:", url);
-         console.log("Długość treści:", content.length);
-
-         const response = await this.openai.responses.create({
-            model: "gpt-4o-mini",
-            input: [
-               {
-                  "role": "system",
-                  "content": [
-                     {
-                        "type": "input_text",
-                        "text": `Przeanalizuj poniższą treść strony i wygeneruj:
-                           1. Listę głównych słów kluczowych (max 10)
-                           2. Listę długiego ogona (max 15)
-                           3. Listę powiązanych tematów (max 10)
-                           4. Sugestie dotyczące struktury treści
-                           5. Sugestie dotyczące optymalizacji pod SEO
-
-                           Treść strony:
-                           ${content}
-
-                           URL: ${url}
-
-                           Twoja odpowiedź musi być w formacie JSON o następującym formatowaniu:
-                           {
-                           "mainKeywords": [],
-                           "longTailKeywords": [],
-                           "relatedTopics": [],
-                           "contentStructure": [],
-                           "seoSuggestions": []
-                           } zwróć tylko JSON`
-                     }
-                  ]
-               }
-            ],
-            text: {
-               "format": {
-                  "type": "json_object"
-               }
-            },
-            reasoning: {},
-            tools: [],
-            temperature: 1,
-            max_output_tokens: 2048,
-            top_p: 1,
-            store: false
-         });
-
-         console.log("Odpowiedź z API (analiza treści):", response.output_text);
-
-         if (!response || !response.output_text) {
-            console.error("Nieprawidłowa odpowiedź z API OpenAI podczas analizy treści");
-            return {
-               mainKeywords: [],
-               longTailKeywords: [],
-               relatedTopics: [],
-               contentStructure: [],
-               seoSuggestions: []
-            };
-         }
+   async analyzePageContent(content, url, meta = {}, language = getContentLanguage()) {
+      console.log("Rozpoczynam analizę treści dla URL:", url);
+      console.log("Długość treści:", content.length);
+
+      const parsedResponse = await this.requestJSON(
+         "analyzePageContent",
+         "analiza treści",
+         this.getPrompt("analyzePageContent", language, { content, url }),
+         { content, url, language },
+         { temperature: 1, maxTokens: 2048 },
+         meta
+      );
+
+      if (!parsedResponse) {
+         return { ...EMPTY_PAGE_ANALYSIS };
+      }
 
-         try {
-            const parsedResponse = this.cleanAndParseJSON(response.output_text);
-            console.log("Sparsowana odpowiedź:", parsedResponse);
-
-            // Sprawdź, czy wszystkie wymagane pola są obecne
-            const requiredFields = ['mainKeywords', 'longTailKeywords', 'relatedTopics', 'contentStructure', 'seoSuggestions'];
-            const missingFields = requiredFields.filter(field => !parsedResponse[field]);
-
-            if (missingFields.length > 0) {
-               console.error("Brakujące pola w odpowiedzi:", missingFields);
-               // Uzupełnij brakujące pola pustymi tablicami
-               missingFields.forEach(field => {
-                  parsedResponse[field] = [];
-               });
-            }
-
-            // Upewnij się, że wszystkie pola są tablicami
-            requiredFields.forEach(field => {
-               if (!Array.isArray(parsedResponse[field])) {
-                  console.error(`Pole ${field} nie jest tablicą, konwertuję na tablicę`);
-                  parsedResponse[field] = [];
-               }
-            });
+      console.log("Sparsowana odpowiedź:", parsedResponse);
 
-            return parsedResponse;
-         } catch (parseError) {
-            console.error("Błąd podczas parsowania odpowiedzi JSON dla analizy treści:", parseError);
-            return {
-               mainKeywords: [],
-               longTailKeywords: [],
-               relatedTopics: [],
-               contentStructure: [],
-               seoSuggestions: []
-            };
+      // Upewnij się, że wszystkie wymagane pola są obecne i są tablicami
+      Object.keys(EMPTY_PAGE_ANALYSIS).forEach(field => {
+         if (!parsedResponse[field]) {
+            console.error("Brakujące pole w odpowiedzi:", field);
+            parsedResponse[field] = [];
+         } else if (!Array.isArray(parsedResponse[field])) {
+            console.error(`Pole ${field} nie jest tablicą, konwertuję na tablicę`);
+            parsedResponse[field] = [];
          }
-      } catch (error) {
-         console.error("Błąd podczas analizy treści:", error);
-         return {
-            mainKeywords: [],
-            longTailKeywords: [],
-            relatedTopics: [],
-            contentStructure: [],
-            seoSuggestions: []
-         };
-      }
+      });
+
+      return parsedResponse;
    }
 }
 
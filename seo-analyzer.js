@@ -2,10 +2,23 @@
  * Analizator SEO - skrypt do kompleksowej analizy strony pod kątem SEO
  *
  * Funkcjonalności:
- * - Crawlowanie wszystkich dostępnych linków na stronie
- * - Analiza powiązań między stronami
+ * - Crawlowanie wszystkich dostępnych linków na stronie (BFS, współbieżnie, z limitem żądań na host)
+ * - Wznawianie przerwanego crawlowania i analiza przyrostowa (tylko zmienione strony)
+ * - Ocena SEO stron i serwisu (0-100) z podziałem na kategorie i listą najważniejszych poprawek
+ * - Analiza powiązań między stronami (graf linków, PageRank, strony osierocone, eksport grafu)
  * - Sprawdzanie pliku sitemap.xml
- * - Generowanie raportu z analizy
+ * - Sprawdzanie linków zewnętrznych i zasobów statycznych
+ * - Opcjonalne renderowanie stron JavaScript w headless Chrome
+ * - Ekstrakcja i walidacja danych strukturalnych (JSON-LD, microdata, RDFa)
+ * - Audyt tagów Open Graph i Twitter Card z podglądem udostępnień
+ * - Wykrywanie zduplikowanych tytułów, opisów, H1 i zbliżonych treści
+ * - Lokalna analiza słów kluczowych (stemming, gęstość, rozmieszczenie, TF-IDF)
+ * - Objętość i czytelność treści (liczba słów, FOG-PL/Flesch, długie zdania, strona bierna)
+ * - Struktura nagłówków (konspekt, kilka H1, pominięte poziomy, puste i powtarzające się nagłówki)
+ * - Audyt obrazków (alt, nazwy plików, wymiary, rozmiar, format) z propozycjami alt od AI
+ * - Śledzenie łańcuchów przekierowań i adresów kanonicznych
+ * - Respektowanie robots.txt oraz dyrektyw meta robots / X-Robots-Tag
+ * - Generowanie raportu z analizy w wybranym języku (katalogi w locales/)
  */
 
 const axios = require("axios");
@@ -16,9 +29,178 @@ const url = require("url");
 const path = require("path");
 const puppeteer = require("puppeteer");
 const SEOAIOptimizer = require("./seo-ai-optimizer");
+const { RobotsTxt, parseRobotsDirectives } = require("./robots");
+const { TaskQueue, CrawlFrontier, HostRateLimiter } = require("./crawl-queue");
+const { PageRenderer, compareSnapshots } = require("./page-renderer");
+const {
+   extractStructuredData,
+   validateStructuredData,
+   containsType,
+} = require("./structured-data");
+const {
+   extractSocialMeta,
+   validateSocialMeta,
+   validateSocialImage,
+   getImageSize,
+   buildPreviews,
+} = require("./social-meta");
+const { extractImages, auditImage } = require("./image-audit");
+const {
+   normalizeText,
+   findExactDuplicates,
+   findBoilerplateBlocks,
+   removeBoilerplate,
+   findNearDuplicates,
+} = require("./duplicate-content");
+const {
+   PLACEMENT_FIELDS,
+   matchKeywords,
+   analyzeKeywords,
+   extractFirstParagraph,
+} = require("./keyword-analysis");
+const { analyzeReadability } = require("./readability");
+const { analyzeHeadings } = require("./heading-outline");
+const LinkGraph = require("./link-graph");
+const LinkChecker = require("./link-checker");
+const { CrawlState, hashContent } = require("./crawl-state");
+const { saveRun } = require("./report-history");
+const { scoreSite } = require("./seo-score");
+const { runRules, summarizeIssues } = require("./audit-rules");
+const { buildTables, writeCsvFiles, writeXlsx } = require("./spreadsheet-export");
+const { t, getReportLanguage, getContentLanguage } = require("./i18n");
 const config = require("./config");
 require("dotenv").config();
 
+// Ścieżka pliku wynikowego w katalogu z config.report.outputDirectory
+function getOutputPath(fileName) {
+   return path.join(config.report.outputDirectory, fileName);
+}
+
+// Treść wstawiana do raportu HTML (tytuły, adresy, odpowiedzi AI) pochodzi z analizowanych stron
+function escapeHtml(value) {
+   if (value === null || value === undefined) return "";
+   return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+/**
+ * Wykres słupkowy jako SVG osadzony w raporcie (działa bez dostępu do sieci).
+ * bars: [{ label, value, className }]
+ */
+function renderBarChart(title, bars) {
+   const width = 420;
+   const labelWidth = 80;
+   const barHeight = 18;
+   const gap = 6;
+   const maxValue = Math.max(1, ...bars.map((bar) => bar.value));
+   const height = bars.length * (barHeight + gap) + gap;
+
+   return `
+         <div class="chart">
+            <div class="meta-title">${escapeHtml(title)}</div>
+            <svg class="bar-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(
+               title
+            )}">
+               ${bars
+                  .map((bar, index) => {
+                     const y = gap + index * (barHeight + gap);
+                     const barWidth = Math.round((bar.value / maxValue) * (width - labelWidth - 40));
+                     return `
+               <text x="${labelWidth - 6}" y="${y + barHeight / 2}" text-anchor="end" dominant-baseline="middle">${escapeHtml(
+                        bar.label
+                     )}</text>
+               <rect class="${bar.className || ""}" x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}"></rect>
+               <text x="${labelWidth + barWidth + 6}" y="${y + barHeight / 2}" dominant-baseline="middle">${
+                        bar.value
+                     }</text>`;
+                  })
+                  .join("")}
+            </svg>
+         </div>`;
+}
+
+// Histogram długości tekstu; przedziały mieszczące się w zalecanym zakresie są oznaczone jako poprawne
+function getLengthHistogram(lengths, step, range) {
+   const limit = range.max * 2;
+   const bars = [];
+   for (let start = 0; start < limit; start += step) {
+      const end = start + step - 1;
+      bars.push({
+         label: `${start}-${end}`,
+         value: lengths.filter((length) => length >= start && length <= end).length,
+         className: start >= range.min && end <= range.max ? "bar-ok" : "bar-warning",
+      });
+   }
+   bars.push({
+      label: `${limit}+`,
+      value: lengths.filter((length) => length >= limit).length,
+      className: "bar-warning",
+   });
+   return bars;
+}
+
+// Rozkład z analizy treści jako słupki [min, max); przedziały poniżej progu oznaczone jako problem
+function getDistributionBars(distribution, threshold = 0) {
+   return distribution.map(({ min, max, count }) => ({
+      label: max === null ? `${min}+` : `${min}-<${max}`,
+      value: count,
+      className: min < threshold ? "bar-warning" : "bar-ok",
+   }));
+}
+
+const READABILITY_LEVEL_CLASSES = {
+   easy: "bar-ok",
+   medium: "bar-ok",
+   hard: "bar-notice",
+   veryHard: "bar-warning",
+};
+
+function getStatusChartBars(pages) {
+   const counts = new Map();
+   pages.forEach((page) => counts.set(page.status, (counts.get(page.status) || 0) + 1));
+   return [...counts.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([status, value]) => ({
+         label: String(status),
+         value,
+         className:
+            status >= 200 && status < 300
+               ? "bar-ok"
+               : status >= 300 && status < 400
+               ? "bar-notice"
+               : "bar-warning",
+      }));
+}
+
+// Kolekcje z wynikami pojedynczych stron (klucz: URL strony) zapisywane w stanie crawlowania
+const PAGE_STATE_FIELDS = [
+   "internalLinks",
+   "externalLinks",
+   "pagesTitles",
+   "pagesDescriptions",
+   "pagesH1",
+   "pagesTitlesWarnings",
+   "pagesDescriptionsWarnings",
+   "pagesMetaTags",
+   "pagesCanonicals",
+   "pagesStructuredData",
+   "pagesSocialMeta",
+   "pagesImages",
+   "pagesContentBlocks",
+   "pagesHeadings",
+   "pagesFirstParagraphs",
+   "pagesText",
+   "pagesRobots",
+   "renderDiffs",
+   "pageValidators",
+   "pagesPerformance",
+   "pagesLanguages",
+];
+
 class SEOAnalyzer {
    constructor(startUrl, openaiApiKey) {
       this.startUrl = startUrl;
@@ -26,6 +208,8 @@ class SEOAnalyzer {
       this.visitedUrls = new Set();
       this.staticResources = new Set(); // Nowa kolekcja dla zasobów statycznych
       this.brokenLinks = [];
+      this.linkReferences = new Map(); // URL -> [{ page, anchor }]
+      this.linkCheckResults = new Map(); // URL -> wynik LinkChecker
       this.internalLinks = new Map(); // URL -> [links to]
       this.externalLinks = new Map(); // URL -> [external links]
       this.pagesTitles = new Map(); // URL -> title
@@ -38,13 +222,73 @@ class SEOAnalyzer {
       this.pagesTitlesWarnings = new Map();
       this.pagesDescriptionsWarnings = new Map();
       this.pagesMetaTags = new Map();
-      this.aiOptimizer = new SEOAIOptimizer(openaiApiKey);
+      this.redirects = new Map(); // URL -> { chain: [{ url, status, location }], finalUrl, finalStatus, loop }
+      this.pagesCanonicals = new Map(); // URL -> [canonical URLs]
+      this.pagesStructuredData = new Map(); // URL -> { items, errors, validation }
+      this.pagesSocialMeta = new Map(); // URL -> { "og:title": ..., "twitter:card": ... }
+      this.socialImages = new Map(); // URL obrazka -> { status, contentType, width, height }
+      this.pagesImages = new Map(); // URL -> [{ src, alt, width, height, loading, position, context }]
+      this.imageResources = new Map(); // URL obrazka -> { status, contentType, bytes }
+      this.pagesContentBlocks = new Map(); // URL -> [nagłówki, akapity, listy]
+      this.pagesHeadings = new Map(); // URL -> [{ level, text }] w kolejności dokumentu
+      this.pagesFirstParagraphs = new Map(); // URL -> pierwszy akapit treści głównej
+      this.pagesText = new Map(); // URL -> { paragraphs, textBytes } - do analizy czytelności
+      this.pagesLanguages = new Map(); // URL -> atrybut lang elementu <html>
+      this.userAgent = config.crawler.userAgent;
+      this.renderer = config.crawler.render.enabled
+         ? new PageRenderer({
+              ...config.crawler.render,
+              userAgent: this.userAgent,
+           })
+         : null;
+      this.renderDiffs = new Map(); // URL -> różnice między surowym a wyrenderowanym HTML
+      this.robotsTxt = null;
+      this.robotsTxtStatus = null;
+      this.crawlDelay = 0; // sekundy, z dyrektywy Crawl-delay
+      this.frontier = new CrawlFrontier();
+      this.rateLimiter = new HostRateLimiter(config.crawler.requestDelay);
+      this.linkChecker = new LinkChecker({
+         ...config.crawler.linkCheck,
+         maxRedirects: config.crawler.maxRedirects,
+         userAgent: this.userAgent,
+      });
+      this.aiQueue = new TaskQueue(config.ai.concurrency);
+      this.aiPending = new Map(); // URL -> { content, metadata } - analizy AI do wykonania
+      this.pageValidators = new Map(); // URL -> { etag, lastModified, hash }
+      this.pagesPerformance = new Map(); // URL -> { responseTime, htmlBytes }
+      this.crawlState = config.crawler.state.enabled
+         ? new CrawlState({
+              directory: config.crawler.state.directory,
+              baseUrl: this.baseUrl,
+           })
+         : null;
+      this.stateChanges = 0;
+      this.resumedFrom = null; // data zapisu wznowionego stanu
+      this.previousState = null; // ukończona analiza, z którą porównuje tryb przyrostowy
+      this.previousReferences = null; // strona -> [{ target, anchor }] z poprzedniej analizy
+      this.unchangedPages = new Set();
+      this.pagesInProgress = new Map(); // URL z kolejki -> URL analizowanej strony
+      this.includePatterns = config.crawler.include.map((pattern) => new RegExp(pattern, "i"));
+      this.excludePatterns = config.crawler.exclude.map((pattern) => new RegExp(pattern, "i"));
+      this.reportFiles = []; // zapisane pliki raportu
+      this.maxDepth = null;
+      this.pagesScheduled = 0;
+      this.crawlStartTime = null;
+      this.crawlDuration = 0;
+      this.crawlStopReason = null;
+      this.blockedByRobotsTxt = new Set();
+      this.pagesRobots = new Map(); // URL -> { noindex, nofollow, directives, sources }
+      this.noindexInSitemap = new Set();
+      this.blockedInSitemap = new Set();
+      // Bez AI (--no-ai) strony są analizowane wyłącznie lokalnie
+      this.aiOptimizer = config.ai.enabled ? new SEOAIOptimizer(openaiApiKey) : null;
       this.keywords = new Set(config.seo.keywords);
       
       // Inicjalizacja obiektu raportu
       this.report = {
          baseUrl: this.baseUrl,
          dateGenerated: new Date().toISOString(),
+         language: getReportLanguage(),
          issues: [],
          aiSuggestions: {
             mainKeywords: [],
@@ -54,6 +298,7 @@ class SEOAnalyzer {
             seoSuggestions: [],
             optimizedTitles: [],
             optimizedDescriptions: [],
+            optimizedSocialTags: [],
             keywordSuggestions: new Set()
          },
          crawlStats: {
@@ -68,7 +313,7 @@ class SEOAnalyzer {
 
    getBaseUrl(inputUrl) {
       const parsedUrl = new URL(inputUrl);
-      return `${parsedUrl.protocol}//${parsedUrl.hostname}`;
+      return `${parsedUrl.protocol}//${parsedUrl.host}`;
    }
 
    isInternalUrl(link) {
@@ -117,37 +362,243 @@ class SEOAnalyzer {
       return true;
    }
 
+   // Filtry adresów z config.crawler.include / exclude (wyrażenia regularne)
+   matchesUrlFilters(url) {
+      if (
+         this.includePatterns.length > 0 &&
+         !this.includePatterns.some((pattern) => pattern.test(url))
+      ) {
+         return false;
+      }
+      return !this.excludePatterns.some((pattern) => pattern.test(url));
+   }
+
+   // Podąża za przekierowaniami ręcznie, zapisując każdy krok łańcucha
+   async requestWithRedirects(url, method = "get", headers = {}) {
+      const chain = [];
+      const seenUrls = new Set([url]);
+      let currentUrl = url;
+
+      for (;;) {
+         let response;
+         try {
+            response = await axios.request({
+               url: currentUrl,
+               method,
+               maxRedirects: 0,
+               timeout: config.crawler.timeout,
+               headers: {
+                  "User-Agent": this.userAgent,
+                  ...headers,
+               },
+               validateStatus: (status) => status < 400,
+            });
+         } catch (error) {
+            error.chain = chain;
+            error.finalUrl = currentUrl;
+            throw error;
+         }
+
+         if (response.status < 300 || !response.headers.location) {
+            return { response, chain, finalUrl: currentUrl };
+         }
+
+         const location = new URL(response.headers.location, currentUrl).href;
+         chain.push({ url: currentUrl, status: response.status, location });
+
+         let redirectError = null;
+         if (seenUrls.has(location)) {
+            redirectError = new Error(`${t("linkCheck.redirectLoop")}: ${location}`);
+            redirectError.redirectLoop = true;
+         } else if (chain.length > config.crawler.maxRedirects) {
+            redirectError = new Error(
+               t("linkCheck.tooManyRedirects", { max: config.crawler.maxRedirects })
+            );
+         }
+         if (redirectError) {
+            redirectError.chain = chain;
+            redirectError.finalUrl = location;
+            throw redirectError;
+         }
+
+         seenUrls.add(location);
+         currentUrl = location;
+      }
+   }
+
+   recordRedirects(url, chain, finalUrl, finalStatus, loop = false) {
+      if (chain.length === 0) return;
+
+      this.redirects.set(url, { chain, finalUrl, finalStatus, loop });
+      // Status pierwszej odpowiedzi (301/302...) trafia pod oryginalny URL
+      this.statusCodes.set(url, chain[0].status);
+      if (!loop) {
+         this.statusCodes.set(finalUrl, finalStatus);
+      }
+   }
+
+   /**
+    * Nagłówki warunkowe na podstawie poprzedniej analizy (tryb przyrostowy). Walidatory
+    * przekierowanego adresu są zapisane pod adresem docelowym z poprzedniej analizy.
+    */
+   getConditionalHeaders(url) {
+      if (!this.previousState) return {};
+      const redirect = this.previousState.redirects.get(url);
+      const pageUrl = redirect && !redirect.loop ? redirect.finalUrl : url;
+      const validators = this.previousState.pages.pageValidators.get(pageUrl);
+      if (!validators) return {};
+      return {
+         ...(validators.etag && { "If-None-Match": validators.etag }),
+         ...(validators.lastModified && {
+            "If-Modified-Since": validators.lastModified,
+         }),
+      };
+   }
+
    async fetchPage(url) {
       try {
-         const response = await axios.get(url, {
-            maxRedirects: 5,
-            timeout: 10000,
-            headers: {
-               "User-Agent": "SEOAnalyzer/1.0",
-            },
-         });
+         const { response, chain, finalUrl } = await this.requestWithRedirects(
+            url,
+            "get",
+            this.getConditionalHeaders(url)
+         );
          this.statusCodes.set(url, response.status);
-         return { html: response.data, status: response.status };
+         this.recordRedirects(url, chain, finalUrl, response.status);
+         return {
+            html: response.data,
+            status: response.status,
+            headers: response.headers,
+            finalUrl,
+         };
       } catch (error) {
+         const chain = error.chain || [];
          if (error.response) {
+            const finalUrl = error.finalUrl || url;
             this.statusCodes.set(url, error.response.status);
-            this.brokenLinks.push({ url, status: error.response.status });
-            return { html: "", status: error.response.status };
+            this.recordRedirects(url, chain, finalUrl, error.response.status);
+            this.brokenLinks.push({
+               url,
+               type: "internal",
+               status: error.response.status,
+               ...(finalUrl !== url && { finalUrl }),
+            });
+            return {
+               html: "",
+               status: error.response.status,
+               headers: error.response.headers,
+               finalUrl,
+            };
          } else {
             this.statusCodes.set(url, 0);
-            this.brokenLinks.push({ url, status: 0, error: error.message });
-            return { html: "", status: 0 };
+            // Pętla lub zbyt długi łańcuch - strona nie ma adresu docelowego
+            this.recordRedirects(url, chain, url, 0, !!error.redirectLoop);
+            this.brokenLinks.push({
+               url,
+               type: "internal",
+               status: 0,
+               error: error.message,
+            });
+            return { html: "", status: 0, headers: {}, finalUrl: url };
+         }
+      }
+   }
+
+   async fetchRobotsTxt() {
+      const robotsUrl = `${this.baseUrl}/robots.txt`;
+      console.log(`Pobieranie robots.txt z: ${robotsUrl}`);
+
+      try {
+         const response = await axios.get(robotsUrl, {
+            timeout: config.crawler.timeout,
+            responseType: "text",
+            headers: {
+               "User-Agent": this.userAgent,
+            },
+         });
+         this.robotsTxtStatus = response.status;
+         this.robotsTxt = RobotsTxt.parse(response.data);
+      } catch (error) {
+         const status = error.response ? error.response.status : 0;
+         this.robotsTxtStatus = status;
+
+         if (status >= 400 && status < 500) {
+            // Brak pliku robots.txt - brak ograniczeń
+            this.robotsTxt = RobotsTxt.allowAll();
+         } else {
+            console.error(
+               `robots.txt jest niedostępny (${error.message}), zgodnie z RFC 9309 crawlowanie jest zablokowane`
+            );
+            this.robotsTxt = RobotsTxt.disallowAll();
          }
       }
+
+      this.crawlDelay = this.robotsTxt.getCrawlDelay(this.userAgent) || 0;
+      if (this.crawlDelay > 0) {
+         console.log(`Crawl-delay z robots.txt: ${this.crawlDelay}s`);
+      }
+      return this.robotsTxt;
+   }
+
+   isAllowedByRobots(url) {
+      if (!config.crawler.respectRobotsTxt || !this.robotsTxt) return true;
+      return this.robotsTxt.isAllowed(url, this.userAgent);
+   }
+
+   // Crawl-delay z robots.txt zastępuje domyślny odstęp, jeśli jest dłuższy
+   applyCrawlDelay() {
+      if (!config.crawler.respectRobotsTxt || !this.crawlDelay) return;
+
+      const host = new URL(this.baseUrl).host;
+      this.rateLimiter.setInterval(
+         host,
+         Math.max(this.rateLimiter.getInterval(host), this.crawlDelay * 1000)
+      );
+   }
+
+   extractRobotsDirectives($, url, headers = {}) {
+      // <meta name="robots"> oraz meta skierowane bezpośrednio do naszego robota
+      const agentToken = RobotsTxt.getProductToken(this.userAgent);
+      const metaValues = $("meta")
+         .filter((_, element) =>
+            ["robots", agentToken].includes(
+               ($(element).attr("name") || "").toLowerCase()
+            )
+         )
+         .map((_, element) => $(element).attr("content") || "")
+         .get();
+
+      const headerValue = headers["x-robots-tag"];
+      const meta = parseRobotsDirectives(metaValues, this.userAgent);
+      const header = parseRobotsDirectives(
+         headerValue ? [].concat(headerValue) : [],
+         this.userAgent
+      );
+
+      const robots = {
+         noindex: meta.noindex || header.noindex,
+         nofollow: meta.nofollow || header.nofollow,
+         directives: [...new Set([...meta.directives, ...header.directives])],
+         sources: {
+            meta: meta.directives,
+            header: header.directives,
+         },
+      };
+      this.pagesRobots.set(url, robots);
+
+      return robots;
    }
 
-   async extractMetadata($, url) {
+   extractMetadata($, url) {
+      const lang = ($("html").attr("lang") || "").trim();
+      if (lang) this.pagesLanguages.set(url, lang);
+
       // Pobierz tytuł strony
       const title = $("title").text().trim();
       if (title) {
          this.pagesTitles.set(url, title);
          // Sprawdź długość tytułu
-         if (title.length < 30 || title.length > 60) {
+         const { min, max } = config.seo.titleLength;
+         if (title.length < min || title.length > max) {
             this.pagesTitlesWarnings = this.pagesTitlesWarnings || new Map();
             this.pagesTitlesWarnings.set(url, title.length);
          }
@@ -158,7 +609,8 @@ class SEOAnalyzer {
       if (description) {
          this.pagesDescriptions.set(url, description);
          // Sprawdź długość opisu
-         if (description.length < 120 || description.length > 160) {
+         const { min, max } = config.seo.descriptionLength;
+         if (description.length < min || description.length > max) {
             this.pagesDescriptionsWarnings =
                this.pagesDescriptionsWarnings || new Map();
             this.pagesDescriptionsWarnings.set(url, description.length);
@@ -176,35 +628,196 @@ class SEOAnalyzer {
       });
       this.pagesMetaTags = this.pagesMetaTags || new Map();
       this.pagesMetaTags.set(url, metaTags);
+      this.pagesSocialMeta.set(url, extractSocialMeta(metaTags));
 
-      // Pobierz nagłówek H1
-      const h1 = $("h1").first().text().trim();
+      // Pobierz pierwszy niepusty nagłówek H1 (pełny konspekt zapisuje extractPageHeadings)
+      const h1 = $("h1")
+         .map((_, element) => $(element).text().trim())
+         .get()
+         .find(Boolean);
       if (h1) {
          this.pagesH1.set(url, h1);
       }
 
-      // Optymalizacja AI
-      if (title || description) {
-         try {
-            const pageData = {
-               title: title || "",
-               description: description || "",
-               keywords: Array.from(this.keywords),
-            };
+      // Pobierz adresy kanoniczne (może ich być omyłkowo kilka)
+      const canonicals = $("link[rel]")
+         .filter((_, element) =>
+            $(element)
+               .attr("rel")
+               .toLowerCase()
+               .split(/\s+/)
+               .includes("canonical")
+         )
+         .map((_, element) => $(element).attr("href"))
+         .get()
+         .filter(Boolean)
+         .map((href) => {
+            try {
+               return new URL(href.trim(), url).href;
+            } catch (error) {
+               console.warn(`Nieprawidłowy URL kanoniczny: ${href} na stronie ${url}`);
+               return null;
+            }
+         })
+         .filter(Boolean);
+      if (canonicals.length > 0) {
+         this.pagesCanonicals.set(url, canonicals);
+      }
 
-            const optimizedData = await this.aiOptimizer.optimizeMetaTags(
-               pageData
-            );
+      return { title, description };
+   }
 
-            // Dodaj sugestie optymalizacji do raportu
-            this.pagesMetaTags.get(url).aiSuggestions = {
-               optimizedTitle: optimizedData.title,
-               optimizedDescription: optimizedData.description,
-               keywordSuggestions: optimizedData.suggestions,
-            };
+   async optimizeMetadata(url, { title, description }) {
+      if (!title && !description) return;
+
+      try {
+         const social = this.pagesSocialMeta.get(url) || {};
+         const pageData = {
+            title: title || "",
+            description: description || "",
+            ogTitle: social["og:title"] || "",
+            ogDescription: social["og:description"] || "",
+            keywords: Array.from(this.keywords),
+            language: getContentLanguage(this.pagesLanguages.get(url)),
+         };
+
+         const optimizedData = await this.aiOptimizer.optimizeMetaTags(
+            pageData,
+            { social: config.ai.socialSuggestions }
+         );
+
+         // Dodaj sugestie optymalizacji do raportu
+         this.pagesMetaTags.get(url).aiSuggestions = {
+            optimizedTitle: optimizedData.title,
+            optimizedDescription: optimizedData.description,
+            keywordSuggestions: optimizedData.suggestions,
+            ...(optimizedData.social && {
+               optimizedOgTitle: optimizedData.social.ogTitle,
+               optimizedOgDescription: optimizedData.social.ogDescription,
+            }),
+            fromCache: optimizedData.fromCache || {},
+         };
+      } catch (error) {
+         console.error(`Błąd podczas optymalizacji AI dla ${url}:`, error);
+      }
+   }
+
+   extractPageStructuredData($, url) {
+      const structuredData = extractStructuredData($);
+      this.pagesStructuredData.set(url, {
+         ...structuredData,
+         validation: validateStructuredData(structuredData),
+      });
+   }
+
+   addLinkReference(target, page, anchor) {
+      if (!this.linkReferences.has(target)) this.linkReferences.set(target, []);
+      this.linkReferences.get(target).push({ page, anchor });
+   }
+
+   extractPageImages($, url) {
+      const images = extractImages($, url);
+      this.pagesImages.set(url, images);
+      images
+         .filter((image) => image.src)
+         .forEach((image) => {
+            this.staticResources.add(image.src);
+            this.addLinkReference(image.src, url, image.alt || "<img>");
+         });
+      return images;
+   }
+
+   // Nagłówki h1-h6 w kolejności dokumentu i pierwszy akapit (słowa kluczowe, konspekt)
+   extractPageHeadings($, url) {
+      this.pagesHeadings.set(
+         url,
+         $("h1, h2, h3, h4, h5, h6")
+            .map((_, element) => ({
+               level: Number(element.tagName.slice(1)),
+               text: $(element).text().replace(/\s+/g, " ").trim(),
+            }))
+            .get()
+      );
+      this.pagesFirstParagraphs.set(url, extractFirstParagraph($));
+   }
+
+   // Skrypty i arkusze stylów do sprawdzenia razem z pozostałymi zasobami
+   extractPageResources($, url) {
+      $('script[src], link[rel~="stylesheet"][href]').each((_, element) => {
+         const $element = $(element);
+         const tagName = (element.tagName || element.name).toLowerCase();
+         const value = $element.attr(tagName === "script" ? "src" : "href");
+         try {
+            const resourceUrl = new URL(value.trim(), url).href;
+            if (!resourceUrl.startsWith("http")) return;
+            this.staticResources.add(resourceUrl);
+            this.addLinkReference(resourceUrl, url, `<${tagName}>`);
          } catch (error) {
-            console.error(`Błąd podczas optymalizacji AI dla ${url}:`, error);
+            console.warn(`Nieprawidłowy URL zasobu: ${value} na stronie ${url}`);
          }
+      });
+   }
+
+   // Typ, status i adres docelowy odnośnika na podstawie crawlowania i sprawdzenia linków
+   describeLinkTarget(target) {
+      const checkResult = this.linkCheckResults.get(target);
+      const redirect = this.redirects.get(target);
+
+      let type = "external";
+      if (this.imageResources.has(target)) type = "image";
+      else if (this.staticResources.has(target)) type = "resource";
+      else if (this.isInternalUrl(target)) type = "internal";
+
+      let status = null;
+      if (this.statusCodes.has(target)) status = this.statusCodes.get(target);
+      else if (checkResult) status = checkResult.status;
+      else if (this.imageResources.has(target)) status = this.imageResources.get(target).status;
+
+      let finalUrl = null;
+      if (redirect) finalUrl = redirect.finalUrl;
+      else if (checkResult && checkResult.finalUrl !== target) finalUrl = checkResult.finalUrl;
+
+      return { type, status, finalUrl };
+   }
+
+   getLinkReferences(target) {
+      return this.linkReferences.get(target) || [];
+   }
+
+   // Propozycje alt dla obrazków bez tego atrybutu (pusty alt oznacza obrazek dekoracyjny)
+   async suggestAltTexts(url) {
+      if (!config.ai.altTextSuggestions) return;
+
+      const images = (this.pagesImages.get(url) || []).filter(
+         (image) => image.src && image.alt === null
+      );
+      const uniqueImages = [
+         ...new Map(images.map((image) => [image.src, image])).values(),
+      ].slice(0, config.seo.images.maxAltSuggestions);
+      if (uniqueImages.length === 0) return;
+
+      try {
+         const altTextMeta = {};
+         const suggestions = await this.aiOptimizer.suggestAltTexts(
+            uniqueImages.map(({ src, context }) => ({ src, context })),
+            {
+               title: this.pagesTitles.get(url) || "",
+               keywords: Array.from(this.keywords),
+               language: getContentLanguage(this.pagesLanguages.get(url)),
+            },
+            altTextMeta
+         );
+
+         suggestions.forEach(({ src, alt }) => {
+            images
+               .filter((image) => image.src === src)
+               .forEach((image) => {
+                  image.suggestedAlt = alt;
+                  image.suggestedAltFromCache = !!altTextMeta.fromCache;
+               });
+         });
+      } catch (error) {
+         console.error(`Błąd podczas generowania tekstów alt dla ${url}:`, error);
       }
    }
 
@@ -230,8 +843,15 @@ class SEOAnalyzer {
          try {
             const normalizedUrl = this.normalizeUrl(href, currentUrl);
             links.add(normalizedUrl);
+            this.addLinkReference(
+               normalizedUrl,
+               currentUrl,
+               $(element).text().replace(/\s+/g, " ").trim() ||
+                  $(element).find("img").attr("alt") ||
+                  ""
+            );
 
-            if (this.isInternalUrl(href)) {
+            if (this.isInternalUrl(normalizedUrl)) {
                currentInternalLinks.push(normalizedUrl);
             } else {
                currentExternalLinks.push(normalizedUrl);
@@ -276,22 +896,25 @@ class SEOAnalyzer {
       return content;
    }
 
-   async analyzePage(url, $) {
+   async analyzePage(url, content) {
       try {
-         const content = await this.extractContent($);
          if (!content) {
             console.error(`Nie udało się wyodrębnić treści dla ${url}`);
             return null;
          }
 
+         const analysisMeta = {};
          const pageAnalysis = await this.aiOptimizer.analyzePageContent(
             JSON.stringify(content),
-            url
+            url,
+            analysisMeta,
+            getContentLanguage(this.pagesLanguages.get(url))
          );
          if (!pageAnalysis) {
             console.error(`Nie udało się przeanalizować treści dla ${url}`);
             return null;
          }
+         pageAnalysis.fromCache = !!analysisMeta.fromCache;
 
          // Aktualizujemy sugestie AI w raporcie
          if (pageAnalysis) {
@@ -342,469 +965,2206 @@ class SEOAnalyzer {
       }
    }
 
-   async crawl(url, depth = 0, maxDepth = 10) {
-      if (
-         depth > maxDepth ||
-         this.visitedUrls.has(url) ||
-         !this.shouldCrawl(url)
-      ) {
-         return;
+   // Dodaje URL do kolejki crawlowania, jeśli może zostać odwiedzony
+   enqueueUrl(url, depth, maxDepth) {
+      if (depth > maxDepth || !this.shouldCrawl(url)) return false;
+      // Strona startowa jest crawlowana zawsze, filtry dotyczą znalezionych linków
+      if (depth > 0 && !this.matchesUrlFilters(url)) return false;
+
+      if (!this.isAllowedByRobots(url)) {
+         if (!this.blockedByRobotsTxt.has(url)) {
+            console.log(`Pominięto (zablokowane w robots.txt): ${url}`);
+            this.blockedByRobotsTxt.add(url);
+         }
+         return false;
       }
 
-      console.log(`Crawlowanie: ${url} (głębokość: ${depth})`);
-      this.visitedUrls.add(url);
+      return this.frontier.add(url, depth);
+   }
 
-      const { html, status } = await this.fetchPage(url);
-      if (status !== 200 || !html) return;
+   isCrawlBudgetExhausted() {
+      const { maxPages, maxDuration } = config.crawler;
 
-      const $ = cheerio.load(html);
+      if (maxPages > 0 && this.pagesScheduled >= maxPages) {
+         this.crawlStopReason = "maxPages";
+      } else if (
+         maxDuration > 0 &&
+         Date.now() - this.crawlStartTime >= maxDuration
+      ) {
+         this.crawlStopReason = "maxDuration";
+      }
+      return this.crawlStopReason !== null;
+   }
 
-      // Najpierw analizujemy treść strony przez AI
-      await this.analyzePage(url, $);
+   // Analiza AI trafia do osobnej kolejki, żeby nie blokować pobierania stron
+   scheduleAiAnalysis(url, content, metadata) {
+      if (!this.aiOptimizer) return;
 
-      // Następnie pobieramy metadane
-      await this.extractMetadata($, url);
+      // Do czasu zakończenia analizy dane trafiają do stanu crawlowania
+      this.aiPending.set(url, { content, metadata });
+      this.aiQueue
+         .push(async () => {
+            await this.analyzePage(url, content);
+            await this.optimizeMetadata(url, metadata);
+            await this.suggestAltTexts(url);
+         })
+         .catch((error) => {
+            console.error(`Błąd podczas analizy AI dla ${url}:`, error);
+         })
+         .finally(() => {
+            this.aiPending.delete(url);
+            this.recordStateChange();
+         });
+   }
 
-      // Na końcu zbieramy linki
-      const links = this.extractLinks($, url);
+   // Ustawienia wyznaczające zbiór crawlowanych stron; wznawiany jest tylko stan z takimi samymi
+   getStateOptions(maxDepth) {
+      const { include, exclude, maxPages, maxDuration, respectRobotsTxt, render } = config.crawler;
+      return {
+         startUrl: this.startUrl,
+         maxDepth,
+         include: include.map(String),
+         exclude: exclude.map(String),
+         maxPages,
+         maxDuration,
+         respectRobotsTxt,
+         render: render.enabled,
+      };
+   }
 
-      for (const link of links) {
-         if (this.isInternalUrl(link)) {
-            await this.crawl(link, depth + 1, maxDepth);
-         }
+   // Powód pominięcia zapisanego stanu albo null, jeśli można go wznowić
+   getResumeSkipReason(partial, maxDepth) {
+      const { resumeAfterLimit, maxAge } = config.crawler.state;
+      if (maxAge > 0 && Date.now() - Date.parse(partial.savedAt) > maxAge) {
+         return "starszy niż crawler.state.maxAge";
+      }
+      if (JSON.stringify(partial.options) !== JSON.stringify(this.getStateOptions(maxDepth))) {
+         return "inny adres startowy, głębokość lub ustawienia crawlowania";
+      }
+      if (partial.stopReason && !resumeAfterLimit) {
+         return `crawlowanie zatrzymane limitem ${partial.stopReason}, opcja --resume je dokończy`;
       }
+      return null;
    }
 
-   async fetchSitemap() {
-      try {
-         const sitemapUrl = `${this.baseUrl}/sitemap.xml`;
-         console.log(`Pobieranie sitemap z: ${sitemapUrl}`);
+   /**
+    * Wznawia przerwane crawlowanie albo wczytuje poprzednią analizę dla trybu przyrostowego.
+    * Stan zatrzymany limitem maxPages/maxDuration jest wznawiany tylko z opcją --resume.
+    */
+   loadCrawlState(maxDepth) {
+      if (!this.crawlState) return;
+      const { resume, incremental } = config.crawler.state;
 
-         const response = await axios.get(sitemapUrl, {
-            timeout: 10000,
-            headers: {
-               "User-Agent": "SEOAnalyzer/1.0",
-            },
-         });
+      const partial = resume ? this.crawlState.loadPartial() : null;
+      const skipReason = partial ? this.getResumeSkipReason(partial, maxDepth) : null;
+      if (partial && !skipReason) {
+         this.restoreState(partial);
+         // Dokończenie crawlowania zatrzymanego limitem (--resume) dostaje nowy budżet maxPages
+         if (partial.stopReason) this.pagesScheduled = 0;
+         this.resumedFrom = partial.savedAt;
+         console.log(
+            `Wznawianie crawlowania zapisanego ${partial.savedAt}: odwiedzono ${this.visitedUrls.size} stron, w kolejce ${this.frontier.size} URL-i`
+         );
+      } else if (skipReason) {
+         console.log(`Pominięto zapisany stan crawlowania (${skipReason})`);
+      }
 
-         return response.data;
-      } catch (error) {
-         console.error(`Błąd podczas pobierania sitemap: ${error.message}`);
-         return null;
+      if (incremental) {
+         this.previousState = this.crawlState.loadCompleted();
+         console.log(
+            this.previousState
+               ? `Tryb przyrostowy: porównanie z analizą z ${this.previousState.savedAt}`
+               : "Tryb przyrostowy: brak poprzedniej analizy, analizowane są wszystkie strony"
+         );
       }
    }
 
-   async parseSitemap(sitemapXml) {
-      return new Promise((resolve, reject) => {
-         parseString(sitemapXml, (err, result) => {
-            if (err) {
-               reject(err);
-               return;
-            }
+   createStateSnapshot() {
+      // Strony w trakcie pobierania wracają do kolejki, a ich częściowe wyniki są pomijane
+      const unfinished = new Set([
+         ...this.pagesInProgress.keys(),
+         ...this.pagesInProgress.values(),
+      ]);
+      const depths = new Map(this.frontier.depths);
+      for (const [url, pageUrl] of this.pagesInProgress.entries()) {
+         if (pageUrl !== url) depths.delete(pageUrl);
+      }
+      const linkReferences = new Map();
+      for (const [target, references] of this.linkReferences.entries()) {
+         const finished = references.filter(({ page }) => !unfinished.has(page));
+         if (finished.length > 0) linkReferences.set(target, finished);
+      }
 
-            try {
-               if (result.sitemapindex) {
-                  // To jest indeks sitemapów
-                  console.log("Wykryto indeks sitemapów, przetwarzanie...");
-                  resolve(this.processSitemapIndex(result.sitemapindex));
-               } else if (result.urlset) {
-                  // To jest standardowy sitemap
-                  this.processSitemap(result.urlset);
-                  resolve();
-               } else {
-                  console.error("Nieprawidłowy format sitemap");
-                  reject(new Error("Nieprawidłowy format sitemap"));
-               }
-            } catch (error) {
-               reject(error);
-            }
-         });
+      const pages = {};
+      PAGE_STATE_FIELDS.forEach((field) => {
+         pages[field] = new Map(
+            [...this[field].entries()].filter(([url]) => !unfinished.has(url))
+         );
       });
-   }
 
-   async processSitemapIndex(sitemapindex) {
-      if (!sitemapindex.sitemap) return;
+      return {
+         options: this.getStateOptions(this.maxDepth),
+         frontier: {
+            queue: [...this.pagesInProgress.keys(), ...this.frontier.queue],
+            depths,
+         },
+         visitedUrls: [...this.visitedUrls].filter((url) => !unfinished.has(url)),
+         // Strony w trakcie pobierania wracają do kolejki, więc nie zużywają budżetu maxPages
+         pagesScheduled: this.pagesScheduled - this.pagesInProgress.size,
+         staticResources: this.staticResources,
+         brokenLinks: this.brokenLinks.filter(({ url }) => !unfinished.has(url)),
+         linkReferences,
+         statusCodes: this.statusCodes,
+         redirects: this.redirects,
+         blockedByRobotsTxt: this.blockedByRobotsTxt,
+         keywords: this.keywords,
+         aiPending: this.aiPending,
+         unchangedPages: this.unchangedPages,
+         pages,
+      };
+   }
 
-      for (const sitemap of sitemapindex.sitemap) {
-         try {
-            const sitemapUrl = sitemap.loc[0];
-            console.log(`Pobieranie sub-sitemap: ${sitemapUrl}`);
+   restoreState(state) {
+      this.frontier.queue = state.frontier.queue;
+      this.frontier.depths = state.frontier.depths;
+      this.visitedUrls = new Set(state.visitedUrls);
+      this.pagesScheduled = state.pagesScheduled;
+      this.staticResources = state.staticResources;
+      this.brokenLinks = state.brokenLinks;
+      this.linkReferences = state.linkReferences;
+      this.statusCodes = state.statusCodes;
+      this.redirects = state.redirects;
+      this.blockedByRobotsTxt = state.blockedByRobotsTxt;
+      this.keywords = state.keywords;
+      this.aiPending = state.aiPending;
+      this.unchangedPages = state.unchangedPages;
+      PAGE_STATE_FIELDS.forEach((field) => {
+         this[field] = state.pages[field];
+      });
+   }
 
-            const response = await axios.get(sitemapUrl, {
-               timeout: 10000,
-               headers: {
-                  "User-Agent": "SEOAnalyzer/1.0",
-               },
-            });
+   // Zapisuje stan co saveInterval zakończonych stron lub analiz AI
+   recordStateChange() {
+      if (!this.crawlState) return;
 
-            await this.parseSitemap(response.data);
-         } catch (error) {
-            console.error(
-               `Błąd podczas przetwarzania sub-sitemap: ${error.message}`
-            );
-         }
+      this.stateChanges++;
+      if (this.stateChanges % config.crawler.state.saveInterval === 0) {
+         this.crawlState.savePartial(this.createStateSnapshot());
       }
    }
 
-   processSitemap(urlset) {
-      if (!urlset.url) return;
-
-      for (const item of urlset.url) {
-         const url = item.loc[0];
-         this.sitemapUrls.add(url);
+   /**
+    * Przenosi wyniki niezmienionej strony z poprzedniej analizy (odpowiedź 304
+    * albo ten sam skrót treści). Zwraca linki strony lub null, jeśli strona się zmieniła.
+    */
+   restorePreviousPage(url, contentHash) {
+      const { pages, linkReferences, staticResources } = this.previousState;
+      const validators = pages.pageValidators.get(url);
+      if (!validators || (contentHash && validators.hash !== contentHash)) {
+         return null;
       }
 
-      console.log(`Dodano ${urlset.url.length} URL-i z sitemap`);
-   }
+      PAGE_STATE_FIELDS.forEach((field) => {
+         if (pages[field].has(url)) this[field].set(url, pages[field].get(url));
+      });
+      this.statusCodes.set(url, 200);
 
-   compareCrawlWithSitemap() {
-      // Znajdź URL-e, które zostały scrawlowane, ale nie ma ich w sitemap
-      for (const crawledUrl of this.visitedUrls) {
-         if (!this.sitemapUrls.has(crawledUrl)) {
-            this.urlsNotInSitemap.add(crawledUrl);
+      if (!this.previousReferences) {
+         this.previousReferences = new Map();
+         for (const [target, references] of linkReferences.entries()) {
+            references.forEach(({ page, anchor }) => {
+               if (!this.previousReferences.has(page)) {
+                  this.previousReferences.set(page, []);
+               }
+               this.previousReferences.get(page).push({ target, anchor });
+            });
          }
       }
+      (this.previousReferences.get(url) || []).forEach(({ target, anchor }) => {
+         this.addLinkReference(target, url, anchor);
+         if (staticResources.has(target)) this.staticResources.add(target);
+      });
 
-      // Znajdź URL-e, które są w sitemap, ale nie zostały scrawlowane
-      for (const sitemapUrl of this.sitemapUrls) {
-         if (!this.visitedUrls.has(sitemapUrl)) {
-            this.urlsInSitemapButNotCrawled.add(sitemapUrl);
-         }
-      }
-   }
+      const analysis = this.pagesMetaTags.get(url)?.contentAnalysis;
+      [
+         ...(analysis?.mainKeywords || []),
+         ...(analysis?.longTailKeywords || []),
+      ].forEach((keyword) => this.keywords.add(keyword));
 
-   generateReport() {
-      // Aktualizujemy statystyki w raporcie
-      this.report.crawlStats = {
-         totalUrlsCrawled: this.visitedUrls.size,
-         totalStaticResources: this.staticResources.size,
-         brokenLinks: this.brokenLinks.length,
-         totalInternalLinks: [...this.internalLinks.values()].flat().length,
-         totalExternalLinks: [...this.externalLinks.values()].flat().length,
-         urlsWithoutTitle: [...this.visitedUrls].filter(
-            (url) => !this.pagesTitles.has(url)
-         ),
-         urlsWithoutDescription: [...this.visitedUrls].filter(
-            (url) => !this.pagesDescriptions.has(url)
-         ),
-         urlsWithoutH1: [...this.visitedUrls].filter(
-            (url) => !this.pagesH1.has(url)
-         ),
-         urlsWithInvalidTitleLength: this.pagesTitlesWarnings
-            ? [...this.pagesTitlesWarnings.entries()]
-            : [],
-         urlsWithInvalidDescriptionLength: this.pagesDescriptionsWarnings
-            ? [...this.pagesDescriptionsWarnings.entries()]
-            : [],
-      };
+      this.unchangedPages.add(url);
+      return [
+         ...(this.internalLinks.get(url) || []),
+         ...(this.externalLinks.get(url) || []),
+      ];
+   }
 
-      // Agregujemy sugestie AI ze wszystkich stron
-      const allAiSuggestions = {
-         mainKeywords: new Set(),
-         longTailKeywords: new Set(),
-         relatedTopics: new Set(),
-         contentStructure: new Set(),
-         seoSuggestions: new Set(),
-         optimizedTitles: [],
-         optimizedDescriptions: [],
-         keywordSuggestions: new Set()
-      };
+   // Migawka elementów istotnych dla SEO, używana do porównania surowego i wyrenderowanego HTML
+   createDocumentSnapshot($, pageUrl) {
+      const metaTags = {};
+      $("meta").each((_, element) => {
+         const name = $(element).attr("name") || $(element).attr("property");
+         const content = $(element).attr("content");
+         if (name && content) {
+            metaTags[name] = content;
+         }
+      });
 
-      // Zbieramy sugestie AI ze wszystkich stron
-      for (const [url, metaTags] of this.pagesMetaTags.entries()) {
-         if (metaTags.aiSuggestions) {
-            if (metaTags.aiSuggestions.optimizedTitle) {
-               allAiSuggestions.optimizedTitles.push({
-                  url,
-                  title: metaTags.aiSuggestions.optimizedTitle
-               });
-            }
-            if (metaTags.aiSuggestions.optimizedDescription) {
-               allAiSuggestions.optimizedDescriptions.push({
-                  url,
-                  description: metaTags.aiSuggestions.optimizedDescription
-               });
-            }
-            if (metaTags.aiSuggestions.keywordSuggestions) {
-               metaTags.aiSuggestions.keywordSuggestions.forEach(kw => 
-                  allAiSuggestions.keywordSuggestions.add(kw)
-               );
-            }
+      const links = new Set();
+      $("a[href]").each((_, element) => {
+         const href = $(element).attr("href");
+         if (
+            href.startsWith("#") ||
+            href.startsWith("javascript:") ||
+            href.startsWith("mailto:") ||
+            href.startsWith("tel:")
+         ) {
+            return;
          }
-         if (metaTags.contentAnalysis) {
-            if (metaTags.contentAnalysis.mainKeywords) {
-               metaTags.contentAnalysis.mainKeywords.forEach(kw => 
-                  allAiSuggestions.mainKeywords.add(kw)
-               );
-            }
-            if (metaTags.contentAnalysis.longTailKeywords) {
-               metaTags.contentAnalysis.longTailKeywords.forEach(kw => 
-                  allAiSuggestions.longTailKeywords.add(kw)
-               );
-            }
-            if (metaTags.contentAnalysis.relatedTopics) {
-               metaTags.contentAnalysis.relatedTopics.forEach(topic => 
-                  allAiSuggestions.relatedTopics.add(topic)
-               );
-            }
-            if (metaTags.contentAnalysis.contentStructure) {
-               metaTags.contentAnalysis.contentStructure.forEach(structure => 
-                  allAiSuggestions.contentStructure.add(structure)
-               );
-            }
-            if (metaTags.contentAnalysis.seoSuggestions) {
-               metaTags.contentAnalysis.seoSuggestions.forEach(suggestion => 
-                  allAiSuggestions.seoSuggestions.add(suggestion)
-               );
-            }
+         try {
+            links.add(this.normalizeUrl(href, pageUrl));
+         } catch (error) {
+            // Nieprawidłowe adresy raportuje extractLinks
          }
-      }
+      });
 
-      // Konwertujemy Set na Array i aktualizujemy raport
-      this.report.aiSuggestions = {
-         mainKeywords: [...allAiSuggestions.mainKeywords],
-         longTailKeywords: [...allAiSuggestions.longTailKeywords],
-         relatedTopics: [...allAiSuggestions.relatedTopics],
-         contentStructure: [...allAiSuggestions.contentStructure],
-         seoSuggestions: [...allAiSuggestions.seoSuggestions],
-         optimizedTitles: allAiSuggestions.optimizedTitles,
-         optimizedDescriptions: allAiSuggestions.optimizedDescriptions,
-         keywordSuggestions: [...allAiSuggestions.keywordSuggestions]
-      };
+      // Kopia body, żeby nie modyfikować dokumentu używanego w dalszej analizie
+      const body = $("body").clone();
+      body.find("script, style, noscript, template").remove();
+      const text = body.text().replace(/\s+/g, " ").trim();
 
-      // Dodajemy pozostałe sekcje do raportu
-      this.report.sitemapStats = {
-         totalUrlsInSitemap: this.sitemapUrls.size,
-         urlsNotInSitemap: [...this.urlsNotInSitemap],
-         urlsInSitemapButNotCrawled: [...this.urlsInSitemapButNotCrawled],
+      return {
+         title: $("title").text().trim(),
+         metaTags,
+         links: [...links],
+         headings: $("h1, h2, h3")
+            .map((_, element) => $(element).text().trim())
+            .get()
+            .filter(Boolean),
+         wordCount: text ? text.split(" ").length : 0,
       };
+   }
 
-      this.report.brokenLinks = this.brokenLinks;
-      this.report.pageMeta = [...this.visitedUrls].map((url) => ({
-         url,
-         status: this.statusCodes.get(url) || "unknown",
-         title: this.pagesTitles.get(url) || "",
-         titleLength: this.pagesTitles.get(url)?.length || 0,
-         description: this.pagesDescriptions.get(url) || "",
-         descriptionLength: this.pagesDescriptions.get(url)?.length || 0,
-         h1: this.pagesH1.get(url) || "",
-         internalLinksCount: (this.internalLinks.get(url) || []).length,
-         externalLinksCount: (this.externalLinks.get(url) || []).length,
-         metaTags: this.pagesMetaTags?.get(url) || {},
-      }));
+   // Zwraca dokument po wykonaniu JavaScriptu; przy błędzie zostaje surowy HTML
+   async renderPage(pageUrl, raw$) {
+      try {
+         await this.rateLimiter.wait(pageUrl);
+         const { html } = await this.renderer.render(pageUrl);
+         const rendered$ = cheerio.load(html);
 
-      this.report.staticResources = [...this.staticResources].map((url) => ({
-         url,
-         type: url.split(".").pop().toLowerCase(),
-         status: this.statusCodes.get(url) || "unknown",
-      }));
+         if (config.crawler.render.compareWithRaw) {
+            this.renderDiffs.set(
+               pageUrl,
+               compareSnapshots(
+                  this.createDocumentSnapshot(raw$, pageUrl),
+                  this.createDocumentSnapshot(rendered$, pageUrl)
+               )
+            );
+         }
+         return rendered$;
+      } catch (error) {
+         console.error(
+            `Błąd podczas renderowania ${pageUrl}, używam surowego HTML: ${error.message}`
+         );
+         return raw$;
+      }
+   }
+
+   // Cel przekierowania analizujemy od razu, o ile nie był jeszcze odwiedzony
+   claimRedirectTarget(targetUrl, depth) {
+      if (!this.isInternalUrl(targetUrl) || !this.shouldCrawl(targetUrl)) {
+         return false;
+      }
+      if (!this.isAllowedByRobots(targetUrl)) {
+         this.blockedByRobotsTxt.add(targetUrl);
+         return false;
+      }
+      if (!this.frontier.claim(targetUrl, depth)) return false;
 
-      // Zapisujemy raport do pliku JSON
-      const reportJson = JSON.stringify(this.report, null, 2);
-      fs.writeFileSync("seo-report.json", reportJson);
+      this.visitedUrls.add(targetUrl);
+      return true;
+   }
 
-      // Generujemy raport HTML
-      this.generateHtmlReport(this.report);
+   followLinks(pageUrl, links, depth, maxDepth) {
+      // Strony z nofollow nie przekazują dalej crawlowania
+      const robots = this.pagesRobots.get(pageUrl);
+      if (robots && robots.nofollow && config.crawler.respectRobotsTxt) {
+         console.log(`Pominięto linki ze strony z nofollow: ${pageUrl}`);
+         return;
+      }
 
-      return this.report;
+      for (const link of links) {
+         if (this.isInternalUrl(link)) {
+            this.enqueueUrl(link, depth + 1, maxDepth);
+         }
+      }
    }
 
-   analyzeKeywords(text) {
-      if (!text) return { found: [], missing: [] };
+   async crawlPage(url, depth, maxDepth) {
+      console.log(`Crawlowanie: ${url} (głębokość: ${depth})`);
+      this.visitedUrls.add(url);
 
-      const textLower = text.toLowerCase();
-      const found = [];
-      const missing = [];
+      await this.rateLimiter.wait(url);
+      const fetchStart = Date.now();
+      const { html, status, headers, finalUrl } = await this.fetchPage(url);
+      const responseTime = Date.now() - fetchStart;
 
-      this.keywords.forEach((keyword) => {
-         if (textLower.includes(keyword.toLowerCase())) {
-            found.push(keyword);
-         } else {
-            missing.push(keyword);
+      // Przekierowany URL nie jest osobną stroną - treść należy do adresu docelowego
+      let pageUrl = url;
+      if (finalUrl !== url) {
+         this.visitedUrls.delete(url);
+         if (!this.claimRedirectTarget(finalUrl, depth)) return;
+         pageUrl = finalUrl;
+         this.pagesInProgress.set(url, pageUrl);
+      }
+
+      const contentHash = status === 200 && html ? hashContent(html) : null;
+      if (this.previousState && (status === 304 || contentHash)) {
+         const previousLinks = this.restorePreviousPage(pageUrl, contentHash);
+         if (previousLinks) {
+            console.log(`Bez zmian od poprzedniej analizy: ${pageUrl}`);
+            this.followLinks(pageUrl, previousLinks, depth, maxDepth);
+            return;
          }
+      }
+      if (status !== 200 || !html) return;
+
+      this.pageValidators.set(pageUrl, {
+         etag: headers.etag || null,
+         lastModified: headers["last-modified"] || null,
+         hash: contentHash,
       });
+      this.pagesPerformance.set(pageUrl, {
+         responseTime,
+         htmlBytes: Buffer.byteLength(html),
+      });
+
+      let $ = cheerio.load(html);
+      if (this.renderer) {
+         $ = await this.renderPage(pageUrl, $);
+      }
+
+      // Dyrektywy robots odczytujemy przed usunięciem czegokolwiek z DOM
+      this.extractRobotsDirectives($, pageUrl, headers);
+      const metadata = this.extractMetadata($, pageUrl);
+      const links = this.extractLinks($, pageUrl);
+      this.extractPageStructuredData($, pageUrl);
+      this.extractPageImages($, pageUrl);
+      this.extractPageResources($, pageUrl);
 
-      return { found, missing };
+      // extractContent usuwa skrypty i style, więc wywołujemy go na końcu
+      const content = await this.extractContent($);
+      this.pagesContentBlocks.set(pageUrl, [
+         ...content.h1,
+         ...content.h2,
+         ...content.h3,
+         ...content.paragraphs,
+         ...content.lists,
+      ]);
+      this.extractPageHeadings($, pageUrl);
+      this.pagesText.set(pageUrl, {
+         paragraphs: content.paragraphs.filter(Boolean),
+         textBytes: Buffer.byteLength($("body").text().replace(/\s+/g, " ").trim()),
+      });
+      this.scheduleAiAnalysis(pageUrl, content, metadata);
+      this.followLinks(pageUrl, links, depth, maxDepth);
    }
 
-   generateHtmlReport(report) {
-      const htmlReport = `
-<!DOCTYPE html>
-<html>
-<head>
-   <meta charset="UTF-8">
-   <title>Raport SEO</title>
-   <style>
-      body {
-         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-         line-height: 1.6;
-         color: #333;
-         max-width: 1200px;
-         margin: 0 auto;
-         padding: 20px;
-         background: #f5f5f5;
-      }
-      .container {
-         background: white;
-         border-radius: 8px;
-         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-         padding: 20px;
-      }
-      .summary {
-         margin-bottom: 30px;
-         padding: 20px;
-         background: #f8f9fa;
-         border-radius: 8px;
+   async crawl(startUrl = this.startUrl, maxDepth = config.crawler.maxDepth) {
+      this.crawlStartTime = Date.now();
+      this.crawlStopReason = null;
+      this.maxDepth = maxDepth;
+      this.applyCrawlDelay();
+      this.enqueueUrl(startUrl, 0, maxDepth);
+
+      // Analizy AI niedokończone przed przerwaniem wznowionego crawlowania
+      for (const [url, { content, metadata }] of this.aiPending.entries()) {
+         this.scheduleAiAnalysis(url, content, metadata);
       }
-      .summary h2 {
-         margin-top: 0;
-         color: #2c3e50;
+
+      const fetchQueue = new TaskQueue(config.crawler.concurrency);
+
+      // Trzymamy w kolejce zadań tylko tyle URL-i, ile zmieści się w jednej
+      // turze - reszta czeka we frontierze, dzięki czemu budżety i głębokości
+      // są sprawdzane tuż przed pobraniem
+      const schedule = () => {
+         while (
+            this.frontier.size > 0 &&
+            fetchQueue.pending < fetchQueue.concurrency
+         ) {
+            if (this.isCrawlBudgetExhausted()) return;
+
+            const { url, depth } = this.frontier.next();
+            this.pagesScheduled++;
+            this.pagesInProgress.set(url, url);
+            fetchQueue.push(async () => {
+               try {
+                  await this.crawlPage(url, depth, maxDepth);
+               } catch (error) {
+                  console.error(`Błąd podczas crawlowania ${url}:`, error);
+               }
+               this.pagesInProgress.delete(url);
+               this.recordStateChange();
+               schedule();
+            });
+         }
+      };
+
+      schedule();
+      await fetchQueue.onIdle();
+
+      if (this.renderer) {
+         await this.renderer.close();
       }
-      .stats {
-         display: flex;
-         flex-wrap: wrap;
-         gap: 20px;
-         margin: 15px 0;
+
+      if (this.crawlStopReason) {
+         console.log(
+            `Przerwano crawlowanie (limit: ${this.crawlStopReason}), w kolejce pozostało ${this.frontier.size} URL-i`
+         );
       }
-      .stat-item {
-         background: white;
-         padding: 15px;
-         border-radius: 6px;
-         box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-         flex: 1;
-         min-width: 200px;
+
+      console.log(
+         `Oczekiwanie na zakończenie analizy AI (${this.aiQueue.size} zadań)...`
+      );
+      await this.aiQueue.onIdle();
+      this.crawlDuration = Date.now() - this.crawlStartTime;
+
+      // Crawlowanie przerwane limitem można dokończyć z opcją --resume
+      if (this.crawlState) {
+         if (this.crawlStopReason) {
+            this.crawlState.savePartial({
+               ...this.createStateSnapshot(),
+               stopReason: this.crawlStopReason,
+            });
+            console.log("Zapisano stan crawlowania, opcja --resume wznowi crawlowanie");
+         } else {
+            this.crawlState.saveCompleted(this.createStateSnapshot());
+         }
       }
-      .stat-label {
-         font-size: 0.9em;
-         color: #666;
-         margin-bottom: 5px;
+   }
+
+   // Pobiera wszystkie sitemapy (lokalizacje z robots.txt mają pierwszeństwo)
+   async loadSitemaps() {
+      const sitemapLocations =
+         this.robotsTxt && this.robotsTxt.sitemaps.length > 0
+            ? this.robotsTxt.sitemaps
+            : [`${this.baseUrl}/sitemap.xml`];
+
+      for (const sitemapLocation of sitemapLocations) {
+         const sitemapXml = await this.fetchSitemap(sitemapLocation);
+         if (!sitemapXml) continue;
+
+         try {
+            await this.parseSitemap(sitemapXml);
+            console.log(
+               `Przetworzono sitemap, znaleziono ${this.sitemapUrls.size} URL-i`
+            );
+         } catch (error) {
+            console.error(
+               `Błąd podczas przetwarzania sitemap: ${error.message}`
+            );
+         }
       }
-      .stat-value {
-         font-size: 1.2em;
-         font-weight: 500;
-         color: #2c3e50;
-      }
-      .page-analysis {
-         background: white;
-         border-radius: 8px;
-         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-         margin-bottom: 30px;
-         overflow: hidden;
-      }
-      .page-header {
-         background: #f8f9fa;
-         padding: 15px 20px;
-         border-bottom: 1px solid #eee;
-         display: flex;
-         justify-content: space-between;
-         align-items: center;
-      }
-      .page-url {
-         font-weight: 500;
-         color: #2c3e50;
-         word-break: break-all;
-      }
-      .page-status {
-         padding: 4px 8px;
-         border-radius: 4px;
-         font-size: 0.9em;
-      }
-      .success {
-         background: #d4edda;
-         color: #155724;
-      }
-      .error {
-         background: #f8d7da;
-         color: #721c24;
-      }
-      .meta-section {
-         padding: 20px;
-         border-bottom: 1px solid #eee;
-      }
-      .meta-section:last-child {
-         border-bottom: none;
+      return sitemapLocations;
+   }
+
+   async fetchSitemap(sitemapUrl = `${this.baseUrl}/sitemap.xml`) {
+      try {
+         console.log(`Pobieranie sitemap z: ${sitemapUrl}`);
+
+         const response = await axios.get(sitemapUrl, {
+            timeout: config.crawler.timeout,
+            headers: {
+               "User-Agent": this.userAgent,
+            },
+         });
+
+         return response.data;
+      } catch (error) {
+         console.error(`Błąd podczas pobierania sitemap: ${error.message}`);
+         return null;
       }
-      .meta-title {
-         font-size: 1.1em;
-         font-weight: 500;
-         color: #2c3e50;
-         margin-bottom: 10px;
+   }
+
+   async parseSitemap(sitemapXml) {
+      return new Promise((resolve, reject) => {
+         parseString(sitemapXml, (err, result) => {
+            if (err) {
+               reject(err);
+               return;
+            }
+
+            try {
+               if (result.sitemapindex) {
+                  // To jest indeks sitemapów
+                  console.log("Wykryto indeks sitemapów, przetwarzanie...");
+                  resolve(this.processSitemapIndex(result.sitemapindex));
+               } else if (result.urlset) {
+                  // To jest standardowy sitemap
+                  this.processSitemap(result.urlset);
+                  resolve();
+               } else {
+                  console.error("Nieprawidłowy format sitemap");
+                  reject(new Error("Nieprawidłowy format sitemap"));
+               }
+            } catch (error) {
+               reject(error);
+            }
+         });
+      });
+   }
+
+   async processSitemapIndex(sitemapindex) {
+      if (!sitemapindex.sitemap) return;
+
+      for (const sitemap of sitemapindex.sitemap) {
+         try {
+            const sitemapUrl = sitemap.loc[0];
+            console.log(`Pobieranie sub-sitemap: ${sitemapUrl}`);
+
+            const response = await axios.get(sitemapUrl, {
+               timeout: config.crawler.timeout,
+               headers: {
+                  "User-Agent": this.userAgent,
+               },
+            });
+
+            await this.parseSitemap(response.data);
+         } catch (error) {
+            console.error(
+               `Błąd podczas przetwarzania sub-sitemap: ${error.message}`
+            );
+         }
       }
-      .keywords {
-         margin: 10px 0;
-         font-size: 0.9em;
-         color: #666;
+   }
+
+   processSitemap(urlset) {
+      if (!urlset.url) return;
+
+      for (const item of urlset.url) {
+         const url = item.loc[0];
+         this.sitemapUrls.add(url);
       }
-      .length-ok {
-         color: #28a745;
+
+      console.log(`Dodano ${urlset.url.length} URL-i z sitemap`);
+   }
+
+   compareCrawlWithSitemap() {
+      // Znajdź URL-e, które zostały scrawlowane, ale nie ma ich w sitemap
+      for (const crawledUrl of this.visitedUrls) {
+         if (!this.sitemapUrls.has(crawledUrl)) {
+            this.urlsNotInSitemap.add(crawledUrl);
+         }
       }
-      .length-warning {
-         color: #dc3545;
+
+      // Znajdź URL-e, które są w sitemap, ale nie zostały scrawlowane
+      for (const sitemapUrl of this.sitemapUrls) {
+         if (!this.visitedUrls.has(sitemapUrl)) {
+            this.urlsInSitemapButNotCrawled.add(sitemapUrl);
+         }
       }
-      .warning {
-         color: #dc3545;
-         font-weight: 500;
+   }
+
+   // Sprawdza status adresów kanonicznych, które nie zostały scrawlowane
+   async checkCanonicalTargets() {
+      const targets = new Set(
+         [...this.pagesCanonicals.values()]
+            .flat()
+            .filter((target) => !this.statusCodes.has(target))
+      );
+
+      for (const target of targets) {
+         console.log(`Sprawdzanie adresu kanonicznego: ${target}`);
+         await this.rateLimiter.wait(target);
+         try {
+            let result = await this.requestWithRedirects(target, "head");
+            // Część serwerów nie obsługuje HEAD
+            if ([405, 501].includes(result.response.status)) {
+               result = await this.requestWithRedirects(target);
+            }
+            const { response, chain, finalUrl } = result;
+            this.statusCodes.set(target, response.status);
+            this.recordRedirects(target, chain, finalUrl, response.status);
+         } catch (error) {
+            let status = error.response ? error.response.status : 0;
+            if ([405, 501].includes(status)) {
+               try {
+                  status = (await this.requestWithRedirects(target)).response
+                     .status;
+               } catch (retryError) {
+                  status = retryError.response ? retryError.response.status : 0;
+               }
+            }
+            this.statusCodes.set(target, status);
+            this.recordRedirects(
+               target,
+               error.chain || [],
+               error.finalUrl || target,
+               status,
+               !!error.redirectLoop
+            );
+         }
       }
-      .ai-suggestions {
-         margin-top: 15px;
-         padding: 15px;
-         background: #e8f4f8;
-         border-radius: 6px;
+   }
+
+   // Bezwzględny adres obrazka z og:image / twitter:image (null dla nieprawidłowych)
+   getSocialImageUrl(value, pageUrl) {
+      if (!value) return null;
+      try {
+         const imageUrl = new URL(value, pageUrl);
+         return ["http:", "https:"].includes(imageUrl.protocol)
+            ? imageUrl.href
+            : null;
+      } catch (error) {
+         return null;
       }
-      .ai-suggestions h4 {
-         margin: 0 0 10px 0;
-         color: #2c3e50;
+   }
+
+   // Sprawdza dostępność i wymiary obrazków udostępnień
+   async checkSocialImages() {
+      if (!config.seo.social.checkImages) return;
+
+      const images = new Set();
+      for (const [pageUrl, social] of this.pagesSocialMeta.entries()) {
+         ["og:image", "twitter:image"]
+            .map((tag) => this.getSocialImageUrl(social[tag], pageUrl))
+            .filter(Boolean)
+            .forEach((imageUrl) => images.add(imageUrl));
       }
-      .ai-suggestions ul {
-         margin: 0;
-         padding-left: 20px;
+
+      for (const imageUrl of images) {
+         console.log(`Sprawdzanie obrazka udostępnień: ${imageUrl}`);
+         await this.rateLimiter.wait(imageUrl);
+         try {
+            // Wymiary są w nagłówku pliku, wystarczy jego początek
+            const response = await axios.get(imageUrl, {
+               responseType: "arraybuffer",
+               timeout: config.crawler.timeout,
+               maxRedirects: config.crawler.maxRedirects,
+               headers: {
+                  "User-Agent": this.userAgent,
+                  Range: "bytes=0-65535",
+               },
+               validateStatus: () => true,
+            });
+            const size =
+               response.status < 400
+                  ? getImageSize(Buffer.from(response.data))
+                  : null;
+            this.socialImages.set(imageUrl, {
+               status: response.status,
+               contentType: (response.headers["content-type"] || "")
+                  .split(";")[0]
+                  .trim(),
+               ...size,
+            });
+         } catch (error) {
+            this.socialImages.set(imageUrl, { status: 0, error: error.message });
+         }
       }
-      .ai-suggestions li {
-         margin-bottom: 5px;
+   }
+
+   // Sprawdza status, rozmiar i typ plików obrazków z tagów <img>
+   async checkImageResources() {
+      if (!config.seo.images.checkResources) return;
+
+      const images = [...this.pagesImages.values()]
+         .flat()
+         .map((image) => image.src)
+         .filter(Boolean);
+      console.log(`Sprawdzanie obrazków: ${new Set(images).size}`);
+
+      const results = await this.linkChecker.checkAll(images);
+      for (const { url: imageUrl, status, contentType, bytes, error } of results) {
+         this.statusCodes.set(imageUrl, status);
+         this.imageResources.set(imageUrl, {
+            status,
+            contentType,
+            bytes,
+            ...(error && { error }),
+         });
       }
-      .issues {
-         margin: 20px 0;
-         padding: 15px;
-         background: #fff3cd;
-         border-radius: 6px;
+   }
+
+   // Sprawdza linki zewnętrzne i zasoby statyczne, uszkodzone dopisuje do brokenLinks
+   async checkLinksAndResources() {
+      const { linkCheck } = config.crawler;
+      if (!linkCheck.enabled) return;
+
+      // Zapytania do własnej domeny z takim samym odstępem jak crawlowanie
+      const host = new URL(this.baseUrl).host;
+      this.linkChecker.rateLimiter.setInterval(
+         host,
+         this.rateLimiter.getInterval(host)
+      );
+
+      const targets = new Map(); // URL -> typ
+      if (linkCheck.checkResources) {
+         this.staticResources.forEach((resourceUrl) =>
+            targets.set(resourceUrl, "resource")
+         );
       }
-      .issues h3 {
-         margin: 0 0 10px 0;
-         color: #856404;
+      if (linkCheck.checkExternal) {
+         [...this.externalLinks.values()]
+            .flat()
+            .map((link) => this.resolveLinkTarget(link))
+            .filter((link) => /^https?:/i.test(link))
+            .forEach((link) => targets.set(link, "external"));
       }
-      .issues ul {
-         margin: 0;
-         padding-left: 20px;
+      if (targets.size === 0) return;
+
+      console.log(`Sprawdzanie linków zewnętrznych i zasobów: ${targets.size}`);
+      const results = await this.linkChecker.checkAll([...targets.keys()]);
+      for (const result of results) {
+         const type = targets.get(result.url);
+         this.linkCheckResults.set(result.url, { ...result, type });
+         if (type === "resource") {
+            this.statusCodes.set(result.url, result.status);
+         }
+         if (!result.ok) {
+            this.brokenLinks.push({
+               url: result.url,
+               type,
+               status: result.status,
+               ...(result.errorType && {
+                  errorType: result.errorType,
+                  error: result.error,
+               }),
+               ...(result.finalUrl !== result.url && { finalUrl: result.finalUrl }),
+            });
+         }
       }
-      .issues li {
-         margin-bottom: 5px;
-         color: #856404;
+   }
+
+   // Klucz porównania ignorujący protokół, www, końcowy ukośnik i fragment
+   getUrlComparisonKey(pageUrl) {
+      try {
+         const parsedUrl = new URL(pageUrl);
+         const host = parsedUrl.host.toLowerCase().replace(/^www\./, "");
+         const pathname = parsedUrl.pathname.replace(/\/+$/, "");
+         return `${host}${pathname}${parsedUrl.search}`;
+      } catch (error) {
+         return pageUrl;
       }
-      @media (max-width: 768px) {
-         .stats {
-            flex-direction: column;
+   }
+
+   analyzeCanonicals() {
+      const result = {
+         missingCanonical: [],
+         multipleCanonicals: [],
+         canonicalMismatch: [], // inny wariant tego samego adresu (protokół, www, ukośnik)
+         canonicalizedAway: [], // wskazuje na inną stronę
+         canonicalToNon200: [],
+         canonicalToRedirect: [],
+      };
+
+      for (const url of this.visitedUrls) {
+         if (this.statusCodes.get(url) !== 200) continue;
+
+         const canonicals = this.pagesCanonicals.get(url) || [];
+         if (canonicals.length === 0) {
+            result.missingCanonical.push(url);
+            continue;
          }
-         .stat-item {
-            width: 100%;
+         if (new Set(canonicals).size > 1) {
+            result.multipleCanonicals.push({ url, canonicals });
+         }
+
+         const canonical = canonicals[0];
+         const parsedCanonical = new URL(canonical);
+         parsedCanonical.hash = "";
+         if (parsedCanonical.href !== url) {
+            const entry = { url, canonical };
+            if (
+               this.getUrlComparisonKey(canonical) ===
+               this.getUrlComparisonKey(url)
+            ) {
+               result.canonicalMismatch.push(entry);
+            } else {
+               result.canonicalizedAway.push(entry);
+            }
+         }
+
+         const redirect = this.redirects.get(canonical);
+         const status = this.statusCodes.get(canonical);
+         if (redirect) {
+            result.canonicalToRedirect.push({
+               url,
+               canonical,
+               finalUrl: redirect.finalUrl,
+            });
+         } else if (status !== undefined && status !== 200) {
+            result.canonicalToNon200.push({ url, canonical, status });
          }
       }
-      .ai-section {
-         background: #f8f9fa;
-         padding: 20px;
-         margin: 20px 0;
-         border-radius: 8px;
-         border: 1px solid #e9ecef;
-      }
-      .ai-section h3 {
-         color: #2c3e50;
-         margin-top: 0;
+
+      return result;
+   }
+
+   analyzeRedirects() {
+      const redirects = [...this.redirects.entries()].map(([url, redirect]) => ({
+         url,
+         finalUrl: redirect.finalUrl,
+         finalStatus: redirect.finalStatus,
+         hops: redirect.chain.length,
+         chain: redirect.chain,
+         loop: redirect.loop,
+         temporary: redirect.chain.some((hop) =>
+            [302, 303, 307].includes(hop.status)
+         ),
+         httpToHttps: redirect.chain.some(
+            (hop) =>
+               hop.url.startsWith("http:") && hop.location.startsWith("https:")
+         ),
+      }));
+
+      // Linki wewnętrzne wskazujące na przekierowujące adresy
+      const internalLinksToRedirects = [];
+      for (const [source, links] of this.internalLinks.entries()) {
+         for (const target of new Set(links)) {
+            if (this.redirects.has(target)) {
+               internalLinksToRedirects.push({
+                  source,
+                  target,
+                  finalUrl: this.redirects.get(target).finalUrl,
+               });
+            }
+         }
       }
-      .keyword-list {
+
+      return {
+         redirects,
+         redirectChains: redirects.filter(
+            (redirect) => redirect.hops > 1 && !redirect.loop
+         ),
+         temporaryRedirects: redirects.filter((redirect) => redirect.temporary),
+         redirectLoops: redirects.filter((redirect) => redirect.loop),
+         httpToHttps: redirects.filter((redirect) => redirect.httpToHttps),
+         internalLinksToRedirects,
+      };
+   }
+
+   analyzeStructuredData() {
+      const typesFound = {};
+      const pagesWithoutStructuredData = [];
+      const parseErrors = [];
+      const invalidItems = [];
+
+      for (const [url, structuredData] of this.pagesStructuredData.entries()) {
+         if (
+            structuredData.items.length === 0 &&
+            structuredData.errors.length === 0
+         ) {
+            pagesWithoutStructuredData.push(url);
+         }
+         structuredData.items.forEach((item) =>
+            item.types.forEach((type) => {
+               typesFound[type] = (typesFound[type] || 0) + 1;
+            })
+         );
+         structuredData.errors.forEach((error) =>
+            parseErrors.push({ url, ...error })
+         );
+         structuredData.validation
+            .filter(
+               (result) =>
+                  result.missingRequired.length > 0 || result.warnings.length > 0
+            )
+            .forEach((result) => invalidItems.push({ url, ...result }));
+      }
+
+      const foundTypes = Object.keys(typesFound);
+      return {
+         typesFound,
+         missingExpectedTypes: config.seo.structuredData.expectedTypes.filter(
+            (type) => !containsType(foundTypes, type)
+         ),
+         pagesWithoutStructuredData,
+         parseErrors,
+         invalidItems,
+      };
+   }
+
+   analyzeSocialMeta() {
+      const pages = new Map();
+      const problems = new Map(); // klucz problemu -> { tag, type, key, message, urls }
+
+      for (const [url, social] of this.pagesSocialMeta.entries()) {
+         const pageProblems = validateSocialMeta(social, config.seo.social);
+         ["og:image", "twitter:image"].forEach((tag) => {
+            const imageUrl = this.getSocialImageUrl(social[tag], url);
+            if (imageUrl) {
+               pageProblems.push(
+                  ...validateSocialImage(
+                     tag,
+                     this.socialImages.get(imageUrl),
+                     config.seo.social
+                  )
+               );
+            }
+         });
+
+         pageProblems.forEach((problem) => {
+            if (!problems.has(problem.key)) {
+               problems.set(problem.key, { ...problem, urls: [] });
+            }
+            problems.get(problem.key).urls.push(url);
+         });
+
+         pages.set(url, {
+            tags: social,
+            problems: pageProblems,
+            previews: buildPreviews(social, {
+               url,
+               title: this.pagesTitles.get(url),
+               description: this.pagesDescriptions.get(url),
+            }),
+         });
+      }
+
+      return {
+         pages,
+         pagesWithoutOpenGraph: [...pages.entries()]
+            .filter(([, page]) =>
+               Object.keys(page.tags).every((tag) => !tag.startsWith("og:"))
+            )
+            .map(([url]) => url),
+         problems: [...problems.values()],
+         images: [...this.socialImages.entries()].map(([imageUrl, image]) => ({
+            url: imageUrl,
+            ...image,
+         })),
+      };
+   }
+
+   analyzeImages() {
+      const pages = new Map();
+      const problemCounts = {}; // typ -> { images, pages }
+      const brokenImages = new Map(); // URL obrazka -> { status, pages }
+      let totalImages = 0;
+
+      for (const [url, images] of this.pagesImages.entries()) {
+         const pageImages = images.map((image) => ({
+            ...image,
+            problems: auditImage(
+               image,
+               image.src ? this.imageResources.get(image.src) : undefined,
+               config.seo.images
+            ),
+         }));
+         totalImages += pageImages.length;
+
+         const pageProblemTypes = new Set();
+         pageImages.forEach((image) => {
+            image.problems.forEach(({ type }) => {
+               problemCounts[type] = problemCounts[type] || { images: 0, pages: 0 };
+               problemCounts[type].images++;
+               pageProblemTypes.add(type);
+               if (type === "broken") {
+                  if (!brokenImages.has(image.src)) {
+                     const resource = this.imageResources.get(image.src);
+                     brokenImages.set(image.src, {
+                        status: resource.status,
+                        pages: new Set(),
+                     });
+                  }
+                  brokenImages.get(image.src).pages.add(url);
+               }
+            });
+         });
+         pageProblemTypes.forEach((type) => problemCounts[type].pages++);
+
+         pages.set(url, pageImages);
+      }
+
+      return {
+         pages,
+         totalImages,
+         uniqueImages: new Set(
+            [...this.pagesImages.values()].flat().map((image) => image.src)
+         ).size,
+         problems: Object.entries(problemCounts).map(([type, counts]) => ({
+            type,
+            label: t(`images.labels.${type}`),
+            ...counts,
+         })),
+         brokenImages: [...brokenImages.entries()].map(([src, broken]) => ({
+            url: src,
+            status: broken.status,
+            pages: [...broken.pages],
+         })),
+      };
+   }
+
+   analyzeDuplicates() {
+      const options = config.seo.duplicates;
+      return {
+         titles: findExactDuplicates(this.pagesTitles),
+         descriptions: findExactDuplicates(this.pagesDescriptions),
+         h1: findExactDuplicates(this.pagesH1),
+         content: findNearDuplicates(
+            removeBoilerplate(this.pagesContentBlocks, options.boilerplateRatio),
+            options
+         ),
+      };
+   }
+
+   // Słowa kluczowe serwisu w treści stron (bez bloków powtarzających się na wielu stronach)
+   analyzeKeywordUsage() {
+      const bodies = removeBoilerplate(
+         this.pagesContentBlocks,
+         config.seo.duplicates.boilerplateRatio
+      );
+      const pages = [...this.pagesContentBlocks.keys()].map((url) => {
+         const headings = this.pagesHeadings.get(url) || [];
+         return {
+            url,
+            language: getContentLanguage(this.pagesLanguages.get(url)),
+            title: this.pagesTitles.get(url) || "",
+            description: this.pagesDescriptions.get(url) || "",
+            h1: headings.filter(({ level }) => level === 1).map(({ text }) => text),
+            headings: headings.filter(({ level }) => level > 1).map(({ text }) => text),
+            firstParagraph: this.pagesFirstParagraphs.get(url) || "",
+            body: bodies.get(url) || "",
+            alts: (this.pagesImages.get(url) || []).map((image) => image.alt).filter(Boolean),
+         };
+      });
+      return analyzeKeywords(pages, [...this.keywords], {
+         ...config.seo.keywordAnalysis,
+         configuredKeywords: config.seo.keywords,
+      });
+   }
+
+   // Konspekt nagłówków stron i nagłówki powtarzające się na wielu stronach
+   analyzeHeadingStructure() {
+      const pages = [...this.pagesHeadings.entries()].map(([url, headings]) => ({
+         url,
+         title: this.pagesTitles.get(url) || "",
+         language: getContentLanguage(this.pagesLanguages.get(url)),
+         headings,
+      }));
+      return analyzeHeadings(pages, {
+         boilerplateRatio: config.seo.duplicates.boilerplateRatio,
+      });
+   }
+
+   // Objętość i czytelność treści stron (bez bloków powtarzających się na wielu stronach)
+   analyzeContent() {
+      const ratio = config.seo.duplicates.boilerplateRatio;
+      const bodies = removeBoilerplate(this.pagesContentBlocks, ratio);
+      const boilerplate = findBoilerplateBlocks(this.pagesContentBlocks, ratio);
+      const pages = [...this.pagesContentBlocks.keys()].map((url) => {
+         const text = this.pagesText.get(url) || { paragraphs: [], textBytes: 0 };
+         const performance = this.pagesPerformance.get(url);
+         return {
+            url,
+            language: getContentLanguage(this.pagesLanguages.get(url)),
+            body: bodies.get(url) || "",
+            paragraphs: text.paragraphs.filter(
+               (paragraph) => !boilerplate.has(normalizeText(paragraph))
+            ),
+            textBytes: text.textBytes,
+            htmlBytes: performance ? performance.htmlBytes : null,
+         };
+      });
+      return analyzeReadability(pages, config.seo.readability);
+   }
+
+   // Adres docelowy linku bez fragmentu, po rozwiązaniu przekierowań
+   resolveLinkTarget(link) {
+      let target = link;
+      try {
+         const parsedUrl = new URL(link);
+         parsedUrl.hash = "";
+         target = parsedUrl.href;
+      } catch (error) {
+         return link;
+      }
+      const redirect = this.redirects.get(target);
+      return redirect && !redirect.loop ? redirect.finalUrl : target;
+   }
+
+   buildLinkGraph() {
+      const graph = new LinkGraph();
+      for (const url of this.visitedUrls) {
+         if (this.statusCodes.get(url) !== 200) continue;
+         const parsedUrl = new URL(url);
+         graph.addNode(url, {
+            label: `${parsedUrl.pathname}${parsedUrl.search}`,
+            title: this.pagesTitles.get(url) || "",
+            depth: this.frontier.getDepth(url),
+         });
+      }
+      for (const [source, links] of this.internalLinks.entries()) {
+         links.forEach((link) =>
+            graph.addEdge(source, this.resolveLinkTarget(link))
+         );
+      }
+      return graph;
+   }
+
+   analyzeLinkGraph() {
+      const options = config.seo.linkGraph;
+      const graph = this.buildLinkGraph();
+      const ranks = graph.pageRank({ damping: options.damping });
+      const inboundCounts = graph.getInboundCounts();
+      const maxRank = [...ranks.values()].reduce(
+         (max, rank) => Math.max(max, rank),
+         0
+      );
+
+      const pages = new Map();
+      for (const url of graph.nodes.keys()) {
+         const page = {
+            pageRank: Math.round(ranks.get(url) * 1e6) / 1e6,
+            // Wynik względem najlepiej podlinkowanej strony (0-100)
+            score: maxRank > 0 ? Math.round((ranks.get(url) / maxRank) * 100) : 0,
+            inbound: inboundCounts.get(url),
+            outbound: graph.getOutbound(url).length,
+         };
+         pages.set(url, page);
+         graph.addNode(url, page);
+      }
+
+      // Strony z sitemap, do których nie prowadzi żaden link ze scrawlowanych stron
+      const linkedUrls = new Set();
+      for (const [source, links] of this.internalLinks.entries()) {
+         links
+            .map((link) => this.resolveLinkTarget(link))
+            .filter((target) => target !== source)
+            .forEach((target) => linkedUrls.add(target));
+      }
+      const startUrl = this.resolveLinkTarget(this.startUrl);
+      const orphanPages = [...this.sitemapUrls].filter((url) => {
+         const target = this.resolveLinkTarget(url);
+         return target !== startUrl && !linkedUrls.has(target);
+      });
+
+      const pageEntries = [...pages.entries()];
+      return {
+         graph,
+         pages,
+         totalPages: graph.nodes.size,
+         totalLinks: pageEntries.reduce((sum, [, page]) => sum + page.outbound, 0),
+         orphanPages,
+         deadEnds: pageEntries
+            .filter(([, page]) => page.outbound === 0)
+            .map(([url]) => url),
+         deepPages: pageEntries
+            .map(([url]) => ({ url, depth: this.frontier.getDepth(url) }))
+            .filter(({ depth }) => depth > options.maxClickDepth)
+            .sort((a, b) => b.depth - a.depth),
+         hubs: pageEntries
+            .filter(([, page]) => page.outbound >= options.hubMinLinks)
+            .sort((a, b) => b[1].outbound - a[1].outbound)
+            .slice(0, options.hubCount)
+            .map(([url, page]) => ({ url, ...page })),
+         topPages: pageEntries
+            .sort((a, b) => b[1].pageRank - a[1].pageRank)
+            .slice(0, 20)
+            .map(([url, page]) => ({ url, ...page })),
+      };
+   }
+
+   // Zapisuje graf linków w formatach z config.seo.linkGraph.exportFormats
+   exportLinkGraph(graph) {
+      const exporters = {
+         json: () => JSON.stringify(graph.toJSON(), null, 2),
+         graphml: () => graph.toGraphML(),
+         dot: () => graph.toDOT(),
+      };
+      const files = [];
+      fs.mkdirSync(config.report.outputDirectory, { recursive: true });
+      for (const format of config.seo.linkGraph.exportFormats) {
+         if (!exporters[format]) {
+            console.warn(`Nieznany format eksportu grafu: ${format}`);
+            continue;
+         }
+         const fileName = getOutputPath(`seo-link-graph.${format}`);
+         fs.writeFileSync(fileName, exporters[format]());
+         files.push(fileName);
+      }
+      return files;
+   }
+
+   // Dane do interaktywnego grafu w raporcie HTML (najważniejsze strony wg PageRank)
+   getLinkGraphView({ nodes, edges }) {
+      const visibleNodes = nodes
+         .sort((a, b) => b.pageRank - a.pageRank)
+         .slice(0, config.seo.linkGraph.htmlMaxNodes);
+      const visibleIds = new Set(visibleNodes.map((node) => node.id));
+      return {
+         nodes: visibleNodes,
+         edges: edges.filter(
+            (edge) => visibleIds.has(edge.source) && visibleIds.has(edge.target)
+         ),
+         truncated: nodes.length > visibleNodes.length,
+      };
+   }
+
+   // Wykrywa sprzeczności między sitemap a dyrektywami dla robotów
+   findRobotsConflicts() {
+      for (const sitemapUrl of this.sitemapUrls) {
+         const robots = this.pagesRobots.get(sitemapUrl);
+         if (robots && robots.noindex) {
+            this.noindexInSitemap.add(sitemapUrl);
+         }
+         if (
+            this.robotsTxt &&
+            !this.robotsTxt.isAllowed(sitemapUrl, this.userAgent)
+         ) {
+            this.blockedInSitemap.add(sitemapUrl);
+         }
+      }
+   }
+
+   // Dane wejściowe dla reguł audytu z audit-rules.js (po pobraniu sitemap)
+   collectAuditData() {
+      const robotsDirectives = [...this.pagesRobots.entries()];
+      const sitemapLocations =
+         this.robotsTxt && this.robotsTxt.sitemaps.length > 0
+            ? this.robotsTxt.sitemaps
+            : [`${this.baseUrl}/sitemap.xml`];
+
+      return {
+         // Strony przeanalizowane przez extractMetadata (status 200, HTML)
+         pages: [...this.pagesMetaTags.keys()].map((url) => ({
+            url,
+            title: this.pagesTitles.get(url) || "",
+            description: this.pagesDescriptions.get(url) || "",
+            h1: this.pagesH1.get(url) || "",
+            depth: this.frontier.getDepth(url) || 0,
+            renderDiff: this.renderDiffs.get(url) || null,
+         })),
+         duplicates: this.analyzeDuplicates(),
+         keywords: this.analyzeKeywordUsage(),
+         content: this.analyzeContent(),
+         headings: this.analyzeHeadingStructure(),
+         structuredData: this.analyzeStructuredData(),
+         social: this.analyzeSocialMeta(),
+         images: this.analyzeImages(),
+         imageSources: new Set(this.imageResources.keys()),
+         redirects: this.analyzeRedirects(),
+         canonicals: this.analyzeCanonicals(),
+         brokenLinks: this.brokenLinks.map((link) => ({
+            ...link,
+            referencedFrom: this.getLinkReferences(link.url),
+         })),
+         redirectedExternalLinks: [...this.linkCheckResults.values()]
+            .filter(
+               (result) =>
+                  result.type === "external" && result.ok && result.redirects.length > 0
+            )
+            .map((result) => result.url),
+         robots: {
+            status: this.robotsTxtStatus,
+            blockedUrls: [...this.blockedByRobotsTxt],
+            noindexUrls: robotsDirectives
+               .filter(([, robots]) => robots.noindex)
+               .map(([url]) => url),
+            nofollowUrls: robotsDirectives
+               .filter(([, robots]) => robots.nofollow)
+               .map(([url]) => url),
+         },
+         sitemap: {
+            locations: sitemapLocations,
+            urlCount: this.sitemapUrls.size,
+            notInSitemap: [...this.urlsNotInSitemap],
+            notCrawled: [...this.urlsInSitemapButNotCrawled],
+            noindexUrls: [...this.noindexInSitemap],
+            blockedUrls: [...this.blockedInSitemap],
+         },
+         linkGraph: this.analyzeLinkGraph(),
+      };
+   }
+
+   // Dane stron wejściowe dla sprawdzeń z seo-score.js
+   buildScoringPages({
+      socialAnalysis,
+      imageAnalysis,
+      linkGraphAnalysis,
+      contentAnalysis,
+      duplicates,
+      redirects,
+   }) {
+      const collectUrls = (groups) =>
+         new Set(groups.flatMap((group) => group.urls));
+      const duplicateTitles = collectUrls(duplicates.titles);
+      const duplicateDescriptions = collectUrls(duplicates.descriptions);
+      const duplicateH1 = collectUrls(duplicates.h1);
+      const nearDuplicates = collectUrls(duplicates.content);
+
+      const countBySource = (items, getSource) =>
+         items.reduce((counts, item) => {
+            new Set([].concat(getSource(item))).forEach((source) =>
+               counts.set(source, (counts.get(source) || 0) + 1)
+            );
+            return counts;
+         }, new Map());
+      const brokenLinks = countBySource(this.report.brokenLinks, (link) =>
+         link.referencedFrom.map((reference) => reference.page)
+      );
+      const redirectLinks = countBySource(
+         redirects.internalLinksToRedirects,
+         (link) => link.source
+      );
+
+      return [...this.visitedUrls]
+         .filter((url) => this.statusCodes.get(url) === 200)
+         .map((url) => {
+            const structuredData = this.pagesStructuredData.get(url);
+            const links = linkGraphAnalysis.pages.get(url);
+            const performance = this.pagesPerformance.get(url);
+            const renderDiff = this.renderDiffs.get(url);
+            const content = contentAnalysis.pages.get(url);
+            return {
+               url,
+               depth: this.frontier.getDepth(url) || 0,
+               title: this.pagesTitles.get(url) || "",
+               description: this.pagesDescriptions.get(url) || "",
+               h1: this.pagesH1.get(url) || "",
+               noindex: !!this.pagesRobots.get(url)?.noindex,
+               canonical: (this.pagesCanonicals.get(url) || [])[0] || "",
+               structuredDataErrors: structuredData
+                  ? structuredData.errors.length +
+                    structuredData.validation.filter(
+                       (result) => result.missingRequired.length > 0
+                    ).length
+                  : 0,
+               dependsOnJavaScript: renderDiff ? !!renderDiff.dependsOnJavaScript : null,
+               duplicateTitle: duplicateTitles.has(url),
+               duplicateDescription: duplicateDescriptions.has(url),
+               duplicateH1: duplicateH1.has(url),
+               nearDuplicate: nearDuplicates.has(url),
+               words: content ? content.words : null,
+               socialProblems: (socialAnalysis.pages.get(url)?.problems || []).length,
+               images: (imageAnalysis.pages.get(url) || []).map((image) => ({
+                  problems: image.problems.map((problem) => problem.type),
+               })),
+               brokenLinks: brokenLinks.get(url) || 0,
+               redirectLinks: redirectLinks.get(url) || 0,
+               inboundLinks: links ? links.inbound : 0,
+               outboundLinks: links ? links.outbound : 0,
+               responseTime: performance ? performance.responseTime : null,
+               htmlBytes: performance ? performance.htmlBytes : null,
+            };
+         });
+   }
+
+   analyzeScores(analyses) {
+      return scoreSite(this.buildScoringPages(analyses), config);
+   }
+
+   generateReport() {
+      // Aktualizujemy statystyki w raporcie
+      this.report.crawlStats = {
+         totalUrlsCrawled: this.visitedUrls.size,
+         totalStaticResources: this.staticResources.size,
+         brokenLinks: this.brokenLinks.length,
+         totalInternalLinks: [...this.internalLinks.values()].flat().length,
+         totalExternalLinks: [...this.externalLinks.values()].flat().length,
+         urlsWithoutTitle: [...this.visitedUrls].filter(
+            (url) => !this.pagesTitles.has(url)
+         ),
+         urlsWithoutDescription: [...this.visitedUrls].filter(
+            (url) => !this.pagesDescriptions.has(url)
+         ),
+         urlsWithoutH1: [...this.visitedUrls].filter(
+            (url) => !this.pagesH1.has(url)
+         ),
+         urlsWithInvalidTitleLength: this.pagesTitlesWarnings
+            ? [...this.pagesTitlesWarnings.entries()]
+            : [],
+         urlsWithInvalidDescriptionLength: this.pagesDescriptionsWarnings
+            ? [...this.pagesDescriptionsWarnings.entries()]
+            : [],
+         crawlDuration: this.crawlDuration,
+         stoppedBy: this.crawlStopReason,
+         urlsLeftInQueue: this.frontier.size,
+         maxDepthReached: [...this.visitedUrls].reduce(
+            (max, url) => Math.max(max, this.frontier.getDepth(url) || 0),
+            0
+         ),
+      };
+      this.report.crawlState = {
+         resumedFrom: this.resumedFrom,
+         incremental: this.previousState
+            ? {
+                 previousRun: this.previousState.savedAt,
+                 unchangedPages: [...this.unchangedPages],
+                 reanalyzedPages: [...this.pageValidators.keys()].filter(
+                    (url) => !this.unchangedPages.has(url)
+                 ),
+              }
+            : null,
+      };
+
+      // Agregujemy sugestie AI ze wszystkich stron
+      const allAiSuggestions = {
+         mainKeywords: new Set(),
+         longTailKeywords: new Set(),
+         relatedTopics: new Set(),
+         contentStructure: new Set(),
+         seoSuggestions: new Set(),
+         optimizedTitles: [],
+         optimizedDescriptions: [],
+         optimizedSocialTags: [],
+         keywordSuggestions: new Set()
+      };
+
+      // Zbieramy sugestie AI ze wszystkich stron
+      for (const [url, metaTags] of this.pagesMetaTags.entries()) {
+         if (metaTags.aiSuggestions) {
+            if (metaTags.aiSuggestions.optimizedTitle) {
+               allAiSuggestions.optimizedTitles.push({
+                  url,
+                  title: metaTags.aiSuggestions.optimizedTitle,
+                  fromCache: !!(metaTags.aiSuggestions.fromCache || {}).title
+               });
+            }
+            if (metaTags.aiSuggestions.optimizedDescription) {
+               allAiSuggestions.optimizedDescriptions.push({
+                  url,
+                  description: metaTags.aiSuggestions.optimizedDescription,
+                  fromCache: !!(metaTags.aiSuggestions.fromCache || {}).description
+               });
+            }
+            if (metaTags.aiSuggestions.optimizedOgTitle) {
+               allAiSuggestions.optimizedSocialTags.push({
+                  url,
+                  ogTitle: metaTags.aiSuggestions.optimizedOgTitle,
+                  ogDescription: metaTags.aiSuggestions.optimizedOgDescription,
+                  fromCache: !!(metaTags.aiSuggestions.fromCache || {}).social
+               });
+            }
+            if (metaTags.aiSuggestions.keywordSuggestions) {
+               metaTags.aiSuggestions.keywordSuggestions.forEach(kw => 
+                  allAiSuggestions.keywordSuggestions.add(kw)
+               );
+            }
+         }
+         if (metaTags.contentAnalysis) {
+            if (metaTags.contentAnalysis.mainKeywords) {
+               metaTags.contentAnalysis.mainKeywords.forEach(kw => 
+                  allAiSuggestions.mainKeywords.add(kw)
+               );
+            }
+            if (metaTags.contentAnalysis.longTailKeywords) {
+               metaTags.contentAnalysis.longTailKeywords.forEach(kw => 
+                  allAiSuggestions.longTailKeywords.add(kw)
+               );
+            }
+            if (metaTags.contentAnalysis.relatedTopics) {
+               metaTags.contentAnalysis.relatedTopics.forEach(topic => 
+                  allAiSuggestions.relatedTopics.add(topic)
+               );
+            }
+            if (metaTags.contentAnalysis.contentStructure) {
+               metaTags.contentAnalysis.contentStructure.forEach(structure => 
+                  allAiSuggestions.contentStructure.add(structure)
+               );
+            }
+            if (metaTags.contentAnalysis.seoSuggestions) {
+               metaTags.contentAnalysis.seoSuggestions.forEach(suggestion => 
+                  allAiSuggestions.seoSuggestions.add(suggestion)
+               );
+            }
+         }
+      }
+
+      // Konwertujemy Set na Array i aktualizujemy raport
+      this.report.aiSuggestions = {
+         mainKeywords: [...allAiSuggestions.mainKeywords],
+         longTailKeywords: [...allAiSuggestions.longTailKeywords],
+         relatedTopics: [...allAiSuggestions.relatedTopics],
+         contentStructure: [...allAiSuggestions.contentStructure],
+         seoSuggestions: [...allAiSuggestions.seoSuggestions],
+         optimizedTitles: allAiSuggestions.optimizedTitles,
+         optimizedDescriptions: allAiSuggestions.optimizedDescriptions,
+         optimizedSocialTags: allAiSuggestions.optimizedSocialTags,
+         keywordSuggestions: [...allAiSuggestions.keywordSuggestions]
+      };
+
+      this.report.aiCache = this.aiOptimizer
+         ? {
+              enabled: this.aiOptimizer.cache.enabled,
+              refresh: this.aiOptimizer.cache.refresh,
+              ...this.aiOptimizer.cache.stats,
+           }
+         : { enabled: false };
+
+      // Dodajemy pozostałe sekcje do raportu
+      this.report.issueStats = summarizeIssues(this.report.issues);
+      this.report.sitemapStats = {
+         totalUrlsInSitemap: this.sitemapUrls.size,
+         urlsNotInSitemap: [...this.urlsNotInSitemap],
+         urlsInSitemapButNotCrawled: [...this.urlsInSitemapButNotCrawled],
+      };
+
+      const robotsEntries = [...this.pagesRobots.entries()];
+      this.report.robots = {
+         robotsTxtUrl: `${this.baseUrl}/robots.txt`,
+         robotsTxtStatus: this.robotsTxtStatus,
+         respected: config.crawler.respectRobotsTxt,
+         crawlDelay: this.crawlDelay,
+         sitemaps: this.robotsTxt ? this.robotsTxt.sitemaps : [],
+         blockedByRobotsTxt: [...this.blockedByRobotsTxt],
+         noindex: robotsEntries
+            .filter(([, robots]) => robots.noindex)
+            .map(([url]) => url),
+         nofollow: robotsEntries
+            .filter(([, robots]) => robots.nofollow)
+            .map(([url]) => url),
+         noindexInSitemap: [...this.noindexInSitemap],
+         blockedInSitemap: [...this.blockedInSitemap],
+      };
+
+      this.report.rendering = {
+         enabled: !!this.renderer,
+         pagesDependingOnJavaScript: [...this.renderDiffs.entries()]
+            .filter(([, diff]) => diff.dependsOnJavaScript)
+            .map(([url]) => url),
+      };
+
+      this.report.structuredData = this.analyzeStructuredData();
+      const socialAnalysis = this.analyzeSocialMeta();
+      this.report.social = {
+         pagesWithoutOpenGraph: socialAnalysis.pagesWithoutOpenGraph,
+         problems: socialAnalysis.problems,
+         images: socialAnalysis.images,
+      };
+      const imageAnalysis = this.analyzeImages();
+      this.report.images = {
+         totalImages: imageAnalysis.totalImages,
+         uniqueImages: imageAnalysis.uniqueImages,
+         problems: imageAnalysis.problems,
+         brokenImages: imageAnalysis.brokenImages,
+      };
+      this.report.duplicates = this.analyzeDuplicates();
+      const keywordAnalysis = this.analyzeKeywordUsage();
+      this.report.keywords = {
+         keywords: keywordAnalysis.keywords,
+         topTerms: keywordAnalysis.topTerms,
+      };
+      const contentAnalysis = this.analyzeContent();
+      this.report.content = {
+         minWords: config.seo.readability.minWords,
+         thinPages: contentAnalysis.thinPages,
+         averages: contentAnalysis.averages,
+         medianWords: contentAnalysis.medianWords,
+         distributions: contentAnalysis.distributions,
+      };
+      const headingAnalysis = this.analyzeHeadingStructure();
+      const countHeadingPages = (test) => [...headingAnalysis.pages.values()].filter(test).length;
+      this.report.headings = {
+         pagesWithMultipleH1: countHeadingPages((page) => page.h1Count > 1),
+         pagesWithEmptyHeadings: countHeadingPages((page) => page.emptyHeadings.length > 0),
+         pagesWithSkippedLevels: countHeadingPages((page) => page.skippedLevels.length > 0),
+         pagesWithH1TitleMismatch: countHeadingPages(
+            (page) =>
+               page.titleSimilarity !== null &&
+               page.titleSimilarity < config.seo.headings.minTitleSimilarity
+         ),
+         duplicates: headingAnalysis.duplicates,
+      };
+      const linkGraphAnalysis = this.analyzeLinkGraph();
+      this.report.linkGraph = {
+         totalPages: linkGraphAnalysis.totalPages,
+         totalLinks: linkGraphAnalysis.totalLinks,
+         orphanPages: linkGraphAnalysis.orphanPages,
+         deadEnds: linkGraphAnalysis.deadEnds,
+         deepPages: linkGraphAnalysis.deepPages,
+         hubs: linkGraphAnalysis.hubs,
+         topPages: linkGraphAnalysis.topPages,
+         exports: this.exportLinkGraph(linkGraphAnalysis.graph),
+      };
+      this.report.redirects = this.analyzeRedirects();
+      this.report.canonicals = this.analyzeCanonicals();
+
+      // Linki zewnętrzne do analizy bywają zapisane z fragmentem (#), referencje - tak jak w HTML
+      const getReferences = (link) => {
+         const references = this.getLinkReferences(link);
+         return references.length > 0
+            ? references
+            : [...this.linkReferences.entries()]
+                 .filter(([target]) => this.resolveLinkTarget(target) === link)
+                 .flatMap(([, targetReferences]) => targetReferences);
+      };
+      this.report.brokenLinks = this.brokenLinks.map((link) => ({
+         ...link,
+         referencedFrom: getReferences(link.url),
+      }));
+
+      const linkCheckResults = [...this.linkCheckResults.values()];
+      const summarizeLinkCheck = (type) => {
+         const results = linkCheckResults.filter((result) => result.type === type);
+         return {
+            checked: results.length,
+            broken: results.filter((result) => !result.ok).length,
+            redirected: results.filter((result) => result.redirects.length > 0).length,
+         };
+      };
+      this.report.linkCheck = {
+         enabled: config.crawler.linkCheck.enabled,
+         external: summarizeLinkCheck("external"),
+         resources: summarizeLinkCheck("resource"),
+         errorTypes: linkCheckResults
+            .filter((result) => result.errorType)
+            .reduce((counts, { errorType }) => {
+               counts[errorType] = (counts[errorType] || 0) + 1;
+               return counts;
+            }, {}),
+         redirectedLinks: linkCheckResults
+            .filter((result) => result.ok && result.redirects.length > 0)
+            .map((result) => ({
+               url: result.url,
+               type: result.type,
+               status: result.redirects[0].status,
+               finalUrl: result.finalUrl,
+               referencedFrom: getReferences(result.url),
+            })),
+      };
+      const scores = this.analyzeScores({
+         socialAnalysis,
+         imageAnalysis,
+         linkGraphAnalysis,
+         contentAnalysis,
+         duplicates: this.report.duplicates,
+         redirects: this.report.redirects,
+      });
+      const pageScores = new Map(scores.pages.map((page) => [page.url, page]));
+      this.report.scores = {
+         site: scores.score,
+         categories: scores.categories,
+         topFixes: scores.topFixes,
+         // Strony od najniższej oceny
+         pages: scores.pages.map(({ url, score, categories, failedChecks }) => ({
+            url,
+            score,
+            categories,
+            topFixes: failedChecks.slice(0, 3),
+         })),
+      };
+
+      this.report.pageMeta = [...this.visitedUrls].map((url) => ({
+         url,
+         status: this.statusCodes.get(url) || "unknown",
+         depth: this.frontier.getDepth(url),
+         title: this.pagesTitles.get(url) || "",
+         titleLength: this.pagesTitles.get(url)?.length || 0,
+         description: this.pagesDescriptions.get(url) || "",
+         descriptionLength: this.pagesDescriptions.get(url)?.length || 0,
+         h1: this.pagesH1.get(url) || "",
+         lang: this.pagesLanguages.get(url) || null,
+         language: getContentLanguage(this.pagesLanguages.get(url)),
+         internalLinksCount: (this.internalLinks.get(url) || []).length,
+         externalLinksCount: (this.externalLinks.get(url) || []).length,
+         robots: this.pagesRobots.get(url) || null,
+         canonical: (this.pagesCanonicals.get(url) || [])[0] || "",
+         renderDiff: this.renderDiffs.get(url) || null,
+         structuredData: this.pagesStructuredData.get(url) || null,
+         social: socialAnalysis.pages.get(url) || null,
+         images: imageAnalysis.pages.get(url) || [],
+         links: linkGraphAnalysis.pages.get(url) || null,
+         keywords: keywordAnalysis.pages.get(url) || null,
+         content: contentAnalysis.pages.get(url) || null,
+         headings: headingAnalysis.pages.get(url) || null,
+         unchanged: this.unchangedPages.has(url),
+         performance: this.pagesPerformance.get(url) || null,
+         score: pageScores.get(url) || null,
+         metaTags: this.pagesMetaTags?.get(url) || {},
+      }));
+      // Strony z najniższą oceną na początku, strony bez oceny (błędy, przekierowania) na końcu
+      this.report.pageMeta.sort(
+         (a, b) => (a.score ? a.score.score : 101) - (b.score ? b.score.score : 101)
+      );
+
+      // Wszystkie odnośniki ze stron (linki, obrazki, zasoby) z tekstem i statusem celu
+      this.report.links = [...this.linkReferences.entries()].flatMap(([target, references]) => {
+         const details = this.describeLinkTarget(target);
+         return references.map(({ page, anchor }) => ({
+            source: page,
+            target,
+            anchor,
+            ...details,
+         }));
+      });
+
+      this.report.staticResources = [...this.staticResources].map((url) => {
+         const result = this.linkCheckResults.get(url);
+         return {
+            url,
+            type: url.split(/[?#]/)[0].split(".").pop().toLowerCase(),
+            status: this.statusCodes.has(url) ? this.statusCodes.get(url) : "unknown",
+            ...(result && result.errorType && { errorType: result.errorType }),
+         };
+      });
+
+      if (config.report.history.enabled) {
+         const historyFile = saveRun(this.report, config.report.history.directory);
+         console.log(`Raport zapisany w historii: ${historyFile}`);
+      }
+
+      // Zapisujemy raport JSON i HTML (PDF powstaje z HTML w analyze)
+      this.writeReportFiles(
+         this.report,
+         this.getLinkGraphView(linkGraphAnalysis.graph.toJSON())
+      );
+
+      return this.report;
+   }
+
+   // Zapisuje raport w formatach JSON, HTML i CSV z config.report.formats; HTML jest
+   // zapamiętywany także wtedy, gdy potrzebny jest tylko do wygenerowania PDF
+   writeReportFiles(report, linkGraphView = null) {
+      const { formats } = config.report;
+      fs.mkdirSync(config.report.outputDirectory, { recursive: true });
+
+      if (formats.includes("json")) {
+         const fileName = getOutputPath("seo-report.json");
+         fs.writeFileSync(fileName, JSON.stringify(report, null, 2));
+         this.reportFiles.push(fileName);
+      }
+      if (formats.includes("html") || formats.includes("pdf")) {
+         this.htmlReport = this.generateHtmlReport(report, linkGraphView);
+      }
+      if (formats.includes("html")) {
+         const fileName = getOutputPath("seo-report.html");
+         fs.writeFileSync(fileName, this.htmlReport);
+         this.reportFiles.push(fileName);
+      }
+      if (formats.includes("csv")) {
+         this.reportFiles.push(
+            ...writeCsvFiles(
+               buildTables(report, config.report.export.columns),
+               config.report.outputDirectory,
+               config.report.export.csvDelimiter
+            )
+         );
+      }
+      return this.reportFiles;
+   }
+
+   // Arkusz XLSX z tymi samymi tabelami co eksport CSV
+   async generateXlsxReport(report = this.report) {
+      try {
+         const fileName = await writeXlsx(
+            buildTables(report, config.report.export.columns),
+            getOutputPath("seo-report.xlsx")
+         );
+         this.reportFiles.push(fileName);
+         console.log(`Raport XLSX został wygenerowany: ${fileName}`);
+      } catch (error) {
+         console.error(`Błąd podczas generowania XLSX: ${error.message}`);
+      }
+   }
+
+   // Słowa kluczowe znalezione w tekście z uwzględnieniem odmiany (keyword-analysis.js)
+   analyzeKeywords(text, language = getContentLanguage()) {
+      if (!text) return { found: [], missing: [] };
+      return matchKeywords(text, [...this.keywords], language);
+   }
+
+   generateHtmlReport(report, linkGraphView = null) {
+      const getScoreClass = (score) =>
+         score >= 80 ? "score-good" : score >= 50 ? "score-average" : "score-poor";
+      // Bez słów kluczowych w konfiguracji projektu pokrycie nie jest liczone
+      const formatKeywordCoverage = ({ found }) =>
+         this.keywords.size > 0
+            ? `${found.length}/${this.keywords.size} (${Math.round(
+                 (found.length / this.keywords.size) * 100
+              )}%)`
+            : t("report.noKeywords");
+
+      const formatPlacement = (placement) =>
+         PLACEMENT_FIELDS.filter((field) => placement[field])
+            .map((field) => t(`report.keywords.placements.${field}`))
+            .join(", ") || t("report.none");
+      const formatTerms = (terms) =>
+         terms
+            .map(
+               ({ term, count }) =>
+                  `<span class="keyword-item">${escapeHtml(term)} (${count})</span>`
+            )
+            .join("");
+
+      const formatValue = (value, unit = "") =>
+         value === null || value === undefined ? t("report.none") : `${value}${unit}`;
+
+      // Problemy według stron - do tabeli stron i filtrów
+      const issues = report.issues || [];
+      const pageIssues = new Map();
+      issues.forEach((issue) => {
+         if (!pageIssues.has(issue.url)) pageIssues.set(issue.url, []);
+         pageIssues.get(issue.url).push(issue);
+      });
+      const pageStatuses = new Map(report.pageMeta.map((page) => [page.url, page.status]));
+      const pageIds = new Map(report.pageMeta.map((page, index) => [page.url, `page-${index + 1}`]));
+      const statuses = [...new Set(report.pageMeta.map((page) => String(page.status)))].sort();
+      const rulesByCategory = new Map();
+      issues.forEach((issue) => {
+         if (!rulesByCategory.has(issue.category)) rulesByCategory.set(issue.category, new Set());
+         rulesByCategory.get(issue.category).add(issue.rule);
+      });
+      // Atrybuty, według których skrypt raportu filtruje strony i problemy
+      const filterAttributes = (url, relatedIssues) =>
+         `data-filter data-url="${escapeHtml(url)}" data-status="${escapeHtml(
+            pageStatuses.has(url) ? pageStatuses.get(url) : ""
+         )}" data-rules="${escapeHtml(
+            [...new Set(relatedIssues.map((issue) => issue.rule))].join(" ")
+         )}" data-severities="${escapeHtml(
+            [...new Set(relatedIssues.map((issue) => issue.severity))].join(" ")
+         )}"`;
+
+      const htmlReport = `
+<!DOCTYPE html>
+<html lang="${getReportLanguage()}">
+<head>
+   <meta charset="UTF-8">
+   <title>${t("report.title")}</title>
+   <style>
+      body {
+         font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+         line-height: 1.6;
+         color: #333;
+         max-width: 1200px;
+         margin: 0 auto;
+         padding: 20px;
+         background: #f5f5f5;
+      }
+      .container {
+         background: white;
+         border-radius: 8px;
+         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+         padding: 20px;
+      }
+      .summary {
+         margin-bottom: 30px;
+         padding: 20px;
+         background: #f8f9fa;
+         border-radius: 8px;
+      }
+      .summary h2 {
+         margin-top: 0;
+         color: #2c3e50;
+      }
+      .stats {
+         display: flex;
+         flex-wrap: wrap;
+         gap: 20px;
+         margin: 15px 0;
+      }
+      .stat-item {
+         background: white;
+         padding: 15px;
+         border-radius: 6px;
+         box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+         flex: 1;
+         min-width: 200px;
+      }
+      .stat-label {
+         font-size: 0.9em;
+         color: #666;
+         margin-bottom: 5px;
+      }
+      .stat-value {
+         font-size: 1.2em;
+         font-weight: 500;
+         color: #2c3e50;
+      }
+      .page-analysis {
+         background: white;
+         border-radius: 8px;
+         box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+         margin-bottom: 30px;
+         overflow: hidden;
+      }
+      .page-header {
+         background: #f8f9fa;
+         padding: 15px 20px;
+         border-bottom: 1px solid #eee;
+         display: flex;
+         justify-content: space-between;
+         align-items: center;
+      }
+      .page-url {
+         font-weight: 500;
+         color: #2c3e50;
+         word-break: break-all;
+      }
+      .page-status {
+         padding: 4px 8px;
+         border-radius: 4px;
+         font-size: 0.9em;
+      }
+      .score-good {
+         background: #d4edda;
+         color: #155724;
+      }
+      .score-average {
+         background: #fff3cd;
+         color: #856404;
+      }
+      .score-poor {
+         background: #f8d7da;
+         color: #721c24;
+      }
+      .site-score {
+         font-size: 2.5em;
+         font-weight: 600;
+         padding: 10px 20px;
+         border-radius: 8px;
+         display: inline-block;
+      }
+      .score-table {
+         width: 100%;
+         border-collapse: collapse;
+         background: white;
+      }
+      .score-table th,
+      .score-table td {
+         text-align: left;
+         padding: 6px 10px;
+         border-bottom: 1px solid #eee;
+         word-break: break-all;
+      }
+      .success {
+         background: #d4edda;
+         color: #155724;
+      }
+      .error {
+         background: #f8d7da;
+         color: #721c24;
+      }
+      .meta-section {
+         padding: 20px;
+         border-bottom: 1px solid #eee;
+      }
+      .meta-section:last-child {
+         border-bottom: none;
+      }
+      .meta-title {
+         font-size: 1.1em;
+         font-weight: 500;
+         color: #2c3e50;
+         margin-bottom: 10px;
+      }
+      .keywords {
+         margin: 10px 0;
+         font-size: 0.9em;
+         color: #666;
+      }
+      .length-ok {
+         color: #28a745;
+      }
+      .length-warning {
+         color: #dc3545;
+      }
+      .warning {
+         color: #dc3545;
+         font-weight: 500;
+      }
+      .ai-suggestions {
+         margin-top: 15px;
+         padding: 15px;
+         background: #e8f4f8;
+         border-radius: 6px;
+      }
+      .ai-suggestions h4 {
+         margin: 0 0 10px 0;
+         color: #2c3e50;
+      }
+      .ai-suggestions ul {
+         margin: 0;
+         padding-left: 20px;
+      }
+      .ai-suggestions li {
+         margin-bottom: 5px;
+      }
+      .link-graph {
+         width: 100%;
+         height: 600px;
+         background: #fff;
+         border: 1px solid #e9ecef;
+         border-radius: 6px;
+         cursor: grab;
+      }
+      .link-graph line {
+         stroke: #ced4da;
+         stroke-width: 1;
+      }
+      .link-graph circle {
+         fill: #3498db;
+         stroke: #fff;
+         stroke-width: 1.5;
+         cursor: pointer;
+      }
+      .link-graph circle.selected {
+         fill: #e67e22;
+      }
+      .link-graph circle.neighbor {
+         fill: #27ae60;
+      }
+      .link-graph line.highlighted {
+         stroke: #e67e22;
+         stroke-width: 2;
+      }
+      .link-graph circle.dimmed,
+      .link-graph line.dimmed {
+         opacity: 0.15;
+      }
+      .image-table {
+         width: 100%;
+         border-collapse: collapse;
+         font-size: 0.9em;
+      }
+      .image-table th,
+      .image-table td {
+         text-align: left;
+         vertical-align: top;
+         padding: 6px 8px;
+         border-bottom: 1px solid #e9ecef;
+      }
+      .image-table img {
+         max-width: 80px;
+         max-height: 60px;
+      }
+      .social-previews {
+         display: flex;
+         flex-wrap: wrap;
+         gap: 15px;
+         margin-top: 10px;
+      }
+      .social-card {
+         width: 320px;
+         background: #fff;
+         border: 1px solid #dadde1;
+         overflow: hidden;
+         font-size: 0.9em;
+      }
+      .social-card-label {
+         font-size: 0.8em;
+         color: #666;
+         margin-bottom: 5px;
+      }
+      .social-card-image {
+         height: 168px;
+         background: #e9ebee;
+         color: #90949c;
+         display: flex;
+         align-items: center;
+         justify-content: center;
+      }
+      .social-card-image img {
+         width: 100%;
+         height: 100%;
+         object-fit: cover;
+      }
+      .social-card-body {
+         padding: 10px 12px;
+      }
+      .social-card-domain {
+         color: #606770;
+         font-size: 0.85em;
+      }
+      .social-card-title {
+         font-weight: 600;
+         color: #1d2129;
+      }
+      .social-card-description {
+         color: #606770;
+      }
+      .social-card.facebook {
+         background: #f2f3f5;
+      }
+      .social-card.x {
+         border-radius: 16px;
+      }
+      .social-card.x.summary {
+         display: flex;
+         width: 420px;
+      }
+      .social-card.x.summary .social-card-image {
+         width: 125px;
+         height: 125px;
+         flex-shrink: 0;
+      }
+      .issues {
+         margin: 20px 0;
+         padding: 15px;
+         background: #fff3cd;
+         border-radius: 6px;
+      }
+      .issues h3 {
+         margin: 0 0 10px 0;
+         color: #856404;
+      }
+      .issues ul {
+         margin: 0;
+         padding-left: 20px;
+      }
+      .issues li {
+         margin-bottom: 5px;
+         color: #856404;
+      }
+      .severity {
+         display: inline-block;
+         min-width: 80px;
+         margin-right: 6px;
+         padding: 1px 6px;
+         border-radius: 3px;
+         font-size: 0.8em;
+         text-align: center;
+         color: #fff;
+      }
+      .severity-critical {
+         background: #dc3545;
+      }
+      .severity-warning {
+         background: #fd7e14;
+      }
+      .severity-notice {
+         background: #6c757d;
+      }
+      @media (max-width: 768px) {
+         .stats {
+            flex-direction: column;
+         }
+         .stat-item {
+            width: 100%;
+         }
+      }
+      .ai-section {
+         background: #f8f9fa;
+         padding: 20px;
+         margin: 20px 0;
+         border-radius: 8px;
+         border: 1px solid #e9ecef;
+      }
+      .ai-section h3 {
+         color: #2c3e50;
+         margin-top: 0;
+      }
+      .keyword-list {
          display: flex;
          flex-wrap: wrap;
          gap: 10px;
          margin: 10px 0;
       }
+      .outline {
+         list-style-type: none;
+         margin: 0;
+         padding: 0;
+      }
+      .outline li {
+         padding: 2px 0;
+      }
+      .outline-level {
+         display: inline-block;
+         min-width: 2.5em;
+         color: #6c757d;
+         font-size: 0.85em;
+         font-weight: 600;
+      }
       .keyword-item {
          background: #e9ecef;
          padding: 5px 10px;
@@ -822,141 +3182,1331 @@ class SEOAnalyzer {
          border-radius: 4px;
          box-shadow: 0 1px 3px rgba(0,0,0,0.1);
       }
-      .optimized-content {
-         background: #e8f4f8;
-         padding: 15px;
-         margin: 10px 0;
-         border-radius: 6px;
+      .optimized-content {
+         background: #e8f4f8;
+         padding: 15px;
+         margin: 10px 0;
+         border-radius: 6px;
+      }
+      .optimized-content h4 {
+         margin: 0 0 10px 0;
+         color: #2c3e50;
+      }
+      .url-link {
+         color: #666;
+         font-size: 0.9em;
+         margin-bottom: 5px;
+      }
+      .filters {
+         position: sticky;
+         top: 0;
+         z-index: 10;
+         display: flex;
+         flex-wrap: wrap;
+         align-items: center;
+         gap: 10px;
+         margin-bottom: 20px;
+         padding: 10px 15px;
+         background: #fff;
+         border: 1px solid #e9ecef;
+         border-radius: 8px;
+         box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      }
+      .filters input,
+      .filters select,
+      .filters button {
+         padding: 5px 8px;
+         font-size: 0.9em;
+         border: 1px solid #ccc;
+         border-radius: 4px;
+         background: #fff;
+      }
+      .filters input {
+         flex: 1;
+         min-width: 200px;
+      }
+      .filters button {
+         cursor: pointer;
+      }
+      [hidden] {
+         display: none !important;
+      }
+      .charts {
+         display: flex;
+         flex-wrap: wrap;
+         gap: 20px;
+         margin: 15px 0;
+      }
+      .chart {
+         flex: 1;
+         min-width: 300px;
+         padding: 15px;
+         background: white;
+         border-radius: 6px;
+         box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      }
+      .bar-chart {
+         width: 100%;
+         font-size: 11px;
+      }
+      .bar-chart text {
+         fill: #333;
+      }
+      .bar-ok {
+         fill: #28a745;
+      }
+      .bar-notice {
+         fill: #6c757d;
+      }
+      .bar-warning {
+         fill: #dc3545;
+      }
+      .pages-table th[data-sort] {
+         cursor: pointer;
+         white-space: nowrap;
+      }
+      .pages-table th[data-sort]::after {
+         content: " \\2195";
+         color: #aaa;
+      }
+      .pages-table th.sorted-asc::after {
+         content: " \\2191";
+         color: #333;
+      }
+      .pages-table th.sorted-desc::after {
+         content: " \\2193";
+         color: #333;
+      }
+      .page-analysis > summary {
+         cursor: pointer;
+      }
+      .page-analysis > summary::-webkit-details-marker {
+         display: none;
+      }
+      .page-analysis:not([open]) > .page-header {
+         border-bottom: none;
+      }
+   </style>
+</head>
+<body>
+   <div class="container">
+      <h1>${t("report.title")}</h1>
+
+      <div class="filters">
+         <input type="search" id="filter-url" placeholder="${t("report.filters.url")}">
+         <select id="filter-status">
+            <option value="">${t("report.filters.allStatuses")}</option>
+            ${statuses
+               .map((status) => `<option value="${escapeHtml(status)}">${escapeHtml(status)}</option>`)
+               .join("")}
+         </select>
+         <select id="filter-rule">
+            <option value="">${t("report.filters.allRules")}</option>
+            ${[...rulesByCategory.entries()]
+               .map(
+                  ([category, rules]) => `
+            <optgroup label="${escapeHtml(t(`categories.${category}`))}">
+               ${[...rules]
+                  .map(
+                     (rule) =>
+                        `<option value="${escapeHtml(rule)}">${escapeHtml(rule)} (${
+                           report.issueStats.byRule[rule]
+                        })</option>`
+                  )
+                  .join("")}
+            </optgroup>`
+               )
+               .join("")}
+         </select>
+         <select id="filter-severity">
+            <option value="">${t("report.filters.allSeverities")}</option>
+            ${Object.keys(report.issueStats.bySeverity)
+               .map((severity) => `<option value="${severity}">${t(`severities.${severity}`)}</option>`)
+               .join("")}
+         </select>
+         <button type="button" id="filter-reset">${t("report.filters.reset")}</button>
+         <button type="button" id="expand-pages">${t("report.filters.expand")}</button>
+         <button type="button" id="collapse-pages">${t("report.filters.collapse")}</button>
+         <span id="filter-count" class="url-link"></span>
+      </div>
+      
+      <div class="ai-section">
+         <h3>${t("report.ai.title")}</h3>
+         ${
+            report.aiCache && report.aiCache.enabled
+               ? `<div class="url-link">${t("report.ai.cache", report.aiCache)}</div>`
+               : ""
+         }
+         
+         <div class="meta-section">
+            <h4>${t("report.ai.optimizedTitles")}</h4>
+            ${report.aiSuggestions.optimizedTitles.map(item => `
+               <div class="optimized-content">
+                  <div class="url-link">URL: ${escapeHtml(item.url)}${item.fromCache ? ` ${t("report.ai.fromCache")}` : ""}</div>
+                  <div>${escapeHtml(item.title)}</div>
+               </div>
+            `).join('')}
+         </div>
+
+         <div class="meta-section">
+            <h4>${t("report.ai.optimizedDescriptions")}</h4>
+            ${report.aiSuggestions.optimizedDescriptions.map(item => `
+               <div class="optimized-content">
+                  <div class="url-link">URL: ${escapeHtml(item.url)}${item.fromCache ? ` ${t("report.ai.fromCache")}` : ""}</div>
+                  <div>${escapeHtml(item.description)}</div>
+               </div>
+            `).join('')}
+         </div>
+
+         ${
+            report.aiSuggestions.optimizedSocialTags.length > 0
+               ? `
+         <div class="meta-section">
+            <h4>${t("report.ai.optimizedSocialTags")}</h4>
+            ${report.aiSuggestions.optimizedSocialTags.map(item => `
+               <div class="optimized-content">
+                  <div class="url-link">URL: ${escapeHtml(item.url)}${item.fromCache ? ` ${t("report.ai.fromCache")}` : ""}</div>
+                  <div><strong>og:title:</strong> ${escapeHtml(item.ogTitle)}</div>
+                  <div><strong>og:description:</strong> ${escapeHtml(item.ogDescription)}</div>
+               </div>
+            `).join('')}
+         </div>
+         `
+               : ""
+         }
+
+         <div class="meta-section">
+            <h4>${t("report.ai.mainKeywords")}</h4>
+            <div class="keyword-list">
+               ${report.aiSuggestions.mainKeywords.map(keyword => 
+                  `<span class="keyword-item">${escapeHtml(keyword)}</span>`
+               ).join('')}
+            </div>
+         </div>
+
+         <div class="meta-section">
+            <h4>${t("report.ai.longTailKeywords")}</h4>
+            <div class="keyword-list">
+               ${report.aiSuggestions.longTailKeywords.map(keyword => 
+                  `<span class="keyword-item">${escapeHtml(keyword)}</span>`
+               ).join('')}
+            </div>
+         </div>
+
+         <div class="meta-section">
+            <h4>${t("report.ai.relatedTopics")}</h4>
+            <div class="keyword-list">
+               ${report.aiSuggestions.relatedTopics.map(topic => 
+                  `<span class="keyword-item">${escapeHtml(topic)}</span>`
+               ).join('')}
+            </div>
+         </div>
+
+         <div class="meta-section">
+            <h4>${t("report.ai.contentStructure")}</h4>
+            <ul class="suggestion-list">
+               ${report.aiSuggestions.contentStructure.map(structure => 
+                  `<li class="suggestion-item">${escapeHtml(structure)}</li>`
+               ).join('')}
+            </ul>
+         </div>
+
+         <div class="meta-section">
+            <h4>${t("report.ai.seoSuggestions")}</h4>
+            <ul class="suggestion-list">
+               ${report.aiSuggestions.seoSuggestions.map(suggestion => 
+                  `<li class="suggestion-item">${escapeHtml(suggestion)}</li>`
+               ).join('')}
+            </ul>
+         </div>
+
+         <div class="meta-section">
+            <h4>${t("report.ai.keywordSuggestions")}</h4>
+            <div class="keyword-list">
+               ${report.aiSuggestions.keywordSuggestions.map(keyword => 
+                  `<span class="keyword-item">${escapeHtml(keyword)}</span>`
+               ).join('')}
+            </div>
+         </div>
+      </div>
+
+      ${
+         report.scores.site !== null
+            ? `
+      <div class="summary">
+         <h2>${t("report.score.title")}</h2>
+         <span class="site-score ${getScoreClass(report.scores.site)}">${report.scores.site}/100</span>
+         <div class="stats">
+            ${Object.entries(report.scores.categories)
+               .map(
+                  ([category, score]) => `
+            <div class="stat-item">
+               <div class="stat-label">${t(`categories.${category}`)}</div>
+               <div class="stat-value">${score}/100</div>
+            </div>`
+               )
+               .join("")}
+         </div>
+         ${
+            report.scores.topFixes.length > 0
+               ? `
+         <div class="meta-section">
+            <div class="meta-title">${t("report.score.topFixes")}</div>
+            <table class="score-table">
+               <tr>
+                  <th>${t("report.score.issue")}</th>
+                  <th>${t("report.score.category")}</th>
+                  <th>${t("report.score.severity")}</th>
+                  <th>${t("report.score.pages")}</th>
+                  <th>${t("report.score.gain")}</th>
+               </tr>
+               ${report.scores.topFixes
+                  .map(
+                     (fix) => `
+               <tr>
+                  <td>${fix.label}</td>
+                  <td>${t(`categories.${fix.category}`)}</td>
+                  <td>${t(`severities.${fix.severity}`)}</td>
+                  <td>${fix.urls.length}</td>
+                  <td>+${fix.gain}</td>
+               </tr>`
+                  )
+                  .join("")}
+            </table>
+         </div>`
+               : ""
+         }
+         <div class="meta-section">
+            <div class="meta-title">${t("report.score.lowestPages")}</div>
+            <table class="score-table">
+               <tr>
+                  <th>URL</th>
+                  <th>${t("report.score.score")}</th>
+                  <th>${t("report.score.topFix")}</th>
+               </tr>
+               ${report.scores.pages
+                  .slice(0, 20)
+                  .map(
+                     (page) => `
+               <tr>
+                  <td>${escapeHtml(page.url)}</td>
+                  <td><span class="page-status ${getScoreClass(page.score)}">${page.score}</span></td>
+                  <td>${
+                     page.topFixes[0]
+                        ? `${page.topFixes[0].label} (+${page.topFixes[0].gain})`
+                        : "-"
+                  }</td>
+               </tr>`
+                  )
+                  .join("")}
+            </table>
+         </div>
+      </div>
+      `
+            : ""
+      }
+
+      <div class="summary">
+         <h2>${t("report.summary.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.summary.pages")}</div>
+               <div class="stat-value">${report.pageMeta.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.summary.averageTitleLength")}</div>
+               <div class="stat-value">${t("report.characters", {
+                  count: Math.round(
+                     report.pageMeta.reduce((acc, page) => acc + page.titleLength, 0) /
+                        report.pageMeta.length
+                  ),
+               })}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.summary.averageDescriptionLength")}</div>
+               <div class="stat-value">${t("report.characters", {
+                  count: Math.round(
+                     report.pageMeta.reduce((acc, page) => acc + page.descriptionLength, 0) /
+                        report.pageMeta.length
+                  ),
+               })}</div>
+            </div>
+            ${
+               report.crawlState.incremental
+                  ? `
+            <div class="stat-item">
+               <div class="stat-label">${t("report.summary.unchangedPages", {
+                  date: escapeHtml(report.crawlState.incremental.previousRun),
+               })}</div>
+               <div class="stat-value">${report.crawlState.incremental.unchangedPages.length}</div>
+            </div>`
+                  : ""
+            }
+         </div>
+      </div>
+
+      <div class="summary">
+         <h2>${t("report.pages.title")}</h2>
+         <div class="charts">
+            ${renderBarChart(t("report.pages.statusChart"), getStatusChartBars(report.pageMeta))}
+            ${renderBarChart(
+               t("report.pages.titleLengthChart", config.seo.titleLength),
+               getLengthHistogram(
+                  report.pageMeta.map((page) => page.titleLength),
+                  10,
+                  config.seo.titleLength
+               )
+            )}
+            ${renderBarChart(
+               t("report.pages.descriptionLengthChart", config.seo.descriptionLength),
+               getLengthHistogram(
+                  report.pageMeta.map((page) => page.descriptionLength),
+                  20,
+                  config.seo.descriptionLength
+               )
+            )}
+         </div>
+         <table class="score-table pages-table" id="pages-table">
+            <thead>
+               <tr>
+                  <th data-sort="text">URL</th>
+                  <th data-sort="number">${t("report.pages.status")}</th>
+                  <th data-sort="number">${t("report.score.score")}</th>
+                  <th data-sort="number">${t("report.pages.titleLength")}</th>
+                  <th data-sort="number">${t("report.pages.descriptionLength")}</th>
+                  <th data-sort="text">H1</th>
+                  <th data-sort="number">${t("report.pages.issues")}</th>
+               </tr>
+            </thead>
+            <tbody>
+               ${report.pageMeta
+                  .map((page) => {
+                     const relatedIssues = pageIssues.get(page.url) || [];
+                     return `
+               <tr ${filterAttributes(page.url, relatedIssues)}>
+                  <td data-value="${escapeHtml(page.url)}"><a href="#${pageIds.get(page.url)}">${escapeHtml(
+                        page.url
+                     )}</a></td>
+                  <td data-value="${escapeHtml(page.status)}">${escapeHtml(page.status)}</td>
+                  <td data-value="${page.score ? page.score.score : ""}">${
+                        page.score
+                           ? `<span class="page-status ${getScoreClass(page.score.score)}">${page.score.score}</span>`
+                           : "-"
+                     }</td>
+                  <td data-value="${page.titleLength}" class="${
+                        page.titleLength >= config.seo.titleLength.min &&
+                        page.titleLength <= config.seo.titleLength.max
+                           ? "length-ok"
+                           : "length-warning"
+                     }">${page.titleLength}</td>
+                  <td data-value="${page.descriptionLength}" class="${
+                        page.descriptionLength >= config.seo.descriptionLength.min &&
+                        page.descriptionLength <= config.seo.descriptionLength.max
+                           ? "length-ok"
+                           : "length-warning"
+                     }">${page.descriptionLength}</td>
+                  <td data-value="${escapeHtml(page.h1)}">${
+                        escapeHtml(page.h1) || `<span class="warning">${t("report.missing")}</span>`
+                     }</td>
+                  <td data-value="${relatedIssues.length}">${relatedIssues.length}</td>
+               </tr>`;
+                  })
+                  .join("")}
+            </tbody>
+         </table>
+      </div>
+
+      ${
+         report.issues && report.issues.length > 0
+            ? `
+      <div class="issues">
+         <h3>${t("report.issues.title", {
+            counts: Object.entries(report.issueStats.bySeverity)
+               .map(([severity, count]) => `${t(`severities.${severity}`)}: ${count}`)
+               .join(", "),
+         })}</h3>
+         <ul>
+            ${report.issues
+               .map(
+                  (issue) =>
+                     `<li ${filterAttributes(issue.url, [issue])}><span class="severity severity-${issue.severity}">${t(
+                        `severities.${issue.severity}`
+                     )}</span>${escapeHtml(issue.message)} <small>(${t(`categories.${issue.category}`)}, ${
+                        issue.rule
+                     })</small></li>`
+               )
+               .join("")}
+         </ul>
+      </div>
+      `
+            : ""
       }
-      .optimized-content h4 {
-         margin: 0 0 10px 0;
-         color: #2c3e50;
+
+      ${
+         report.robots.blockedByRobotsTxt.length > 0 ||
+         report.robots.noindex.length > 0 ||
+         report.robots.nofollow.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("report.robots.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.robots.blocked")}</div>
+               <div class="stat-value">${report.robots.blockedByRobotsTxt.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.robots.noindexPages")}</div>
+               <div class="stat-value">${report.robots.noindex.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.robots.nofollowPages")}</div>
+               <div class="stat-value">${report.robots.nofollow.length}</div>
+            </div>
+         </div>
+         ${[
+            [t("report.robots.blocked"), report.robots.blockedByRobotsTxt],
+            ["Noindex", report.robots.noindex],
+            ["Nofollow", report.robots.nofollow],
+            [t("report.robots.noindexInSitemap"), report.robots.noindexInSitemap],
+            [t("report.robots.blockedInSitemap"), report.robots.blockedInSitemap],
+         ]
+            .filter(([, urls]) => urls.length > 0)
+            .map(
+               ([label, urls]) => `
+         <div class="meta-section">
+            <div class="meta-title">${label}</div>
+            <ul>
+               ${urls.map((url) => `<li>${escapeHtml(url)}</li>`).join("")}
+            </ul>
+         </div>`
+            )
+            .join("")}
+      </div>
+      `
+            : ""
       }
-      .url-link {
-         color: #666;
-         font-size: 0.9em;
-         margin-bottom: 5px;
+
+      <div class="summary">
+         <h2>${t("report.structuredData.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.structuredData.pagesWithout")}</div>
+               <div class="stat-value">${report.structuredData.pagesWithoutStructuredData.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.structuredData.parseErrors")}</div>
+               <div class="stat-value">${report.structuredData.parseErrors.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.structuredData.invalidItems")}</div>
+               <div class="stat-value">${report.structuredData.invalidItems.length}</div>
+            </div>
+         </div>
+         <div class="meta-section">
+            <div class="meta-title">${t("report.structuredData.typesFound")}</div>
+            <div class="keyword-list">
+               ${Object.entries(report.structuredData.typesFound)
+                  .map(([type, count]) => `<span class="keyword-item">${escapeHtml(type)} (${count})</span>`)
+                  .join("") || t("report.none")}
+            </div>
+            ${
+               report.structuredData.missingExpectedTypes.length > 0
+                  ? `<p class="warning">${t("report.structuredData.missingTypes", {
+                       types: escapeHtml(report.structuredData.missingExpectedTypes.join(", ")),
+                    })}</p>`
+                  : ""
+            }
+         </div>
+      </div>
+
+      <div class="summary">
+         <h2>${t("report.linkGraph.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.linkGraph.pages")}</div>
+               <div class="stat-value">${report.linkGraph.totalPages}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.linkGraph.links")}</div>
+               <div class="stat-value">${report.linkGraph.totalLinks}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.linkGraph.orphanPages")}</div>
+               <div class="stat-value">${report.linkGraph.orphanPages.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.linkGraph.deadEnds")}</div>
+               <div class="stat-value">${report.linkGraph.deadEnds.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.linkGraph.deepPages", config.seo.linkGraph)}</div>
+               <div class="stat-value">${report.linkGraph.deepPages.length}</div>
+            </div>
+         </div>
+         ${
+            linkGraphView && linkGraphView.nodes.length > 0
+               ? `
+         <div class="meta-section">
+            <div class="meta-title">${t("report.linkGraph.interactive")}${
+               linkGraphView.truncated
+                  ? ` ${t("report.linkGraph.truncated", { count: linkGraphView.nodes.length })}`
+                  : ""
+            }</div>
+            <div class="url-link">${t("report.linkGraph.help")}</div>
+            <svg id="link-graph" class="link-graph"></svg>
+            <div id="link-graph-info" class="url-link"></div>
+         </div>
+         <script>
+         (function () {
+            var data = ${JSON.stringify(linkGraphView).replace(/</g, "\\u003c")};
+            var messages = ${JSON.stringify({
+               node: t("report.linkGraph.nodeTitle"),
+               selected: t("report.linkGraph.selectedNode"),
+            }).replace(/</g, "\\u003c")};
+            var svgNs = "http://www.w3.org/2000/svg";
+            var svg = document.getElementById("link-graph");
+            var info = document.getElementById("link-graph-info");
+            var width = 1000;
+            var height = 600;
+            var view = { x: 0, y: 0, width: width, height: height };
+            var nodes = data.nodes.map(function (node, index) {
+               var angle = (2 * Math.PI * index) / data.nodes.length;
+               return Object.assign({}, node, {
+                  x: width / 2 + Math.cos(angle) * width * 0.3,
+                  y: height / 2 + Math.sin(angle) * height * 0.3,
+                  dx: 0,
+                  dy: 0
+               });
+            });
+            var byId = {};
+            nodes.forEach(function (node) { byId[node.id] = node; });
+            var edges = data.edges.map(function (edge) {
+               return { source: byId[edge.source], target: byId[edge.target] };
+            });
+            var maxRank = nodes.reduce(function (max, node) { return Math.max(max, node.pageRank); }, 0);
+
+            // Prosty układ siłowy: odpychanie węzłów, przyciąganie połączonych i grawitacja do środka
+            for (var step = 0; step < 300; step++) {
+               var temperature = 10 * (1 - step / 300) + 0.5;
+               nodes.forEach(function (node) { node.dx = 0; node.dy = 0; });
+               for (var i = 0; i < nodes.length; i++) {
+                  for (var j = i + 1; j < nodes.length; j++) {
+                     var a = nodes[i];
+                     var b = nodes[j];
+                     var ddx = a.x - b.x;
+                     var ddy = a.y - b.y;
+                     var distance2 = Math.max(ddx * ddx + ddy * ddy, 1);
+                     var force = 2000 / distance2;
+                     a.dx += ddx * force; a.dy += ddy * force;
+                     b.dx -= ddx * force; b.dy -= ddy * force;
+                  }
+               }
+               edges.forEach(function (edge) {
+                  var ddx = edge.target.x - edge.source.x;
+                  var ddy = edge.target.y - edge.source.y;
+                  edge.source.dx += ddx * 0.01; edge.source.dy += ddy * 0.01;
+                  edge.target.dx -= ddx * 0.01; edge.target.dy -= ddy * 0.01;
+               });
+               nodes.forEach(function (node) {
+                  node.dx += (width / 2 - node.x) * 0.005;
+                  node.dy += (height / 2 - node.y) * 0.005;
+                  var length = Math.sqrt(node.dx * node.dx + node.dy * node.dy) || 1;
+                  node.x += (node.dx / length) * Math.min(length, temperature);
+                  node.y += (node.dy / length) * Math.min(length, temperature);
+               });
+            }
+
+            function create(tag, attributes) {
+               var element = document.createElementNS(svgNs, tag);
+               Object.keys(attributes).forEach(function (key) { element.setAttribute(key, attributes[key]); });
+               return element;
+            }
+
+            var root = create("g", {});
+            svg.appendChild(root);
+            edges.forEach(function (edge) {
+               edge.element = create("line", {
+                  x1: edge.source.x, y1: edge.source.y, x2: edge.target.x, y2: edge.target.y
+               });
+               root.appendChild(edge.element);
+            });
+            nodes.forEach(function (node) {
+               node.element = create("circle", {
+                  cx: node.x, cy: node.y, r: 4 + (maxRank > 0 ? (node.pageRank / maxRank) * 12 : 0)
+               });
+               var title = create("title", {});
+               title.textContent = format(messages.node, node);
+               node.element.appendChild(title);
+               node.element.addEventListener("click", function (event) {
+                  event.stopPropagation();
+                  select(node);
+               });
+               root.appendChild(node.element);
+            });
+
+            function select(selected) {
+               var neighbors = {};
+               edges.forEach(function (edge) {
+                  var connected = selected && (edge.source === selected || edge.target === selected);
+                  if (connected) {
+                     neighbors[edge.source.id] = true;
+                     neighbors[edge.target.id] = true;
+                  }
+                  edge.element.setAttribute("class", selected ? (connected ? "highlighted" : "dimmed") : "");
+               });
+               nodes.forEach(function (node) {
+                  var className = "";
+                  if (selected) {
+                     className = node === selected ? "selected" : neighbors[node.id] ? "neighbor" : "dimmed";
+                  }
+                  node.element.setAttribute("class", className);
+               });
+               info.textContent = selected ? format(messages.selected, selected) : "";
+            }
+
+            function format(template, params) {
+               return template.replace(/\\{(\\w+)\\}/g, function (match, name) {
+                  return name in params ? params[name] : match;
+               });
+            }
+
+            function updateView() {
+               svg.setAttribute("viewBox", [view.x, view.y, view.width, view.height].join(" "));
+            }
+
+            // Początkowy widok obejmuje wszystkie węzły z zachowaniem proporcji
+            var minX = Math.min.apply(null, nodes.map(function (node) { return node.x; })) - 30;
+            var maxX = Math.max.apply(null, nodes.map(function (node) { return node.x; })) + 30;
+            var minY = Math.min.apply(null, nodes.map(function (node) { return node.y; })) - 30;
+            var maxY = Math.max.apply(null, nodes.map(function (node) { return node.y; })) + 30;
+            var scale = Math.max((maxX - minX) / width, (maxY - minY) / height);
+            view.width = width * scale;
+            view.height = height * scale;
+            view.x = (minX + maxX - view.width) / 2;
+            view.y = (minY + maxY - view.height) / 2;
+            updateView();
+
+            svg.addEventListener("click", function () { select(null); });
+            svg.addEventListener("wheel", function (event) {
+               event.preventDefault();
+               var scale = event.deltaY > 0 ? 1.1 : 0.9;
+               var rect = svg.getBoundingClientRect();
+               var pointX = view.x + ((event.clientX - rect.left) / rect.width) * view.width;
+               var pointY = view.y + ((event.clientY - rect.top) / rect.height) * view.height;
+               view.x = pointX - (pointX - view.x) * scale;
+               view.y = pointY - (pointY - view.y) * scale;
+               view.width *= scale;
+               view.height *= scale;
+               updateView();
+            });
+            var drag = null;
+            svg.addEventListener("mousedown", function (event) {
+               drag = { x: event.clientX, y: event.clientY };
+            });
+            window.addEventListener("mousemove", function (event) {
+               if (!drag) return;
+               var rect = svg.getBoundingClientRect();
+               view.x -= ((event.clientX - drag.x) / rect.width) * view.width;
+               view.y -= ((event.clientY - drag.y) / rect.height) * view.height;
+               drag = { x: event.clientX, y: event.clientY };
+               updateView();
+            });
+            window.addEventListener("mouseup", function () { drag = null; });
+         })();
+         </script>
+         `
+               : ""
+         }
+         ${[
+            [t("report.linkGraph.orphanPagesList"), report.linkGraph.orphanPages],
+            [t("report.linkGraph.deadEndsList"), report.linkGraph.deadEnds],
+            [
+               t("report.linkGraph.deepPagesList"),
+               report.linkGraph.deepPages.map((page) => t("report.linkGraph.deepPage", page)),
+            ],
+            [
+               t("report.linkGraph.hubs"),
+               report.linkGraph.hubs.map((page) => t("report.linkGraph.hub", page)),
+            ],
+            [
+               t("report.linkGraph.topPages"),
+               report.linkGraph.topPages
+                  .slice(0, 10)
+                  .map((page) => t("report.linkGraph.topPage", page)),
+            ],
+         ]
+            .filter(([, entries]) => entries.length > 0)
+            .map(
+               ([label, entries]) => `
+         <div class="meta-section">
+            <div class="meta-title">${label}</div>
+            <ul>
+               ${entries.map((entry) => `<li>${escapeHtml(entry)}</li>`).join("")}
+            </ul>
+         </div>`
+            )
+            .join("")}
+         ${
+            report.linkGraph.exports.length > 0
+               ? `<div class="url-link">${t("report.linkGraph.exports", {
+                    files: escapeHtml(report.linkGraph.exports.join(", ")),
+                 })}</div>`
+               : ""
+         }
+      </div>
+
+      ${
+         report.duplicates.content.length > 0 ||
+         report.duplicates.titles.length > 0 ||
+         report.duplicates.descriptions.length > 0 ||
+         report.duplicates.h1.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("report.duplicates.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.duplicates.clusters")}</div>
+               <div class="stat-value">${report.duplicates.content.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.duplicates.titles")}</div>
+               <div class="stat-value">${report.duplicates.titles.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.duplicates.descriptions")}</div>
+               <div class="stat-value">${report.duplicates.descriptions.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.duplicates.h1")}</div>
+               <div class="stat-value">${report.duplicates.h1.length}</div>
+            </div>
+         </div>
+         ${report.duplicates.content
+            .map(
+               (cluster, index) => `
+         <div class="meta-section">
+            <div class="meta-title">${t("report.duplicates.cluster", {
+               number: index + 1,
+               count: cluster.urls.length,
+               min: Math.round(cluster.similarity.min * 100),
+               max: Math.round(cluster.similarity.max * 100),
+            })}</div>
+            <ul>
+               ${cluster.urls.map((url) => `<li>${escapeHtml(url)}</li>`).join("")}
+            </ul>
+         </div>`
+            )
+            .join("")}
+         ${[
+            [t("report.duplicates.titles"), report.duplicates.titles],
+            [t("report.duplicates.descriptions"), report.duplicates.descriptions],
+            [t("report.duplicates.h1Headings"), report.duplicates.h1],
+         ]
+            .filter(([, groups]) => groups.length > 0)
+            .map(
+               ([label, groups]) => `
+         <div class="meta-section">
+            <div class="meta-title">${label}</div>
+            <ul>
+               ${groups
+                  .map(
+                     (group) =>
+                        `<li>${t("report.duplicates.group", {
+                           value: escapeHtml(group.value),
+                           count: group.urls.length,
+                           urls: escapeHtml(group.urls.join(", ")),
+                        })}</li>`
+                  )
+                  .join("")}
+            </ul>
+         </div>`
+            )
+            .join("")}
+      </div>
+      `
+            : ""
       }
-   </style>
-</head>
-<body>
-   <div class="container">
-      <h1>Raport SEO</h1>
-      
-      <div class="ai-section">
-         <h3>Sugestie AI</h3>
-         
+
+      ${
+         report.keywords &&
+         (report.keywords.keywords.length > 0 || report.keywords.topTerms.length > 0)
+            ? `
+      <div class="summary">
+         <h2>${t("report.keywords.title")}</h2>
+         ${
+            report.keywords.keywords.length > 0
+               ? `
          <div class="meta-section">
-            <h4>Zoptymalizowane tytuły</h4>
-            ${report.aiSuggestions.optimizedTitles.map(item => `
-               <div class="optimized-content">
-                  <div class="url-link">URL: ${item.url}</div>
-                  <div>${item.title}</div>
-               </div>
-            `).join('')}
+            <div class="meta-title">${t("report.keywords.sitePlacement")}</div>
+            <table class="score-table">
+               <tr>
+                  <th>${t("report.keywords.keyword")}</th>
+                  <th>${t("report.keywords.pages")}</th>
+                  <th>${t("report.keywords.count")}</th>
+                  <th>${t("report.keywords.averageDensity")}</th>
+                  ${PLACEMENT_FIELDS.map(
+                     (field) => `<th>${t(`report.keywords.placements.${field}`)}</th>`
+                  ).join("")}
+               </tr>
+               ${report.keywords.keywords
+                  .map(
+                     (keyword) => `
+               <tr>
+                  <td>${escapeHtml(keyword.keyword)}</td>
+                  <td>${keyword.pages}</td>
+                  <td>${keyword.count}</td>
+                  <td>${keyword.averageDensity}%</td>
+                  ${PLACEMENT_FIELDS.map((field) => `<td>${keyword.placement[field]}</td>`).join("")}
+               </tr>`
+                  )
+                  .join("")}
+            </table>
+         </div>`
+               : ""
+         }
+         ${
+            report.keywords.topTerms.length > 0
+               ? `
+         <div class="meta-section">
+            <div class="meta-title">${t("report.keywords.siteTopTerms")}</div>
+            <div class="keyword-list">${formatTerms(report.keywords.topTerms)}</div>
+         </div>`
+               : ""
+         }
+      </div>
+      `
+            : ""
+      }
+
+      ${
+         report.content
+            ? `
+      <div class="summary">
+         <h2>${t("report.content.title")}</h2>
+         <div class="stats">
+            ${[
+               [t("report.content.averageWords"), formatValue(report.content.averages.words)],
+               [t("report.content.medianWords"), formatValue(report.content.medianWords)],
+               [
+                  t("report.content.thinPages", { min: report.content.minWords }),
+                  report.content.thinPages.length,
+               ],
+               [t("report.content.textRatio"), formatValue(report.content.averages.textRatio, "%")],
+               [t("report.content.fog"), formatValue(report.content.averages.fog)],
+               [t("report.content.flesch"), formatValue(report.content.averages.flesch)],
+               [
+                  t("report.content.averageSentenceLength"),
+                  formatValue(report.content.averages.averageSentenceLength),
+               ],
+               [
+                  t("report.content.longSentenceRatio"),
+                  formatValue(report.content.averages.longSentenceRatio, "%"),
+               ],
+               [t("report.content.passiveRatio"), formatValue(report.content.averages.passiveRatio, "%")],
+            ]
+               .map(
+                  ([label, value]) => `
+            <div class="stat-item">
+               <div class="stat-label">${label}</div>
+               <div class="stat-value">${value}</div>
+            </div>`
+               )
+               .join("")}
          </div>
+         <div class="charts">
+            ${renderBarChart(
+               t("report.content.wordsChart"),
+               getDistributionBars(report.content.distributions.words, report.content.minWords)
+            )}
+            ${renderBarChart(
+               t("report.content.levelsChart"),
+               report.content.distributions.levels.map(({ level, count }) => ({
+                  label: t(`report.content.levels.${level}`),
+                  value: count,
+                  className: READABILITY_LEVEL_CLASSES[level],
+               }))
+            )}
+            ${renderBarChart(
+               t("report.content.textRatioChart"),
+               getDistributionBars(report.content.distributions.textRatio)
+            )}
+         </div>
+         ${
+            report.content.thinPages.length > 0
+               ? `
+         <div class="meta-section">
+            <div class="meta-title">${t("report.content.thinPages", {
+               min: report.content.minWords,
+            })}</div>
+            <table class="score-table">
+               <tr>
+                  <th>URL</th>
+                  <th>${t("report.content.words")}</th>
+               </tr>
+               ${report.content.thinPages
+                  .map(
+                     (page) => `
+               <tr>
+                  <td>${escapeHtml(page.url)}</td>
+                  <td class="warning">${page.words}</td>
+               </tr>`
+                  )
+                  .join("")}
+            </table>
+         </div>`
+               : ""
+         }
+      </div>
+      `
+            : ""
+      }
 
+      ${
+         report.headings
+            ? `
+      <div class="summary">
+         <h2>${t("report.headings.title")}</h2>
+         <div class="stats">
+            ${[
+               [t("report.headings.multipleH1"), report.headings.pagesWithMultipleH1],
+               [t("report.headings.emptyHeadings"), report.headings.pagesWithEmptyHeadings],
+               [t("report.headings.skippedLevels"), report.headings.pagesWithSkippedLevels],
+               [
+                  t("report.headings.h1TitleMismatch", {
+                     min: Math.round(config.seo.headings.minTitleSimilarity * 100),
+                  }),
+                  report.headings.pagesWithH1TitleMismatch,
+               ],
+               [t("report.headings.duplicates"), report.headings.duplicates.length],
+            ]
+               .map(
+                  ([label, value]) => `
+            <div class="stat-item">
+               <div class="stat-label">${label}</div>
+               <div class="stat-value ${value > 0 ? "warning" : ""}">${value}</div>
+            </div>`
+               )
+               .join("")}
+         </div>
+         ${
+            report.headings.duplicates.length > 0
+               ? `
          <div class="meta-section">
-            <h4>Zoptymalizowane opisy</h4>
-            ${report.aiSuggestions.optimizedDescriptions.map(item => `
-               <div class="optimized-content">
-                  <div class="url-link">URL: ${item.url}</div>
-                  <div>${item.description}</div>
-               </div>
-            `).join('')}
+            <div class="meta-title">${t("report.headings.duplicates")}</div>
+            <ul>
+               ${report.headings.duplicates
+                  .map(
+                     (group) =>
+                        `<li>${t("report.duplicates.group", {
+                           value: escapeHtml(group.value),
+                           count: group.urls.length,
+                           urls: group.urls.map(escapeHtml).join(", "),
+                        })}</li>`
+                  )
+                  .join("")}
+            </ul>
+         </div>`
+               : ""
+         }
+      </div>
+      `
+            : ""
+      }
+
+      ${
+         report.brokenLinks.length > 0 || report.linkCheck.redirectedLinks.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("report.brokenLinks.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.brokenLinks.title")}</div>
+               <div class="stat-value">${report.brokenLinks.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.brokenLinks.externalChecked")}</div>
+               <div class="stat-value">${report.linkCheck.external.checked}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.brokenLinks.resourcesChecked")}</div>
+               <div class="stat-value">${report.linkCheck.resources.checked}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.brokenLinks.redirected")}</div>
+               <div class="stat-value">${report.linkCheck.redirectedLinks.length}</div>
+            </div>
          </div>
+         ${report.brokenLinks
+            .map(
+               (link) => `
+         <div class="meta-section">
+            <div class="meta-title">${escapeHtml(link.url)}</div>
+            <div class="meta-content">
+               ${t(`report.brokenLinks.types.${link.type}`)}:
+               <span class="error">${escapeHtml(
+                  [link.status || null, link.errorType, link.error].filter(Boolean).join(" - ")
+               )}</span>
+            </div>
+            ${
+               link.referencedFrom.length > 0
+                  ? `<ul>
+               ${link.referencedFrom
+                  .map(
+                     (reference) =>
+                        `<li>${escapeHtml(reference.page)}${
+                           reference.anchor ? ` - "${escapeHtml(reference.anchor)}"` : ""
+                        }</li>`
+                  )
+                  .join("")}
+            </ul>`
+                  : ""
+            }
+         </div>`
+            )
+            .join("")}
+         ${
+            report.linkCheck.redirectedLinks.length > 0
+               ? `
+         <div class="meta-section">
+            <div class="meta-title">${t("report.brokenLinks.redirectedLinks")}</div>
+            <ul>
+               ${report.linkCheck.redirectedLinks
+                  .map(
+                     (link) =>
+                        `<li>${escapeHtml(link.url)} (${link.status}) → ${escapeHtml(link.finalUrl)}${
+                           link.referencedFrom.length > 0
+                              ? ` - ${t("report.brokenLinks.linkedFrom", {
+                                   urls: escapeHtml(
+                                      [
+                                         ...new Set(link.referencedFrom.map((reference) => reference.page)),
+                                      ].join(", ")
+                                   ),
+                                })}`
+                              : ""
+                        }</li>`
+                  )
+                  .join("")}
+            </ul>
+         </div>`
+               : ""
+         }
+      </div>
+      `
+            : ""
+      }
 
-         <div class="meta-section">
-            <h4>Główne słowa kluczowe</h4>
-            <div class="keyword-list">
-               ${report.aiSuggestions.mainKeywords.map(keyword => 
-                  `<span class="keyword-item">${keyword}</span>`
-               ).join('')}
+      <div class="summary">
+         <h2>${t("report.images.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.images.total")}</div>
+               <div class="stat-value">${report.images.totalImages}</div>
             </div>
-         </div>
-
-         <div class="meta-section">
-            <h4>Słowa kluczowe długiego ogona</h4>
-            <div class="keyword-list">
-               ${report.aiSuggestions.longTailKeywords.map(keyword => 
-                  `<span class="keyword-item">${keyword}</span>`
-               ).join('')}
+            <div class="stat-item">
+               <div class="stat-label">${t("report.images.unique")}</div>
+               <div class="stat-value">${report.images.uniqueImages}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.images.broken")}</div>
+               <div class="stat-value">${report.images.brokenImages.length}</div>
             </div>
          </div>
-
+         ${
+            report.images.problems.length > 0
+               ? `
          <div class="meta-section">
-            <h4>Powiązane tematy</h4>
-            <div class="keyword-list">
-               ${report.aiSuggestions.relatedTopics.map(topic => 
-                  `<span class="keyword-item">${topic}</span>`
-               ).join('')}
-            </div>
+            <ul>
+               ${report.images.problems
+                  .map((problem) => `<li>${t(`rules.image${problem.type[0].toUpperCase()}${problem.type.slice(1)}`, {
+                     count: problem.images,
+                     pages: problem.pages,
+                  })}</li>`)
+                  .join("")}
+            </ul>
          </div>
-
+         `
+               : ""
+         }
+         ${
+            report.images.brokenImages.length > 0
+               ? `
          <div class="meta-section">
-            <h4>Sugerowana struktura treści</h4>
-            <ul class="suggestion-list">
-               ${report.aiSuggestions.contentStructure.map(structure => 
-                  `<li class="suggestion-item">${structure}</li>`
-               ).join('')}
+            <div class="meta-title">${t("report.images.broken")}</div>
+            <ul>
+               ${report.images.brokenImages
+                  .map(
+                     (image) =>
+                        `<li>${t("report.images.brokenImage", {
+                           url: escapeHtml(image.url),
+                           status: image.status,
+                           urls: escapeHtml(image.pages.join(", ")),
+                        })}</li>`
+                  )
+                  .join("")}
             </ul>
          </div>
+         `
+               : ""
+         }
+      </div>
 
+      <div class="summary">
+         <h2>${t("report.social.title")}</h2>
+         <div class="stats">
+            <div class="stat-item">
+               <div class="stat-label">${t("report.social.pagesWithout")}</div>
+               <div class="stat-value">${report.social.pagesWithoutOpenGraph.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.social.imagesChecked")}</div>
+               <div class="stat-value">${report.social.images.length}</div>
+            </div>
+         </div>
+         ${
+            report.social.problems.length > 0
+               ? `
          <div class="meta-section">
-            <h4>Sugestie SEO</h4>
-            <ul class="suggestion-list">
-               ${report.aiSuggestions.seoSuggestions.map(suggestion => 
-                  `<li class="suggestion-item">${suggestion}</li>`
-               ).join('')}
+            <ul>
+               ${report.social.problems
+                  .map(
+                     (problem) =>
+                        `<li>${t("report.social.problem", {
+                           problem: escapeHtml(problem.message),
+                           count: problem.urls.length,
+                        })}</li>`
+                  )
+                  .join("")}
             </ul>
          </div>
+         `
+               : ""
+         }
+      </div>
 
+      ${
+         report.rendering.pagesDependingOnJavaScript.length > 0
+            ? `
+      <div class="summary">
+         <h2>${t("report.rendering.title")}</h2>
+         ${report.pageMeta
+            .filter((page) => page.renderDiff && page.renderDiff.dependsOnJavaScript)
+            .map(
+               (page) => `
          <div class="meta-section">
-            <h4>Sugerowane słowa kluczowe</h4>
-            <div class="keyword-list">
-               ${report.aiSuggestions.keywordSuggestions.map(keyword => 
-                  `<span class="keyword-item">${keyword}</span>`
-               ).join('')}
-            </div>
-         </div>
+            <div class="meta-title">${escapeHtml(page.url)}</div>
+            <ul>
+               ${
+                  page.renderDiff.title.changed
+                     ? `<li>${t("report.rendering.pageTitle")}: "${escapeHtml(
+                          page.renderDiff.title.raw
+                       )}" &rarr; "${escapeHtml(page.renderDiff.title.rendered)}"</li>`
+                     : ""
+               }
+               ${page.renderDiff.metaTags.onlyRendered
+                  .map((name) => `<li>${t("report.rendering.renderedMetaTag", { name: escapeHtml(name) })}</li>`)
+                  .join("")}
+               ${page.renderDiff.metaTags.changed
+                  .map(
+                     (meta) =>
+                        `<li>${t("report.rendering.changedMetaTag", {
+                           name: escapeHtml(meta.name),
+                        })}: "${escapeHtml(meta.raw)}" &rarr; "${escapeHtml(meta.rendered)}"</li>`
+                  )
+                  .join("")}
+               ${page.renderDiff.headings.onlyRendered
+                  .map(
+                     (heading) =>
+                        `<li>${t("report.rendering.renderedHeading", { heading: escapeHtml(heading) })}</li>`
+                  )
+                  .join("")}
+               ${page.renderDiff.links.onlyRendered
+                  .map((link) => `<li>${t("report.rendering.renderedLink", { link: escapeHtml(link) })}</li>`)
+                  .join("")}
+               <li>${t("report.rendering.wordCount", page.renderDiff.wordCount)}</li>
+            </ul>
+         </div>`
+            )
+            .join("")}
       </div>
+      `
+            : ""
+      }
 
+      ${
+         report.redirects.redirects.length > 0
+            ? `
       <div class="summary">
-         <h2>Podsumowanie</h2>
+         <h2>${t("report.redirects.title")}</h2>
          <div class="stats">
             <div class="stat-item">
-               <div class="stat-label">Liczba przeanalizowanych stron</div>
-               <div class="stat-value">${report.pageMeta.length}</div>
+               <div class="stat-label">${t("report.redirects.title")}</div>
+               <div class="stat-value">${report.redirects.redirects.length}</div>
+            </div>
+            <div class="stat-item">
+               <div class="stat-label">${t("report.redirects.chains")}</div>
+               <div class="stat-value">${report.redirects.redirectChains.length}</div>
             </div>
             <div class="stat-item">
-               <div class="stat-label">Średnia długość tytułu</div>
-               <div class="stat-value">${Math.round(
-                  report.pageMeta.reduce(
-                     (acc, page) => acc + page.titleLength,
-                     0
-                  ) / report.pageMeta.length
-               )} znaków</div>
+               <div class="stat-label">${t("report.redirects.temporary")}</div>
+               <div class="stat-value">${report.redirects.temporaryRedirects.length}</div>
             </div>
             <div class="stat-item">
-               <div class="stat-label">Średnia długość opisu</div>
-               <div class="stat-value">${Math.round(
-                  report.pageMeta.reduce(
-                     (acc, page) => acc + page.descriptionLength,
-                     0
-                  ) / report.pageMeta.length
-               )} znaków</div>
+               <div class="stat-label">${t("report.redirects.internalLinks")}</div>
+               <div class="stat-value">${report.redirects.internalLinksToRedirects.length}</div>
             </div>
          </div>
+         <div class="meta-section">
+            <ul>
+               ${report.redirects.redirects
+                  .map(
+                     (redirect) => `<li>${redirect.chain
+                        .map((hop) => `${escapeHtml(hop.url)} <strong>(${hop.status})</strong>`)
+                        .join(" &rarr; ")} &rarr; ${
+                        redirect.loop
+                           ? `<span class="warning">${t("report.redirects.loop")}</span>`
+                           : `${escapeHtml(redirect.finalUrl)} <strong>(${redirect.finalStatus})</strong>`
+                     }</li>`
+                  )
+                  .join("")}
+            </ul>
+         </div>
       </div>
+      `
+            : ""
+      }
 
       ${
-         report.issues && report.issues.length > 0
+         Object.entries(report.canonicals).some(
+            ([key, entries]) => key !== "missingCanonical" && entries.length > 0
+         )
             ? `
-      <div class="issues">
-         <h3>Wykryte problemy</h3>
-         <ul>
-            ${report.issues.map((issue) => `<li>${issue}</li>`).join("")}
-         </ul>
+      <div class="summary">
+         <h2>${t("report.canonicals.title")}</h2>
+         ${[
+            [t("report.canonicals.multiple"), report.canonicals.multipleCanonicals],
+            [t("report.canonicals.mismatch"), report.canonicals.canonicalMismatch],
+            [t("report.canonicals.canonicalizedAway"), report.canonicals.canonicalizedAway],
+            [t("report.canonicals.toRedirect"), report.canonicals.canonicalToRedirect],
+            [t("report.canonicals.toNon200"), report.canonicals.canonicalToNon200],
+         ]
+            .filter(([, entries]) => entries.length > 0)
+            .map(
+               ([label, entries]) => `
+         <div class="meta-section">
+            <div class="meta-title">${label}</div>
+            <ul>
+               ${entries
+                  .map(
+                     (entry) =>
+                        `<li>${escapeHtml(entry.url)} &rarr; ${escapeHtml(
+                           entry.canonical || entry.canonicals.join(", ")
+                        )}${entry.status !== undefined ? ` (${entry.status})` : ""}</li>`
+                  )
+                  .join("")}
+            </ul>
+         </div>`
+            )
+            .join("")}
       </div>
       `
             : ""
@@ -964,72 +4514,130 @@ class SEOAnalyzer {
 
       ${report.pageMeta
          .map((page) => {
-            const titleKeywords = this.analyzeKeywords(page.title);
-            const descKeywords = this.analyzeKeywords(page.description);
+            const titleKeywords = this.analyzeKeywords(page.title, page.language);
+            // Słowa kluczowe obecne w treści lub w jednym z ważnych miejsc strony
+            const present = page.keywords
+               ? page.keywords.keywords
+                    .filter((keyword) => keyword.count > 0 || keyword.score > 0)
+                    .sort((a, b) => b.score - a.score || b.count - a.count)
+               : [];
+            const descKeywords = this.analyzeKeywords(page.description, page.language);
             const titleLengthClass =
-               page.titleLength >= 30 && page.titleLength <= 60
+               page.titleLength >= config.seo.titleLength.min &&
+               page.titleLength <= config.seo.titleLength.max
                   ? "length-ok"
                   : "length-warning";
             const descLengthClass =
-               page.descriptionLength >= 120 && page.descriptionLength <= 160
+               page.descriptionLength >= config.seo.descriptionLength.min &&
+               page.descriptionLength <= config.seo.descriptionLength.max
                   ? "length-ok"
                   : "length-warning";
             const aiSuggestions = page.metaTags?.aiSuggestions;
             const contentAnalysis = page.metaTags?.contentAnalysis;
 
             return `
-         <div class="page-analysis">
-            <div class="page-header">
-               <div class="page-url">${page.url}</div>
-               <span class="page-status ${
-                  page.status === 200 ? "success" : "error"
-               }">Status: ${page.status}</span>
-            </div>
+         <details class="page-analysis" id="${pageIds.get(page.url)}" ${filterAttributes(
+               page.url,
+               pageIssues.get(page.url) || []
+            )}>
+            <summary class="page-header">
+               <div class="page-url">${escapeHtml(page.url)}</div>
+               <div>
+                  ${
+                     page.score
+                        ? `<span class="page-status ${getScoreClass(page.score.score)}">${t("report.page.score", {
+                             score: page.score.score,
+                          })}</span>`
+                        : ""
+                  }
+                  <span class="page-status ${
+                     page.status === 200 ? "success" : "error"
+                  }">${t("report.pages.status")}: ${escapeHtml(page.status)}</span>
+               </div>
+            </summary>
+
+            ${
+               page.score
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.score.title")}</div>
+               <div class="stats">
+                  ${Object.entries(page.score.categories)
+                     .map(
+                        ([category, score]) => `
+                  <div class="stat-item">
+                     <div class="stat-label">${t(`categories.${category}`)}</div>
+                     <div class="stat-value">${score}/100</div>
+                  </div>`
+                     )
+                     .join("")}
+               </div>
+               ${
+                  page.score.failedChecks.length > 0
+                     ? `<ul>
+                  ${page.score.failedChecks
+                     .map(
+                        (check) =>
+                           `<li>${t("report.page.failedCheck", {
+                              label: check.label,
+                              severity: t(`severities.${check.severity}`),
+                              gain: check.gain,
+                           })}</li>`
+                     )
+                     .join("")}
+               </ul>`
+                     : ""
+               }
+            </div>`
+                  : ""
+            }
 
             ${
                contentAnalysis
                   ? `
             <div class="meta-section">
-               <div class="meta-title">Analiza treści AI</div>
+               <div class="meta-title">${t("report.page.contentAnalysis")}${
+                  contentAnalysis.fromCache ? ` ${t("report.ai.fromCache")}` : ""
+               }</div>
                <div class="stats">
                   <div class="stat-item">
-                     <div class="meta-title">Główne słowa kluczowe</div>
+                     <div class="meta-title">${t("report.ai.mainKeywords")}</div>
                      <ul>
                         ${contentAnalysis.mainKeywords
-                           .map((k) => `<li>${k}</li>`)
+                           .map((k) => `<li>${escapeHtml(k)}</li>`)
                            .join("")}
                      </ul>
                   </div>
                   <div class="stat-item">
-                     <div class="meta-title">Słowa kluczowe długiego ogona</div>
+                     <div class="meta-title">${t("report.ai.longTailKeywords")}</div>
                      <ul>
                         ${contentAnalysis.longTailKeywords
-                           .map((k) => `<li>${k}</li>`)
+                           .map((k) => `<li>${escapeHtml(k)}</li>`)
                            .join("")}
                      </ul>
                   </div>
                </div>
                <div class="stats">
                   <div class="stat-item">
-                     <div class="meta-title">Powiązane tematy</div>
+                     <div class="meta-title">${t("report.ai.relatedTopics")}</div>
                      <ul>
                         ${contentAnalysis.relatedTopics
-                           .map((t) => `<li>${t}</li>`)
+                           .map((topic) => `<li>${escapeHtml(topic)}</li>`)
                            .join("")}
                      </ul>
                   </div>
                </div>
                <div class="ai-suggestions">
-                  <h4>Sugestie struktury treści</h4>
+                  <h4>${t("report.page.contentStructure")}</h4>
                   <ul>
                      ${contentAnalysis.contentStructure
-                        .map((s) => `<li>${s}</li>`)
+                        .map((s) => `<li>${escapeHtml(s)}</li>`)
                         .join("")}
                   </ul>
-                  <h4>Sugestie SEO</h4>
+                  <h4>${t("report.ai.seoSuggestions")}</h4>
                   <ul>
                      ${contentAnalysis.seoSuggestions
-                        .map((s) => `<li>${s}</li>`)
+                        .map((s) => `<li>${escapeHtml(s)}</li>`)
                         .join("")}
                   </ul>
                </div>
@@ -1039,46 +4647,46 @@ class SEOAnalyzer {
             }
 
             <div class="meta-section">
-               <div class="meta-title">Tytuł strony</div>
+               <div class="meta-title">${t("report.page.title")}</div>
                <div>${
-                  page.title || '<span class="warning">Brak tytułu</span>'
+                  escapeHtml(page.title) || `<span class="warning">${t("report.page.missingTitle")}</span>`
                }</div>
                <div class="keywords">
-                  <div>Znalezione słowa kluczowe: ${
-                     titleKeywords.found.join(", ") || "brak"
-                  }</div>
+                  <div>${t("report.page.foundKeywords", {
+                     keywords: escapeHtml(titleKeywords.found.join(", ")) || t("report.none"),
+                  })}</div>
                   ${
                      titleKeywords.missing.length > 0
-                        ? `<div>Brakujące słowa kluczowe: ${titleKeywords.missing
-                             .slice(0, 3)
-                             .join(", ")}${
-                             titleKeywords.missing.length > 3 ? "..." : ""
-                          }</div>`
+                        ? `<div>${t("report.page.missingKeywords", {
+                             keywords: escapeHtml(titleKeywords.missing.slice(0, 3).join(", ")),
+                          })}${titleKeywords.missing.length > 3 ? "..." : ""}</div>`
                         : ""
                   }
                </div>
                <div class="stats">
                   <div class="stat-item">
-                     <div class="stat-label">Długość tytułu</div>
-                     <div class="stat-value ${titleLengthClass}">${
-               page.titleLength
-            } znaków</div>
+                     <div class="stat-label">${t("report.pages.titleLength")}</div>
+                     <div class="stat-value ${titleLengthClass}">${t("report.characters", {
+                        count: page.titleLength,
+                     })}</div>
                   </div>
                   <div class="stat-item">
-                     <div class="stat-label">Słowa kluczowe w tytule</div>
-                     <div class="stat-value">${titleKeywords.found.length}/${
-               this.keywords.size
-            } (${Math.round(
-               (titleKeywords.found.length / this.keywords.size) * 100
-            )}%)</div>
+                     <div class="stat-label">${t("report.page.titleKeywords")}</div>
+                     <div class="stat-value">${formatKeywordCoverage(titleKeywords)}</div>
                   </div>
                </div>
                ${
                   aiSuggestions
                      ? `
                <div class="ai-suggestions">
-                  <h4>Sugestie AI</h4>
-                  <p><strong>Zoptymalizowany tytuł:</strong> ${aiSuggestions.optimizedTitle}</p>
+                  <h4>${t("report.ai.title")}</h4>
+                  <p><strong>${t("report.page.optimizedTitle")}:</strong> ${escapeHtml(
+                     aiSuggestions.optimizedTitle
+                  )}${
+                     aiSuggestions.fromCache && aiSuggestions.fromCache.title
+                        ? ` <em>${t("report.ai.fromCache")}</em>`
+                        : ""
+                  }</p>
                </div>
                `
                      : ""
@@ -1086,91 +4694,524 @@ class SEOAnalyzer {
             </div>
 
             <div class="meta-section">
-               <div class="meta-title">Meta opis</div>
+               <div class="meta-title">${t("report.page.description")}</div>
                <div>${
-                  page.description || '<span class="warning">Brak opisu</span>'
+                  escapeHtml(page.description) || `<span class="warning">${t("report.page.missingDescription")}</span>`
                }</div>
                <div class="keywords">
-                  <div>Znalezione słowa kluczowe: ${
-                     descKeywords.found.join(", ") || "brak"
-                  }</div>
+                  <div>${t("report.page.foundKeywords", {
+                     keywords: escapeHtml(descKeywords.found.join(", ")) || t("report.none"),
+                  })}</div>
                   ${
                      descKeywords.missing.length > 0
-                        ? `<div>Brakujące słowa kluczowe: ${descKeywords.missing
-                             .slice(0, 3)
-                             .join(", ")}${
-                             descKeywords.missing.length > 3 ? "..." : ""
-                          }</div>`
+                        ? `<div>${t("report.page.missingKeywords", {
+                             keywords: escapeHtml(descKeywords.missing.slice(0, 3).join(", ")),
+                          })}${descKeywords.missing.length > 3 ? "..." : ""}</div>`
                         : ""
                   }
                </div>
                <div class="stats">
                   <div class="stat-item">
-                     <div class="stat-label">Długość opisu</div>
-                     <div class="stat-value ${descLengthClass}">${
-               page.descriptionLength
-            } znaków</div>
+                     <div class="stat-label">${t("report.pages.descriptionLength")}</div>
+                     <div class="stat-value ${descLengthClass}">${t("report.characters", {
+                        count: page.descriptionLength,
+                     })}</div>
                   </div>
                   <div class="stat-item">
-                     <div class="stat-label">Słowa kluczowe w opisie</div>
-                     <div class="stat-value">${descKeywords.found.length}/${
-               this.keywords.size
-            } (${Math.round(
-               (descKeywords.found.length / this.keywords.size) * 100
-            )}%)</div>
+                     <div class="stat-label">${t("report.page.descriptionKeywords")}</div>
+                     <div class="stat-value">${formatKeywordCoverage(descKeywords)}</div>
                   </div>
                </div>
                ${
                   aiSuggestions
                      ? `
                <div class="ai-suggestions">
-                  <h4>Sugestie AI</h4>
-                  <p><strong>Zoptymalizowany opis:</strong> ${aiSuggestions.optimizedDescription}</p>
+                  <h4>${t("report.ai.title")}</h4>
+                  <p><strong>${t("report.page.optimizedDescription")}:</strong> ${escapeHtml(
+                     aiSuggestions.optimizedDescription
+                  )}${
+                     aiSuggestions.fromCache && aiSuggestions.fromCache.description
+                        ? ` <em>${t("report.ai.fromCache")}</em>`
+                        : ""
+                  }</p>
+               </div>
+               `
+                     : ""
+               }
+            </div>
+
+            ${
+               page.headings && page.headings.outline.length > 0
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.headings.outline")}${
+                  page.headings.titleSimilarity !== null
+                     ? ` (${t("report.headings.titleSimilarity", {
+                          similarity: Math.round(page.headings.titleSimilarity * 100),
+                       })})`
+                     : ""
+               }</div>
+               <ul class="outline">
+                  ${page.headings.outline
+                     .map((heading) => {
+                        const notes = [
+                           heading.level === 1 && page.headings.h1Count > 1
+                              ? t("report.headings.notes.multipleH1")
+                              : null,
+                           heading.skipped ? t("report.headings.notes.skipped") : null,
+                           heading.duplicate ? t("report.headings.notes.duplicate") : null,
+                        ].filter(Boolean);
+                        return `
+                  <li style="padding-left: ${(heading.level - 1) * 20}px">
+                     <span class="outline-level">H${heading.level}</span>
+                     ${
+                        heading.empty
+                           ? `<span class="warning">${t("report.headings.notes.empty")}</span>`
+                           : escapeHtml(heading.text)
+                     }${notes.length > 0 ? ` <span class="warning">(${notes.join(", ")})</span>` : ""}
+                  </li>`;
+                     })
+                     .join("")}
+               </ul>
+            </div>
+            `
+                  : ""
+            }
+
+            ${
+               page.content
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.content.title")}</div>
+               <div class="stats">
+                  <div class="stat-item">
+                     <div class="stat-label">${t("report.content.words")}</div>
+                     <div class="stat-value ${page.content.thin ? "warning" : ""}">${
+                        page.content.words
+                     }${page.content.thin ? ` (${t("report.content.thin")})` : ""}</div>
+                  </div>
+                  <div class="stat-item">
+                     <div class="stat-label">${t("report.content.textRatio")}</div>
+                     <div class="stat-value">${formatValue(page.content.textRatio, "%")}</div>
+                  </div>
+                  ${
+                     page.content.readability
+                        ? [
+                             [t("report.content.fog"), page.content.readability.fog],
+                             [t("report.content.flesch"), page.content.readability.flesch],
+                             [
+                                t("report.content.level"),
+                                t(`report.content.levels.${page.content.readability.level}`),
+                             ],
+                             [t("report.content.sentences"), page.content.readability.sentences],
+                             [
+                                t("report.content.averageSentenceLength"),
+                                page.content.readability.averageSentenceLength,
+                             ],
+                             [
+                                t("report.content.longSentenceRatio"),
+                                `${page.content.readability.longSentenceRatio}%`,
+                             ],
+                             [
+                                t("report.content.passiveRatio"),
+                                `${page.content.readability.passiveRatio}%`,
+                             ],
+                          ]
+                             .map(
+                                ([label, value]) => `
+                  <div class="stat-item">
+                     <div class="stat-label">${label}</div>
+                     <div class="stat-value">${value}</div>
+                  </div>`
+                             )
+                             .join("")
+                        : `
+                  <div class="stat-item">
+                     <div class="stat-label">${t("report.content.level")}</div>
+                     <div class="stat-value">${t("report.content.notEnoughSentences")}</div>
+                  </div>`
+                  }
+               </div>
+            </div>
+            `
+                  : ""
+            }
+
+            ${
+               page.keywords
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.keywords.title")}</div>
+               ${
+                  present.length > 0
+                     ? `
+               <table class="score-table">
+                  <tr>
+                     <th>${t("report.keywords.keyword")}</th>
+                     <th>${t("report.keywords.count")}</th>
+                     <th>${t("report.keywords.density")}</th>
+                     <th>${t("report.keywords.placement")}</th>
+                     <th>${t("report.keywords.placementScore")}</th>
+                  </tr>
+                  ${present
+                     .map(
+                        (keyword) => `
+                  <tr>
+                     <td>${escapeHtml(keyword.keyword)}</td>
+                     <td>${keyword.count}</td>
+                     <td>${keyword.density}%</td>
+                     <td>${formatPlacement(keyword.placement)}</td>
+                     <td>${keyword.score}/100</td>
+                  </tr>`
+                     )
+                     .join("")}
+               </table>`
+                     : ""
+               }
+               <div class="keywords">${t("report.keywords.words", { count: page.keywords.words })}${
+                  page.keywords.keywords.length > present.length
+                     ? ` · ${t("report.keywords.absent", {
+                          count: page.keywords.keywords.length - present.length,
+                       })}`
+                     : ""
+               }</div>
+               ${
+                  page.keywords.topTerms.length > 0
+                     ? `
+               <div class="keywords">${t("report.keywords.pageTopTerms")}</div>
+               <div class="keyword-list">${formatTerms(page.keywords.topTerms)}</div>`
+                     : ""
+               }
+            </div>
+            `
+                  : ""
+            }
+
+            ${
+               page.structuredData
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.structuredData.title")}</div>
+               ${
+                  page.structuredData.items.length === 0
+                     ? `<div class="warning">${t("report.structuredData.none")}</div>`
+                     : `<ul>
+                  ${page.structuredData.items
+                     .map((item) => {
+                        const validation = page.structuredData.validation.find(
+                           (result) => result.type === item.types.join(", ") && result.format === item.format
+                        );
+                        return `<li><strong>${escapeHtml(item.types.join(", ")) || t("report.structuredData.noType")}</strong> (${
+                           item.format
+                        })${
+                           validation && validation.missingRequired.length > 0
+                              ? ` <span class="warning">${t("report.structuredData.missingRequired", {
+                                   properties: escapeHtml(validation.missingRequired.join(", ")),
+                                })}</span>`
+                              : ""
+                        }${
+                           validation && validation.missingRecommended.length > 0
+                              ? ` <span class="keywords">${t("report.structuredData.missingRecommended", {
+                                   properties: escapeHtml(validation.missingRecommended.join(", ")),
+                                })}</span>`
+                              : ""
+                        }${
+                           validation && validation.warnings.length > 0
+                              ? `<ul>${validation.warnings
+                                   .map((warning) => `<li class="warning">${escapeHtml(warning.message)}</li>`)
+                                   .join("")}</ul>`
+                              : ""
+                        }</li>`;
+                     })
+                     .join("")}
+               </ul>`
+               }
+               ${page.structuredData.errors
+                  .map(
+                     (error) =>
+                        `<div class="warning">${t("report.structuredData.error", {
+                           format: error.format,
+                           message: escapeHtml(error.message),
+                        })}</div>`
+                  )
+                  .join("")}
+            </div>
+            `
+                  : ""
+            }
+
+            ${
+               page.images.some((image) => image.problems.length > 0)
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.images.title")} (${page.images.length})</div>
+               <table class="image-table">
+                  <tr>
+                     <th>${t("report.images.image")}</th>
+                     <th>Alt</th>
+                     <th>${t("report.pages.issues")}</th>
+                  </tr>
+                  ${page.images
+                     .filter((image) => image.problems.length > 0)
+                     .map(
+                        (image) => `
+                  <tr>
+                     <td>${
+                        image.src
+                           ? `<img src="${escapeHtml(image.src)}" alt=""><div class="url-link">${escapeHtml(
+                                image.src
+                             )}</div>`
+                           : escapeHtml(image.rawSrc) || t("report.images.missingSrc")
+                     }</td>
+                     <td>${
+                        image.alt === null
+                           ? `<span class="warning">${t("report.missing")}</span>`
+                           : escapeHtml(image.alt) || `<em>${t("report.images.emptyAlt")}</em>`
+                     }${
+                        image.suggestedAlt
+                           ? `<div class="ai-suggestions"><strong>${t("report.images.suggestedAlt")}:</strong> ${escapeHtml(
+                                image.suggestedAlt
+                             )}${image.suggestedAltFromCache ? ` <em>${t("report.ai.fromCache")}</em>` : ""}</div>`
+                           : ""
+                     }</td>
+                     <td><ul>${image.problems
+                        .map((problem) => `<li>${escapeHtml(problem.message)}</li>`)
+                        .join("")}</ul></td>
+                  </tr>`
+                     )
+                     .join("")}
+               </table>
+            </div>
+            `
+                  : ""
+            }
+
+            ${
+               page.social
+                  ? `
+            <div class="meta-section">
+               <div class="meta-title">${t("report.social.preview")}</div>
+               ${page.social.problems
+                  .map((problem) => `<div class="warning">${escapeHtml(problem.message)}</div>`)
+                  .join("")}
+               <div class="social-previews">
+                  ${[
+                     ["Facebook", "facebook", page.social.previews.facebook],
+                     ["LinkedIn", "linkedin", page.social.previews.linkedin],
+                     ["X", `x ${page.social.previews.x.card === "summary" ? "summary" : ""}`, page.social.previews.x],
+                  ]
+                     .map(
+                        ([label, className, preview]) => `
+                  <div>
+                     <div class="social-card-label">${label}</div>
+                     <div class="social-card ${className}">
+                        <div class="social-card-image">${
+                           preview.image
+                              ? `<img src="${escapeHtml(preview.image)}" alt="">`
+                              : t("report.social.noImage")
+                        }</div>
+                        <div class="social-card-body">
+                           <div class="social-card-domain">${escapeHtml(preview.domain)}</div>
+                           <div class="social-card-title">${escapeHtml(preview.title)}</div>
+                           ${
+                              preview.description
+                                 ? `<div class="social-card-description">${escapeHtml(
+                                      preview.description
+                                   )}</div>`
+                                 : ""
+                           }
+                        </div>
+                     </div>
+                  </div>`
+                     )
+                     .join("")}
+               </div>
+               ${
+                  aiSuggestions && aiSuggestions.optimizedOgTitle
+                     ? `
+               <div class="ai-suggestions">
+                  <h4>${t("report.ai.title")}</h4>
+                  <p><strong>og:title:</strong> ${escapeHtml(aiSuggestions.optimizedOgTitle)}</p>
+                  <p><strong>og:description:</strong> ${escapeHtml(aiSuggestions.optimizedOgDescription)}</p>
                </div>
                `
                      : ""
                }
             </div>
+            `
+                  : ""
+            }
 
             <div class="meta-section">
-               <div class="meta-title">Statystyki strony</div>
+               <div class="meta-title">${t("report.page.stats")}</div>
                <div class="stats">
                   <div class="stat-item">
-                     <div class="stat-label">Linki wewnętrzne</div>
+                     <div class="stat-label">${t("report.page.internalLinks")}</div>
                      <div class="stat-value">${page.internalLinksCount}</div>
                   </div>
                   <div class="stat-item">
-                     <div class="stat-label">Linki zewnętrzne</div>
+                     <div class="stat-label">${t("report.page.externalLinks")}</div>
                      <div class="stat-value">${page.externalLinksCount}</div>
                   </div>
+                  <div class="stat-item">
+                     <div class="stat-label">${t("report.page.canonical")}</div>
+                     <div class="stat-value">${
+                        escapeHtml(page.canonical) || `<span class="warning">${t("report.missing")}</span>`
+                     }</div>
+                  </div>
+                  ${
+                     page.links
+                        ? `
+                  <div class="stat-item">
+                     <div class="stat-label">${t("report.page.inboundLinks")}</div>
+                     <div class="stat-value">${page.links.inbound}</div>
+                  </div>
+                  <div class="stat-item">
+                     <div class="stat-label">PageRank</div>
+                     <div class="stat-value">${page.links.score}/100</div>
+                  </div>
+                  `
+                        : ""
+                  }
+                  <div class="stat-item">
+                     <div class="stat-label">${t("report.page.robotsDirectives")}</div>
+                     <div class="stat-value ${
+                        page.robots && page.robots.noindex ? "warning" : ""
+                     }">${
+               page.robots && page.robots.directives.length > 0
+                  ? escapeHtml(page.robots.directives.join(", "))
+                  : t("report.none")
+            }</div>
+                  </div>
                </div>
             </div>
-         </div>`;
+         </details>`;
          })
          .join("")}
    </div>
+   <script>
+   (function () {
+      var search = document.getElementById("filter-url");
+      var statusFilter = document.getElementById("filter-status");
+      var ruleFilter = document.getElementById("filter-rule");
+      var severityFilter = document.getElementById("filter-severity");
+      var counter = document.getElementById("filter-count");
+      var counterText = ${JSON.stringify(t("report.filters.count")).replace(/</g, "\\u003c")};
+      var items = Array.prototype.slice.call(document.querySelectorAll("[data-filter]"));
+      var pages = Array.prototype.slice.call(document.querySelectorAll("#pages-table tbody tr"));
+
+      var hasValue = function (element, attribute, value) {
+         return (" " + element.getAttribute(attribute) + " ").indexOf(" " + value + " ") !== -1;
+      };
+
+      var applyFilters = function () {
+         var query = search.value.trim().toLowerCase();
+         items.forEach(function (element) {
+            element.hidden = !(
+               (!query || element.getAttribute("data-url").toLowerCase().indexOf(query) !== -1) &&
+               (!statusFilter.value || element.getAttribute("data-status") === statusFilter.value) &&
+               (!ruleFilter.value || hasValue(element, "data-rules", ruleFilter.value)) &&
+               (!severityFilter.value || hasValue(element, "data-severities", severityFilter.value))
+            );
+         });
+         var visible = pages.filter(function (row) {
+            return !row.hidden;
+         }).length;
+         counter.textContent = counterText.replace("{visible}", visible).replace("{total}", pages.length);
+      };
+
+      [search, statusFilter, ruleFilter, severityFilter].forEach(function (control) {
+         control.addEventListener("input", applyFilters);
+      });
+      document.getElementById("filter-reset").addEventListener("click", function () {
+         search.value = "";
+         statusFilter.value = "";
+         ruleFilter.value = "";
+         severityFilter.value = "";
+         applyFilters();
+      });
+
+      var setPagesOpen = function (open) {
+         document.querySelectorAll("details.page-analysis").forEach(function (details) {
+            details.open = open;
+         });
+      };
+      document.getElementById("expand-pages").addEventListener("click", function () {
+         setPagesOpen(true);
+      });
+      document.getElementById("collapse-pages").addEventListener("click", function () {
+         setPagesOpen(false);
+      });
+
+      // Sortowanie tabeli stron po kliknięciu nagłówka
+      var table = document.getElementById("pages-table");
+      var headers = Array.prototype.slice.call(table.querySelectorAll("th[data-sort]"));
+      headers.forEach(function (header, column) {
+         header.addEventListener("click", function () {
+            var numeric = header.getAttribute("data-sort") === "number";
+            var direction = header.classList.contains("sorted-asc") ? -1 : 1;
+            var value = function (row) {
+               var text = row.cells[column].getAttribute("data-value");
+               if (!numeric) return text.toLowerCase();
+               // Brak wartości zawsze na końcu
+               return text === "" || isNaN(text) ? null : Number(text);
+            };
+            var tbody = table.tBodies[0];
+            Array.prototype.slice
+               .call(tbody.rows)
+               .sort(function (a, b) {
+                  var first = value(a);
+                  var second = value(b);
+                  if (first === second) return 0;
+                  if (first === null) return 1;
+                  if (second === null) return -1;
+                  return (first < second ? -1 : 1) * direction;
+               })
+               .forEach(function (row) {
+                  tbody.appendChild(row);
+               });
+            headers.forEach(function (other) {
+               other.classList.remove("sorted-asc", "sorted-desc");
+            });
+            header.classList.add(direction === 1 ? "sorted-asc" : "sorted-desc");
+         });
+      });
+
+      // Przejście do strony z tabeli rozwija jej sekcję
+      var openFromHash = function () {
+         var target = document.getElementById(decodeURIComponent(location.hash.slice(1)));
+         if (target && target.tagName === "DETAILS") {
+            target.open = true;
+            target.scrollIntoView();
+         }
+      };
+      window.addEventListener("hashchange", openFromHash);
+      openFromHash();
+
+      applyFilters();
+   })();
+   </script>
 </body>
 </html>
       `;
 
-      fs.writeFileSync("seo-report.html", htmlReport);
+      return htmlReport;
    }
 
-   async generatePdfReport() {
+   async generatePdfReport(htmlContent = this.htmlReport) {
       try {
          console.log("Generowanie raportu PDF...");
          const browser = await puppeteer.launch();
          const page = await browser.newPage();
 
-         // Wczytaj wygenerowany raport HTML
-         const htmlContent = fs.readFileSync("seo-report.html", "utf8");
          await page.setContent(htmlContent, {
             waitUntil: "networkidle0",
          });
 
          // Generuj PDF
+         const fileName = getOutputPath("seo-report.pdf");
          await page.pdf({
-            path: "seo-report.pdf",
+            path: fileName,
             format: "A4",
             printBackground: true,
             margin: {
@@ -1182,140 +5223,103 @@ class SEOAnalyzer {
          });
 
          await browser.close();
-         console.log("Raport PDF został wygenerowany: seo-report.pdf");
+         this.reportFiles.push(fileName);
+         console.log(`Raport PDF został wygenerowany: ${fileName}`);
       } catch (error) {
          console.error(`Błąd podczas generowania PDF: ${error.message}`);
       }
    }
 
-   async analyze(maxDepth = 10) {
+   async analyze(maxDepth = config.crawler.maxDepth) {
       console.log(`Rozpoczynam analizę SEO dla: ${this.startUrl}`);
 
-      // Krok 1: Crawlowanie strony
+      // Krok 0: Pobranie robots.txt
+      await this.fetchRobotsTxt();
+
+      // Krok 1: Crawlowanie strony (lub wznowienie przerwanego)
+      this.loadCrawlState(maxDepth);
       console.log("Rozpoczynam crawlowanie...");
-      await this.crawl(this.startUrl, 0, maxDepth);
+      await this.crawl(this.startUrl, maxDepth);
       console.log(
          `Zakończono crawlowanie, odwiedzono ${this.visitedUrls.size} stron`
       );
-
-      // Zbieranie problemów
-      const issues = [];
-      
-      // Sprawdzanie tytułów
-      for (const [url, title] of this.pagesTitles.entries()) {
-         if (!title) {
-            issues.push(`Brak tytułu na stronie: ${url}`);
-         } else if (title.length < 30 || title.length > 60) {
-            issues.push(`Nieprawidłowa długość tytułu (${title.length} znaków) na stronie: ${url}`);
-         }
-      }
-
-      // Sprawdzanie opisów
-      for (const [url, description] of this.pagesDescriptions.entries()) {
-         if (!description) {
-            issues.push(`Brak meta opisu na stronie: ${url}`);
-         } else if (description.length < 120 || description.length > 160) {
-            issues.push(`Nieprawidłowa długość meta opisu (${description.length} znaków) na stronie: ${url}`);
-         }
-      }
-
-      // Sprawdzanie nagłówków H1
-      for (const [url, h1] of this.pagesH1.entries()) {
-         if (!h1) {
-            issues.push(`Brak nagłówka H1 na stronie: ${url}`);
-         }
-      }
-
-      // Sprawdzanie uszkodzonych linków
-      if (this.brokenLinks.length > 0) {
-         issues.push(`Znaleziono ${this.brokenLinks.length} uszkodzonych linków`);
-      }
-
-      // Sprawdzanie sitemap
-      if (this.urlsNotInSitemap.size > 0) {
-         issues.push(`${this.urlsNotInSitemap.size} stron nie jest w sitemap`);
-      }
-      if (this.urlsInSitemapButNotCrawled.size > 0) {
-         issues.push(`${this.urlsInSitemapButNotCrawled.size} stron z sitemap nie zostało scrawlowanych`);
-      }
+      await this.checkCanonicalTargets();
+      await this.checkSocialImages();
+      await this.checkImageResources();
+      await this.checkLinksAndResources();
 
       // Krok 2: Pobranie i analiza sitemap
-      const sitemapXml = await this.fetchSitemap();
-      if (sitemapXml) {
-         try {
-            await this.parseSitemap(sitemapXml);
-            console.log(
-               `Przetworzono sitemap, znaleziono ${this.sitemapUrls.size} URL-i`
-            );
-         } catch (error) {
-            console.error(
-               `Błąd podczas przetwarzania sitemap: ${error.message}`
-            );
-         }
-      }
+      await this.loadSitemaps();
 
       // Krok 3: Porównanie wyników crawlowania z sitemap
       this.compareCrawlWithSitemap();
 
-      // Krok 4: Generowanie raportu
+      // Sprawdzanie dyrektyw dla robotów (wymaga pobranej sitemap)
+      this.findRobotsConflicts();
+
+      // Krok 4: Sprawdzenie reguł audytu na zebranych danych
+      const issues = runRules(this.collectAuditData(), config);
+      console.log(`Reguły audytu zgłosiły ${issues.length} problemów`);
+
+      // Krok 5: Generowanie raportu
       console.log("Generowanie raportu...");
+      // Problemy muszą trafić do raportu przed zapisem plików JSON i HTML
+      this.report.issues = issues;
       const report = this.generateReport();
-      report.issues = issues; // Dodajemy zebrane problemy do raportu
       console.log(
-         `Raport został wygenerowany. Zapisano do: seo-report.json i seo-report.html`
+         `Raport został wygenerowany. Zapisano do: ${this.reportFiles.join(", ") || "-"}`
       );
 
-      // Krok 5: Generowanie PDF
-      await this.generatePdfReport();
+      // Krok 6: Generowanie PDF i XLSX
+      if (config.report.formats.includes("pdf")) {
+         await this.generatePdfReport();
+      }
+      if (config.report.formats.includes("xlsx")) {
+         await this.generateXlsxReport();
+      }
 
       return report;
    }
 }
 
 // Funkcja do uruchomienia analizy
-async function runAnalysis(url, maxDepth = 10) {
+async function runAnalysis(url, maxDepth = config.crawler.maxDepth) {
    try {
       console.log(`=== Analizator SEO ===`);
       console.log(`URL: ${url}`);
       console.log(`Maksymalna głębokość: ${maxDepth}`);
+      console.log(`Dostawca AI: ${config.ai.enabled ? config.ai.provider : "wyłączony"}`);
       console.log(`===================\n`);
 
       const openaiApiKey = process.env.OPENAI_API_KEY;
-      if (!openaiApiKey) {
+      if (config.ai.enabled && config.ai.provider === "openai" && !openaiApiKey) {
          console.error(
-            "Błąd: Brak klucza API OpenAI. Upewnij się, że plik .env zawiera OPENAI_API_KEY"
+            "Błąd: Brak klucza API OpenAI. Upewnij się, że plik .env zawiera OPENAI_API_KEY, ustaw AI_PROVIDER=mock / openai-compatible lub użyj opcji --no-ai"
          );
          process.exit(1);
       }
 
       const analyzer = new SEOAnalyzer(url, openaiApiKey);
-      await analyzer.analyze(maxDepth);
+      const report = await analyzer.analyze(maxDepth);
 
       console.log(`\n=== Analiza zakończona ===`);
       console.log(
-         `Sprawdź pliki seo-report.json i seo-report.html, aby zobaczyć szczegółowy raport.`
+         `Sprawdź pliki ${analyzer.reportFiles.join(", ")}, aby zobaczyć szczegółowy raport.`
       );
+      return report;
    } catch (error) {
       console.error(`Wystąpił błąd podczas analizy: ${error.message}`);
+      process.exitCode = 1;
+      return null;
    }
 }
 
-// Uruchomienie analizy z parametrami z wiersza poleceń
-if (require.main === module) {
-   const args = process.argv.slice(2);
-
-   if (args.length === 0) {
-      console.error("Proszę podać URL strony do analizy");
-      process.exit(1);
-   }
-
-   const url = args[0];
-   const maxDepth = args.length > 1 ? parseInt(args[1], 10) : 10;
-
-   runAnalysis(url, maxDepth);
-}
-
 module.exports = {
    SEOAnalyzer,
    runAnalysis,
 };
+
+// Uruchomienie analizy z parametrami z wiersza poleceń (pełny interfejs w cli.js)
+if (require.main === module) {
+   require("./cli").main(["crawl", ...process.argv.slice(2)]);
+}
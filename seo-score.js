@@ -0,0 +1,394 @@
+/**
+ * Ocena SEO stron i całego serwisu (0-100)
+ *
+ * Każde sprawdzenie ma kategorię, ważność (critical, warning, notice) i wagę.
+ * Wynik kategorii to udział wag zaliczonych sprawdzeń, wynik strony - średnia
+ * wyników kategorii ważona wagami kategorii, a wynik serwisu - średnia wyników stron.
+ * Dla niezaliczonych sprawdzeń liczony jest przyrost wyniku po poprawce, na tej
+ * podstawie wybierane są poprawki, które najbardziej podniosą ocenę.
+ * Nazwy sprawdzeń i kategorii są w katalogach tłumaczeń (scoring.*, categories.*).
+ * Sprawdzenia są powiązane z regułami audytu (audit-rules.js), więc ustawienia reguł
+ * z config.seo.rules (enabled, severity, options) obowiązują także w ocenie.
+ */
+
+const { t } = require("./i18n");
+const { RULES, SEVERITY_ORDER, resolveRule } = require("./audit-rules");
+
+const CATEGORIES = ["technical", "content", "metadata", "links", "performance"];
+
+const inRange = (value, { min, max }) => value >= min && value <= max;
+const hasImageProblem = (page, type) =>
+   page.images.length === 0 ? null : !page.images.some((image) => image.problems.includes(type));
+
+/**
+ * Sprawdzenia wykonywane dla każdej strony. test(page, options) zwraca true (zaliczone),
+ * false (niezaliczone) albo null, jeśli sprawdzenie nie dotyczy strony.
+ * page to dane strony przygotowane przez analizator (SEOAnalyzer.buildScoringPages),
+ * a options - ustawienia seo.scoring i opcje reguł audytu z pola rules.
+ */
+const PAGE_CHECKS = [
+   {
+      id: "indexable",
+      category: "technical",
+      severity: "critical",
+      rules: ["noindexPages"],
+      test: (page) => !page.noindex,
+   },
+   {
+      id: "canonical",
+      category: "technical",
+      severity: "warning",
+      test: (page) => !!page.canonical,
+   },
+   {
+      id: "canonicalSelf",
+      category: "technical",
+      severity: "warning",
+      rules: ["canonicalMismatch", "canonicalizedAway"],
+      test: (page) => (page.canonical ? page.canonical === page.url : null),
+   },
+   {
+      id: "structuredData",
+      category: "technical",
+      severity: "warning",
+      rules: ["structuredDataParseError", "structuredDataMissingRequired"],
+      test: (page) => page.structuredDataErrors === 0,
+   },
+   {
+      id: "renderedContent",
+      category: "technical",
+      severity: "notice",
+      rules: ["javaScriptContent"],
+      test: (page) => (page.dependsOnJavaScript === null ? null : !page.dependsOnJavaScript),
+   },
+   {
+      id: "h1",
+      category: "content",
+      severity: "critical",
+      rules: ["missingH1"],
+      test: (page) => !!page.h1,
+   },
+   {
+      id: "uniqueContent",
+      category: "content",
+      severity: "warning",
+      rules: ["nearDuplicateContent"],
+      test: (page) => !page.nearDuplicate,
+   },
+   {
+      id: "contentLength",
+      category: "content",
+      severity: "warning",
+      rules: ["thinContent"],
+      test: (page, { minWords }) => (page.words === null ? null : page.words >= minWords),
+   },
+   {
+      id: "uniqueH1",
+      category: "content",
+      severity: "notice",
+      rules: ["duplicateH1"],
+      test: (page) => (page.h1 ? !page.duplicateH1 : null),
+   },
+   {
+      id: "imageAlt",
+      category: "content",
+      severity: "warning",
+      rules: ["imageMissingAlt"],
+      test: (page) => hasImageProblem(page, "missingAlt"),
+   },
+   {
+      id: "title",
+      category: "metadata",
+      severity: "critical",
+      rules: ["missingTitle"],
+      test: (page) => !!page.title,
+   },
+   {
+      id: "titleLength",
+      category: "metadata",
+      severity: "warning",
+      rules: ["titleLength"],
+      test: (page, { min, max }) => (page.title ? inRange(page.title.length, { min, max }) : null),
+   },
+   {
+      id: "uniqueTitle",
+      category: "metadata",
+      severity: "warning",
+      rules: ["duplicateTitle"],
+      test: (page) => (page.title ? !page.duplicateTitle : null),
+   },
+   {
+      id: "description",
+      category: "metadata",
+      severity: "warning",
+      rules: ["missingDescription"],
+      test: (page) => !!page.description,
+   },
+   {
+      id: "descriptionLength",
+      category: "metadata",
+      severity: "notice",
+      rules: ["descriptionLength"],
+      test: (page, { min, max }) =>
+         page.description ? inRange(page.description.length, { min, max }) : null,
+   },
+   {
+      id: "uniqueDescription",
+      category: "metadata",
+      severity: "notice",
+      rules: ["duplicateDescription"],
+      test: (page) => (page.description ? !page.duplicateDescription : null),
+   },
+   {
+      id: "socialMeta",
+      category: "metadata",
+      severity: "notice",
+      rules: ["missingOpenGraph", "socialMeta"],
+      test: (page) => page.socialProblems === 0,
+   },
+   {
+      id: "brokenLinks",
+      category: "links",
+      severity: "critical",
+      rules: ["brokenLink"],
+      test: (page) => page.brokenLinks === 0,
+   },
+   {
+      id: "inboundLinks",
+      category: "links",
+      severity: "warning",
+      rules: ["orphanPage"],
+      test: (page) => (page.depth === 0 ? null : page.inboundLinks > 0),
+   },
+   {
+      id: "outboundLinks",
+      category: "links",
+      severity: "notice",
+      rules: ["deadEnd"],
+      test: (page) => page.outboundLinks > 0,
+   },
+   {
+      id: "redirectLinks",
+      category: "links",
+      severity: "notice",
+      rules: ["internalLinksToRedirects"],
+      test: (page) => page.redirectLinks === 0,
+   },
+   {
+      id: "clickDepth",
+      category: "links",
+      severity: "notice",
+      rules: ["deepPages"],
+      test: (page, options) => page.depth <= options.maxClickDepth,
+   },
+   {
+      id: "responseTime",
+      category: "performance",
+      severity: "warning",
+      test: (page, options) =>
+         page.responseTime === null ? null : page.responseTime <= options.maxResponseTime,
+   },
+   {
+      id: "htmlSize",
+      category: "performance",
+      severity: "notice",
+      test: (page, options) =>
+         page.htmlBytes === null ? null : page.htmlBytes <= options.maxHtmlSize,
+   },
+   {
+      id: "imageSize",
+      category: "performance",
+      severity: "warning",
+      rules: ["imageOversized"],
+      test: (page) => hasImageProblem(page, "oversized"),
+   },
+   {
+      id: "imageFormat",
+      category: "performance",
+      severity: "notice",
+      rules: ["imageLegacyFormat"],
+      test: (page) => hasImageProblem(page, "legacyFormat"),
+   },
+   {
+      id: "imageDimensions",
+      category: "performance",
+      severity: "notice",
+      rules: ["imageDimensions"],
+      test: (page) => hasImageProblem(page, "dimensions"),
+   },
+   {
+      id: "lazyLoading",
+      category: "performance",
+      severity: "notice",
+      rules: ["imageLazyLoading", "imageEagerLoading"],
+      test: (page) => {
+         const lazy = hasImageProblem(page, "lazyLoading");
+         const eager = hasImageProblem(page, "eagerLoading");
+         return lazy === null ? null : lazy && eager;
+      },
+   },
+];
+
+/**
+ * Sprawdzenie z ustawieniami powiązanych reguł audytu: enabled jest false, gdy wszystkie
+ * reguły są wyłączone, ważność nadpisana w regułach zastępuje domyślną (przy kilku
+ * regułach wybierana jest najpoważniejsza), a options to połączone opcje reguł.
+ * Sprawdzenia bez reguł (canonical, responseTime, htmlSize) ustawia się tylko w seo.scoring.
+ */
+function resolveCheck(check, config) {
+   const rules = (check.rules || [])
+      .map((id) => resolveRule(RULES.find((rule) => rule.id === id), config))
+      .filter((rule) => rule.enabled);
+   const severities = rules
+      .map((rule) => ((config.seo.rules || {})[rule.id] || {}).severity)
+      .filter(Boolean)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(a) - SEVERITY_ORDER.indexOf(b));
+
+   return {
+      ...check,
+      enabled: !check.rules || rules.length > 0,
+      severity: severities[0] || check.severity,
+      options: Object.assign({}, ...rules.map((rule) => rule.options)),
+   };
+}
+
+function getCheckWeight(check, options) {
+   return options.checks[check.id] ?? options.severities[check.severity] ?? 0;
+}
+
+// Wynik strony dla podanych wyników sprawdzeń: { score, categories }
+function computeScore(results, options) {
+   const categories = {};
+   for (const { check, weight, passed } of results) {
+      const category = (categories[check.category] = categories[check.category] || {
+         weight: 0,
+         passedWeight: 0,
+      });
+      category.weight += weight;
+      if (passed) category.passedWeight += weight;
+   }
+
+   let weightedSum = 0;
+   let weightSum = 0;
+   const categoryScores = {};
+   for (const [name, category] of Object.entries(categories)) {
+      if (category.weight === 0) continue;
+      const score = (category.passedWeight / category.weight) * 100;
+      const categoryWeight = options.categories[name] ?? 0;
+      categoryScores[name] = score;
+      weightedSum += score * categoryWeight;
+      weightSum += categoryWeight;
+   }
+
+   return {
+      score: weightSum > 0 ? weightedSum / weightSum : 100,
+      categories: categoryScores,
+   };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function scorePage(page, checks, options) {
+   const results = checks.map((check) => ({
+      check,
+      weight: getCheckWeight(check, options),
+      passed: check.test(page, { ...options, ...check.options }),
+   })).filter((result) => result.weight > 0 && result.passed !== null);
+
+   const { score, categories } = computeScore(results, options);
+
+   // Przyrost wyniku strony po naprawieniu pojedynczego problemu
+   const failedChecks = results
+      .filter((result) => !result.passed)
+      .map((result) => ({
+         id: result.check.id,
+         label: t(`scoring.${result.check.id}`),
+         category: result.check.category,
+         severity: result.check.severity,
+         weight: result.weight,
+         gain:
+            computeScore(
+               results.map((other) =>
+                  other === result ? { ...other, passed: true } : other
+               ),
+               options
+            ).score - score,
+      }))
+      .sort((a, b) => b.gain - a.gain);
+
+   return {
+      score: Math.round(score),
+      categories: Object.fromEntries(
+         Object.entries(categories).map(([name, value]) => [name, Math.round(value)])
+      ),
+      failedChecks: failedChecks.map((check) => ({ ...check, gain: round(check.gain) })),
+   };
+}
+
+/**
+ * Ocenia strony i cały serwis według config.seo.scoring i config.seo.rules.
+ * Zwraca { score, categories, pages, topFixes }, gdzie pages są posortowane
+ * od najgorszego wyniku, a topFixes to poprawki o największym wpływie na wynik serwisu.
+ */
+function scoreSite(pages, config) {
+   const options = config.seo.scoring;
+   const checks = PAGE_CHECKS.map((check) => resolveCheck(check, config)).filter(
+      (check) => check.enabled
+   );
+   const scoredPages = pages
+      .map((page) => ({ url: page.url, ...scorePage(page, checks, options) }))
+      .sort((a, b) => a.score - b.score);
+   const count = scoredPages.length;
+
+   const categories = {};
+   CATEGORIES.forEach((name) => {
+      const values = scoredPages
+         .map((page) => page.categories[name])
+         .filter((value) => value !== undefined);
+      if (values.length > 0) {
+         categories[name] = Math.round(
+            values.reduce((sum, value) => sum + value, 0) / values.length
+         );
+      }
+   });
+
+   // Wynik serwisu to średnia stron, więc poprawka podnosi go o sumę przyrostów / liczbę stron
+   const fixes = new Map();
+   scoredPages.forEach((page) => {
+      page.failedChecks.forEach((check) => {
+         if (!fixes.has(check.id)) {
+            fixes.set(check.id, {
+               id: check.id,
+               label: check.label,
+               category: check.category,
+               severity: check.severity,
+               urls: [],
+               gain: 0,
+            });
+         }
+         const fix = fixes.get(check.id);
+         fix.urls.push(page.url);
+         fix.gain += check.gain / count;
+      });
+   });
+
+   return {
+      score: count > 0
+         ? Math.round(scoredPages.reduce((sum, page) => sum + page.score, 0) / count)
+         : null,
+      categories,
+      pages: scoredPages,
+      topFixes: [...fixes.values()]
+         .sort((a, b) => b.gain - a.gain)
+         .slice(0, options.topFixes)
+         .map((fix) => ({ ...fix, gain: round(fix.gain) })),
+   };
+}
+
+module.exports = {
+   CATEGORIES,
+   PAGE_CHECKS,
+   resolveCheck,
+   scorePage,
+   scoreSite,
+};
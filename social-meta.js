@@ -0,0 +1,295 @@
+/**
+ * Meta tagi dla serwisów społecznościowych (Open Graph, Twitter Card)
+ *
+ * - Odczyt tagów og:* i twitter:* z zebranych meta tagów strony
+ * - Walidacja obecności, długości i adresów bezwzględnych
+ * - Odczyt wymiarów obrazka z nagłówka pliku (PNG, JPEG, GIF, WebP)
+ * - Dane podglądu udostępnienia dla Facebooka, LinkedIn i X
+ */
+
+const { t } = require("./i18n");
+
+const OG_TAGS = ["og:title", "og:description", "og:image", "og:url", "og:type"];
+
+const TWITTER_CARD_TYPES = ["summary", "summary_large_image", "app", "player"];
+
+// Przybliżone limity znaków, po których serwisy skracają tekst podglądu
+const PREVIEW_LIMITS = {
+   facebook: { title: 88, description: 110 },
+   linkedin: { title: 70, description: 0 },
+   x: { title: 70, description: 125 },
+};
+
+function extractSocialMeta(metaTags) {
+   const social = {};
+   Object.entries(metaTags).forEach(([name, content]) => {
+      if (typeof content !== "string") return;
+      const key = name.toLowerCase();
+      if (key.startsWith("og:") || key.startsWith("twitter:")) {
+         social[key] = content.trim();
+      }
+   });
+   return social;
+}
+
+function isAbsoluteUrl(value) {
+   try {
+      return ["http:", "https:"].includes(new URL(value).protocol);
+   } catch (error) {
+      return false;
+   }
+}
+
+/**
+ * Problem z komunikatem w języku raportu. key (tag, kod komunikatu i parametry) nie zależy
+ * od języka, dzięki czemu identyfikatory problemów audytu są takie same w raportach pl i en.
+ */
+function createProblem(tag, type, code, params = {}) {
+   return {
+      tag,
+      type,
+      key: [tag, code, ...Object.values(params)].join(":"),
+      message: t(`social.${code}`, { tag, ...params }),
+   };
+}
+
+function checkLength(problems, tag, value, { min, max }) {
+   if (value.length < min) {
+      problems.push(createProblem(tag, "length", "tooShort", { min }));
+   } else if (value.length > max) {
+      problems.push(createProblem(tag, "length", "tooLong", { max }));
+   }
+}
+
+// Zwraca listę problemów: [{ tag, type, key, message }]
+function validateSocialMeta(social, options) {
+   const problems = [];
+
+   OG_TAGS.filter((tag) => !social[tag]).forEach((tag) =>
+      problems.push(createProblem(tag, "missing", "missing"))
+   );
+
+   if (social["og:title"]) {
+      checkLength(problems, "og:title", social["og:title"], options.titleLength);
+   }
+   if (social["og:description"]) {
+      checkLength(
+         problems,
+         "og:description",
+         social["og:description"],
+         options.descriptionLength
+      );
+   }
+
+   ["og:image", "og:url", "twitter:image"]
+      .filter((tag) => social[tag] && !isAbsoluteUrl(social[tag]))
+      .forEach((tag) => problems.push(createProblem(tag, "relative", "relative")));
+
+   const card = social["twitter:card"];
+   if (!card) {
+      problems.push(createProblem("twitter:card", "missing", "missing"));
+   } else if (!TWITTER_CARD_TYPES.includes(card)) {
+      problems.push(createProblem("twitter:card", "invalid", "invalidCard", { card }));
+   }
+
+   return problems;
+}
+
+// Problemy z obrazkiem udostępnienia na podstawie wyniku sprawdzenia pliku
+function validateSocialImage(tag, image, options) {
+   if (!image) return [];
+
+   if (image.error || image.status >= 400 || image.status === 0) {
+      return [
+         createProblem(tag, "unreachable", "unreachable", {
+            status: image.status || image.error,
+         }),
+      ];
+   }
+   if (image.contentType && !image.contentType.startsWith("image/")) {
+      return [createProblem(tag, "invalid", "notImage", { contentType: image.contentType })];
+   }
+   if (!image.width || !image.height) return [];
+
+   const { minSize, recommendedSize } = options.image;
+   const formatSize = ({ width, height }) => `${width}x${height}`;
+   if (image.width < minSize.width || image.height < minSize.height) {
+      return [
+         createProblem(tag, "size", "tooSmall", {
+            size: formatSize(image),
+            minSize: formatSize(minSize),
+         }),
+      ];
+   }
+   if (
+      image.width < recommendedSize.width ||
+      image.height < recommendedSize.height
+   ) {
+      return [
+         createProblem(tag, "size", "belowRecommended", {
+            recommendedSize: formatSize(recommendedSize),
+            size: formatSize(image),
+         }),
+      ];
+   }
+   return [];
+}
+
+// Odczytuje wymiary obrazka z początku pliku; null dla nieobsługiwanych formatów
+function getImageSize(buffer) {
+   if (!buffer || buffer.length < 24) return null;
+
+   // PNG: sygnatura, potem blok IHDR z szerokością i wysokością
+   if (buffer.readUInt32BE(0) === 0x89504e47) {
+      return {
+         format: "png",
+         width: buffer.readUInt32BE(16),
+         height: buffer.readUInt32BE(20),
+      };
+   }
+
+   // GIF: GIF87a / GIF89a, wymiary little-endian
+   if (buffer.toString("ascii", 0, 3) === "GIF") {
+      return {
+         format: "gif",
+         width: buffer.readUInt16LE(6),
+         height: buffer.readUInt16LE(8),
+      };
+   }
+
+   // WebP: kontener RIFF z blokiem VP8, VP8L lub VP8X
+   if (
+      buffer.toString("ascii", 0, 4) === "RIFF" &&
+      buffer.toString("ascii", 8, 12) === "WEBP" &&
+      buffer.length >= 30
+   ) {
+      const chunk = buffer.toString("ascii", 12, 16);
+      if (chunk === "VP8 ") {
+         return {
+            format: "webp",
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff,
+         };
+      }
+      if (chunk === "VP8L") {
+         const bits = buffer.readUInt32LE(21);
+         return {
+            format: "webp",
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >> 14) & 0x3fff) + 1,
+         };
+      }
+      if (chunk === "VP8X") {
+         return {
+            format: "webp",
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1,
+         };
+      }
+      return null;
+   }
+
+   // JPEG: szukamy znacznika SOF z wymiarami
+   if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+         if (buffer[offset] !== 0xff) {
+            offset++;
+            continue;
+         }
+         const marker = buffer[offset + 1];
+         // Znaczniki bez długości (RST, SOI, wypełnienie)
+         if (
+            marker === 0xff ||
+            marker === 0xd8 ||
+            marker === 0x01 ||
+            (marker >= 0xd0 && marker <= 0xd7)
+         ) {
+            offset += marker === 0xff ? 1 : 2;
+            continue;
+         }
+         const isStartOfFrame =
+            marker >= 0xc0 &&
+            marker <= 0xcf &&
+            ![0xc4, 0xc8, 0xcc].includes(marker);
+         if (isStartOfFrame) {
+            return {
+               format: "jpeg",
+               width: buffer.readUInt16BE(offset + 7),
+               height: buffer.readUInt16BE(offset + 5),
+            };
+         }
+         offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return null;
+   }
+
+   return null;
+}
+
+// Adres obrazka względem strony, żeby podgląd w raporcie mógł go wyświetlić
+function resolveImageUrl(image, pageUrl) {
+   if (!image) return "";
+   try {
+      return new URL(image, pageUrl).href;
+   } catch (error) {
+      return "";
+   }
+}
+
+function truncate(text, maxLength) {
+   if (!text || text.length <= maxLength) return text || "";
+   return `${text.slice(0, maxLength - 1).trimEnd()}…`;
+}
+
+// Dane podglądu z uwzględnieniem kolejności, w jakiej serwisy wybierają tagi
+function buildPreviews(social, { url, title, description }) {
+   let domain = "";
+   try {
+      domain = new URL(social["og:url"] || url).host.replace(/^www\./, "");
+   } catch (error) {
+      domain = url;
+   }
+
+   const ogTitle = social["og:title"] || title;
+   const ogDescription = social["og:description"] || description;
+   const ogImage = resolveImageUrl(social["og:image"], url);
+
+   return {
+      facebook: {
+         domain: domain.toUpperCase(),
+         title: truncate(ogTitle, PREVIEW_LIMITS.facebook.title),
+         description: truncate(ogDescription, PREVIEW_LIMITS.facebook.description),
+         image: ogImage,
+      },
+      linkedin: {
+         domain,
+         title: truncate(ogTitle, PREVIEW_LIMITS.linkedin.title),
+         description: "",
+         image: ogImage,
+      },
+      x: {
+         card: social["twitter:card"] || "summary",
+         domain,
+         title: truncate(
+            social["twitter:title"] || ogTitle,
+            PREVIEW_LIMITS.x.title
+         ),
+         description: truncate(
+            social["twitter:description"] || ogDescription,
+            PREVIEW_LIMITS.x.description
+         ),
+         image: resolveImageUrl(social["twitter:image"], url) || ogImage,
+      },
+   };
+}
+
+module.exports = {
+   OG_TAGS,
+   TWITTER_CARD_TYPES,
+   extractSocialMeta,
+   validateSocialMeta,
+   validateSocialImage,
+   getImageSize,
+   buildPreviews,
+};
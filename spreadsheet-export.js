@@ -0,0 +1,216 @@
+/**
+ * Eksport raportu do arkuszy (CSV i XLSX)
+ *
+ * Arkusze: strony, problemy, linki, słowa kluczowe i sugestie AI. Dostępne kolumny każdego arkusza
+ * opisuje SHEETS, a wybór i kolejność kolumn ustawia się w config.report.export
+ * (pusta lista pomija arkusz). Nazwy arkuszy i nagłówki kolumn pochodzą z katalogu
+ * języka raportu (export.<arkusz> w locales/).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { t } = require("./i18n");
+
+const join = (values) => (Array.isArray(values) ? values.join(", ") : "");
+const readability = (page, field) =>
+   page.content && page.content.readability ? page.content.readability[field] : null;
+
+const SHEETS = {
+   pages: {
+      fileName: "seo-pages",
+      rows: (report) => report.pageMeta || [],
+      columns: {
+         url: { value: (page) => page.url },
+         status: { value: (page) => page.status },
+         depth: { value: (page) => page.depth },
+         title: { value: (page) => page.title },
+         titleLength: { value: (page) => page.titleLength },
+         description: { value: (page) => page.description },
+         descriptionLength: { value: (page) => page.descriptionLength },
+         h1: { value: (page) => page.h1 },
+         canonical: { value: (page) => page.canonical },
+         noindex: { value: (page) => !!(page.robots && page.robots.noindex) },
+         internalLinks: { value: (page) => page.internalLinksCount },
+         externalLinks: { value: (page) => page.externalLinksCount },
+         inboundLinks: { value: (page) => (page.links ? page.links.inbound : null) },
+         pageRank: { value: (page) => (page.links ? page.links.pageRank : null) },
+         images: { value: (page) => (page.images || []).length },
+         words: { value: (page) => (page.content ? page.content.words : null) },
+         thinContent: { value: (page) => !!(page.content && page.content.thin) },
+         textRatio: { value: (page) => (page.content ? page.content.textRatio : null) },
+         fog: { value: (page) => readability(page, "fog") },
+         flesch: { value: (page) => readability(page, "flesch") },
+         averageSentenceLength: { value: (page) => readability(page, "averageSentenceLength") },
+         passiveRatio: { value: (page) => readability(page, "passiveRatio") },
+         responseTime: {
+            value: (page) => (page.performance ? page.performance.responseTime : null),
+         },
+         htmlBytes: { value: (page) => (page.performance ? page.performance.htmlBytes : null) },
+         score: { value: (page) => (page.score ? page.score.score : null) },
+         unchanged: { value: (page) => !!page.unchanged },
+      },
+   },
+   issues: {
+      fileName: "seo-issues",
+      // Starsze raporty zapisywały problemy jako tekst
+      rows: (report) =>
+         (report.issues || []).map((issue) =>
+            typeof issue === "string" ? { message: issue } : issue
+         ),
+      columns: {
+         id: { value: (issue) => issue.id },
+         severity: { value: (issue) => issue.severity },
+         category: { value: (issue) => issue.category },
+         rule: { value: (issue) => issue.rule },
+         url: { value: (issue) => issue.url },
+         message: { value: (issue) => issue.message },
+      },
+   },
+   links: {
+      fileName: "seo-links",
+      rows: (report) => report.links || [],
+      columns: {
+         source: { value: (link) => link.source },
+         target: { value: (link) => link.target },
+         anchor: { value: (link) => link.anchor },
+         type: { value: (link) => link.type },
+         status: { value: (link) => link.status },
+         finalUrl: { value: (link) => link.finalUrl },
+      },
+   },
+   keywords: {
+      fileName: "seo-keywords",
+      rows: (report) =>
+         (report.pageMeta || []).flatMap((page) =>
+            page.keywords ? page.keywords.keywords.map((keyword) => ({ ...keyword, page })) : []
+         ),
+      columns: {
+         url: { value: (row) => row.page.url },
+         keyword: { value: (row) => row.keyword },
+         count: { value: (row) => row.count },
+         density: { value: (row) => row.density },
+         inTitle: { value: (row) => row.placement.title },
+         inDescription: { value: (row) => row.placement.description },
+         inH1: { value: (row) => row.placement.h1 },
+         inHeadings: { value: (row) => row.placement.headings },
+         inFirstParagraph: { value: (row) => row.placement.firstParagraph },
+         inUrl: { value: (row) => row.placement.url },
+         inAlt: { value: (row) => row.placement.alt },
+         score: { value: (row) => row.score },
+      },
+   },
+   aiSuggestions: {
+      fileName: "seo-ai-suggestions",
+      rows: (report) =>
+         (report.pageMeta || [])
+            .filter((page) => page.metaTags && page.metaTags.aiSuggestions)
+            .map((page) => ({ ...page.metaTags.aiSuggestions, page })),
+      columns: {
+         url: { value: (row) => row.page.url },
+         title: { value: (row) => row.page.title },
+         optimizedTitle: { value: (row) => row.optimizedTitle },
+         description: { value: (row) => row.page.description },
+         optimizedDescription: { value: (row) => row.optimizedDescription },
+         optimizedOgTitle: { value: (row) => row.optimizedOgTitle },
+         optimizedOgDescription: { value: (row) => row.optimizedOgDescription },
+         keywordSuggestions: { value: (row) => join(row.keywordSuggestions) },
+      },
+   },
+};
+
+/**
+ * Tabele do eksportu: [{ name, label, fileName, columns: [{ key, header }], rows: [[...]] }].
+ * columnsConfig: { [arkusz]: [klucze kolumn] } z config.report.export
+ */
+function buildTables(report, columnsConfig) {
+   return Object.entries(columnsConfig)
+      .filter(([name, keys]) => {
+         if (!SHEETS[name]) {
+            console.warn(`Nieznany arkusz eksportu: ${name}`);
+            return false;
+         }
+         return keys.length > 0;
+      })
+      .map(([name, keys]) => {
+         const sheet = SHEETS[name];
+         const columns = keys.filter((key) => {
+            if (sheet.columns[key]) return true;
+            console.warn(`Nieznana kolumna arkusza ${name}: ${key}`);
+            return false;
+         });
+         return {
+            name,
+            label: t(`export.${name}.label`),
+            fileName: sheet.fileName,
+            columns: columns.map((key) => ({ key, header: t(`export.${name}.columns.${key}`) })),
+            rows: sheet.rows(report).map((row) =>
+               columns.map((key) => {
+                  const value = sheet.columns[key].value(row);
+                  return value === undefined ? null : value;
+               })
+            ),
+         };
+      });
+}
+
+// Tekst zaczynający się od =, +, -, @, tabulatora lub CR Excel wykonałby jako formułę,
+// więc tekstom z crawlowanych stron dopisujemy apostrof (liczby zostają bez zmian)
+function escapeCsv(value, delimiter) {
+   if (value === null) return "";
+   const text =
+      typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+   return text.includes(delimiter) || /["\r\n]/.test(text)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+}
+
+function toCsv(table, delimiter = ";") {
+   return [table.columns.map((column) => column.header), ...table.rows]
+      .map((row) => row.map((value) => escapeCsv(value, delimiter)).join(delimiter))
+      .join("\r\n");
+}
+
+// Pliki CSV z BOM, żeby Excel poprawnie odczytał polskie znaki; zwraca ścieżki plików
+function writeCsvFiles(tables, directory, delimiter) {
+   return tables.map((table) => {
+      const fileName = path.join(directory, `${table.fileName}.csv`);
+      fs.writeFileSync(fileName, `\uFEFF${toCsv(table, delimiter)}\r\n`);
+      return fileName;
+   });
+}
+
+async function writeXlsx(tables, fileName) {
+   const workbook = new ExcelJS.Workbook();
+   workbook.creator = "SEO Analyzer";
+
+   tables.forEach((table) => {
+      const worksheet = workbook.addWorksheet(table.label, {
+         views: [{ state: "frozen", ySplit: 1 }],
+      });
+      worksheet.columns = table.columns.map(({ key, header }) => ({
+         key,
+         header,
+         width: Math.min(60, Math.max(12, header.length + 2)),
+      }));
+      worksheet.addRows(table.rows);
+      worksheet.getRow(1).font = { bold: true };
+      if (table.columns.length > 0) {
+         worksheet.autoFilter = {
+            from: { row: 1, column: 1 },
+            to: { row: 1, column: table.columns.length },
+         };
+      }
+   });
+
+   await workbook.xlsx.writeFile(fileName);
+   return fileName;
+}
+
+module.exports = {
+   SHEETS,
+   buildTables,
+   toCsv,
+   writeCsvFiles,
+   writeXlsx,
+};
@@ -0,0 +1,331 @@
+/**
+ * Dane strukturalne (schema.org)
+ *
+ * - Ekstrakcja JSON-LD, microdata i RDFa (Lite) z dokumentu cheerio
+ * - Walidacja wymaganych i zalecanych właściwości dla popularnych typów
+ */
+
+const { t } = require("./i18n");
+
+// Podtypy LocalBusiness istotne dla firm usługowych
+const LOCAL_BUSINESS_SUBTYPES = [
+   "LocalBusiness",
+   "HomeAndConstructionBusiness",
+   "Plumber",
+   "Electrician",
+   "HVACBusiness",
+   "GeneralContractor",
+   "RoofingContractor",
+   "HousePainter",
+   "Locksmith",
+   "MovingCompany",
+   "ProfessionalService",
+   "AutomotiveBusiness",
+   "AutoRepair",
+   "Store",
+];
+
+const ARTICLE_TYPES = ["Article", "BlogPosting", "NewsArticle"];
+
+const SCHEMA_RULES = {
+   LocalBusiness: {
+      required: ["name", "address"],
+      recommended: [
+         "telephone",
+         "url",
+         "image",
+         "geo",
+         "openingHoursSpecification",
+         "priceRange",
+         "areaServed",
+      ],
+   },
+   Organization: {
+      required: ["name"],
+      recommended: ["url", "logo", "contactPoint", "sameAs"],
+   },
+   Service: {
+      required: ["name"],
+      recommended: ["serviceType", "provider", "areaServed", "description"],
+   },
+   FAQPage: {
+      required: ["mainEntity"],
+      recommended: [],
+   },
+   BreadcrumbList: {
+      required: ["itemListElement"],
+      recommended: [],
+   },
+   WebSite: {
+      required: ["name", "url"],
+      recommended: ["potentialAction"],
+   },
+   Article: {
+      required: ["headline"],
+      recommended: ["image", "datePublished", "author"],
+   },
+   Product: {
+      required: ["name"],
+      recommended: ["image", "offers", "aggregateRating", "review"],
+   },
+};
+
+// Zwraca nazwę typu bez prefiksu schema.org
+function normalizeType(type) {
+   return String(type)
+      .replace(/^https?:\/\/schema\.org\//i, "")
+      .replace(/^schema:/i, "")
+      .trim();
+}
+
+function getTypes(item) {
+   const type = item["@type"];
+   if (!type) return [];
+   return [].concat(type).map(normalizeType);
+}
+
+// Typ, według którego walidujemy element (podtypy mapowane na typ bazowy)
+function getRuleType(type) {
+   if (LOCAL_BUSINESS_SUBTYPES.includes(type)) return "LocalBusiness";
+   if (ARTICLE_TYPES.includes(type)) return "Article";
+   return SCHEMA_RULES[type] ? type : null;
+}
+
+function hasValue(value) {
+   if (value === undefined || value === null) return false;
+   if (typeof value === "string") return value.trim() !== "";
+   if (Array.isArray(value)) return value.some(hasValue);
+   return true;
+}
+
+// Rozwija tablice i @graph do płaskiej listy elementów najwyższego poziomu
+function flattenJsonLd(data) {
+   if (Array.isArray(data)) return data.flatMap(flattenJsonLd);
+   if (data && typeof data === "object") {
+      if (Array.isArray(data["@graph"])) {
+         return data["@graph"].flatMap(flattenJsonLd);
+      }
+      return [data];
+   }
+   return [];
+}
+
+function extractJsonLd($, result) {
+   $('script[type="application/ld+json"]').each((index, element) => {
+      const text = $(element).html() || "";
+      try {
+         flattenJsonLd(JSON.parse(text)).forEach((data) => {
+            result.items.push({ format: "json-ld", types: getTypes(data), data });
+         });
+      } catch (error) {
+         result.errors.push({
+            format: "json-ld",
+            message: error.message,
+            snippet: text.trim().slice(0, 200),
+         });
+      }
+   });
+}
+
+// Wartość właściwości microdata/RDFa zależna od elementu HTML
+function getPropertyValue($, element) {
+   const $element = $(element);
+   const tagName = (element.tagName || element.name || "").toLowerCase();
+
+   if ($element.attr("content") !== undefined) return $element.attr("content");
+   if (["a", "link", "area"].includes(tagName)) return $element.attr("href");
+   if (["img", "audio", "video", "source", "iframe", "embed"].includes(tagName)) {
+      return $element.attr("src");
+   }
+   if (tagName === "time" && $element.attr("datetime")) {
+      return $element.attr("datetime");
+   }
+   if (["meter", "data"].includes(tagName)) return $element.attr("value");
+   return $element.text().replace(/\s+/g, " ").trim();
+}
+
+function addProperty(data, name, value) {
+   if (name in data) {
+      data[name] = [].concat(data[name], value);
+   } else {
+      data[name] = value;
+   }
+}
+
+function parseMicrodataItem($, element) {
+   const $element = $(element);
+   const data = {};
+   const itemtype = $element.attr("itemtype");
+   if (itemtype) {
+      const types = itemtype.split(/\s+/).filter(Boolean).map(normalizeType);
+      data["@type"] = types.length === 1 ? types[0] : types;
+   }
+
+   // Właściwości należą do najbliższego przodka z itemscope
+   $element.find("[itemprop]").each((_, propertyElement) => {
+      const owner = $(propertyElement).parent().closest("[itemscope]")[0];
+      if (owner !== element) return;
+
+      const value =
+         $(propertyElement).attr("itemscope") !== undefined
+            ? parseMicrodataItem($, propertyElement)
+            : getPropertyValue($, propertyElement);
+      $(propertyElement)
+         .attr("itemprop")
+         .split(/\s+/)
+         .filter(Boolean)
+         .forEach((name) => addProperty(data, name, value));
+   });
+
+   return data;
+}
+
+function extractMicrodata($, result) {
+   $("[itemscope]")
+      .not("[itemprop]")
+      .each((_, element) => {
+         const data = parseMicrodataItem($, element);
+         result.items.push({ format: "microdata", types: getTypes(data), data });
+      });
+}
+
+function parseRdfaItem($, element) {
+   const $element = $(element);
+   const data = {};
+   const types = ($element.attr("typeof") || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(normalizeType);
+   if (types.length > 0) {
+      data["@type"] = types.length === 1 ? types[0] : types;
+   }
+
+   $element.find("[property]").each((_, propertyElement) => {
+      const owner = $(propertyElement).parent().closest("[typeof]")[0];
+      if (owner !== element) return;
+
+      const value =
+         $(propertyElement).attr("typeof") !== undefined
+            ? parseRdfaItem($, propertyElement)
+            : getPropertyValue($, propertyElement);
+      $(propertyElement)
+         .attr("property")
+         .split(/\s+/)
+         .filter(Boolean)
+         .map(normalizeType)
+         .forEach((name) => addProperty(data, name, value));
+   });
+
+   return data;
+}
+
+function extractRdfa($, result) {
+   // Elementy typeof zagnieżdżone jako właściwość innego elementu są parsowane rekurencyjnie
+   $("[typeof]")
+      .filter((_, element) => {
+         const $element = $(element);
+         return (
+            $element.attr("property") === undefined ||
+            $element.parent().closest("[typeof]").length === 0
+         );
+      })
+      .each((_, element) => {
+         const data = parseRdfaItem($, element);
+         result.items.push({ format: "rdfa", types: getTypes(data), data });
+      });
+}
+
+// Wyszukuje dane strukturalne w dokumencie (przed usunięciem skryptów)
+function extractStructuredData($) {
+   const result = { items: [], errors: [] };
+
+   extractJsonLd($, result);
+   extractMicrodata($, result);
+   extractRdfa($, result);
+
+   return result;
+}
+
+// Ostrzeżenia: [{ key, message }]; key nie zależy od języka raportu (identyfikator problemu)
+function validateNestedItems(ruleType, data, warnings) {
+   const warn = (code, index) =>
+      warnings.push({ key: `${code}:${index}`, message: t(`structuredData.${code}`, { index }) });
+
+   if (ruleType === "FAQPage") {
+      [].concat(data.mainEntity || []).forEach((question, index) => {
+         if (!question || typeof question !== "object") {
+            warn("notQuestion", index);
+            return;
+         }
+         if (!hasValue(question.name)) {
+            warn("missingQuestion", index);
+         }
+         const answer = [].concat(question.acceptedAnswer || [])[0];
+         if (!answer || !hasValue(answer.text)) {
+            warn("missingAnswer", index);
+         }
+      });
+   }
+
+   if (ruleType === "BreadcrumbList") {
+      const elements = [].concat(data.itemListElement || []);
+      elements.forEach((listItem, index) => {
+         if (!listItem || typeof listItem !== "object") {
+            warn("notListItem", index);
+            return;
+         }
+         if (!hasValue(listItem.position)) {
+            warn("missingPosition", index);
+         }
+         const item = listItem.item;
+         const name =
+            listItem.name || (item && typeof item === "object" ? item.name : null);
+         if (!hasValue(name)) {
+            warn("missingName", index);
+         }
+         // Ostatni element (bieżąca strona) może nie mieć adresu
+         if (index < elements.length - 1 && !hasValue(item)) {
+            warn("missingItem", index);
+         }
+      });
+   }
+}
+
+// Waliduje pojedynczy element; zwraca null dla typów bez zdefiniowanych reguł
+function validateItem(item) {
+   const ruleType = item.types.map(getRuleType).find(Boolean);
+   if (!ruleType) return null;
+
+   const rules = SCHEMA_RULES[ruleType];
+   const warnings = [];
+   validateNestedItems(ruleType, item.data, warnings);
+
+   return {
+      format: item.format,
+      type: item.types.join(", "),
+      ruleType,
+      missingRequired: rules.required.filter((name) => !hasValue(item.data[name])),
+      missingRecommended: rules.recommended.filter(
+         (name) => !hasValue(item.data[name])
+      ),
+      warnings,
+   };
+}
+
+function validateStructuredData(structuredData) {
+   return structuredData.items.map(validateItem).filter(Boolean);
+}
+
+// Czy wśród typów (wraz z podtypami) występuje oczekiwany typ
+function containsType(types, expectedType) {
+   return types.some(
+      (type) => type === expectedType || getRuleType(type) === expectedType
+   );
+}
+
+module.exports = {
+   SCHEMA_RULES,
+   extractStructuredData,
+   validateStructuredData,
+   containsType,
+};